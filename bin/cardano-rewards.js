@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    createRegistry,
+    KoiosHandleResolver,
+    PriceService,
+    SUPPORTED_CURRENCIES,
+    aggregateTokens,
+    createExportRows,
+    toCsv,
+    isHandle,
+    formatTokenAmount
+} from '../js/index.js';
+import { MockUpstream, MOCK_SCENARIOS } from '../js/mock/mock-upstream.js';
+
+/**
+ * Cardano Rewards CLI
+ * Checks pending rewards from the terminal, without a CORS proxy
+ *
+ * Exit codes: 0 all providers succeeded, 1 at least one provider failed, 2 usage error
+ */
+
+const USAGE = `Usage: cardano-rewards check <address|$handle>... [options]
+
+Options:
+  -p, --provider <id>   Only check this provider (repeatable or comma separated)
+      --json            Print results as JSON
+      --table           Print results as a table (default)
+      --csv             Print one CSV row per token (same columns as the web app export)
+      --currency <code> Value rewards in ADA and this fiat currency
+                        (${SUPPORTED_CURRENCIES.join(', ')})
+  -t, --timeout <ms>    Timeout per provider in milliseconds (default: 30000)
+      --definitions <file|url>
+                        Load extra provider definitions from a JSON file or URL
+      --mock <scenario> Replay recorded responses instead of calling the services
+                        (${Object.values(MOCK_SCENARIOS).join(', ')})
+  -h, --help            Show this help
+
+Providers: `;
+
+const EXIT_OK = 0;
+const EXIT_PROVIDER_FAILED = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command line arguments without node and script path
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const registry = createRegistry({ proxyMode: 'direct' });
+    let usage = USAGE + registry.getProviderStats().providerIds.join(', ') + '\n';
+
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                provider: { type: 'string', short: 'p', multiple: true },
+                json: { type: 'boolean' },
+                table: { type: 'boolean' },
+                csv: { type: 'boolean' },
+                currency: { type: 'string' },
+                timeout: { type: 'string', short: 't' },
+                definitions: { type: 'string', multiple: true },
+                mock: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    const [command, ...inputs] = positionals;
+
+    try {
+        for (const source of values.definitions || []) {
+            await loadDefinitions(registry, source);
+        }
+    } catch (error) {
+        io.stderr.write(`Could not load provider definitions: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+    usage = USAGE + registry.getProviderStats().providerIds.join(', ') + '\n';
+
+    if (values.help) {
+        io.stdout.write(usage);
+        return EXIT_OK;
+    }
+
+    if (command !== 'check' || inputs.length === 0) {
+        io.stderr.write(usage);
+        return EXIT_USAGE;
+    }
+
+    const providerIds = values.provider ? values.provider.flatMap(id => id.split(',')).filter(Boolean) : null;
+    const unknown = (providerIds || []).filter(id => !registry.getProvider(id));
+    if (unknown.length > 0) {
+        io.stderr.write(`Unknown provider: ${unknown.join(', ')}\n\n${usage}`);
+        return EXIT_USAGE;
+    }
+
+    const timeout = values.timeout ? Number(values.timeout) : 30000;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        io.stderr.write(`Invalid timeout: ${values.timeout}\n`);
+        return EXIT_USAGE;
+    }
+
+    const currency = values.currency?.toLowerCase();
+    if (currency && !SUPPORTED_CURRENCIES.includes(currency)) {
+        io.stderr.write(`Unsupported currency: ${values.currency} (expected ${SUPPORTED_CURRENCIES.join(', ')})\n`);
+        return EXIT_USAGE;
+    }
+
+    if (values.mock) {
+        try {
+            new MockUpstream({ scenario: values.mock }).install();
+        } catch (error) {
+            io.stderr.write(`${error.message}\n`);
+            return EXIT_USAGE;
+        }
+    }
+
+    let addresses;
+    try {
+        addresses = await resolveInputs(inputs, new KoiosHandleResolver({ proxyStrategy: registry.proxyStrategy }));
+    } catch (error) {
+        io.stderr.write(`${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    const validation = registry.validateAddresses(addresses);
+    if (!validation.valid) {
+        validation.invalidAddresses.forEach(address => {
+            io.stderr.write(`Invalid address ${address}: ${validation.reasons[address]}\n`);
+        });
+        return EXIT_USAGE;
+    }
+
+    const results = await registry.checkAllRewards(addresses, {
+        includeProviders: providerIds,
+        timeout: timeout
+    });
+
+    if (currency) {
+        const priceService = new PriceService({ currency });
+        await Promise.all(results
+            .filter(result => result.success)
+            .map(result => priceService.valueResponse(result.data)));
+    }
+
+    if (values.json) {
+        io.stdout.write(JSON.stringify(results, null, 2) + '\n');
+    } else if (values.csv) {
+        io.stdout.write(toCsv(createExportRows(results, { registry })));
+    } else {
+        io.stdout.write(formatTable(results, registry));
+    }
+
+    return results.some(result => !result.success) ? EXIT_PROVIDER_FAILED : EXIT_OK;
+}
+
+/**
+ * Load provider definitions from a JSON file or URL into the registry
+ * @param {ProviderRegistry} registry - Provider registry
+ * @param {string} source - File path or http(s) URL
+ * @returns {Promise<Array>} Created providers
+ */
+async function loadDefinitions(registry, source) {
+    if (/^https?:\/\//.test(source)) {
+        return registry.loadDefinitions(source);
+    }
+
+    const definitions = JSON.parse(await readFile(source, 'utf8'));
+    return registry.registerDefinitions(Array.isArray(definitions) ? definitions : definitions.providers || []);
+}
+
+/**
+ * Resolve handles to addresses, keeping plain addresses as they are
+ * @param {string[]} inputs - Addresses and handles
+ * @param {HandleResolver} resolver - Handle resolver
+ * @returns {Promise<string[]>} Addresses
+ */
+async function resolveInputs(inputs, resolver) {
+    return Promise.all(inputs.map(async input => {
+        if (!isHandle(input)) return input;
+        try {
+            return await resolver.resolve(input);
+        } catch (error) {
+            throw new Error(`Could not resolve ${input}: ${error.message}`);
+        }
+    }));
+}
+
+/**
+ * Format results as an aligned text table
+ * @param {Array} results - Provider results
+ * @param {ProviderRegistry} registry - Provider registry
+ * @returns {string} Table text
+ */
+function formatTable(results, registry) {
+    const rows = [['Provider', 'Wallet', 'Status', 'Rewards']];
+
+    results.forEach(result => {
+        const providerName = registry.getProvider(result.providerId)?.name || result.providerId;
+        const wallet = `${result.address.slice(0, 12)}…${result.address.slice(-6)}`;
+
+        if (!result.success) {
+            rows.push([providerName, wallet, 'error', result.error]);
+            return;
+        }
+
+        const tokens = result.data.tokens || [];
+        const rewards = tokens.length > 0 ?
+            tokens.map(token => `${formatTokenAmount(token)} ${token.symbol}`).join(', ') :
+            'No rewards';
+        rows.push([providerName, wallet, 'ok', rewards]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const table = rows
+        .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+        .join('\n') + '\n';
+
+    // Same asset summed across providers, e.g. "Total claimable ADA: 42.1 (Cardano Staking 30, ...)"
+    const totals = aggregateTokens(results).map(token => {
+        const sources = token.sources.map(source =>
+            `${registry.getProvider(source.providerId)?.name || source.providerId} ${formatTokenAmount(source)}`
+        );
+        return `Total claimable ${token.symbol}: ${formatTokenAmount(token)} (${sources.join(', ')})`;
+    });
+
+    return totals.length > 0 ? `${table}\n${totals.join('\n')}\n` : table;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
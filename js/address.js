@@ -0,0 +1,407 @@
+/**
+ * Cardano address utilities
+ * Bech32 decoding and Shelley address header parsing (CIP-19)
+ */
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+
+/**
+ * Shelley address types, keyed by the high nibble of the header byte
+ */
+export const ADDRESS_TYPES = {
+    BASE: 'base',
+    POINTER: 'pointer',
+    ENTERPRISE: 'enterprise',
+    BYRON: 'byron',
+    REWARD: 'reward'
+};
+
+/**
+ * Human readable prefixes for each network
+ */
+const MAINNET_PREFIXES = { payment: 'addr', reward: 'stake' };
+const TESTNET_PREFIXES = { payment: 'addr_test', reward: 'stake_test' };
+
+/**
+ * Compute the bech32 checksum polymod
+ * @param {number[]} values - 5-bit values
+ * @returns {number} Polymod result
+ */
+function polymod(values) {
+    let checksum = 1;
+    values.forEach(value => {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        BECH32_GENERATOR.forEach((generator, i) => {
+            if ((top >>> i) & 1) {
+                checksum ^= generator;
+            }
+        });
+    });
+    return checksum;
+}
+
+/**
+ * Expand the human readable part for checksum computation
+ * @param {string} prefix - Human readable part
+ * @returns {number[]} Expanded values
+ */
+function expandPrefix(prefix) {
+    const high = [];
+    const low = [];
+    for (let i = 0; i < prefix.length; i++) {
+        high.push(prefix.charCodeAt(i) >> 5);
+        low.push(prefix.charCodeAt(i) & 31);
+    }
+    return [...high, 0, ...low];
+}
+
+/**
+ * Regroup bits between word sizes (e.g. 5-bit words to bytes)
+ * @param {number[]} data - Input words
+ * @param {number} fromBits - Input word size
+ * @param {number} toBits - Output word size
+ * @param {boolean} pad - Whether to pad the final word
+ * @returns {number[]|null} Regrouped words or null on invalid padding
+ */
+function convertBits(data, fromBits, toBits, pad) {
+    let accumulator = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+        accumulator = (accumulator << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((accumulator >> bits) & maxValue);
+        }
+    }
+
+    if (pad) {
+        if (bits > 0) {
+            result.push((accumulator << (toBits - bits)) & maxValue);
+        }
+    } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+        return null;
+    }
+
+    return result;
+}
+
+/**
+ * Decode a bech32 string
+ * Cardano addresses exceed the 90 character limit of BIP-173, so no length limit is applied
+ * @param {string} value - Bech32 encoded string
+ * @returns {Object} Object with prefix and bytes, or an error reason
+ */
+export function bech32Decode(value) {
+    if (typeof value !== 'string' || !value) {
+        return { error: 'empty address' };
+    }
+
+    if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+        return { error: 'mixed case' };
+    }
+
+    const normalized = value.toLowerCase();
+    const separator = normalized.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > normalized.length) {
+        return { error: 'missing bech32 separator' };
+    }
+
+    const prefix = normalized.substring(0, separator);
+    const words = [];
+    for (const char of normalized.substring(separator + 1)) {
+        const word = BECH32_CHARSET.indexOf(char);
+        if (word === -1) {
+            return { error: `invalid character "${char}"` };
+        }
+        words.push(word);
+    }
+
+    if (polymod([...expandPrefix(prefix), ...words]) !== 1) {
+        return { error: 'bad checksum' };
+    }
+
+    const bytes = convertBits(words.slice(0, -6), 5, 8, false);
+    if (!bytes) {
+        return { error: 'invalid padding' };
+    }
+
+    return { prefix, bytes: Uint8Array.from(bytes) };
+}
+
+/**
+ * Encode bytes as a bech32 string
+ * @param {string} prefix - Human readable part
+ * @param {Uint8Array|number[]} bytes - Payload bytes
+ * @returns {string} Bech32 encoded string
+ */
+export function bech32Encode(prefix, bytes) {
+    const words = convertBits(Array.from(bytes), 8, 5, true);
+    const values = [...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0];
+    const checksum = polymod(values) ^ 1;
+
+    let result = `${prefix}1`;
+    words.forEach(word => {
+        result += BECH32_CHARSET[word];
+    });
+    for (let i = 0; i < 6; i++) {
+        result += BECH32_CHARSET[(checksum >> (5 * (5 - i))) & 31];
+    }
+    return result;
+}
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array|number[]} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+export function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+export function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Read a variable-length natural number used in pointer addresses
+ * @param {Uint8Array} bytes - Address bytes
+ * @param {number} offset - Start offset
+ * @returns {Object|null} Value and next offset, or null if truncated
+ */
+function readVariableNat(bytes, offset) {
+    let value = 0;
+    let position = offset;
+    while (position < bytes.length) {
+        const byte = bytes[position++];
+        value = value * 128 + (byte & 0x7f);
+        if ((byte & 0x80) === 0) {
+            return { value, offset: position };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build a credential descriptor
+ * @param {Uint8Array} bytes - Address bytes
+ * @param {number} offset - Start offset of the 28 byte hash
+ * @param {boolean} isScript - Whether the credential is a script hash
+ * @returns {Object} Credential with type and hash
+ */
+function readCredential(bytes, offset, isScript) {
+    return {
+        type: isScript ? 'script' : 'key',
+        hash: bytesToHex(bytes.slice(offset, offset + 28))
+    };
+}
+
+/**
+ * Decode the header byte and credentials of a raw Shelley address
+ * @param {Uint8Array} bytes - Raw address bytes
+ * @returns {Object} Parsed address fields, or an error reason
+ */
+export function decodeAddressBytes(bytes) {
+    if (!bytes || bytes.length === 0) {
+        return { error: 'empty address' };
+    }
+
+    const header = bytes[0];
+    const typeId = header >> 4;
+    const networkId = header & 0x0f;
+    const parsed = {
+        header,
+        typeId,
+        networkId,
+        network: networkId === 1 ? 'mainnet' : 'testnet',
+        paymentCredential: null,
+        stakeCredential: null,
+        stakePointer: null
+    };
+
+    if (typeId <= 3) {
+        if (bytes.length !== 57) {
+            return { error: 'invalid base address length' };
+        }
+        return {
+            ...parsed,
+            type: ADDRESS_TYPES.BASE,
+            paymentCredential: readCredential(bytes, 1, (typeId & 1) === 1),
+            stakeCredential: readCredential(bytes, 29, (typeId & 2) === 2)
+        };
+    }
+
+    if (typeId === 4 || typeId === 5) {
+        const slot = readVariableNat(bytes, 29);
+        const txIndex = slot && readVariableNat(bytes, slot.offset);
+        const certIndex = txIndex && readVariableNat(bytes, txIndex.offset);
+        if (bytes.length < 30 || !certIndex) {
+            return { error: 'invalid pointer address' };
+        }
+        return {
+            ...parsed,
+            type: ADDRESS_TYPES.POINTER,
+            paymentCredential: readCredential(bytes, 1, typeId === 5),
+            stakePointer: {
+                slot: slot.value,
+                txIndex: txIndex.value,
+                certIndex: certIndex.value
+            }
+        };
+    }
+
+    if (typeId === 6 || typeId === 7) {
+        if (bytes.length !== 29) {
+            return { error: 'invalid enterprise address length' };
+        }
+        return {
+            ...parsed,
+            type: ADDRESS_TYPES.ENTERPRISE,
+            paymentCredential: readCredential(bytes, 1, typeId === 7)
+        };
+    }
+
+    if (typeId === 8) {
+        return { ...parsed, type: ADDRESS_TYPES.BYRON };
+    }
+
+    if (typeId === 14 || typeId === 15) {
+        if (bytes.length !== 29) {
+            return { error: 'invalid reward address length' };
+        }
+        return {
+            ...parsed,
+            type: ADDRESS_TYPES.REWARD,
+            stakeCredential: readCredential(bytes, 1, typeId === 15)
+        };
+    }
+
+    return { error: `unknown address type ${typeId}` };
+}
+
+/**
+ * Encode raw Shelley address bytes as bech32, with the prefix of their type and network
+ * @param {Uint8Array|number[]} bytes - Raw address bytes
+ * @returns {Object} Object with the bech32 address, or an error reason
+ */
+export function encodeAddress(bytes) {
+    const parsed = decodeAddressBytes(Uint8Array.from(bytes));
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+
+    if (parsed.type === ADDRESS_TYPES.BYRON) {
+        return { error: 'Byron addresses are not supported' };
+    }
+
+    const prefixes = parsed.networkId === 1 ? MAINNET_PREFIXES : TESTNET_PREFIXES;
+    const prefix = parsed.type === ADDRESS_TYPES.REWARD ? prefixes.reward : prefixes.payment;
+    return { address: bech32Encode(prefix, bytes) };
+}
+
+/**
+ * Parse a bech32 Cardano address
+ * @param {string} address - Bech32 address (addr1..., stake1...)
+ * @returns {Object} Parsed address with type, network and credentials, or an error reason
+ */
+export function parseAddress(address) {
+    const value = typeof address === 'string' ? address.trim() : '';
+
+    if (!value) {
+        return { error: 'empty address' };
+    }
+
+    if (BASE58_PATTERN.test(value) && /^(Ae2|DdzFF)/.test(value)) {
+        return { error: 'Byron addresses are not supported' };
+    }
+
+    const decoded = bech32Decode(value);
+    if (decoded.error) {
+        return { error: decoded.error };
+    }
+
+    const parsed = decodeAddressBytes(decoded.bytes);
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+
+    const prefixes = parsed.networkId === 1 ? MAINNET_PREFIXES : TESTNET_PREFIXES;
+    const expectedPrefix = parsed.type === ADDRESS_TYPES.REWARD ? prefixes.reward : prefixes.payment;
+    if (decoded.prefix !== expectedPrefix) {
+        return { error: `unexpected prefix "${decoded.prefix}"` };
+    }
+
+    return {
+        ...parsed,
+        address: value.toLowerCase(),
+        prefix: decoded.prefix,
+        bytes: decoded.bytes
+    };
+}
+
+/**
+ * Validate an address for reward checking and explain rejections
+ * Rewards are tied to a stake credential, so only mainnet addresses that carry one are accepted
+ * @param {string} address - Wallet address to validate
+ * @returns {Object} Object with valid flag, rejection reason and parsed address
+ */
+export function validateAddress(address) {
+    const parsed = parseAddress(address);
+
+    if (parsed.error) {
+        return { valid: false, reason: parsed.error, parsed: null };
+    }
+
+    if (parsed.network !== 'mainnet') {
+        return { valid: false, reason: 'testnet address', parsed };
+    }
+
+    if (parsed.type === ADDRESS_TYPES.ENTERPRISE) {
+        return { valid: false, reason: 'enterprise address has no stake key', parsed };
+    }
+
+    if (parsed.type === ADDRESS_TYPES.BYRON) {
+        return { valid: false, reason: 'Byron addresses are not supported', parsed };
+    }
+
+    return { valid: true, reason: null, parsed };
+}
+
+/**
+ * Derive the bech32 reward (stake) address from a parsed or bech32 address
+ * Pointer addresses only reference a certificate on chain, so they cannot be derived locally
+ * @param {string|Object} address - Bech32 address or result of parseAddress
+ * @returns {string|null} Stake address (stake1...) or null if it cannot be derived
+ */
+export function getStakeAddress(address) {
+    const parsed = typeof address === 'string' ? parseAddress(address) : address;
+
+    if (!parsed || parsed.error || !parsed.stakeCredential) {
+        return null;
+    }
+
+    if (parsed.type === ADDRESS_TYPES.REWARD) {
+        return parsed.address;
+    }
+
+    const scriptBit = parsed.stakeCredential.type === 'script' ? 0x10 : 0;
+    const header = 0xe0 | scriptBit | parsed.networkId;
+    const prefix = parsed.networkId === 1 ? MAINNET_PREFIXES.reward : TESTNET_PREFIXES.reward;
+
+    return bech32Encode(prefix, [header, ...hexToBytes(parsed.stakeCredential.hash)]);
+}
@@ -0,0 +1,144 @@
+/**
+ * Lossless token amount helpers
+ * On-chain quantities are integers in the token's smallest unit. They are kept as BigInt
+ * (or decimal strings when stored) and only converted to numbers for display and sorting.
+ */
+
+/**
+ * Convert a raw on-chain quantity to BigInt
+ * @param {bigint|number|string|null} value - Raw integer quantity
+ * @returns {bigint} Quantity
+ */
+export function toQuantity(value) {
+    if (typeof value === 'bigint') return value;
+    if (value === null || value === undefined || value === '') return 0n;
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return 0n;
+        return BigInt(Math.round(value));
+    }
+
+    const text = String(value).trim();
+    if (/^-?\d+$/.test(text)) {
+        return BigInt(text);
+    }
+
+    // Integer quantities sometimes arrive as "123.0" or in exponent notation
+    const number = Number(text);
+    return Number.isFinite(number) ? BigInt(Math.round(number)) : 0n;
+}
+
+/**
+ * Convert a human readable decimal amount to a raw quantity
+ * Used for APIs that report amounts already divided by the token decimals. Numbers are read
+ * from their shortest decimal form (0.1 stays exactly 0.1), digits beyond the token
+ * decimals are cut off.
+ * @param {number|string} value - Decimal amount (e.g. 12.5 ADA, also in exponent notation)
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Quantity
+ */
+export function decimalToQuantity(value, decimals) {
+    if (value === null || value === undefined || value === '') return 0n;
+
+    const match = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+    if (!match) return 0n;
+
+    const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+    const digits = `${integerPart}${fractionPart}` || '0';
+    // Power of ten the digits are worth once the decimal point is gone
+    const shift = Number(exponent) - fractionPart.length + decimals;
+    const quantity = shift >= 0 ?
+        BigInt(digits) * 10n ** BigInt(shift) :
+        BigInt(digits.slice(0, shift) || '0');
+    return sign ? -quantity : quantity;
+}
+
+/**
+ * Render a raw quantity as an exact decimal string
+ * @param {bigint|number|string} quantity - Raw quantity
+ * @param {number} decimals - Token decimals
+ * @returns {string} Decimal string without trailing zeros (e.g. "1.5")
+ */
+export function quantityToString(quantity, decimals = 0) {
+    const value = toQuantity(quantity);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString();
+
+    if (!decimals) {
+        return (negative ? '-' : '') + digits;
+    }
+
+    const padded = digits.padStart(decimals + 1, '0');
+    const integerPart = padded.substring(0, padded.length - decimals);
+    const fractionPart = padded.substring(padded.length - decimals).replace(/0+$/, '');
+
+    return (negative ? '-' : '') + integerPart + (fractionPart ? `.${fractionPart}` : '');
+}
+
+/**
+ * Convert a raw quantity to a JS number (may lose precision, use for display and sorting only)
+ * @param {bigint|number|string} quantity - Raw quantity
+ * @param {number} decimals - Token decimals
+ * @returns {number} Decimal amount
+ */
+export function quantityToNumber(quantity, decimals = 0) {
+    return Number(quantityToString(quantity, decimals));
+}
+
+/**
+ * Sum raw quantities exactly
+ * @param {...(bigint|number|string)} values - Raw quantities
+ * @returns {bigint} Sum
+ */
+export function sumQuantities(...values) {
+    return values.reduce((sum, value) => sum + toQuantity(value), 0n);
+}
+
+/**
+ * Round a raw quantity to a number of decimal places (half up)
+ * @param {bigint} quantity - Raw quantity
+ * @param {number} decimals - Token decimals
+ * @param {number} places - Decimal places to keep
+ * @returns {Object} Rounded integer and fraction digit strings
+ */
+export function roundQuantity(quantity, decimals, places) {
+    let scaled = toQuantity(quantity);
+
+    if (decimals > places) {
+        const divisor = 10n ** BigInt(decimals - places);
+        scaled = (scaled + divisor / 2n) / divisor;
+    } else {
+        scaled *= 10n ** BigInt(places - decimals);
+    }
+
+    const digits = scaled.toString().padStart(places + 1, '0');
+    return {
+        integer: digits.substring(0, digits.length - places),
+        fraction: digits.substring(digits.length - places)
+    };
+}
+
+/**
+ * Build the amount fields of the standard token shape
+ * @param {bigint|number|string} quantity - Raw integer quantity
+ * @param {number} decimals - Token decimals
+ * @returns {Object} Object with quantity (string), decimals and amount (number)
+ */
+export function createTokenAmount(quantity, decimals) {
+    const value = toQuantity(quantity);
+    return {
+        quantity: value.toString(),
+        decimals: decimals,
+        amount: quantityToNumber(value, decimals)
+    };
+}
+
+/**
+ * Add a raw quantity to a standard token in place
+ * @param {Object} token - Token with quantity and decimals
+ * @param {bigint|number|string} quantity - Raw quantity to add
+ * @returns {Object} Updated token
+ */
+export function addTokenQuantity(token, quantity) {
+    return Object.assign(token, createTokenAmount(sumQuantities(token.quantity, quantity), token.decimals));
+}
@@ -1,15 +1,64 @@
 import { ProviderRegistry } from './provider-registry.js';
-import { formatAmount, getElement, toggleElement, createTokenIcon } from './utils.js';
+import { WalletStore } from './wallet-store.js';
+import { KoiosHandleResolver, isHandle } from './handle-resolver.js';
+import { aggregateTokens, groupResultsByWallet } from './portfolio.js';
+import { PriceService, SUPPORTED_CURRENCIES } from './price-service.js';
+import { ERROR_CATEGORIES, ProviderError, getErrorInfo } from './errors.js';
+import { ProxyStrategy } from './proxy-strategy.js';
+import { HistoryStore } from './history-store.js';
+import { WalletConnector } from './wallet-connector.js';
+import { analyzeSeries, buildHistorySeries } from './history.js';
+import { formatAmount, formatAge, formatDate, formatDay, formatFiat, formatTokenAmount, shortenAddress } from './utils.js';
+import { isAssetId, parseAssetId } from './asset-id.js';
+import { createExportRows, createHistoryExportRows, toCsv, toJsonExport } from './export.js';
+import { getElement, toggleElement, escapeHtml, createTokenIcon, createTrendChart, downloadFile } from './dom.js';
+
+/**
+ * Log warnings of the wallet and history stores, the result cache, the token registry, the proxy settings and the price service, which have no UI of their own, to the browser console
+ * @param {string} message - Warning message
+ */
+function logWarning(message) {
+    console.warn(message);
+}
 
 /**
  * Reward Checker Application
  * Main application logic using modular providers
  */
 export class RewardCheckerApp {
-    constructor() {
-        this.providerRegistry = new ProviderRegistry();
+    /**
+     * @param {Object} options - Application options
+     * @param {ResultCache} options.cache - Result cache (default: local storage)
+     * @param {HistoryStore} options.historyStore - Reward history (default: IndexedDB)
+     * @param {WalletConnector} options.walletConnector - Browser wallet connector (default: window.cardano)
+     */
+    constructor(options = {}) {
+        this.proxyStrategy = new ProxyStrategy({ onWarning: logWarning });
+        // The bundled server announces its own proxy, see server/index.js
+        const serverProxy = document.querySelector('meta[name="cardano-rewards-proxy"]');
+        if (serverProxy) {
+            this.proxyStrategy.setDefaultProxy(serverProxy.content);
+        }
+        this.providerRegistry = new ProviderRegistry({
+            proxyStrategy: this.proxyStrategy,
+            cache: options.cache,
+            onWarning: logWarning
+        });
+        this.walletStore = new WalletStore(globalThis.localStorage, { onWarning: logWarning });
+        this.historyStore = options.historyStore || new HistoryStore({ onWarning: logWarning });
+        this.walletConnector = options.walletConnector || new WalletConnector();
+        this.handleResolver = new KoiosHandleResolver({ proxyStrategy: this.proxyStrategy });
+        this.priceService = new PriceService({
+            currency: localStorage.getItem('cardano-reward-checker-currency') || 'usd',
+            onWarning: logWarning
+        });
         this.isLoading = false;
         this.currentResults = [];
+        this.checkedAddresses = [];
+        this.sweepId = 0;
+        this.recordedSweepId = 0;
+        this.abortController = null;
+        this.submittedWithdrawals = new Map(); // Stake address -> transaction hash
     }
 
     /**
@@ -18,7 +67,11 @@ export class RewardCheckerApp {
     init() {
         this.setupEventListeners();
         this.displayProviderInfo();
-        this.restoreWalletAddress();
+        this.renderWalletList();
+        this.setupCurrencySelect();
+        this.setupProxySettings();
+        this.setupHistory();
+        this.setupExport();
     }
 
     /**
@@ -26,25 +79,282 @@ export class RewardCheckerApp {
      */
     setupEventListeners() {
         // Check rewards button
-        getElement('.btn-primary', btn => 
+        getElement('#checkRewardsButton', btn => 
             btn.addEventListener('click', () => this.checkRewards())
         );
 
-        // Enter key in input field
-        getElement('#walletAddress', input => {
-            input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.checkRewards();
-                }
+        // Force refresh button bypasses cached results
+        getElement('#forceRefreshButton', btn => 
+            btn.addEventListener('click', () => this.checkRewards({ forceRefresh: true }))
+        );
+
+        // Cancel button stops the running check
+        getElement('#cancelButton', btn => 
+            btn.addEventListener('click', () => this.cancelCheck())
+        );
+
+        // Add wallet button
+        getElement('#addWalletButton', btn => 
+            btn.addEventListener('click', () => this.addWallet())
+        );
+
+        // Connect wallet button reads the addresses of a browser wallet
+        getElement('#connectWalletButton', btn => 
+            btn.addEventListener('click', () => this.connectWallet())
+        );
+
+        // Enter key in input fields
+        ['#walletAddress', '#walletLabel'].forEach(selector => {
+            getElement(selector, input => {
+                input.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') {
+                        this.checkRewards();
+                    }
+                });
             });
-            
-            // Save address to local storage on input change
-            input.addEventListener('input', () => {
-                this.saveWalletAddress(input.value);
+        });
+    }
+
+    /**
+     * Populate the fiat currency selector and revalue results on change
+     */
+    setupCurrencySelect() {
+        getElement('#fiatCurrency', select => {
+            select.innerHTML = SUPPORTED_CURRENCIES
+                .map(currency => `<option value="${currency}">${currency.toUpperCase()}</option>`)
+                .join('');
+            select.value = this.priceService.currency;
+
+            select.addEventListener('change', () => {
+                this.priceService.setCurrency(select.value);
+                localStorage.setItem('cardano-reward-checker-currency', select.value);
+                this.revalueResults();
             });
         });
     }
 
+    /**
+     * Show the stored proxy settings and save changes
+     */
+    setupProxySettings() {
+        const modeSelect = getElement('#proxyMode');
+        const urlInput = getElement('#customProxyUrl');
+        if (!modeSelect || !urlInput) return;
+
+        const settings = this.proxyStrategy.getSettings();
+        modeSelect.value = settings.mode;
+        urlInput.value = settings.customProxyUrl;
+
+        getElement('#saveProxySettingsButton', btn => 
+            btn.addEventListener('click', () => {
+                const customProxyUrl = urlInput.value.trim();
+                if (modeSelect.value === 'custom' && !customProxyUrl) {
+                    this.showError('Please enter the URL of your proxy');
+                    return;
+                }
+                this.proxyStrategy.configure({ mode: modeSelect.value, customProxyUrl });
+            })
+        );
+    }
+
+    /**
+     * Wire up the reward history panel, rendered when it is opened
+     */
+    setupHistory() {
+        getElement('#historyPanel', panel => 
+            panel.addEventListener('toggle', () => {
+                if (panel.open) {
+                    this.renderHistory();
+                }
+            })
+        );
+
+        getElement('#exportHistoryButton', btn => 
+            btn.addEventListener('click', () => this.exportHistory())
+        );
+
+        const fileInput = getElement('#importHistoryInput');
+        getElement('#importHistoryButton', btn => 
+            btn.addEventListener('click', () => fileInput?.click())
+        );
+        fileInput?.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importHistory(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Store the results of the completed check as a history snapshot
+     * Results are valued first so the snapshot keeps the value at check time
+     * (prices are cached, this only waits for lookups still in flight)
+     * @param {number} sweepId - Completed sweep
+     */
+    async recordSnapshot(sweepId) {
+        const successful = this.currentResults.filter(result => result.success);
+        await Promise.all(successful.map(result => this.priceService.valueResponse(result.data)));
+        if (sweepId !== this.sweepId) return;
+
+        try {
+            await this.historyStore.addSnapshot(this.currentResults);
+            this.recordedSweepId = sweepId;
+        } catch (error) {
+            logWarning(`Could not store reward history: ${error.message}`);
+            return;
+        }
+
+        if (getElement('#historyPanel')?.open) {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Render a trend chart, the accrual rate and balance drops of every pending reward
+     */
+    async renderHistory() {
+        const container = getElement('#historyContainer');
+        if (!container) return;
+
+        const snapshots = await this.historyStore.getSnapshots();
+        const status = getElement('#historyStatus');
+        if (status) {
+            status.textContent = snapshots.length === 0 ? '' :
+                `${snapshots.length} snapshots since ${formatDate(snapshots[0].timestamp)}`;
+        }
+
+        // Series that never had rewards are not worth a chart
+        const series = buildHistorySeries(snapshots)
+            .filter(item => item.points.some(point => point.amount > 0));
+
+        if (series.length === 0) {
+            container.innerHTML = '<p class="no-rewards-note">No history yet. Every completed check is recorded here.</p>';
+            return;
+        }
+
+        const walletOrder = this.walletStore.getAddresses();
+        const position = address => {
+            const index = walletOrder.indexOf(address);
+            return index === -1 ? walletOrder.length : index;
+        };
+        series.sort((a, b) => position(a.address) - position(b.address) ||
+            a.providerId.localeCompare(b.providerId) || a.symbol.localeCompare(b.symbol));
+
+        container.innerHTML = series.map(item => this.createHistoryRow(item)).join('');
+    }
+
+    /**
+     * Create the history row of a single series
+     * @param {Object} series - Series from buildHistorySeries
+     * @returns {string} HTML string
+     */
+    createHistoryRow(series) {
+        const analysis = analyzeSeries(series.points);
+        const providerName = escapeHtml(this.providerRegistry.getProvider(series.providerId)?.name || series.providerId);
+        const symbol = escapeHtml(series.symbol);
+        // Only canonical asset ids go into the icon URL, whatever was stored before
+        const { policyId, assetName } = parseAssetId(isAssetId(series.assetId) ? series.assetId : null);
+        const tokenIcon = createTokenIcon(policyId, assetName, series.symbol, 'small');
+
+        const rate = analysis.accrualRate === null ? 'Accrual rate after the next check' :
+            `+${formatAmount(analysis.accrualRate)} ${symbol}/day`;
+        const drops = analysis.drops.map(drop => `
+            <div class="history-drop">
+                ▼ Dropped from ${formatAmount(drop.from)} to ${formatAmount(drop.to)} ${symbol}
+                on ${formatDate(drop.timestamp)} (likely claimed)
+            </div>
+        `).join('');
+
+        return `
+            <div class="history-row">
+                <div>
+                    <div class="history-title">${tokenIcon}${symbol} · ${providerName}</div>
+                    <div class="history-wallet" title="${escapeHtml(series.address)}">${escapeHtml(this.getWalletLabel(series.address))}</div>
+                </div>
+                ${createTrendChart(series.points)}
+                <div class="history-stats">
+                    <div class="detail-value">${formatAmount(analysis.current)} ${symbol}</div>
+                    <div class="history-rate">${rate}</div>
+                </div>
+                ${drops}
+            </div>
+        `;
+    }
+
+    /**
+     * Download all history snapshots as a JSON file
+     */
+    async exportHistory() {
+        const exported = await this.historyStore.exportSnapshots();
+        downloadFile(`cardano-rewards-history-${exported.exportedAt.slice(0, 10)}.json`, JSON.stringify(exported, null, 2));
+    }
+
+    /**
+     * Wire up the CSV and JSON export of the checked results
+     */
+    setupExport() {
+        getElement('#exportCsvButton', btn => 
+            btn.addEventListener('click', () => this.exportResults('csv'))
+        );
+        getElement('#exportJsonButton', btn => 
+            btn.addEventListener('click', () => this.exportResults('json'))
+        );
+    }
+
+    /**
+     * Build the export rows of the current check, optionally preceded by the reward history
+     * @param {boolean} includeHistory - Whether to include all history snapshots
+     * @returns {Promise<Array>} Export rows
+     */
+    async getExportRows(includeHistory = false) {
+        const options = { registry: this.providerRegistry, wallets: this.walletStore.getWallets() };
+        if (!includeHistory) {
+            return createExportRows(this.currentResults, options);
+        }
+
+        const historyRows = createHistoryExportRows(await this.historyStore.getSnapshots(), options);
+        // A completed check is already the latest snapshot, only its failed providers are missing
+        const currentRows = createExportRows(this.currentResults, options)
+            .filter(row => this.recordedSweepId !== this.sweepId || row.error);
+        return [...historyRows, ...currentRows];
+    }
+
+    /**
+     * Download the checked results as CSV or JSON
+     * @param {string} format - 'csv' or 'json'
+     */
+    async exportResults(format) {
+        const includeHistory = getElement('#exportIncludeHistory')?.checked === true;
+        if (this.currentResults.length === 0 && !includeHistory) {
+            this.showError('Check rewards before exporting');
+            return;
+        }
+
+        const rows = await this.getExportRows(includeHistory);
+        const filename = `cardano-rewards-${includeHistory ? 'history-' : ''}${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'csv') {
+            downloadFile(`${filename}.csv`, toCsv(rows), 'text/csv');
+        } else {
+            downloadFile(`${filename}.json`, JSON.stringify(toJsonExport(rows), null, 2));
+        }
+    }
+
+    /**
+     * Merge the snapshots of an exported history file
+     * @param {File} file - History file
+     */
+    async importHistory(file) {
+        try {
+            const count = await this.historyStore.importSnapshots(await file.text());
+            await this.renderHistory();
+            getElement('#historyStatus', status => {
+                status.textContent = `Imported ${count} snapshots · ${status.textContent}`;
+            });
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
     /**
      * Display information about available providers
      */
@@ -79,7 +389,7 @@ export class RewardCheckerApp {
                 serviceItem.addEventListener('click', (e) => {
                     e.preventDefault();
                 });
-                serviceItem.style.cursor = 'default';
+                serviceItem.classList.add('service-item-static');
             }
 
             // Create icon element
@@ -116,71 +426,339 @@ export class RewardCheckerApp {
     }
 
     /**
-     * Save wallet address to local storage
-     * @param {string} address - Wallet address to save
+     * Add the wallet from the input fields to the saved wallet list
+     * ADA Handles ($name) are resolved and confirmed before they are saved
+     * @returns {Promise<boolean>} True if a valid wallet was added
+     */
+    async addWallet() {
+        const addressInput = document.getElementById('walletAddress');
+        const labelInput = document.getElementById('walletLabel');
+        let address = addressInput ? addressInput.value.trim() : '';
+        let label = labelInput ? labelInput.value.trim() : '';
+
+        if (!address) {
+            this.showError('Please enter a wallet address');
+            return false;
+        }
+
+        if (isHandle(address)) {
+            const handle = address;
+            address = await this.resolveHandle(handle);
+            if (!address) {
+                return false;
+            }
+            label = label || handle;
+        }
+
+        // Validate address format
+        const validation = this.providerRegistry.validateAddresses(address);
+        if (!validation.valid) {
+            this.showError(`Please enter a valid Cardano address (${validation.reasons[address]})`);
+            return false;
+        }
+
+        this.walletStore.addWallet(address, label);
+        if (addressInput) addressInput.value = '';
+        if (labelInput) labelInput.value = '';
+        this.renderWalletList();
+        return true;
+    }
+
+    /**
+     * Connect a CIP-30 browser wallet, save all of its addresses and check them
+     * Every used and change address is kept because DEX and lending positions are held per
+     * address; stake-keyed providers are counted once per stake key in the totals (see
+     * dedupeStakeResults). With several installed wallets the user picks one first
+     * @param {string|null} walletId - Wallet to connect (default: the only installed wallet)
      */
-    saveWalletAddress(address) {
-        if (address && address.trim()) {
-            localStorage.setItem('cardano-reward-checker-address', address.trim());
+    async connectWallet(walletId = null) {
+        const wallets = this.walletConnector.getWallets();
+        if (wallets.length === 0) {
+            this.showError('No Cardano browser wallet found. Install a CIP-30 wallet such as Eternl, Lace or Nami and reload the page.');
+            return;
+        }
+
+        if (!walletId && wallets.length > 1) {
+            this.renderWalletChooser(wallets);
+            return;
+        }
+        toggleElement('#walletChooser', false);
+
+        let wallet;
+        let addresses;
+        try {
+            wallet = await this.walletConnector.connect(walletId || wallets[0].id);
+            addresses = await this.walletConnector.getAddresses();
+        } catch (error) {
+            this.showError(error.message);
+            return;
         }
+
+        const validation = this.providerRegistry.validateAddresses(addresses.all);
+        const valid = addresses.all.filter(address => !validation.invalidAddresses.includes(address));
+        if (valid.length === 0) {
+            this.showError(`${wallet.name} did not return an address with a stake key`);
+            return;
+        }
+
+        // Addresses that are already saved keep their label
+        let paymentIndex = 0;
+        valid.forEach(address => {
+            const label = addresses.reward.includes(address) ?
+                `${wallet.name} (stake)` : `${wallet.name} (address ${++paymentIndex})`;
+            this.walletStore.addWallet(address, this.walletStore.getWallet(address) ? '' : label);
+        });
+        this.renderWalletList();
+        await this.checkRewards();
     }
 
     /**
-     * Restore wallet address from local storage
+     * Show a button per installed browser wallet
+     * @param {Array} wallets - Wallets with id, name and icon
      */
-    restoreWalletAddress() {
-        const savedAddress = localStorage.getItem('cardano-reward-checker-address');
-        if (savedAddress) {
-            getElement('#walletAddress', input => {
-                input.value = savedAddress;
-            });
+    renderWalletChooser(wallets) {
+        const chooser = getElement('#walletChooser');
+        if (!chooser) return;
+
+        chooser.innerHTML = '';
+        wallets.forEach(wallet => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            if (wallet.icon) {
+                const icon = document.createElement('img');
+                icon.src = wallet.icon;
+                icon.alt = '';
+                button.appendChild(icon);
+            }
+            button.appendChild(document.createTextNode(wallet.name));
+            button.addEventListener('click', () => this.connectWallet(wallet.id));
+            chooser.appendChild(button);
+        });
+        toggleElement('#walletChooser', true, 'flex');
+    }
+
+    /**
+     * Resolve an ADA Handle and ask the user to confirm the resolved address
+     * @param {string} handle - Handle ($name)
+     * @returns {Promise<string|null>} Confirmed address or null
+     */
+    async resolveHandle(handle) {
+        let address;
+        try {
+            address = await this.handleResolver.resolve(handle);
+        } catch (error) {
+            this.showError(`Could not resolve ${handle}: ${error.message}`);
+            return null;
         }
+
+        const confirmed = confirm(`${handle} resolves to:\n\n${address}\n\nCheck rewards for this address?`);
+        return confirmed ? address : null;
+    }
+
+    /**
+     * Replace the handle resolver (e.g. with a mock for offline use)
+     * @param {HandleResolver} resolver - Handle resolver instance
+     */
+    setHandleResolver(resolver) {
+        this.handleResolver = resolver;
+    }
+
+    /**
+     * Remove a wallet from the saved wallet list
+     * @param {string} address - Wallet address
+     */
+    removeWallet(address) {
+        this.walletStore.removeWallet(address);
+        this.renderWalletList();
+    }
+
+    /**
+     * Render the saved wallet list
+     */
+    renderWalletList() {
+        const walletList = getElement('#walletList');
+        if (!walletList) return;
+
+        walletList.innerHTML = '';
+
+        this.walletStore.getWallets().forEach(wallet => {
+            const item = document.createElement('div');
+            item.className = 'wallet-item';
+
+            const label = document.createElement('span');
+            label.className = 'wallet-label';
+            label.textContent = this.getWalletLabel(wallet.address);
+
+            const address = document.createElement('span');
+            address.className = 'wallet-address';
+            address.textContent = shortenAddress(wallet.address);
+            address.title = wallet.address;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'wallet-remove';
+            removeButton.title = 'Remove wallet';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => this.removeWallet(wallet.address));
+
+            item.appendChild(label);
+            item.appendChild(address);
+            item.appendChild(removeButton);
+            walletList.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the display name of a wallet
+     * @param {string} address - Wallet address
+     * @returns {string} Wallet label or shortened address
+     */
+    getWalletLabel(address) {
+        const wallet = this.walletStore.getWallet(address);
+        return wallet?.label || shortenAddress(address);
     }
 
     /**
-     * Main function to check rewards across all providers
+     * Main function to check rewards across all providers for all saved wallets
+     * @param {Object} options - Check options
+     * @param {boolean} options.forceRefresh - Bypass cached results
      */
-    async checkRewards() {
+    async checkRewards(options = {}) {
         const input = document.getElementById('walletAddress');
         const address = input ? input.value.trim() : '';
         
-        if (!address) {
-            this.showError('Please enter a wallet address');
+        // Save a newly entered address before checking
+        if (address && !(await this.addWallet())) {
             return;
         }
 
-        // Validate address format
-        const validation = this.providerRegistry.validateAddresses(address);
-        if (!validation.valid) {
-            this.showError('Please enter a valid Cardano address');
+        const addresses = this.walletStore.getAddresses();
+        if (addresses.length === 0) {
+            this.showError('Please enter a wallet address');
             return;
         }
 
-        // Save valid address to local storage
-        this.saveWalletAddress(address);
+        // Starting a new check cancels the one still running
+        this.cancelCheck();
+        const abortController = new AbortController();
+        this.abortController = abortController;
 
         this.showLoading();
         this.currentResults = [];
+        this.checkedAddresses = addresses;
+        const sweepId = ++this.sweepId;
         
         // Clear previous results
         const container = document.getElementById('resultsContainer');
         if (container) container.innerHTML = '';
+        this.renderRewardsSummary();
         
         try {
-            await this.providerRegistry.checkAllRewards(address, {
+            await this.providerRegistry.checkAllRewards(addresses, {
                 timeout: 30000, // 30 second timeout per provider
+                forceRefresh: options.forceRefresh === true,
+                signal: abortController.signal,
                 onResult: (result) => {
-                    this.currentResults.push(result);
+                    if (sweepId !== this.sweepId) return;
+                    this.upsertResult(result);
                     this.displayResultsInOrder();
+                    this.valueResult(result, sweepId);
                 }
             });
+
+            // Only completed checks become history snapshots
+            if (!abortController.signal.aborted && sweepId === this.sweepId) {
+                await this.recordSnapshot(sweepId);
+            }
         } catch (error) {
             this.showError(`Failed to check rewards: ${error.message}`);
         } finally {
-            this.hideLoading();
+            if (this.abortController === abortController) {
+                this.abortController = null;
+                this.hideLoading();
+            }
         }
     }
 
+    /**
+     * Cancel the running check, aborting all outstanding provider requests
+     */
+    cancelCheck() {
+        if (!this.abortController) return;
+
+        this.abortController.abort(new ProviderError('Check cancelled', { category: ERROR_CATEGORIES.CANCELLED }));
+        this.abortController = null;
+        this.hideLoading();
+    }
+
+    /**
+     * Re-run a single provider for one wallet, bypassing the cache
+     * @param {string} providerId - Provider ID
+     * @param {string} address - Wallet address
+     */
+    async retryProvider(providerId, address) {
+        const sweepId = this.sweepId;
+        const previous = this.currentResults.find(result => 
+            result.providerId === providerId && result.address === address
+        );
+        if (previous) {
+            previous.retrying = true;
+            this.displayResultsInOrder();
+        }
+
+        const results = await this.providerRegistry.checkAllRewards([address], {
+            includeProviders: [providerId],
+            timeout: 30000,
+            forceRefresh: true,
+            signal: this.abortController?.signal || null
+        });
+
+        if (sweepId !== this.sweepId) return;
+        results.forEach(result => {
+            this.upsertResult(result);
+            this.valueResult(result, sweepId);
+        });
+        this.displayResultsInOrder();
+    }
+
+    /**
+     * Add a result, replacing an earlier one for the same provider and wallet
+     * (cached results are delivered again once refreshed in the background)
+     * @param {Object} result - Provider result
+     */
+    upsertResult(result) {
+        const index = this.currentResults.findIndex(existing => 
+            existing.providerId === result.providerId && existing.address === result.address
+        );
+        if (index === -1) {
+            this.currentResults.push(result);
+        } else {
+            this.currentResults[index] = result;
+        }
+    }
+
+    /**
+     * Value the tokens of a result and redisplay if the sweep is still current
+     * @param {Object} result - Provider result
+     * @param {number} sweepId - Sweep the result belongs to
+     */
+    async valueResult(result, sweepId) {
+        if (!result.success) return;
+
+        await this.priceService.valueResponse(result.data);
+        if (sweepId === this.sweepId) {
+            this.displayResultsInOrder();
+        }
+    }
+
+    /**
+     * Revalue all current results (e.g. after the currency changed)
+     */
+    async revalueResults() {
+        const successful = this.currentResults.filter(result => result.success);
+        await Promise.all(successful.map(result => this.priceService.valueResponse(result.data)));
+        this.displayResultsInOrder();
+    }
+
     /**
      * Toggle loading state
      * @param {boolean} show - Whether to show loading state
@@ -188,7 +766,8 @@ export class RewardCheckerApp {
     toggleLoading(show) {
         this.isLoading = show;
         toggleElement('#loading', show);
-        toggleElement('#results', !show);
+        // Results stream in while loading, so they stay visible once a check has started
+        toggleElement('#results', true);
     }
 
     /**
@@ -223,21 +802,200 @@ export class RewardCheckerApp {
 
     /**
      * Display results in order: rewards > successful no rewards > failed
+     * With several wallets, results are grouped per wallet below a portfolio total.
+     * A single wallet gets the portfolio total when several providers pay out rewards.
      */
     displayResultsInOrder() {
         const container = document.getElementById('resultsContainer');
         if (!container) return;
 
-        // Sort results by priority
-        const sortedResults = this.sortResultsByPriority(this.currentResults);
-        
         // Clear and rebuild the container
         container.innerHTML = '';
-        
-        sortedResults.forEach(result => {
-            const card = this.createResultCard(result);
-            container.appendChild(card);
+        this.renderRewardsSummary();
+
+        if (this.checkedAddresses.length <= 1) {
+            const providersWithRewards = this.currentResults.filter(result => result.data?.tokens?.length > 0);
+            if (providersWithRewards.length > 1) {
+                container.appendChild(this.createPortfolioCard(this.currentResults));
+            }
+            this.sortResultsByPriority(this.currentResults).forEach(result => {
+                container.appendChild(this.createResultCard(result));
+            });
+            return;
+        }
+
+        container.appendChild(this.createPortfolioCard(this.currentResults));
+
+        const groups = groupResultsByWallet(this.currentResults, this.checkedAddresses);
+        groups.forEach((results, address) => {
+            container.appendChild(this.createWalletGroup(address, results));
+        });
+    }
+
+    /**
+     * Render the grand total of unclaimed rewards in ADA and fiat
+     */
+    renderRewardsSummary() {
+        const summaryElement = getElement('#rewardsSummary');
+        if (!summaryElement) return;
+
+        if (this.currentResults.length === 0) {
+            summaryElement.innerHTML = '';
+            return;
+        }
+
+        const summary = this.priceService.summarize(this.currentResults);
+        const incompleteNote = summary.complete ? '' : 
+            '<div class="rewards-summary-note">Some tokens could not be valued and are not included</div>';
+
+        const stakedLine = summary.staked.ada > 0 ? `
+            <div class="rewards-summary-staked">
+                plus <strong>${formatAmount(summary.staked.ada)} ADA</strong> staked, 
+                <strong>${formatAmount(summary.total.ada)} ADA</strong> / 
+                <strong>${formatFiat(summary.total.fiat, summary.currency)}</strong> in total
+            </div>` : '';
+
+        summaryElement.innerHTML = `
+            You have <strong>${formatAmount(summary.ada)} ADA</strong> / 
+            <strong>${formatFiat(summary.fiat, summary.currency)}</strong> unclaimed
+            ${stakedLine}
+            ${incompleteNote}
+        `;
+    }
+
+    /**
+     * Format an ADA and fiat value pair
+     * @param {Object} value - Value with ada, fiat and currency
+     * @returns {string} Formatted value
+     */
+    formatValue(value) {
+        return `≈ ${formatAmount(value.ada)} ADA · ${formatFiat(value.fiat, value.currency)}`;
+    }
+
+    /**
+     * Format the "Staked / Pending / Total value" line
+     * @param {Object} summary - Value or summary with ada, fiat, currency, complete, staked and total
+     * @returns {string} HTML string, empty without staked value
+     */
+    formatValueBreakdown(summary) {
+        if (!summary?.staked || summary.staked.ada <= 0) {
+            return '';
+        }
+
+        const parts = [
+            ['Staked', summary.staked],
+            ['Pending', summary],
+            ['Total value', summary.total]
+        ].map(([label, value]) => {
+            const title = value.complete === false ? ' title="Some tokens could not be valued and are not included"' : '';
+            return `<span class="value-part"${title}>${label} ${this.formatValue({ ...value, currency: summary.currency })}</span>`;
+        });
+
+        return `<div class="value-breakdown">${parts.join('')}</div>`;
+    }
+
+    /**
+     * Create the combined total card, summing each asset across all providers and wallets
+     * @param {Array} results - Results of all wallets
+     * @returns {HTMLElement} Portfolio card element
+     */
+    createPortfolioCard(results) {
+        const card = document.createElement('div');
+        card.className = 'service-card portfolio-card';
+        const walletBadge = this.checkedAddresses.length > 1 ?
+            `<div class="status-badge status-success">${this.checkedAddresses.length} Wallets</div>` : '';
+        const summary = this.priceService.summarize(results);
+
+        card.innerHTML = `
+            <div class="service-header">
+                <div class="service-name">Portfolio Total</div>
+                <div class="service-header-right">
+                    <div class="provider-value">${this.formatValue(summary)}</div>
+                    ${walletBadge}
+                </div>
+            </div>
+            ${this.formatValueBreakdown(summary)}
+            ${this.formatAssetTotals(aggregateTokens(results))}
+        `;
+
+        return card;
+    }
+
+    /**
+     * Format aggregated assets with the share of each provider
+     * e.g. "Total claimable ADA: 42.1 (Cardano Staking 30 · Strike Finance 10 · SundaeSwap 2.1)"
+     * @param {Array} tokens - Aggregated tokens with sources
+     * @returns {string} HTML string
+     */
+    formatAssetTotals(tokens) {
+        if (tokens.length === 0) {
+            return '<div class="reward-amount">No Rewards</div>';
+        }
+
+        const items = tokens.map(token => {
+            const tokenIcon = createTokenIcon(token.policyId, token.assetName, token.symbol, 'large', token.logo);
+            const sources = token.sources.map(source => {
+                const providerName = this.providerRegistry.getProvider(source.providerId)?.name || source.providerId;
+                return `${providerName} ${formatTokenAmount(source)}`;
+            }).join(' · ');
+
+            return `
+                <div class="detail-item">
+                    <div class="detail-label" title="${escapeHtml(token.name)}">
+                        ${tokenIcon}Total claimable ${escapeHtml(token.symbol)}
+                    </div>
+                    <div class="detail-value">${formatTokenAmount(token)} ${escapeHtml(token.symbol)}</div>
+                    <div class="asset-sources">${sources}</div>
+                </div>
+            `;
+        });
+
+        return `<div class="reward-details">${items.join('')}</div>`;
+    }
+
+    /**
+     * Create a group of result cards for a single wallet
+     * @param {string} address - Wallet address
+     * @param {Array} results - Results of the wallet
+     * @returns {HTMLElement} Wallet group element
+     */
+    createWalletGroup(address, results) {
+        const group = document.createElement('div');
+        group.className = 'wallet-group';
+
+        const header = document.createElement('div');
+        header.className = 'wallet-group-header';
+        const summary = this.priceService.summarize(results);
+        header.innerHTML = `
+            <div>
+                <div class="wallet-group-title">${escapeHtml(this.getWalletLabel(address))}</div>
+                <div class="wallet-group-address" title="${escapeHtml(address)}">${escapeHtml(shortenAddress(address, 16))}</div>
+            </div>
+            <div class="wallet-group-total">
+                ${this.formatTokenTotals(aggregateTokens(results))}
+                <div class="provider-value">${this.formatValue(summary)}</div>
+                ${this.formatValueBreakdown(summary)}
+            </div>
+        `;
+        group.appendChild(header);
+
+        this.sortResultsByPriority(results).forEach(result => {
+            group.appendChild(this.createResultCard(result));
         });
+
+        return group;
+    }
+
+    /**
+     * Format aggregated tokens as a single summary line
+     * @param {Array} tokens - Aggregated tokens
+     * @returns {string} Summary text
+     */
+    formatTokenTotals(tokens) {
+        if (tokens.length === 0) {
+            return 'No Rewards';
+        }
+        return tokens.map(token => `${formatTokenAmount(token)} ${escapeHtml(token.symbol)}`).join(' · ');
     }
 
     /**
@@ -278,13 +1036,32 @@ export class RewardCheckerApp {
      */
     createProviderNameElement(provider, name, url = null) {
         const iconHtml = provider?.icon ? 
-            `<img src="${provider.icon}" alt="${name}" style="width: 20px; height: 20px; margin-right: 8px; vertical-align: middle;">` : '';
+            `<img src="${provider.icon}" alt="${name}" class="provider-icon">` : '';
         
         return url ? 
-            `<a href="${url}" target="_blank" style="color: inherit; text-decoration: none; display: flex; align-items: center;">${iconHtml}${name}</a>` : 
+            `<a href="${url}" target="_blank" class="provider-link">${iconHtml}${name}</a>` : 
             `${iconHtml}${name}`;
     }
 
+    /**
+     * Create the "last updated" badge for results served from the cache
+     * @param {Object} result - Provider result
+     * @returns {string} HTML string
+     */
+    createCacheBadge(result) {
+        if (!result.fromCache) return '';
+
+        let status = '';
+        if (result.refreshing) {
+            status = ' · refreshing…';
+        } else if (result.refreshError) {
+            status = ' · refresh failed';
+        }
+
+        const title = result.refreshError ? ` title="${escapeHtml(result.refreshError)}"` : '';
+        return `<div class="cache-badge"${title}>Updated ${formatAge(result.updatedAt)}${status}</div>`;
+    }
+
     /**
      * Create a result card for a single provider
      * @param {Object} result - Provider result
@@ -300,31 +1077,302 @@ export class RewardCheckerApp {
             const platformUrl = data.metadata?.claimUrl;
             const nameElement = this.createProviderNameElement(provider, data.provider, platformUrl);
 
+            const valueElement = data.value && data.tokens?.length ? 
+                `<div class="provider-value">${this.formatValue(data.value)}</div>` : '';
+
             card.innerHTML = `
                 <div class="service-header">
                     <div class="service-name">${nameElement}</div>
-                    <div class="status-badge status-success">✓ Checked</div>
+                    <div class="service-header-right">
+                        ${valueElement}
+                        ${this.createCacheBadge(result)}
+                        <div class="status-badge status-success">✓ Checked</div>
+                    </div>
                 </div>
                 ${this.formatTokenData(data, false)}
+                ${this.formatStakedData(data)}
             `;
+            if (data.metadata?.delegation) {
+                card.appendChild(this.createDelegationPanel(data.metadata.delegation));
+            }
+            if (data.positions?.length) {
+                card.appendChild(this.createPositionsElement(data.positions));
+            }
+            if (this.canWithdraw(result)) {
+                card.appendChild(this.createWithdrawButton(result));
+            }
         } else {
             const providerName = provider?.name || result.providerId;
             const nameElement = this.createProviderNameElement(provider, providerName, provider?.platformUrl);
+            const errorInfo = getErrorInfo(result.errorCategory);
 
             card.innerHTML = `
                 <div class="service-header">
                     <div class="service-name">${nameElement}</div>
-                    <div class="status-badge status-error">✗ Error</div>
+                    <div class="status-badge status-error">✗ ${errorInfo.title}</div>
                 </div>
                 <div class="error-message">
-                    ${result.error}
+                    ${escapeHtml(result.error)}
                 </div>
+                <div class="error-hint">${errorInfo.hint}</div>
             `;
+            card.appendChild(this.createRetryButton(result));
         }
 
         return card;
     }
 
+    /**
+     * Create the button that re-runs the provider of a failed result
+     * @param {Object} result - Failed provider result
+     * @returns {HTMLElement} Button element
+     */
+    createRetryButton(result) {
+        const button = document.createElement('button');
+        button.className = result.retryable === false ? 'btn btn-secondary btn-retry btn-retry-discouraged' : 'btn btn-secondary btn-retry';
+        button.textContent = result.retrying ? 'Retrying…' : 'Retry this provider';
+        button.disabled = result.retrying === true;
+        button.addEventListener('click', () => this.retryProvider(result.providerId, result.address));
+        return button;
+    }
+
+    /**
+     * Format the staked principal of a provider with the value breakdown
+     * @param {Object} data - Standardized provider response
+     * @returns {string} HTML string, empty if the provider reports no staked tokens
+     */
+    formatStakedData(data) {
+        if (!data.staked?.length) {
+            return '';
+        }
+
+        const staked = data.staked.map(token => `${formatTokenAmount(token)} ${escapeHtml(token.symbol)}`).join(' · ');
+        return `
+            <div class="reward-details staked-details">
+                <div class="detail-item">
+                    <div class="detail-label">Staked</div>
+                    <div class="detail-value">${staked}</div>
+                </div>
+            </div>
+            ${this.formatValueBreakdown(data.value)}
+        `;
+    }
+
+    /**
+     * Create the staking panel with the stake key, pool and DRep delegation and its warnings
+     * @param {Object} delegation - Delegation from the Cardano Staking metadata
+     * @returns {HTMLElement} Panel element
+     */
+    createDelegationPanel(delegation) {
+        const panel = document.createElement('div');
+        panel.className = 'delegation-panel';
+
+        const addRow = (label, value, title = null) => {
+            const row = document.createElement('div');
+            row.className = 'delegation-row';
+            const labelElement = document.createElement('span');
+            labelElement.className = 'delegation-label';
+            labelElement.textContent = label;
+            const valueElement = document.createElement('span');
+            valueElement.textContent = value;
+            if (title) {
+                valueElement.title = title;
+            }
+            row.append(labelElement, valueElement);
+            panel.appendChild(row);
+        };
+
+        addRow('Stake key', delegation.registered ? 'Registered' : 'Not registered');
+
+        const pool = delegation.pool;
+        if (pool) {
+            const facts = [
+                pool.ticker ? `[${pool.ticker}]${pool.name ? ` ${pool.name}` : ''}` : shortenAddress(pool.id),
+                typeof pool.margin === 'number' ? `margin ${(pool.margin * 100).toFixed(2)}%` : null,
+                typeof pool.fixedCost === 'number' ? `fixed fee ${formatAmount(pool.fixedCost)} ADA` : null,
+                typeof pool.saturation === 'number' ? `saturation ${pool.saturation.toFixed(1)}%` : null,
+                pool.status && pool.status !== 'registered' ? pool.status : null,
+                pool.lookupError ? 'details unavailable' : null
+            ];
+            addRow('Pool', facts.filter(Boolean).join(' · '), pool.id);
+        } else if (delegation.registered) {
+            addRow('Pool', 'Not delegated');
+        }
+
+        const drep = delegation.drep;
+        if (drep) {
+            const name = drep.type === 'always-abstain' ? 'Always Abstain' :
+                drep.type === 'always-no-confidence' ? 'Always No Confidence' : shortenAddress(drep.id);
+            const status = drep.registered === false ? 'retired' :
+                drep.active === true ? 'active' : drep.active === false ? 'inactive' :
+                drep.lookupError ? 'details unavailable' : null;
+            addRow('DRep', status ? `${name} · ${status}` : name, drep.id);
+        } else if (delegation.registered) {
+            addRow('DRep', 'Not delegated');
+        }
+
+        delegation.warnings.forEach(warning => {
+            const element = document.createElement('div');
+            element.className = 'delegation-warning';
+            element.textContent = `⚠ ${warning.message}`;
+            panel.appendChild(element);
+        });
+
+        return panel;
+    }
+
+    /**
+     * Create the expandable list of the positions behind a provider's totals
+     * @param {Array} positions - Positions of a standardized response
+     * @returns {HTMLElement} Details element with one row per position
+     */
+    createPositionsElement(positions) {
+        const details = document.createElement('details');
+        details.className = 'positions';
+
+        const summary = document.createElement('summary');
+        summary.textContent = positions.length === 1 ? '1 position' : `${positions.length} positions`;
+        details.appendChild(summary);
+
+        positions.forEach(position => {
+            const row = document.createElement('div');
+            row.className = 'position';
+
+            const title = document.createElement('div');
+            title.className = 'position-title';
+            title.textContent = position.name ? `${position.type}: ${position.name}` : position.type;
+            if (position.id) {
+                title.title = `ID ${position.id}`;
+            }
+            row.appendChild(title);
+
+            const facts = [];
+            if (position.staked) {
+                facts.push(`Staked ${formatTokenAmount(position.staked)} ${position.staked.symbol}`);
+            }
+            if (typeof position.rewardPercent === 'number') {
+                facts.push(`APR ${position.rewardPercent.toFixed(2)}%`);
+            }
+            if (position.startAt) {
+                facts.push(`Since ${formatDay(position.startAt)}`);
+            }
+            if (position.endAt) {
+                const ended = Date.parse(position.endAt) <= Date.now();
+                facts.push(`${ended ? 'Unlocked' : 'Locked until'} ${formatDay(position.endAt)}`);
+            }
+            if (facts.length > 0) {
+                const info = document.createElement('div');
+                info.className = 'position-info';
+                info.textContent = facts.join(' · ');
+                row.appendChild(info);
+            }
+
+            const rewards = document.createElement('div');
+            rewards.className = 'position-rewards';
+            rewards.textContent = position.rewards.length > 0 ?
+                position.rewards.map(token => `${formatTokenAmount(token)} ${token.symbol}`).join(', ') :
+                'No pending rewards';
+            row.appendChild(rewards);
+
+            details.appendChild(row);
+        });
+
+        return details;
+    }
+
+    /**
+     * Check whether the rewards of a result can be withdrawn with the connected wallet
+     * @param {Object} result - Successful provider result
+     * @returns {boolean} Whether to offer a withdrawal
+     */
+    canWithdraw(result) {
+        const metadata = result.data.metadata;
+        return result.providerId === 'cardano-staking' &&
+            BigInt(metadata?.rewardsAvailableLovelace || 0) > 0n &&
+            this.walletConnector.canWithdraw(metadata.stakeAddress);
+    }
+
+    /**
+     * Create the button that withdraws staking rewards with the connected wallet
+     * @param {Object} result - Cardano staking result
+     * @returns {HTMLElement} Button element
+     */
+    createWithdrawButton(result) {
+        const stakeAddress = result.data.metadata.stakeAddress;
+        const button = document.createElement('button');
+        button.className = 'btn btn-primary btn-withdraw';
+
+        const txHash = this.submittedWithdrawals.get(stakeAddress);
+        if (txHash) {
+            button.textContent = 'Withdrawal submitted';
+            button.title = `Transaction ${txHash}`;
+            button.disabled = true;
+            return button;
+        }
+
+        button.textContent = `Withdraw with ${this.walletConnector.wallet.name}`;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            await this.withdrawRewards(result);
+            button.disabled = this.submittedWithdrawals.has(stakeAddress);
+        });
+        return button;
+    }
+
+    /**
+     * Withdraw the staking rewards of a result with the connected wallet
+     * The balance is checked again first; the fee and net amount are shown before the wallet
+     * is asked to sign
+     * @param {Object} result - Cardano staking result
+     */
+    async withdrawRewards(result) {
+        // The displayed balance may be cached, the transaction must withdraw the current one
+        const [current] = await this.providerRegistry.checkAllRewards(result.address, {
+            includeProviders: [result.providerId],
+            forceRefresh: true
+        });
+        if (!current?.success) {
+            this.showError(`Could not load the current reward balance: ${current?.error || 'no result'}`);
+            return;
+        }
+
+        const metadata = current.data.metadata;
+        let withdrawal;
+        try {
+            withdrawal = await this.walletConnector.prepareWithdrawal(
+                metadata.stakeAddress,
+                metadata.rewardsAvailableLovelace,
+                { delegation: metadata.delegation }
+            );
+        } catch (error) {
+            this.showError(`Could not prepare the withdrawal: ${error.message}`);
+            return;
+        }
+
+        const walletName = this.walletConnector.wallet.name;
+        const confirmed = confirm(
+            `Withdraw ${formatAmount(withdrawal.amount, 6)} ADA of staking rewards from ${shortenAddress(metadata.stakeAddress)}?\n\n` +
+            `Network fee: ${formatAmount(withdrawal.fee, 6)} ADA\n` +
+            `You receive: ${formatAmount(withdrawal.netAmount, 6)} ADA\n\n` +
+            `${walletName} will ask you to sign the transaction.`
+        );
+        if (!confirmed) return;
+
+        let txHash;
+        try {
+            txHash = await this.walletConnector.submitWithdrawal(withdrawal);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        // The balance is gone once the transaction is in a block, do not serve it from the cache
+        this.providerRegistry.cache.delete(result.providerId, [result.address]);
+        this.submittedWithdrawals.set(metadata.stakeAddress, txHash);
+        this.displayResultsInOrder();
+        alert(`Withdrawal submitted.\n\nTransaction: ${txHash}\n\nThe rewards move to your wallet once the transaction is in a block; check again in a few minutes.`);
+    }
+
     /**
      * Format token data for display
      * @param {Object} data - Standardized provider response
@@ -335,7 +1383,7 @@ export class RewardCheckerApp {
         if (!data.tokens?.length) {
             return `
                 <div class="reward-amount">No Rewards</div>
-                <p style="color: #666; font-style: italic;">No unclaimed rewards found</p>
+                <p class="no-rewards-note">No unclaimed rewards found</p>
             `;
         }
 
@@ -343,13 +1391,20 @@ export class RewardCheckerApp {
 
         // Display each token
         data.tokens.forEach(token => {
-            const tokenIcon = createTokenIcon(token.policyId, token.assetName, token.symbol, '24px');
+            const tokenIcon = createTokenIcon(token.policyId, token.assetName, token.symbol, 'large', token.logo);
+            const tokenValue = typeof token.valueAda === 'number' ? 
+                `<div class="token-value">${this.formatValue({ 
+                    ada: token.valueAda, 
+                    fiat: token.valueFiat, 
+                    currency: this.priceService.currency 
+                })}</div>` : '';
             html += `
                 <div class="detail-item">
-                    <div class="detail-label" style="display: flex; align-items: center;">
-                        ${tokenIcon}${token.symbol}
+                    <div class="detail-label" title="${escapeHtml(token.name)}${token.verified ? '' : ' (not verified)'}">
+                        ${tokenIcon}${escapeHtml(token.symbol)}
                     </div>
-                    <div class="detail-value">${this.formatAmount(token.amount)} ${token.symbol}</div>
+                    <div class="detail-value">${formatTokenAmount(token)} ${escapeHtml(token.symbol)}</div>
+                    ${tokenValue}
                 </div>
             `;
         });
@@ -359,15 +1414,17 @@ export class RewardCheckerApp {
         if (metadata) {
             const metadataItems = [
                 { key: 'stakeCount', label: 'Active Stakes' },
-                { key: 'totalRewards', label: 'Total Rewards' }
+                { key: 'totalRewards', label: 'Total Rewards' },
+                { key: 'stakeAddress', label: 'Stake Address', format: shortenAddress }
             ];
 
             metadataItems.forEach(item => {
                 if (metadata[item.key]) {
+                    const value = item.format ? item.format(metadata[item.key]) : metadata[item.key];
                     html += `
                         <div class="detail-item">
                             <div class="detail-label">${item.label}</div>
-                            <div class="detail-value">${metadata[item.key]}</div>
+                            <div class="detail-value" title="${metadata[item.key]}">${value}</div>
                         </div>
                     `;
                 }
@@ -378,7 +1435,7 @@ export class RewardCheckerApp {
                     <div class="detail-item">
                         <div class="detail-label">Claim Rewards</div>
                         <div class="detail-value">
-                            <a href="${metadata.claimUrl}" target="_blank" style="color: #667eea; text-decoration: none;">
+                            <a href="${metadata.claimUrl}" target="_blank" class="claim-link">
                                 🔗 Open Platform
                             </a>
                         </div>
@@ -392,11 +1449,12 @@ export class RewardCheckerApp {
 
     /**
      * Format token amount for display
-     * @param {number} amount - Token amount
+     * @param {number|bigint|string} amount - Token amount, or raw quantity if decimals are given
+     * @param {number|null} decimals - Token decimals of a raw quantity
      * @returns {string} Formatted amount
      */
-    formatAmount(amount) {
-        return formatAmount(amount);
+    formatAmount(amount, decimals = null) {
+        return formatAmount(amount, decimals);
     }
 
     /**
@@ -408,7 +1466,7 @@ export class RewardCheckerApp {
     }
 
     /**
-     * Get current results (useful for debugging or exporting)
+     * Get current results (see exportResults for CSV and JSON files)
      * @returns {Array} Current results
      */
     getCurrentResults() {
@@ -0,0 +1,122 @@
+import { addTokenQuantity } from './amount.js';
+
+/**
+ * Canonical asset identity
+ * Providers describe tokens in different ways (policyId 'ADA', the full unit in policyId,
+ * no policy at all). Every token is normalized to a canonical asset id:
+ *   'lovelace'                 ADA
+ *   '<policyId>.<assetName>'   native token, lowercase hex (the asset name may be empty)
+ * together with the matching policyId and assetName ('' for ADA).
+ */
+
+export const ADA_ASSET_ID = 'lovelace';
+
+const POLICY_ID_LENGTH = 56;
+const HEX_PATTERN = /^[0-9a-f]*$/;
+const ASSET_ID_PATTERN = /^[0-9a-f]{56}\.(?:[0-9a-f]{2}){0,32}$/;
+
+/**
+ * Check whether a value is a canonical asset id
+ * Used for asset ids from outside, such as imported history files
+ * @param {*} assetId - Value to check
+ * @returns {boolean} Whether it is 'lovelace' or a lowercase hex policy ID and asset name
+ */
+export function isAssetId(assetId) {
+    return assetId === ADA_ASSET_ID || (typeof assetId === 'string' && ASSET_ID_PATTERN.test(assetId));
+}
+
+/**
+ * Split a canonical asset id
+ * @param {string} assetId - Asset id
+ * @returns {Object} Object with policyId, assetName and isAda
+ */
+export function parseAssetId(assetId) {
+    if (!assetId || assetId === ADA_ASSET_ID) {
+        return { policyId: '', assetName: '', isAda: true };
+    }
+    const [policyId, assetName = ''] = assetId.split('.');
+    return { policyId, assetName, isAda: false };
+}
+
+/**
+ * Work out the asset id of a standardized token
+ * Handles the provider specific forms: ADA as policyId 'ADA' or as symbol only, and the
+ * full unit (policy ID + asset name) in policyId or unit
+ * @param {Object} token - Standardized token
+ * @returns {string|null} Asset id, or null if the token cannot be identified
+ */
+export function getTokenAssetId(token) {
+    const policyId = String(token.policyId || '').toLowerCase();
+    const assetName = String(token.assetName || '').toLowerCase();
+
+    if (isPolicyHex(policyId)) {
+        // A longer policy ID is a full unit
+        return policyId.length > POLICY_ID_LENGTH && !assetName ?
+            `${policyId.substring(0, POLICY_ID_LENGTH)}.${policyId.substring(POLICY_ID_LENGTH)}` :
+            `${policyId}.${assetName}`;
+    }
+
+    const unit = String(token.unit || '').toLowerCase();
+    if (!policyId && isPolicyHex(unit)) {
+        return `${unit.substring(0, POLICY_ID_LENGTH)}.${unit.substring(POLICY_ID_LENGTH)}`;
+    }
+
+    if (isAdaIdentifier(policyId) || (!policyId && String(token.symbol || '').toUpperCase() === 'ADA')) {
+        return ADA_ASSET_ID;
+    }
+
+    return null;
+}
+
+/**
+ * Normalize the identity of standardized tokens
+ * Sets assetId, policyId and assetName to their canonical form and merges tokens with
+ * the same asset id. Tokens that cannot be identified keep their fields (assetId null).
+ * @param {Array} tokens - Standardized tokens
+ * @returns {Array} Normalized tokens
+ */
+export function normalizeTokens(tokens) {
+    const byAssetId = new Map();
+    const normalized = [];
+
+    tokens.forEach(token => {
+        const assetId = getTokenAssetId(token);
+        if (!assetId) {
+            normalized.push({ ...token, assetId: null });
+            return;
+        }
+
+        const existing = byAssetId.get(assetId);
+        if (existing) {
+            addTokenQuantity(existing, token.quantity);
+            return;
+        }
+
+        const { policyId, assetName } = parseAssetId(assetId);
+        const { unit, ...rest } = token;
+        const canonical = { ...rest, assetId, policyId, assetName };
+        byAssetId.set(assetId, canonical);
+        normalized.push(canonical);
+    });
+
+    return normalized;
+}
+
+/**
+ * Check whether a policy identifier explicitly stands for ADA
+ * An empty policy ID is not enough, tokens of some providers simply have none
+ * @param {string} policyId - Policy identifier
+ * @returns {boolean} Whether it is 'ADA' or 'lovelace' (the canonical ADA asset id)
+ */
+export function isAdaIdentifier(policyId) {
+    return ['ada', ADA_ASSET_ID].includes(String(policyId || '').toLowerCase());
+}
+
+/**
+ * Check whether a value is a hex policy ID, optionally followed by an asset name
+ * @param {string} value - Lowercase value
+ * @returns {boolean} Whether the value starts with a 28 byte hex policy ID
+ */
+function isPolicyHex(value) {
+    return value.length >= POLICY_ID_LENGTH && value.length % 2 === 0 && HEX_PATTERN.test(value);
+}
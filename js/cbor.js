@@ -0,0 +1,286 @@
+import { bytesToHex, hexToBytes } from './address.js';
+
+/**
+ * CBOR encoding and decoding
+ * The RFC 8949 subset used by CIP-30 wallets and Cardano transactions:
+ * integers, byte and text strings, arrays, maps, tags and simple values.
+ *
+ * Decoded values:
+ *   unsigned/negative integer  number, or bigint outside the safe integer range
+ *   byte string                Uint8Array
+ *   text string                string
+ *   array                      Array
+ *   map                        Map (keys keep their decoded type)
+ *   tag                        CborTag
+ *   false/true/null/undefined  the JavaScript value
+ */
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_TAG = 6;
+const MAJOR_SIMPLE = 7;
+
+const INDEFINITE = 31;
+const BREAK = 0xff;
+
+/**
+ * Tagged CBOR value
+ */
+export class CborTag {
+    /**
+     * @param {number} tag - Tag number
+     * @param {*} value - Tagged value
+     */
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * Decode a single CBOR item
+ * @param {string|Uint8Array} input - Hex string or bytes
+ * @returns {*} Decoded value
+ * @throws {Error} If the input is not well-formed or has trailing bytes
+ */
+export function decodeCbor(input) {
+    if (typeof input === 'string' && !/^([0-9a-f]{2})*$/i.test(input)) {
+        throw new Error('CBOR: invalid hex string');
+    }
+
+    const bytes = typeof input === 'string' ? hexToBytes(input) : input;
+    const { value, offset } = decodeItem(bytes, 0);
+    if (offset !== bytes.length) {
+        throw new Error(`CBOR: ${bytes.length - offset} trailing bytes`);
+    }
+    return value;
+}
+
+/**
+ * Encode a value as CBOR
+ * Plain objects are encoded as maps with their (string) keys; use a Map for integer keys.
+ * Definite lengths are used throughout, as required for Cardano transaction bodies.
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array} CBOR bytes
+ */
+export function encodeCbor(value) {
+    const chunks = [];
+    encodeItem(value, chunks);
+
+    const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Encode a value as CBOR hex
+ * @param {*} value - Value to encode
+ * @returns {string} CBOR hex string
+ */
+export function encodeCborHex(value) {
+    return bytesToHex(encodeCbor(value));
+}
+
+/**
+ * Read the argument of an item head
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @param {number} offset - Offset after the initial byte
+ * @param {number} info - Additional information (low 5 bits of the initial byte)
+ * @returns {{value: number|bigint|null, offset: number}} Argument (null for indefinite length)
+ */
+function readArgument(bytes, offset, info) {
+    if (info < 24) {
+        return { value: info, offset };
+    }
+    if (info === INDEFINITE) {
+        return { value: null, offset };
+    }
+
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info];
+    if (!size) {
+        throw new Error(`CBOR: reserved additional information ${info}`);
+    }
+    if (offset + size > bytes.length) {
+        throw new Error('CBOR: unexpected end of input');
+    }
+
+    let value = 0n;
+    for (let i = 0; i < size; i++) {
+        value = (value << 8n) | BigInt(bytes[offset + i]);
+    }
+    return {
+        value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value,
+        offset: offset + size
+    };
+}
+
+/**
+ * Decode the item starting at an offset
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @param {number} start - Item offset
+ * @returns {{value: *, offset: number}} Decoded value and the offset after it
+ */
+function decodeItem(bytes, start) {
+    if (start >= bytes.length) {
+        throw new Error('CBOR: unexpected end of input');
+    }
+
+    const initial = bytes[start];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    const head = readArgument(bytes, start + 1, info);
+    let offset = head.offset;
+    const length = head.value;
+
+    switch (major) {
+        case MAJOR_UNSIGNED:
+            return { value: length, offset };
+
+        case MAJOR_NEGATIVE:
+            return {
+                value: typeof length === 'bigint' || length >= Number.MAX_SAFE_INTEGER ?
+                    -1n - BigInt(length) : -1 - length,
+                offset
+            };
+
+        case MAJOR_BYTES:
+        case MAJOR_TEXT: {
+            let chunk;
+            if (length === null) {
+                // Indefinite length strings are a sequence of definite length chunks
+                const chunks = [];
+                while (bytes[offset] !== BREAK) {
+                    ({ value: chunk, offset } = decodeItem(bytes, offset));
+                    chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+                }
+                offset += 1;
+                const joined = new Uint8Array(chunks.reduce((sum, part) => sum + part.length, 0));
+                chunks.reduce((position, part) => {
+                    joined.set(part, position);
+                    return position + part.length;
+                }, 0);
+                chunk = joined;
+            } else {
+                if (offset + Number(length) > bytes.length) {
+                    throw new Error('CBOR: unexpected end of input');
+                }
+                chunk = bytes.slice(offset, offset + Number(length));
+                offset += Number(length);
+            }
+            return { value: major === MAJOR_TEXT ? new TextDecoder().decode(chunk) : chunk, offset };
+        }
+
+        case MAJOR_ARRAY: {
+            const items = [];
+            let item;
+            while (length === null ? bytes[offset] !== BREAK : items.length < length) {
+                ({ value: item, offset } = decodeItem(bytes, offset));
+                items.push(item);
+            }
+            return { value: items, offset: length === null ? offset + 1 : offset };
+        }
+
+        case MAJOR_MAP: {
+            const map = new Map();
+            let key;
+            let item;
+            while (length === null ? bytes[offset] !== BREAK : map.size < length) {
+                ({ value: key, offset } = decodeItem(bytes, offset));
+                ({ value: item, offset } = decodeItem(bytes, offset));
+                map.set(key, item);
+            }
+            return { value: map, offset: length === null ? offset + 1 : offset };
+        }
+
+        case MAJOR_TAG: {
+            const tagged = decodeItem(bytes, offset);
+            return { value: new CborTag(length, tagged.value), offset: tagged.offset };
+        }
+
+        default: {
+            const simple = { 20: false, 21: true, 22: null, 23: undefined };
+            if (info in simple) {
+                return { value: simple[info], offset };
+            }
+            throw new Error(`CBOR: unsupported simple value ${info}`);
+        }
+    }
+}
+
+/**
+ * Encode an item head
+ * @param {number} major - Major type
+ * @param {number|bigint} argument - Argument
+ * @param {Uint8Array[]} chunks - Output chunks
+ */
+function writeHead(major, argument, chunks) {
+    const value = BigInt(argument);
+    const prefix = major << 5;
+
+    if (value < 24n) {
+        chunks.push(Uint8Array.of(prefix | Number(value)));
+        return;
+    }
+
+    const [info, size] = value < 0x100n ? [24, 1] : value < 0x10000n ? [25, 2] :
+        value < 0x100000000n ? [26, 4] : [27, 8];
+    const head = new Uint8Array(1 + size);
+    head[0] = prefix | info;
+    for (let i = 0; i < size; i++) {
+        head[size - i] = Number((value >> BigInt(8 * i)) & 0xffn);
+    }
+    chunks.push(head);
+}
+
+/**
+ * Encode a value
+ * @param {*} value - Value to encode
+ * @param {Uint8Array[]} chunks - Output chunks
+ * @throws {Error} If the value cannot be encoded
+ */
+function encodeItem(value, chunks) {
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+            throw new Error(`CBOR: cannot encode ${value}, only integers are supported`);
+        }
+        const integer = BigInt(value);
+        if (integer >= 0n) {
+            writeHead(MAJOR_UNSIGNED, integer, chunks);
+        } else {
+            writeHead(MAJOR_NEGATIVE, -1n - integer, chunks);
+        }
+    } else if (value instanceof Uint8Array) {
+        writeHead(MAJOR_BYTES, value.length, chunks);
+        chunks.push(value);
+    } else if (typeof value === 'string') {
+        const encoded = new TextEncoder().encode(value);
+        writeHead(MAJOR_TEXT, encoded.length, chunks);
+        chunks.push(encoded);
+    } else if (Array.isArray(value)) {
+        writeHead(MAJOR_ARRAY, value.length, chunks);
+        value.forEach(item => encodeItem(item, chunks));
+    } else if (value instanceof CborTag) {
+        writeHead(MAJOR_TAG, value.tag, chunks);
+        encodeItem(value.value, chunks);
+    } else if (value instanceof Map || (value !== null && typeof value === 'object')) {
+        const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+        writeHead(MAJOR_MAP, entries.length, chunks);
+        entries.forEach(([key, item]) => {
+            encodeItem(key, chunks);
+            encodeItem(item, chunks);
+        });
+    } else if (value === false || value === true || value === null || value === undefined) {
+        const simple = value === false ? 20 : value === true ? 21 : value === null ? 22 : 23;
+        chunks.push(Uint8Array.of((MAJOR_SIMPLE << 5) | simple));
+    } else {
+        throw new Error(`CBOR: cannot encode ${typeof value}`);
+    }
+}
@@ -0,0 +1,121 @@
+import { getTokenIconUrl } from './utils.js';
+
+/**
+ * DOM helpers for the web app
+ * Kept apart from utils.js so the core modules run without a document (Node, workers)
+ */
+
+/**
+ * Safe element query with optional callback
+ * @param {string} selector - CSS selector
+ * @param {Function} callback - Optional callback if element exists
+ * @returns {HTMLElement|null} Element or null
+ */
+export function getElement(selector, callback = null) {
+    const element = document.querySelector(selector);
+    if (element && callback) {
+        callback(element);
+    }
+    return element;
+}
+
+/**
+ * Toggle element visibility
+ * @param {string} selector - CSS selector
+ * @param {boolean} show - Whether to show the element
+ * @param {string} display - Display value of the shown element (default: 'block')
+ */
+export function toggleElement(selector, show, display = 'block') {
+    const element = document.querySelector(selector);
+    if (element) {
+        element.style.display = show ? display : 'none';
+    }
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} text - Text, converted to a string
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Create token icon element with fallback
+ * @param {string} policyId - Token policy ID
+ * @param {string} assetName - Token asset name
+ * @param {string} symbol - Token symbol for fallback
+ * @param {string} size - Icon size, 'small' (20px) or 'large' (24px) (default: 'small')
+ * @param {string|null} logo - Logo from the token registry, preferred over the icon CDN
+ * @returns {string} HTML string for token icon
+ */
+export function createTokenIcon(policyId, assetName = '', symbol = '', size = 'small', logo = null) {
+    const isAda = !policyId || ['ada', 'lovelace'].includes(policyId.toLowerCase()) ||
+        ['ada', 'lovelace'].includes(symbol.toLowerCase());
+    const iconUrl = logo || getTokenIconUrl(isAda ? 'lovelace' : policyId + assetName);
+    const sizeClass = `token-icon-${size}`;
+
+    return `<img
+        src="${escapeHtml(iconUrl)}"
+        alt="${escapeHtml(symbol)}"
+        class="token-icon ${sizeClass}"
+        onerror="this.classList.add('token-icon-failed');"
+    ><span class="token-symbol-fallback ${sizeClass}">${escapeHtml(symbol.substring(0, 2).toUpperCase())}</span>`;
+}
+
+/**
+ * Create an inline SVG line chart of a pending reward series
+ * Points where the balance dropped are marked, as is the latest point
+ * @param {Array} points - Series points with timestamp and amount, oldest first
+ * @param {Object} options - Chart options
+ * @param {number} options.width - Width in pixels (default: 240)
+ * @param {number} options.height - Height in pixels (default: 48)
+ * @returns {string} HTML string for the chart
+ */
+export function createTrendChart(points, options = {}) {
+    const { width = 240, height = 48 } = options;
+    const padding = 4;
+    if (points.length === 0) return '';
+
+    const first = points[0].timestamp;
+    const timeSpan = points[points.length - 1].timestamp - first || 1;
+    const maxAmount = Math.max(...points.map(point => point.amount)) || 1;
+    const coordinates = points.map(point => ({
+        x: padding + (points.length > 1 ? (point.timestamp - first) / timeSpan : 0.5) * (width - 2 * padding),
+        y: height - padding - (point.amount / maxAmount) * (height - 2 * padding)
+    }));
+
+    const line = coordinates.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    const last = coordinates[coordinates.length - 1];
+    const dropMarkers = coordinates
+        .filter((_, index) => index > 0 && points[index].amount < points[index - 1].amount)
+        .map(({ x, y }) => `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" class="trend-drop"></circle>`)
+        .join('');
+
+    return `<svg class="trend-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+        <polyline points="${line}" class="trend-line"></polyline>${dropMarkers}
+        <circle cx="${last.x.toFixed(1)}" cy="${last.y.toFixed(1)}" r="2.5" class="trend-point"></circle>
+    </svg>`;
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type (default: 'application/json')
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
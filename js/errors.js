@@ -0,0 +1,211 @@
+/**
+ * Provider error classification
+ * Every provider failure is turned into a ProviderError with a category that tells
+ * the user what went wrong and whether retrying makes sense
+ */
+
+/**
+ * Error categories
+ */
+export const ERROR_CATEGORIES = {
+    NETWORK: 'network',
+    PROXY: 'proxy',
+    RATE_LIMITED: 'rate-limited',
+    UPSTREAM: 'upstream',
+    SCHEMA: 'schema',
+    INVALID_ADDRESS: 'invalid-address',
+    TIMEOUT: 'timeout',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Display information per category
+ */
+const CATEGORY_INFO = {
+    [ERROR_CATEGORIES.NETWORK]: {
+        title: 'Network error',
+        hint: 'The service could not be reached. Check your connection and retry.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.PROXY]: {
+        title: 'Proxy failure',
+        hint: 'The CORS proxy did not forward the request. Retrying may help.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.RATE_LIMITED]: {
+        title: 'Rate limited',
+        hint: 'Too many requests. Wait a moment before retrying.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.UPSTREAM]: {
+        title: 'Service error',
+        hint: 'The service returned an error. Retrying may help if it is temporary.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.SCHEMA]: {
+        title: 'Upstream format changed',
+        hint: 'The service returned data in an unexpected format. Retrying will not help until the integration is updated.',
+        retryable: false
+    },
+    [ERROR_CATEGORIES.INVALID_ADDRESS]: {
+        title: 'Invalid address',
+        hint: 'The service rejected the address. Retrying will not help.',
+        retryable: false
+    },
+    [ERROR_CATEGORIES.TIMEOUT]: {
+        title: 'Timeout',
+        hint: 'The service took too long to respond. Retrying may help.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.CANCELLED]: {
+        title: 'Cancelled',
+        hint: 'The check was cancelled.',
+        retryable: true
+    },
+    [ERROR_CATEGORIES.UNKNOWN]: {
+        title: 'Error',
+        hint: 'An unexpected error occurred.',
+        retryable: true
+    }
+};
+
+/**
+ * Get display information for an error category
+ * @param {string} category - Error category
+ * @returns {Object} Object with title, hint and retryable flag
+ */
+export function getErrorInfo(category) {
+    return CATEGORY_INFO[category] || CATEGORY_INFO[ERROR_CATEGORIES.UNKNOWN];
+}
+
+/**
+ * Provider Error
+ * Error with a category and optional HTTP details
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.category - Error category (see ERROR_CATEGORIES)
+     * @param {number} details.status - HTTP status code
+     * @param {number} details.retryAfter - Delay requested by the server in milliseconds
+     * @param {boolean} details.retryable - Override the category's retryable flag
+     * @param {string} details.provider - Name of the provider that failed
+     * @param {Error} details.cause - Original error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.category = details.category || ERROR_CATEGORIES.UNKNOWN;
+        this.status = details.status ?? null;
+        this.retryAfter = details.retryAfter ?? null;
+        this.provider = details.provider || null;
+        this.cause = details.cause;
+        this.retryable = details.retryable ?? getErrorInfo(this.category).retryable;
+    }
+
+    /**
+     * Create an error for a failed HTTP response
+     * @param {Response} response - Fetch response
+     * @param {boolean} viaProxy - Whether the request went through a CORS proxy
+     * @returns {ProviderError} Classified error
+     */
+    static fromResponse(response, viaProxy = false) {
+        const status = response.status;
+        const message = `HTTP ${status}: ${response.statusText}`;
+
+        if (status === 429) {
+            return new ProviderError(message, {
+                category: ERROR_CATEGORIES.RATE_LIMITED,
+                status,
+                retryAfter: parseRetryAfter(response.headers?.get('Retry-After'))
+            });
+        }
+
+        // Public proxies answer with these when they refuse or cannot forward a request
+        if (viaProxy && [403, 502, 503, 504].includes(status)) {
+            return new ProviderError(message, { category: ERROR_CATEGORIES.PROXY, status });
+        }
+
+        return new ProviderError(message, {
+            category: ERROR_CATEGORIES.UPSTREAM,
+            status,
+            retryable: status >= 500
+        });
+    }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds or null if absent
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify any error as a ProviderError
+ * @param {Error} error - Error to classify
+ * @param {Object} context - Classification context
+ * @param {string} context.provider - Provider name to prefix the message with
+ * @param {boolean} context.viaProxy - Whether the request went through a CORS proxy
+ * @returns {ProviderError} Classified error
+ */
+export function classifyError(error, context = {}) {
+    const { provider = null, viaProxy = false } = context;
+    let classified;
+
+    if (error instanceof ProviderError) {
+        classified = error;
+    } else {
+        const message = error?.message || String(error || 'Unknown error');
+        let category = ERROR_CATEGORIES.UNKNOWN;
+
+        if (error?.name === 'AbortError' || message === 'Check cancelled') {
+            category = ERROR_CATEGORIES.CANCELLED;
+        } else if (error?.name === 'TimeoutError' || message === 'Request timeout') {
+            category = ERROR_CATEGORIES.TIMEOUT;
+        } else if (error instanceof SyntaxError) {
+            // Non-JSON bodies usually are error pages of the proxy rather than the API
+            category = viaProxy ? ERROR_CATEGORIES.PROXY : ERROR_CATEGORIES.SCHEMA;
+        } else if (error instanceof TypeError && /fetch|network/i.test(message)) {
+            category = ERROR_CATEGORIES.NETWORK;
+        }
+
+        classified = new ProviderError(message, { category, cause: error });
+    }
+
+    if (provider && !classified.provider) {
+        const prefixed = new ProviderError(`${provider}: ${classified.message}`, {
+            category: classified.category,
+            status: classified.status,
+            retryAfter: classified.retryAfter,
+            retryable: classified.retryable,
+            provider: provider,
+            cause: classified.cause
+        });
+        return Object.assign(prefixed, getExtraFields(classified));
+    }
+
+    return classified;
+}
+
+/**
+ * Copy category specific fields (e.g. the offending path of schema errors)
+ * @param {ProviderError} error - Source error
+ * @returns {Object} Extra fields
+ */
+function getExtraFields(error) {
+    const known = ['message', 'name', 'category', 'status', 'retryAfter', 'retryable', 'provider', 'cause', 'stack'];
+    return Object.fromEntries(Object.entries(error).filter(([key]) => !known.includes(key)));
+}
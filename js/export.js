@@ -0,0 +1,182 @@
+import { quantityToString } from './amount.js';
+
+/**
+ * Result export
+ * Flattens checked results and history snapshots into one row per wallet, provider and token,
+ * written as CSV or JSON for accounting. The columns are fixed, so every file has the same layout.
+ */
+
+export const EXPORT_FORMAT = 'cardano-rewards-export';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Export columns in file order
+ */
+export const EXPORT_COLUMNS = [
+    'timestamp',    // Time the data was fetched (ISO 8601)
+    'wallet',
+    'walletLabel',
+    'providerId',
+    'provider',
+    'assetId',      // Canonical asset id, see asset-id.js
+    'ticker',
+    'quantity',     // Raw quantity
+    'decimals',
+    'amount',       // Exact decimal amount
+    'valueAda',     // Value at check time
+    'valueFiat',
+    'currency',
+    'claimUrl',
+    'error'         // Set on the row of a failed provider
+];
+
+/**
+ * Create export rows from provider results
+ * @param {Array} results - Provider results
+ * @param {Object} options - Row options
+ * @param {ProviderRegistry} options.registry - Registry for provider names and platform URLs
+ * @param {Array} options.wallets - Saved wallets ({address, label}) for wallet labels
+ * @param {number} options.timestamp - Time of failed results (default: now)
+ * @returns {Array} Rows keyed by EXPORT_COLUMNS, one per token and one per failed provider
+ */
+export function createExportRows(results, options = {}) {
+    const describe = createDescriber(options);
+    const rows = [];
+
+    results.forEach(result => {
+        if (!result.success) {
+            rows.push({
+                ...describe(result.address, result.providerId, options.timestamp ?? Date.now()),
+                error: result.error
+            });
+            return;
+        }
+
+        const base = describe(result.address, result.providerId, result.updatedAt, result.data.metadata?.claimUrl);
+        const currency = result.data.value?.currency ?? null;
+        (result.data.tokens || []).forEach(token => {
+            rows.push(createTokenRow(base, token, currency));
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Create export rows from history snapshots
+ * @param {Object[]} snapshots - Snapshots, see HistoryStore
+ * @param {Object} options - Row options (see createExportRows)
+ * @returns {Array} Rows keyed by EXPORT_COLUMNS, one per token and snapshot, oldest first
+ */
+export function createHistoryExportRows(snapshots, options = {}) {
+    const describe = createDescriber(options);
+
+    return [...snapshots]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .flatMap(snapshot => snapshot.entries.flatMap(entry => {
+            const base = describe(entry.address, entry.providerId, entry.updatedAt ?? snapshot.timestamp, entry.claimUrl);
+            return entry.tokens.map(token => createTokenRow(base, token, entry.currency ?? null));
+        }));
+}
+
+/**
+ * Write rows as CSV with a header line
+ * @param {Array} rows - Export rows
+ * @param {string[]} columns - Columns in file order (default: EXPORT_COLUMNS)
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns = EXPORT_COLUMNS) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(line => line.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Wrap rows in a versioned JSON export document
+ * @param {Array} rows - Export rows
+ * @returns {Object} Export document with format, version, exportedAt, columns and rows
+ */
+export function toJsonExport(rows) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        columns: EXPORT_COLUMNS,
+        rows: rows
+    };
+}
+
+/**
+ * Create the function that fills the wallet and provider columns of a row
+ * @param {Object} options - Row options with registry and wallets
+ * @returns {Function} (address, providerId, timestamp, claimUrl) => row with empty token columns
+ */
+function createDescriber(options) {
+    const labels = new Map((options.wallets || []).map(wallet => [wallet.address, wallet.label]));
+
+    return (address, providerId, timestamp, claimUrl = null) => {
+        const provider = options.registry?.getProvider(providerId);
+        return {
+            timestamp: new Date(timestamp).toISOString(),
+            wallet: address,
+            walletLabel: labels.get(address) || '',
+            providerId: providerId,
+            provider: provider?.name || providerId,
+            assetId: null,
+            ticker: null,
+            quantity: null,
+            decimals: null,
+            amount: null,
+            valueAda: null,
+            valueFiat: null,
+            currency: null,
+            claimUrl: claimUrl || provider?.platformUrl || null,
+            error: null
+        };
+    };
+}
+
+/**
+ * Create the row of a single token
+ * @param {Object} base - Row with the wallet and provider columns
+ * @param {Object} token - Standardized or snapshot token
+ * @param {string|null} currency - Fiat currency of valueFiat
+ * @returns {Object} Export row
+ */
+function createTokenRow(base, token, currency) {
+    const hasQuantity = token.quantity !== undefined && token.quantity !== null;
+    return {
+        ...base,
+        assetId: token.assetId ?? null,
+        ticker: token.symbol,
+        quantity: hasQuantity ? String(token.quantity) : null,
+        decimals: token.decimals ?? null,
+        amount: hasQuantity ? quantityToString(token.quantity, token.decimals ?? 0) : String(token.amount),
+        valueAda: roundValue(token.valueAda),
+        valueFiat: roundValue(token.valueFiat),
+        currency: typeof token.valueFiat === 'number' ? currency : null
+    };
+}
+
+/**
+ * Round a value to 6 decimal places (lovelace precision), dropping float noise
+ * @param {number|null|undefined} value - Value
+ * @returns {number|null} Rounded value or null if unknown
+ */
+function roundValue(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : null;
+}
+
+/**
+ * Escape a CSV field
+ * Fields starting with a formula character are prefixed with a quote, so spreadsheet apps
+ * do not evaluate token names coming from upstream APIs
+ * @param {*} value - Field value
+ * @returns {string} Escaped field (empty for null)
+ */
+function escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,139 @@
+import { ProxyStrategy } from './proxy-strategy.js';
+
+/**
+ * ADA Handle resolution
+ * Resolves $handles to the address currently holding the handle token
+ */
+
+/**
+ * Policy ID of the ADA Handle tokens
+ */
+export const HANDLE_POLICY_ID = 'f0ff48bbb7bbe9d59a40f1ce90e9e9d0ff5002ec48f232b49ca0fb9a';
+
+/**
+ * CIP-68 user token label prefix used by newer handles
+ */
+const CIP68_USER_TOKEN_LABEL = '000de140';
+
+/**
+ * Check whether a value looks like an ADA Handle ($name)
+ * @param {string} value - User input
+ * @returns {boolean} Whether the value is a handle
+ */
+export function isHandle(value) {
+    return typeof value === 'string' && /^\$[a-z0-9_.-]{1,15}$/i.test(value.trim());
+}
+
+/**
+ * Normalize a handle to its lowercase name without the $ prefix
+ * @param {string} handle - Handle ($name or name)
+ * @returns {string} Handle name
+ */
+export function normalizeHandle(handle) {
+    return handle.trim().replace(/^\$/, '').toLowerCase();
+}
+
+/**
+ * Convert an ASCII string to hex
+ * @param {string} value - ASCII string
+ * @returns {string} Hex string
+ */
+function stringToHex(value) {
+    return Array.from(value, char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Handle Resolver
+ * Defines the interface for all handle resolvers
+ */
+export class HandleResolver {
+    /**
+     * Resolve a handle to the address holding it
+     * Override this method in child classes
+     * @param {string} handle - Handle ($name)
+     * @returns {Promise<string>} Bech32 address holding the handle
+     */
+    async resolve(handle) {
+        throw new Error('Handle resolver not implemented');
+    }
+}
+
+/**
+ * Koios Handle Resolver
+ * Looks up the holder of the handle token through the Koios asset_addresses endpoint
+ */
+export class KoiosHandleResolver extends HandleResolver {
+    constructor(config = {}) {
+        super();
+        this.endpoint = config.endpoint || 'https://api.koios.rest/api/v1';
+        this.useCorsProxy = config.useCorsProxy !== false; // Default to true
+        this.proxyStrategy = config.proxyStrategy || new ProxyStrategy();
+    }
+
+    /**
+     * Resolve a handle to the address holding it
+     * Newer handles are CIP-68 tokens, older ones use the plain name as asset name
+     * @param {string} handle - Handle ($name)
+     * @returns {Promise<string>} Bech32 address holding the handle
+     */
+    async resolve(handle) {
+        const name = normalizeHandle(handle);
+        const assetNames = [CIP68_USER_TOKEN_LABEL + stringToHex(name), stringToHex(name)];
+
+        for (const assetName of assetNames) {
+            const holders = await this.getAssetAddresses(assetName);
+            const holder = holders.find(entry => Number(entry.quantity) > 0);
+            if (holder && holder.payment_address) {
+                return holder.payment_address;
+            }
+        }
+
+        throw new Error(`Handle $${name} not found`);
+    }
+
+    /**
+     * Get the addresses holding a handle token
+     * @param {string} assetName - Hex encoded asset name
+     * @returns {Promise<Array>} Holders with payment_address and quantity
+     */
+    async getAssetAddresses(assetName) {
+        const url = `${this.endpoint}/asset_addresses?_asset_policy=${HANDLE_POLICY_ID}&_asset_name=${assetName}`;
+
+        const result = await this.proxyStrategy.request(url, {
+            method: 'GET',
+            mode: 'cors',
+            headers: { 'Accept': 'application/json' }
+        }, { providerId: 'koios-handles', useProxy: this.useCorsProxy });
+
+        return Array.isArray(result) ? result : [];
+    }
+}
+
+/**
+ * Mock Handle Resolver
+ * Resolves handles from a fixed map, for offline use and tests
+ */
+export class MockHandleResolver extends HandleResolver {
+    /**
+     * @param {Object} handles - Map of handle name (without $) to address
+     */
+    constructor(handles = {}) {
+        super();
+        this.handles = new Map(
+            Object.entries(handles).map(([name, address]) => [normalizeHandle(name), address])
+        );
+    }
+
+    /**
+     * Resolve a handle from the fixed map
+     * @param {string} handle - Handle ($name)
+     * @returns {Promise<string>} Bech32 address holding the handle
+     */
+    async resolve(handle) {
+        const name = normalizeHandle(handle);
+        if (!this.handles.has(name)) {
+            throw new Error(`Handle $${name} not found`);
+        }
+        return this.handles.get(name);
+    }
+}
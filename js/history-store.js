@@ -0,0 +1,226 @@
+import { isAssetId } from './asset-id.js';
+
+/**
+ * History Store
+ * Keeps a timestamped snapshot of every completed reward check, per wallet and provider
+ * Uses IndexedDB in the browser and falls back to memory elsewhere
+ */
+
+export const HISTORY_FORMAT = 'cardano-rewards-history';
+export const HISTORY_VERSION = 1;
+
+export class HistoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {IDBFactory|null} options.indexedDB - IndexedDB factory (default: window.indexedDB, null keeps snapshots in memory)
+     * @param {string} options.databaseName - Database name (default: 'cardano-reward-checker-history')
+     * @param {Function} options.onWarning - Told when IndexedDB cannot be opened and history only lasts for the session
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB === undefined ? (globalThis.indexedDB || null) : options.indexedDB;
+        this.databaseName = options.databaseName || 'cardano-reward-checker-history';
+        this.storeName = 'snapshots';
+        this.memory = new Map();
+        this.databasePromise = null;
+        this.onWarning = options.onWarning || null;
+    }
+
+    /**
+     * Open the database, creating the snapshot store on first use
+     * @returns {Promise<IDBDatabase|null>} Database, or null when snapshots are kept in memory
+     */
+    open() {
+        if (!this.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'timestamp' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Private browsing modes may refuse IndexedDB, history is then kept for the session
+                this.onWarning?.(`IndexedDB unavailable, keeping reward history in memory: ${error?.message}`, error);
+                this.indexedDB = null;
+                return null;
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Run a request against the snapshot store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the object store and returns a request or nothing
+     * @returns {Promise<*>} Request result once the transaction completed
+     */
+    async transact(mode, callback) {
+        const database = await this.open();
+        if (!database) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a snapshot of the results of a completed check
+     * Failed results are left out, so a provider outage is not mistaken for a claim
+     * @param {Array} results - Provider results of the check
+     * @param {number} timestamp - Time of the check (default: now)
+     * @returns {Promise<Object|null>} Stored snapshot, or null if no provider succeeded
+     */
+    async addSnapshot(results, timestamp = Date.now()) {
+        const snapshot = createSnapshot(results, timestamp);
+        if (snapshot.entries.length === 0) {
+            return null;
+        }
+
+        await this.putSnapshots([snapshot]);
+        return snapshot;
+    }
+
+    /**
+     * Store snapshots, replacing snapshots with the same timestamp
+     * @param {Object[]} snapshots - Snapshots
+     */
+    async putSnapshots(snapshots) {
+        if (!(await this.open())) {
+            snapshots.forEach(snapshot => this.memory.set(snapshot.timestamp, snapshot));
+            return;
+        }
+
+        await this.transact('readwrite', store => {
+            snapshots.forEach(snapshot => store.put(snapshot));
+        });
+    }
+
+    /**
+     * Get all snapshots
+     * @returns {Promise<Object[]>} Snapshots, oldest first
+     */
+    async getSnapshots() {
+        const snapshots = (await this.open()) ?
+            await this.transact('readonly', store => store.getAll()) :
+            Array.from(this.memory.values());
+
+        return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Export all snapshots as a JSON document
+     * @returns {Promise<Object>} Export document with format, version and snapshots
+     */
+    async exportSnapshots() {
+        return {
+            format: HISTORY_FORMAT,
+            version: HISTORY_VERSION,
+            exportedAt: new Date().toISOString(),
+            snapshots: await this.getSnapshots()
+        };
+    }
+
+    /**
+     * Import snapshots from an export document
+     * Snapshots are merged with the stored history; importing the same file twice has no effect
+     * @param {Object|string} document - Export document or its JSON text
+     * @returns {Promise<number>} Number of imported snapshots
+     * @throws {Error} If the document is not a reward history export
+     */
+    async importSnapshots(document) {
+        let data = document;
+        if (typeof document === 'string') {
+            try {
+                data = JSON.parse(document);
+            } catch (error) {
+                throw new Error(`Invalid history file: ${error.message}`);
+            }
+        }
+
+        if (data?.format !== HISTORY_FORMAT || !Array.isArray(data.snapshots)) {
+            throw new Error('Invalid history file: not a Cardano rewards history export');
+        }
+        if (data.version > HISTORY_VERSION) {
+            throw new Error(`Invalid history file: version ${data.version} is not supported`);
+        }
+
+        const invalid = data.snapshots.findIndex(snapshot => !isSnapshot(snapshot));
+        if (invalid !== -1) {
+            throw new Error(`Invalid history file: snapshot ${invalid} is malformed`);
+        }
+
+        await this.putSnapshots(data.snapshots);
+        return data.snapshots.length;
+    }
+
+    /**
+     * Remove all snapshots
+     */
+    async clear() {
+        this.memory.clear();
+        await this.transact('readwrite', store => {
+            store.clear();
+        });
+    }
+}
+
+/**
+ * Build a snapshot from provider results
+ * Tokens are reduced to what the history needs: identity, raw quantity and the value at check time
+ * @param {Array} results - Provider results
+ * @param {number} timestamp - Time of the check
+ * @returns {Object} Snapshot with timestamp and one entry per successful wallet and provider
+ */
+export function createSnapshot(results, timestamp) {
+    return {
+        timestamp: timestamp,
+        entries: results
+            .filter(result => result.success)
+            .map(result => ({
+                address: result.address,
+                providerId: result.providerId,
+                updatedAt: result.updatedAt ?? timestamp,
+                currency: result.data?.value?.currency ?? null,
+                claimUrl: result.data?.metadata?.claimUrl ?? null,
+                tokens: (result.data?.tokens || []).map(token => ({
+                    assetId: token.assetId ?? null,
+                    symbol: token.symbol,
+                    quantity: token.quantity,
+                    decimals: token.decimals,
+                    valueAda: token.valueAda ?? null,
+                    valueFiat: token.valueFiat ?? null
+                }))
+            }))
+    };
+}
+
+/**
+ * Check the shape of an imported snapshot
+ * @param {*} snapshot - Snapshot candidate
+ * @returns {boolean} Whether the snapshot can be stored
+ */
+function isSnapshot(snapshot) {
+    return Number.isFinite(snapshot?.timestamp) &&
+        Array.isArray(snapshot.entries) &&
+        snapshot.entries.every(entry =>
+            typeof entry?.address === 'string' &&
+            typeof entry.providerId === 'string' && entry.providerId !== '' &&
+            Array.isArray(entry.tokens) &&
+            entry.tokens.every(token =>
+                typeof token?.symbol === 'string' &&
+                typeof token.quantity === 'string' &&
+                Number.isInteger(token.decimals) && token.decimals >= 0 &&
+                (token.assetId === null || isAssetId(token.assetId))
+            )
+        );
+}
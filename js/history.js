@@ -0,0 +1,105 @@
+import { quantityToNumber, toQuantity } from './amount.js';
+
+/**
+ * Reward history analysis
+ * Turns stored snapshots into pending reward series per wallet, provider and token
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the pending reward series of every wallet, provider and token
+ * A token missing from a later snapshot of the same wallet and provider counts as zero
+ * (claimed rewards disappear from the response). Snapshots that repeat the data of the
+ * previous one (served from the cache) add no point.
+ * @param {Object[]} snapshots - Snapshots, see HistoryStore
+ * @returns {Array} Series with address, providerId, assetId, symbol, decimals and points
+ *   ({timestamp, quantity, amount}, oldest first)
+ */
+export function buildHistorySeries(snapshots) {
+    const series = new Map();
+    const lastUpdate = new Map();
+    const sorted = [...snapshots].sort((a, b) => a.timestamp - b.timestamp);
+
+    sorted.forEach(snapshot => {
+        snapshot.entries.forEach(entry => {
+            const entryKey = `${entry.address}|${entry.providerId}`;
+            const timestamp = entry.updatedAt ?? snapshot.timestamp;
+            if (lastUpdate.get(entryKey) === timestamp) return;
+            lastUpdate.set(entryKey, timestamp);
+
+            const quantities = new Map();
+            entry.tokens.forEach(token => {
+                const key = `${entryKey}|${token.assetId || `symbol:${token.symbol}`}`;
+                if (!series.has(key)) {
+                    series.set(key, {
+                        key: key,
+                        address: entry.address,
+                        providerId: entry.providerId,
+                        assetId: token.assetId ?? null,
+                        symbol: token.symbol,
+                        decimals: token.decimals,
+                        points: []
+                    });
+                }
+                quantities.set(key, (quantities.get(key) || 0n) + toQuantity(token.quantity));
+            });
+
+            series.forEach((item, key) => {
+                if (!key.startsWith(`${entryKey}|`)) return;
+                const quantity = quantities.get(key) || 0n;
+                item.points.push({
+                    timestamp: timestamp,
+                    quantity: quantity.toString(),
+                    amount: quantityToNumber(quantity, item.decimals)
+                });
+            });
+        });
+    });
+
+    return Array.from(series.values());
+}
+
+/**
+ * Analyze a pending reward series
+ * The accrual rate is the sum of all increases divided by the time they were measured over:
+ * from the first increase on, without the intervals ending in a drop. Claims in between and
+ * the time before rewards started therefore do not pull it down.
+ * @param {Array} points - Series points, oldest first
+ * @returns {Object} Analysis with current amount, accrualRate (tokens per day, null with
+ *   less than two points) and drops ({timestamp, from, to} where the balance went down,
+ *   usually because the rewards were claimed)
+ */
+export function analyzeSeries(points) {
+    const drops = [];
+    let accrued = 0;
+    let measuredMs = 0;
+
+    points.forEach((point, index) => {
+        if (index === 0) return;
+        const previous = points[index - 1];
+        const difference = point.amount - previous.amount;
+
+        if (toQuantity(point.quantity) < toQuantity(previous.quantity)) {
+            // The rewards accrued until the claim are unknown, so the interval is not measured
+            drops.push({ timestamp: point.timestamp, from: previous.amount, to: point.amount });
+        } else if (difference > 0 || measuredMs > 0) {
+            accrued += difference;
+            measuredMs += point.timestamp - previous.timestamp;
+        }
+    });
+
+    const last = points[points.length - 1];
+    let accrualRate = null;
+    if (measuredMs > 0) {
+        accrualRate = accrued / (measuredMs / DAY_MS);
+    } else if (points.length > 1) {
+        accrualRate = 0;
+    }
+
+    return {
+        current: last ? last.amount : 0,
+        accrualRate: accrualRate,
+        drops: drops
+    };
+}
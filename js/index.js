@@ -0,0 +1,173 @@
+import { ProviderRegistry } from './provider-registry.js';
+import { ProxyStrategy, PROXY_MODES } from './proxy-strategy.js';
+import { ResultCache, createMemoryStorage } from './result-cache.js';
+import { TokenRegistry } from './token-registry.js';
+
+/**
+ * Cardano Rewards core library
+ * Framework-free public API shared by the web app, the CLI and the server
+ */
+
+export { ProviderRegistry } from './provider-registry.js';
+export { BaseProvider } from './providers/base-provider.js';
+export { SundaeGeneralProvider } from './providers/sundae-general-provider.js';
+export { NuvolaDigitalProvider } from './providers/nuvola-digital-provider.js';
+export { MinswapProvider } from './providers/minswap-provider.js';
+export { CardanoStakingProvider } from './providers/cardano-staking-provider.js';
+export { StrikeFinanceProvider } from './providers/strikefinance-provider.js';
+export { DeclarativeProvider, validateDefinition } from './providers/declarative-provider.js';
+export { PROVIDER_DEFINITIONS } from './providers/definitions.js';
+export { isPath, parsePath, queryPath, getPath, fillTemplate } from './json-path.js';
+export { validateSchema, getGraphQLErrors } from './schema.js';
+
+export {
+    ADDRESS_TYPES,
+    bech32Decode,
+    bech32Encode,
+    bytesToHex,
+    hexToBytes,
+    decodeAddressBytes,
+    encodeAddress,
+    parseAddress,
+    validateAddress,
+    getStakeAddress
+} from './address.js';
+
+export {
+    toQuantity,
+    decimalToQuantity,
+    quantityToString,
+    quantityToNumber,
+    sumQuantities,
+    roundQuantity,
+    createTokenAmount,
+    addTokenQuantity
+} from './amount.js';
+
+export {
+    formatAmount,
+    formatFiat,
+    formatTokenAmount,
+    isValidAddress,
+    shortenAddress,
+    formatAge,
+    formatDate,
+    formatDay,
+    getTokenIconUrl,
+    parseTokenId,
+    hexToString
+} from './utils.js';
+
+export { ERROR_CATEGORIES, ProviderError, classifyError, getErrorInfo, parseRetryAfter } from './errors.js';
+export { DEFAULT_RETRY_POLICY } from './retry.js';
+
+export {
+    PROXY_MODES,
+    ProxyStrategy,
+    ProxyAdapter,
+    DirectAdapter,
+    CorsAnywhereAdapter,
+    CorsProxyIoAdapter,
+    AllOriginsAdapter,
+    CustomProxyAdapter,
+    createPublicAdapters
+} from './proxy-strategy.js';
+
+export { ResultCache, createMemoryStorage } from './result-cache.js';
+export { ADA_ASSET_ID, isAdaIdentifier, isAssetId, parseAssetId, getTokenAssetId, normalizeTokens } from './asset-id.js';
+export {
+    ADA_METADATA,
+    TOKEN_SNAPSHOT,
+    TokenRegistry,
+    getTokenUnit,
+    decodeAssetName
+} from './token-registry.js';
+export { SUPPORTED_CURRENCIES, isAdaToken, PriceFeed, PublicApiPriceFeed, StaticPriceFeed, PriceService } from './price-service.js';
+export { HANDLE_POLICY_ID, isHandle, normalizeHandle, HandleResolver, KoiosHandleResolver, MockHandleResolver } from './handle-resolver.js';
+export { aggregateTokens, dedupeStakeResults, groupResultsByWallet } from './portfolio.js';
+export { WalletStore } from './wallet-store.js';
+export {
+    CIP30_ERROR_CODES,
+    CIP30_SIGN_ERROR_CODES,
+    CIP30_SEND_ERROR_CODES,
+    WalletConnectionError,
+    WalletConnector,
+    getCip30Wallets,
+    decodeCip30Address
+} from './wallet-connector.js';
+export { CborTag, decodeCbor, encodeCbor, encodeCborHex } from './cbor.js';
+export {
+    MAINNET_PROTOCOL_PARAMETERS,
+    WITHDRAWAL_TTL,
+    getMainnetSlot,
+    calculateMinFee,
+    calculateMinOutputValue,
+    parseUtxo,
+    selectWithdrawalInput,
+    buildWithdrawalTx,
+    assembleSignedTx
+} from './transaction.js';
+export { HistoryStore, HISTORY_FORMAT, HISTORY_VERSION, createSnapshot } from './history-store.js';
+export { buildHistorySeries, analyzeSeries } from './history.js';
+export {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    EXPORT_COLUMNS,
+    createExportRows,
+    createHistoryExportRows,
+    toCsv,
+    toJsonExport
+} from './export.js';
+
+/**
+ * Create a provider registry with defaults for the current environment
+ * Without a document (Node, workers) requests go directly to the provider APIs and
+ * results are cached in memory; in the browser the stored proxy settings and local storage are used.
+ * @param {Object} options - Registry options
+ * @param {string} options.proxyMode - Proxy mode (see PROXY_MODES)
+ * @param {ProxyStrategy} options.proxyStrategy - Proxy strategy (overrides proxyMode)
+ * @param {ResultCache} options.cache - Result cache
+ * @param {TokenRegistry} options.tokenRegistry - Token metadata registry
+ * @returns {ProviderRegistry} Provider registry
+ */
+export function createRegistry(options = {}) {
+    const isBrowser = typeof document !== 'undefined';
+    const proxyMode = options.proxyMode || (isBrowser ? undefined : PROXY_MODES.DIRECT);
+    const proxyStrategy = options.proxyStrategy || new ProxyStrategy({
+        mode: proxyMode,
+        storage: isBrowser ? undefined : null
+    });
+
+    return new ProviderRegistry({
+        cache: options.cache || new ResultCache(isBrowser ? undefined : createMemoryStorage()),
+        proxyStrategy: proxyStrategy,
+        tokenRegistry: options.tokenRegistry || new TokenRegistry({
+            proxyStrategy: proxyStrategy,
+            storage: isBrowser ? undefined : null
+        })
+    });
+}
+
+/**
+ * Check rewards for one or more wallets across all (or the selected) providers
+ * @param {string|string[]} addresses - Single address or array of addresses
+ * @param {Object} options - Check options
+ * @param {string[]} options.providers - Only check these provider IDs
+ * @param {number} options.timeout - Timeout in milliseconds per provider (default: 30000)
+ * @param {boolean} options.forceRefresh - Bypass cached results
+ * @param {AbortSignal} options.signal - Signal to cancel the check
+ * @param {Function} options.onResult - Called with each result as soon as it is available
+ * @param {ProviderRegistry} options.registry - Registry to use (default: createRegistry(options))
+ * @returns {Promise<Array>} Results, one per provider and address (empty when onResult is given)
+ */
+export async function checkRewards(addresses, options = {}) {
+    const registry = options.registry || createRegistry(options);
+
+    return registry.checkAllRewards(addresses, {
+        includeProviders: options.providers || null,
+        timeout: options.timeout,
+        forceRefresh: options.forceRefresh,
+        signal: options.signal,
+        onResult: options.onResult
+    });
+}
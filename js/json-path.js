@@ -0,0 +1,126 @@
+/**
+ * JSONPath-lite
+ * Small subset of JSONPath used by declarative provider definitions:
+ *   $              the whole document
+ *   .key ['key']   object member (also [key] without quotes)
+ *   [0]            array element
+ *   .* [*]         all array elements or object values
+ * Templates fill {{name}} placeholders with request variables.
+ */
+
+const SEGMENT_PATTERN = /^(?:\.([A-Za-z_$][\w$-]*)|\.\*|\[\*\]|\[(\d+)\]|\[(?:'([^']*)'|"([^"]*)"|([^\]'"]+))\])/;
+
+/**
+ * Check whether a value is a path expression
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a string starting with $
+ */
+export function isPath(value) {
+    return typeof value === 'string' && (value === '$' || value.startsWith('$.') || value.startsWith('$['));
+}
+
+/**
+ * Parse a path expression into segments
+ * @param {string} path - Path expression (e.g. "$.data.rewards[*].amount")
+ * @returns {Array} Segments with type 'key', 'index' or 'wildcard'
+ * @throws {Error} If the path is not valid
+ */
+export function parsePath(path) {
+    if (!isPath(path)) {
+        throw new Error(`Invalid path "${path}": must start with $`);
+    }
+
+    const segments = [];
+    let rest = path.substring(1);
+
+    while (rest.length > 0) {
+        const match = rest.match(SEGMENT_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid path "${path}" at "${rest}"`);
+        }
+
+        const [segment, dotKey, index, singleQuoted, doubleQuoted, bareKey] = match;
+        if (index !== undefined) {
+            segments.push({ type: 'index', index: Number(index) });
+        } else if (segment === '.*' || segment === '[*]') {
+            segments.push({ type: 'wildcard' });
+        } else {
+            segments.push({ type: 'key', key: dotKey ?? singleQuoted ?? doubleQuoted ?? bareKey });
+        }
+
+        rest = rest.substring(segment.length);
+    }
+
+    return segments;
+}
+
+/**
+ * Get all values matching a path
+ * Missing members are skipped, so a path that does not match returns an empty array
+ * @param {*} data - Document to query
+ * @param {string} path - Path expression
+ * @returns {Array} Matching values
+ */
+export function queryPath(data, path) {
+    let current = [data];
+
+    parsePath(path).forEach(segment => {
+        const next = [];
+        current.forEach(value => {
+            if (value === null || typeof value !== 'object') return;
+
+            if (segment.type === 'wildcard') {
+                next.push(...(Array.isArray(value) ? value : Object.values(value)));
+            } else if (segment.type === 'index') {
+                if (Array.isArray(value) && segment.index < value.length) {
+                    next.push(value[segment.index]);
+                }
+            } else if (Object.prototype.hasOwnProperty.call(value, segment.key)) {
+                next.push(value[segment.key]);
+            }
+        });
+        current = next.filter(value => value !== undefined);
+    });
+
+    return current;
+}
+
+/**
+ * Get the first value matching a path
+ * @param {*} data - Document to query
+ * @param {string} path - Path expression
+ * @returns {*} First matching value or undefined
+ */
+export function getPath(data, path) {
+    return queryPath(data, path)[0];
+}
+
+/**
+ * Fill {{name}} placeholders in a template
+ * A string that is exactly one placeholder is replaced by the variable itself (keeping
+ * arrays and numbers), placeholders inside longer strings are replaced by their text.
+ * @param {*} template - Template (string, array or object)
+ * @param {Object} variables - Template variables
+ * @returns {*} Filled copy of the template
+ */
+export function fillTemplate(template, variables) {
+    if (typeof template === 'string') {
+        const exact = template.match(/^\{\{(\w+)\}\}$/);
+        if (exact) {
+            return variables[exact[1]];
+        }
+        return template.replace(/\{\{(\w+)\}\}/g, (_, name) => String(variables[name] ?? ''));
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(item => fillTemplate(item, variables));
+    }
+
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(
+            Object.entries(template).map(([key, value]) => [key, fillTemplate(value, variables)])
+        );
+    }
+
+    return template;
+}
@@ -0,0 +1,278 @@
+/**
+ * Recorded upstream responses
+ * One fixture per upstream endpoint with the bodies of the 'rewards', 'empty' and 'malformed'
+ * scenarios (see MockUpstream). Bodies are either JSON data or a function of the parsed request
+ * ({ url, method, body }) for endpoints that echo the requested addresses.
+ * Amounts are trimmed real responses; 'malformed' bodies reproduce typical upstream drift
+ * (renamed fields, changed types, failed GraphQL validation).
+ */
+
+const MIN_POLICY_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6';
+const SUNDAE_POLICY_ID = '9a9693a9a37912a5097918f97918d15240c92ab729a0b7c4aa144d77';
+const SUNDAE_POOL_POLICY_ID = 'e0302560ced2fdcbfcb2602697df970cd0d6a38f94b32703f51c312b';
+const USDM_UNIT = 'c48cbb3d5e57ed56e276bc45f99ab39abe94e6cd7ac39fb402da47ad0014df105553444d';
+
+/**
+ * Address returned for handle lookups (CIP-19 test vector)
+ */
+export const MOCK_HANDLE_ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+
+const ADA_ASSET = {
+    __typename: 'Asset',
+    currencySymbol: '',
+    tokenName: '',
+    metadata: { decimals: 6, description: 'Cardano', name: 'Cardano', ticker: 'ADA', url: 'https://cardano.org', isVerified: true },
+    marketData: null
+};
+
+const MIN_ASSET = {
+    __typename: 'Asset',
+    currencySymbol: MIN_POLICY_ID,
+    tokenName: '4d494e',
+    metadata: { decimals: 6, description: 'Minswap DEX token', name: 'Minswap', ticker: 'MIN', url: 'https://minswap.org', isVerified: true },
+    marketData: { marketCap: '21000000', volume24h: '150000', price: '0.0312', priceChange24h: '-1.8' }
+};
+
+const SUNDAE_ADA = {
+    id: 'ada.lovelace', assetId: 'ada.lovelace', policyId: '', decimals: 6,
+    ticker: 'ADA', name: 'Cardano', logo: null, assetName: ''
+};
+
+const SUNDAE_TOKEN = {
+    id: `${SUNDAE_POLICY_ID}.53554e444145`, assetId: `${SUNDAE_POLICY_ID}.53554e444145`,
+    policyId: SUNDAE_POLICY_ID, decimals: 6, ticker: 'SUNDAE', name: 'SUNDAE', logo: null, assetName: '53554e444145'
+};
+
+const SUNDAE_LP_TOKEN = {
+    id: `${SUNDAE_POOL_POLICY_ID}.0014df1002`, assetId: `${SUNDAE_POOL_POLICY_ID}.0014df1002`,
+    policyId: SUNDAE_POOL_POLICY_ID, decimals: 0, ticker: 'LP', name: 'ADA/SUNDAE LP', logo: null, assetName: '0014df1002'
+};
+
+/**
+ * Koios account_info row for a stake address
+ * @param {string} stakeAddress - Stake address
+ * @returns {Object} Account information
+ */
+function koiosAccount(stakeAddress) {
+    return {
+        stake_address: stakeAddress,
+        status: 'registered',
+        delegated_drep: 'drep_always_abstain',
+        delegated_pool: 'pool1pu5jlj4q9w9jlxeu370a3c9myx47md5j5m2str0naunn2q3lkdy',
+        total_balance: '1520345678',
+        utxo: '1500345678',
+        rewards: '45678901',
+        withdrawals: '25678901',
+        rewards_available: '20000000',
+        deposit: '2000000',
+        reserves: '0',
+        treasury: '0',
+        proposal_refund: '0'
+    };
+}
+
+export const MOCK_FIXTURES = [
+    {
+        id: 'koios-account-info',
+        match: url => url.hostname === 'api.koios.rest' && url.pathname.endsWith('/account_info'),
+        responses: {
+            rewards: ({ body }) => (body?._stake_addresses || []).map(koiosAccount),
+            empty: [],
+            malformed: ({ body }) => (body?._stake_addresses || []).map(stakeAddress => {
+                const { rewards_available, ...account } = koiosAccount(stakeAddress);
+                return { ...account, withdrawable_rewards: rewards_available };
+            })
+        }
+    },
+    {
+        id: 'koios-pool-info',
+        match: url => url.hostname === 'api.koios.rest' && url.pathname.endsWith('/pool_info'),
+        responses: {
+            rewards: ({ body }) => (body?._pool_bech32_ids || []).map(poolId => ({
+                pool_id_bech32: poolId,
+                pool_status: 'registered',
+                retiring_epoch: null,
+                margin: 0.01,
+                fixed_cost: '170000000',
+                live_saturation: 64.21,
+                meta_json: { name: 'Mock Stake Pool', ticker: 'MOCK', homepage: 'https://example.com' }
+            })),
+            empty: [],
+            malformed: ({ body }) => (body?._pool_bech32_ids || []).map(poolId => ({ pool_id: poolId, status: 'registered' }))
+        }
+    },
+    {
+        id: 'koios-drep-info',
+        match: url => url.hostname === 'api.koios.rest' && url.pathname.endsWith('/drep_info'),
+        responses: {
+            rewards: ({ body }) => (body?._drep_ids || []).map(drepId => ({
+                drep_id: drepId,
+                registered: true,
+                active: true,
+                expires_epoch_no: 620
+            })),
+            empty: [],
+            malformed: ({ body }) => (body?._drep_ids || []).map(drepId => ({ drep_id: drepId, status: 'registered' }))
+        }
+    },
+    {
+        id: 'koios-address-info',
+        match: url => url.hostname === 'api.koios.rest' && url.pathname.endsWith('/address_info'),
+        responses: {
+            rewards: ({ body }) => (body?._addresses || []).map(address => ({
+                address: address,
+                balance: '1500345678',
+                stake_address: 'stake1uyehkck0lajq8gr28t9uxnuvgcqrc6070x3k9r8048z8y5gh6ffgw',
+                script_address: false,
+                utxo_set: []
+            })),
+            empty: [],
+            malformed: ({ body }) => (body?._addresses || []).map(address => ({ address: address, stake: null }))
+        }
+    },
+    {
+        id: 'koios-asset-addresses',
+        match: url => url.hostname === 'api.koios.rest' && url.pathname.endsWith('/asset_addresses'),
+        responses: {
+            rewards: [{ payment_address: MOCK_HANDLE_ADDRESS, stake_address: null, quantity: '1' }],
+            empty: [],
+            malformed: [{ address: MOCK_HANDLE_ADDRESS, amount: '1' }]
+        }
+    },
+    {
+        id: 'minswap-graphql',
+        match: url => url.hostname === 'monorepo-mainnet-prod.minswap.org' && url.pathname === '/graphql',
+        responses: {
+            rewards: {
+                data: {
+                    portfolioMinStakingPosition: [{
+                        __typename: 'MinStakingPosition',
+                        id: 'min-staking-1',
+                        version: 'V2',
+                        amountAsset: { amount: '5000000000', asset: MIN_ASSET },
+                        duration: { duration: 'THREE_MONTHS', multiplier: 2 },
+                        endAt: '2026-12-01T00:00:00.000Z',
+                        rewardPercent: 12.4,
+                        pendingRewards: [
+                            { asset: MIN_ASSET, reward: '12500000' },
+                            { asset: ADA_ASSET, reward: '3400000' }
+                        ],
+                        stakedAssetAdaValue: '156.0',
+                        pnl24H: '-2.8'
+                    }],
+                    portfolioLiquidStakingPosition: [{
+                        __typename: 'LiquidStakingPosition',
+                        amountAsset: { amount: '1000000000', asset: MIN_ASSET },
+                        id: 'liquid-staking-1',
+                        pendingRewards: [{ reward: '1100000', asset: ADA_ASSET }],
+                        stakeAt: '2026-06-01T00:00:00.000Z',
+                        rewardPercent: 8.1,
+                        stakedAssetAdaValue: '31.2',
+                        pnl24H: '-0.5'
+                    }]
+                }
+            },
+            empty: {
+                data: { portfolioMinStakingPosition: [], portfolioLiquidStakingPosition: [] }
+            },
+            malformed: {
+                data: {
+                    portfolioMinStakingPosition: [{ id: 'min-staking-1', pendingReward: [{ asset: MIN_ASSET, amount: '12500000' }] }],
+                    portfolioLiquidStakingPosition: []
+                }
+            }
+        }
+    },
+    {
+        id: 'sundae-graphql',
+        match: url => url.hostname === 'api.sundae.fi' && url.pathname === '/graphql',
+        responses: {
+            rewards: {
+                data: {
+                    portfolio: {
+                        liquidity: [{
+                            fees: {
+                                assetA: { asset: SUNDAE_ADA, quantity: '1250000' },
+                                assetB: { asset: SUNDAE_TOKEN, quantity: '30000000' }
+                            },
+                            pool: { id: '02', assetA: SUNDAE_ADA, assetB: SUNDAE_TOKEN, version: 'V3' },
+                            quantity: { asset: SUNDAE_LP_TOKEN, quantity: '812000000' }
+                        }]
+                    }
+                }
+            },
+            empty: { data: { portfolio: null } },
+            malformed: {
+                data: null,
+                errors: [{
+                    message: 'Cannot query field "fees" on type "Liquidity".',
+                    extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+                }]
+            }
+        }
+    },
+    {
+        id: 'liqwid-rewards',
+        match: url => url.hostname === 'api.sundae-rewards.sundaeswap.finance' && url.pathname.endsWith('/liqwid/rewards'),
+        responses: {
+            rewards: ({ body }) => ({
+                rewards: Object.fromEntries((body?.addresses || []).map(address => [
+                    address,
+                    [{ amount: '1500000', epoch: 560 }, { amount: '750000', epoch: 561 }]
+                ]))
+            }),
+            empty: { rewards: {} },
+            malformed: ({ body }) => ({
+                data: (body?.addresses || []).map(address => ({ address: address, total: '2250000' }))
+            })
+        }
+    },
+    {
+        id: 'nuvola-stakes',
+        match: url => url.hostname === 'us-central1-anvil-6fe83.cloudfunctions.net' && url.pathname === '/getStakesV2',
+        responses: {
+            rewards: {
+                success: true,
+                stakes: [{
+                    id: 'stake-1',
+                    result: {
+                        total: [
+                            { unit: 'lovelace', quantity: '2500000' },
+                            { unit: USDM_UNIT, quantity: '10000000' }
+                        ]
+                    }
+                }]
+            },
+            empty: { success: true, stakes: [] },
+            malformed: {
+                success: true,
+                stakes: [{ id: 'stake-1', result: { total: [{ unit: 'lovelace', amount: 2.5 }] } }]
+            }
+        }
+    },
+    {
+        id: 'strike-stake',
+        match: url => url.hostname === 'app.strikefinance.org' && url.pathname === '/api/staking/getStake',
+        responses: {
+            rewards: { stakedAmount: 1000, rewards: 12.345678 },
+            empty: { stakedAmount: 0, rewards: 0 },
+            malformed: { staked: 1000, pendingRewards: '12.345678 ADA' }
+        }
+    },
+    {
+        id: 'coingecko-price',
+        match: url => url.hostname === 'api.coingecko.com',
+        responses: {
+            rewards: { cardano: { usd: 0.45, eur: 0.41, gbp: 0.35, jpy: 68.2 } }
+        }
+    },
+    {
+        id: 'muesliswap-price',
+        match: url => url.hostname === 'api.muesliswap.com',
+        responses: {
+            rewards: ({ url }) => ({
+                price: { [MIN_POLICY_ID]: 0.0312, [SUNDAE_POLICY_ID]: 0.0085 }[url.searchParams.get('quote-policy-id')] ?? 0
+            })
+        }
+    }
+];
@@ -0,0 +1,165 @@
+import { bech32Decode, bytesToHex, hexToBytes } from '../address.js';
+import { decodeCbor, encodeCborHex } from '../cbor.js';
+import { CIP30_ERROR_CODES, CIP30_SIGN_ERROR_CODES } from '../wallet-connector.js';
+import { MOCK_HANDLE_ADDRESS } from './fixtures.js';
+
+/**
+ * Mock CIP-30 Wallet
+ * Stands in for an injected window.cardano.<walletId> entry, for offline development and tests.
+ * Addresses are handed out as hex like real wallets do. Signing returns placeholder witnesses
+ * and submitted transactions are only recorded, nothing reaches the chain.
+ */
+
+/**
+ * Default wallet addresses (CIP-19 test vectors sharing one stake key)
+ */
+export const MOCK_WALLET_ADDRESSES = {
+    used: [
+        MOCK_HANDLE_ADDRESS,
+        'addr1z8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gten0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgs9yc0hh'
+    ],
+    change: MOCK_HANDLE_ADDRESS,
+    reward: ['stake1uyehkck0lajq8gr28t9uxnuvgcqrc6070x3k9r8048z8y5gh6ffgw']
+};
+
+/**
+ * Default UTxOs at the change address: lovelace, keyed by "txHash#index"
+ */
+export const MOCK_WALLET_UTXOS = {
+    ['11'.repeat(32) + '#0']: 5000000,
+    ['22'.repeat(32) + '#1']: 1500000
+};
+
+const MOCK_WALLET_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><circle cx="12" cy="12" r="11" fill="#667eea"/></svg>'
+);
+
+export class MockCip30Wallet {
+    /**
+     * @param {Object} options - Wallet options
+     * @param {string} options.name - Wallet name (default: 'Mock Wallet')
+     * @param {Object} options.addresses - Bech32 addresses: used (array), change and reward (array)
+     * @param {number} options.networkId - Network ID (default: 1, mainnet)
+     * @param {boolean} options.refuse - Reject enable() like a user declining access
+     * @param {boolean} options.cborAddresses - Wrap addresses in CBOR byte strings, like some older wallets
+     * @param {Object} options.utxos - Lovelace per "txHash#index" at the change address
+     * @param {boolean} options.declineSign - Reject signTx like a user declining to sign
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Mock Wallet';
+        this.icon = MOCK_WALLET_ICON;
+        this.apiVersion = '0.1.0';
+        this.addresses = { ...MOCK_WALLET_ADDRESSES, ...options.addresses };
+        this.networkId = options.networkId ?? 1;
+        this.refuse = options.refuse === true;
+        this.cborAddresses = options.cborAddresses === true;
+        this.utxos = options.utxos || MOCK_WALLET_UTXOS;
+        this.declineSign = options.declineSign === true;
+        this.enabled = false;
+        this.calls = [];
+        this.submitted = [];
+    }
+
+    /**
+     * Add the wallet to window.cardano
+     * @param {Object} target - Object holding cardano (default: globalThis)
+     * @param {string} walletId - Key in window.cardano (default: 'mock')
+     * @returns {Function} Function removing the wallet again
+     */
+    install(target = globalThis, walletId = 'mock') {
+        target.cardano = { ...target.cardano, [walletId]: this };
+        return () => {
+            delete target.cardano[walletId];
+        };
+    }
+
+    /**
+     * Check whether access was granted
+     * @returns {Promise<boolean>} Whether the wallet is enabled
+     */
+    async isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Grant access, or refuse like a user declining the prompt
+     * @returns {Promise<Object>} CIP-30 API
+     */
+    async enable() {
+        this.calls.push('enable');
+        if (this.refuse) {
+            throw { code: CIP30_ERROR_CODES.REFUSED, info: 'User declined to connect' };
+        }
+
+        this.enabled = true;
+        return this.createApi();
+    }
+
+    /**
+     * Create the CIP-30 API object returned by enable()
+     * @returns {Object} API with the address, network, UTxO, signing and submit methods
+     */
+    createApi() {
+        const call = (method, result) => async () => {
+            this.calls.push(method);
+            return result();
+        };
+
+        return {
+            getNetworkId: call('getNetworkId', () => this.networkId),
+            getUsedAddresses: call('getUsedAddresses', () => this.addresses.used.map(address => this.toHex(address))),
+            getUnusedAddresses: call('getUnusedAddresses', () => []),
+            getChangeAddress: call('getChangeAddress', () => this.toHex(this.addresses.change)),
+            getRewardAddresses: call('getRewardAddresses', () => this.addresses.reward.map(address => this.toHex(address))),
+            getUtxos: call('getUtxos', () => this.getUtxoHex()),
+            signTx: async tx => {
+                this.calls.push('signTx');
+                return this.sign(tx);
+            },
+            submitTx: async tx => {
+                this.calls.push('submitTx');
+                this.submitted.push(tx);
+                // Not a real transaction hash, the mock does not hash transactions
+                return this.submitted.length.toString(16).padStart(64, '0');
+            }
+        };
+    }
+
+    /**
+     * Encode the configured UTxOs as CIP-30 TransactionUnspentOutput hex
+     * @returns {string[]} UTxO hex strings
+     */
+    getUtxoHex() {
+        const { bytes } = bech32Decode(this.addresses.change);
+        return Object.entries(this.utxos).map(([reference, lovelace]) => {
+            const [txHash, index] = reference.split('#');
+            return encodeCborHex([[hexToBytes(txHash), Number(index)], [bytes, lovelace]]);
+        });
+    }
+
+    /**
+     * Sign a transaction with placeholder witnesses (one for the payment and one for the stake key)
+     * @param {string} tx - Transaction hex
+     * @returns {string} Witness set hex
+     * @throws {Error} If the transaction is not CBOR
+     */
+    sign(tx) {
+        if (this.declineSign) {
+            throw { code: CIP30_SIGN_ERROR_CODES.USER_DECLINED, info: 'User declined to sign' };
+        }
+
+        decodeCbor(tx); // Malformed transactions are rejected like a real wallet would
+        const witness = marker => [new Uint8Array(32).fill(marker), new Uint8Array(64).fill(marker)];
+        return encodeCborHex(new Map([[0, [witness(1), witness(2)]]]));
+    }
+
+    /**
+     * Encode a bech32 address the way the wallet returns it
+     * @param {string} address - Bech32 address
+     * @returns {string} Address bytes as hex, or CBOR byte string hex
+     */
+    toHex(address) {
+        const { bytes } = bech32Decode(address);
+        return this.cborAddresses ? encodeCborHex(bytes) : bytesToHex(bytes);
+    }
+}
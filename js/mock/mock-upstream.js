@@ -0,0 +1,195 @@
+import { MOCK_FIXTURES } from './fixtures.js';
+
+/**
+ * Mock Upstream
+ * Fetch interceptor that replays recorded responses instead of calling the provider APIs,
+ * for offline development, demos and tests. Requests sent through the public CORS proxies
+ * or a self-hosted /proxy?url= endpoint are unwrapped and answered in the proxy's format.
+ */
+
+/**
+ * Mock scenarios
+ */
+export const MOCK_SCENARIOS = {
+    REWARDS: 'rewards',             // Every provider has pending rewards
+    EMPTY: 'empty',                 // Valid responses without rewards
+    MALFORMED: 'malformed',         // Responses in a changed upstream format
+    RATE_LIMITED: 'rate-limited',   // HTTP 429 with Retry-After
+    TIMEOUT: 'timeout'              // No response until the request is aborted
+};
+
+export class MockUpstream {
+    /**
+     * @param {Object} options - Mock options
+     * @param {string} options.scenario - Default scenario (default: 'rewards')
+     * @param {Object} options.scenarios - Scenario per fixture ID, e.g. { 'minswap-graphql': 'malformed' }
+     * @param {number} options.latency - Delay before each response in milliseconds (default: 0)
+     * @param {number} options.retryAfter - Retry-After of rate limited responses in seconds (default: 1)
+     * @param {Array} options.fixtures - Fixtures (default: MOCK_FIXTURES)
+     * @throws {Error} If a scenario is unknown
+     */
+    constructor(options = {}) {
+        this.scenario = options.scenario || MOCK_SCENARIOS.REWARDS;
+        this.scenarios = options.scenarios || {};
+        this.latency = options.latency || 0;
+        this.retryAfter = options.retryAfter ?? 1;
+        this.fixtures = options.fixtures || MOCK_FIXTURES;
+        this.requests = [];
+        this.fetch = this.fetch.bind(this);
+
+        const known = Object.values(MOCK_SCENARIOS);
+        [this.scenario, ...Object.values(this.scenarios)].forEach(scenario => {
+            if (!known.includes(scenario)) {
+                throw new Error(`Unknown mock scenario: ${scenario} (expected ${known.join(', ')})`);
+            }
+        });
+    }
+
+    /**
+     * Replace the global fetch with the mock
+     * @param {Object} target - Object holding fetch (default: globalThis)
+     * @returns {Function} Function restoring the original fetch
+     */
+    install(target = globalThis) {
+        const originalFetch = target.fetch;
+        target.fetch = this.fetch;
+        return () => {
+            target.fetch = originalFetch;
+        };
+    }
+
+    /**
+     * Answer a request from the fixtures
+     * Every request is recorded in this.requests with the matched fixture ID
+     * @param {string|URL|Request} input - Request URL
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>} Recorded response
+     */
+    async fetch(input, init = {}) {
+        const { target, proxy } = unwrapProxyUrl(String(input?.url ?? input));
+        const url = new URL(target);
+        const request = {
+            url: url,
+            method: (init.method || 'GET').toUpperCase(),
+            body: parseBody(init.body)
+        };
+
+        const fixture = this.fixtures.find(candidate => candidate.match(url));
+        const scenario = (fixture && this.scenarios[fixture.id]) || this.scenario;
+        this.requests.push({ url: target, proxy, method: request.method, body: request.body, fixture: fixture?.id || null, scenario });
+
+        await delay(this.latency, init.signal);
+
+        if (!fixture) {
+            return jsonResponse({ error: `No mock fixture for ${url.origin}${url.pathname}` }, 404, 'Not Found');
+        }
+
+        if (scenario === MOCK_SCENARIOS.TIMEOUT) {
+            return await delay(Infinity, init.signal);
+        }
+
+        if (scenario === MOCK_SCENARIOS.RATE_LIMITED) {
+            return jsonResponse({ error: 'Too many requests' }, 429, 'Too Many Requests', {
+                'Retry-After': String(this.retryAfter)
+            });
+        }
+
+        const recorded = fixture.responses[scenario] ?? fixture.responses[MOCK_SCENARIOS.REWARDS];
+        const body = typeof recorded === 'function' ? recorded(request) : recorded;
+
+        // AllOrigins wraps the upstream body in a JSON envelope
+        if (proxy === 'allorigins') {
+            return jsonResponse({
+                contents: JSON.stringify(body),
+                status: { url: target, content_type: 'application/json', http_code: 200 }
+            });
+        }
+
+        return jsonResponse(body);
+    }
+
+    /**
+     * Forget the recorded requests
+     */
+    reset() {
+        this.requests = [];
+    }
+}
+
+/**
+ * Extract the upstream URL from a proxied URL
+ * @param {string} url - Requested URL
+ * @returns {{target: string, proxy: string|null}} Upstream URL and proxy ID (null for direct requests)
+ */
+export function unwrapProxyUrl(url) {
+    const prefixed = url.match(/^https:\/\/cors-anywhere\.com\/(https?:\/\/.+)$/);
+    if (prefixed) {
+        return { target: prefixed[1], proxy: 'cors-anywhere' };
+    }
+
+    // corsproxy.io, AllOrigins and self-hosted proxies pass the target as url parameter
+    const parsed = new URL(url, 'http://localhost');
+    const target = parsed.searchParams.get('url');
+    if (target && /^https?:\/\//.test(target)) {
+        const proxy = parsed.hostname === 'corsproxy.io' ? 'corsproxy-io' :
+            parsed.hostname === 'api.allorigins.win' ? 'allorigins' : 'custom';
+        return { target, proxy };
+    }
+
+    return { target: parsed.href, proxy: null };
+}
+
+/**
+ * Parse a JSON request body
+ * @param {*} body - Request body
+ * @returns {*} Parsed body, the raw body if it is not JSON, or null
+ */
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body ?? null;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+/**
+ * Create a JSON response
+ * @param {*} body - Response data
+ * @param {number} status - HTTP status (default: 200)
+ * @param {string} statusText - HTTP status text (default: 'OK')
+ * @param {Object} headers - Extra headers
+ * @returns {Response} Response
+ */
+function jsonResponse(body, status = 200, statusText = 'OK', headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        statusText,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Wait before answering, rejecting like fetch when the request is aborted
+ * @param {number} ms - Delay in milliseconds (Infinity waits for the abort)
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms, signal) {
+    if (signal?.aborted) {
+        return Promise.reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+    }
+    if (!ms) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = Number.isFinite(ms) ? setTimeout(resolve, ms) : null;
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason ?? new DOMException('The operation was aborted.', 'AbortError'));
+        }, { once: true });
+    });
+}
@@ -0,0 +1,122 @@
+import { addTokenQuantity, createTokenAmount, toQuantity } from './amount.js';
+
+/**
+ * Portfolio aggregation across wallets and providers
+ */
+
+/**
+ * Build a key that identifies the same token across providers
+ * @param {Object} token - Standardized token
+ * @returns {string} Token key (canonical asset id, or the symbol of unidentified tokens)
+ */
+function getTokenKey(token) {
+    return token.assetId || `symbol:${token.symbol}`;
+}
+
+/**
+ * Drop successful results that repeat a provider's answer for the same stake key
+ * Only providers that answer per stake key report metadata.stakeAddress; addresses sharing
+ * it belong to one account, so that provider's rewards and staked funds must only be counted
+ * once. Per-address providers are kept as they are. The first result is kept.
+ * @param {Array} results - Provider results
+ * @returns {Array} Results without stake key duplicates
+ */
+export function dedupeStakeResults(results) {
+    const seen = new Set();
+
+    return results.filter(result => {
+        const stakeAddress = result.success ? result.data?.metadata?.stakeAddress : null;
+        if (!stakeAddress) return true;
+
+        const key = `${result.providerId}:${stakeAddress}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Sum token amounts of successful results
+ * The same asset is summed across all providers and wallets; sources lists the share of
+ * each provider, largest first. Wallets sharing a stake key are counted once by stake-keyed providers.
+ * @param {Array} results - Provider results
+ * @returns {Array} Aggregated tokens sorted by symbol
+ */
+export function aggregateTokens(results) {
+    const totals = new Map();
+
+    dedupeStakeResults(results).forEach(result => {
+        if (!result.success || !result.data?.tokens) return;
+
+        result.data.tokens.forEach(token => {
+            const key = getTokenKey(token);
+            let total = totals.get(key);
+
+            if (total) {
+                addTokenQuantity(total, token.quantity);
+            } else {
+                total = {
+                    assetId: token.assetId ?? null,
+                    symbol: token.symbol,
+                    name: token.name,
+                    ...createTokenAmount(token.quantity, token.decimals),
+                    policyId: token.policyId,
+                    assetName: token.assetName,
+                    logo: token.logo ?? null,
+                    sources: []
+                };
+                totals.set(key, total);
+            }
+
+            const source = total.sources.find(entry => entry.providerId === result.providerId);
+            if (source) {
+                addTokenQuantity(source, token.quantity);
+            } else {
+                total.sources.push({
+                    providerId: result.providerId,
+                    ...createTokenAmount(token.quantity, total.decimals)
+                });
+            }
+        });
+    });
+
+    return Array.from(totals.values())
+        .filter(token => toQuantity(token.quantity) > 0n)
+        .map(token => ({
+            ...token,
+            sources: token.sources
+                .filter(source => toQuantity(source.quantity) > 0n)
+                .sort((a, b) => compareQuantities(b.quantity, a.quantity))
+        }))
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Compare two raw quantities
+ * @param {string} a - Raw quantity
+ * @param {string} b - Raw quantity
+ * @returns {number} Negative, zero or positive like Array.sort comparators
+ */
+function compareQuantities(a, b) {
+    const difference = toQuantity(a) - toQuantity(b);
+    return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+}
+
+/**
+ * Group results by wallet address, keeping the wallet order
+ * @param {Array} results - Provider results
+ * @param {string[]} addresses - Wallet addresses in display order
+ * @returns {Map<string, Array>} Results per address
+ */
+export function groupResultsByWallet(results, addresses) {
+    const groups = new Map(addresses.map(address => [address, []]));
+
+    results.forEach(result => {
+        if (!groups.has(result.address)) {
+            groups.set(result.address, []);
+        }
+        groups.get(result.address).push(result);
+    });
+
+    return groups;
+}
@@ -0,0 +1,353 @@
+import { parseTokenId } from './utils.js';
+import { ADA_ASSET_ID, isAdaIdentifier } from './asset-id.js';
+import { dedupeStakeResults } from './portfolio.js';
+
+/**
+ * Price Service
+ * Values reward tokens in ADA and in a fiat currency
+ */
+
+/**
+ * Fiat currencies offered in the currency selector
+ */
+export const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp', 'jpy', 'chf', 'cad', 'aud'];
+
+/**
+ * Check whether a token is ADA
+ * @param {Object} token - Standardized token
+ * @returns {boolean} Whether the token is ADA
+ */
+export function isAdaToken(token) {
+    if (token.assetId) return token.assetId === ADA_ASSET_ID;
+    if (isAdaIdentifier(token.policyId)) return true;
+    return !token.policyId && (token.symbol || '').toUpperCase() === 'ADA';
+}
+
+/**
+ * Build the policy ID and hex asset name of a token
+ * @param {Object} token - Standardized token
+ * @returns {Object} Object with policyId and assetName
+ */
+function getTokenUnit(token) {
+    return parseTokenId(`${token.policyId || ''}${token.assetName || ''}`);
+}
+
+/**
+ * Price Feed
+ * Defines the interface for all price feeds
+ */
+export class PriceFeed {
+    /**
+     * Get the price of 1 ADA in a fiat currency
+     * Override this method in child classes
+     * @param {string} currency - Fiat currency code (e.g. 'usd')
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getAdaPrice(currency) {
+        return null;
+    }
+
+    /**
+     * Get the price of one whole token in ADA
+     * Override this method in child classes
+     * @param {string} policyId - Token policy ID
+     * @param {string} assetName - Hex encoded asset name
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getTokenPrice(policyId, assetName) {
+        return null;
+    }
+}
+
+/**
+ * Public API Price Feed
+ * ADA prices from CoinGecko, native token prices from the MuesliSwap price API
+ */
+export class PublicApiPriceFeed extends PriceFeed {
+    constructor(config = {}) {
+        super();
+        this.adaPriceEndpoint = config.adaPriceEndpoint || 'https://api.coingecko.com/api/v3/simple/price';
+        this.tokenPriceEndpoint = config.tokenPriceEndpoint || 'https://api.muesliswap.com/price';
+    }
+
+    /**
+     * Get the price of 1 ADA in a fiat currency
+     * @param {string} currency - Fiat currency code
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getAdaPrice(currency) {
+        const result = await this.fetchJson(`${this.adaPriceEndpoint}?ids=cardano&vs_currencies=${currency}`);
+        const price = result?.cardano?.[currency];
+        return typeof price === 'number' ? price : null;
+    }
+
+    /**
+     * Get the price of one whole token in ADA
+     * @param {string} policyId - Token policy ID
+     * @param {string} assetName - Hex encoded asset name
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getTokenPrice(policyId, assetName) {
+        const query = `base-policy-id=&base-tokenname=&quote-policy-id=${policyId}&quote-tokenname=${assetName}`;
+        const result = await this.fetchJson(`${this.tokenPriceEndpoint}?${query}`);
+        const price = parseFloat(result?.price);
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+
+    /**
+     * Fetch JSON from a price API
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed response
+     */
+    async fetchJson(url) {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return await response.json();
+    }
+}
+
+/**
+ * Static Price Feed
+ * Serves fixed prices, for offline use and tests
+ */
+export class StaticPriceFeed extends PriceFeed {
+    /**
+     * @param {Object} prices - Fixed prices
+     * @param {Object} prices.ada - Map of currency code to ADA price
+     * @param {Object} prices.tokens - Map of policyId + assetName to price in ADA
+     */
+    constructor(prices = {}) {
+        super();
+        this.adaPrices = prices.ada || {};
+        this.tokenPrices = prices.tokens || {};
+    }
+
+    /**
+     * Get the fixed price of 1 ADA
+     * @param {string} currency - Fiat currency code
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getAdaPrice(currency) {
+        return this.adaPrices[currency] ?? null;
+    }
+
+    /**
+     * Get the fixed price of one whole token in ADA
+     * @param {string} policyId - Token policy ID
+     * @param {string} assetName - Hex encoded asset name
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getTokenPrice(policyId, assetName) {
+        return this.tokenPrices[`${policyId}${assetName}`] ?? null;
+    }
+}
+
+/**
+ * Price Service
+ * Prefers prices included in provider data and falls back to the price feed
+ */
+export class PriceService {
+    /**
+     * @param {Object} config - Service configuration
+     * @param {PriceFeed} config.priceFeed - Fallback price feed
+     * @param {string} config.currency - Fiat currency code (default: 'usd')
+     * @param {number} config.cacheTtl - Price cache lifetime in milliseconds (default: 5 minutes)
+     * @param {Function} config.onWarning - Receives failed price lookups, which are valued as unknown
+     */
+    constructor(config = {}) {
+        this.priceFeed = config.priceFeed || new PublicApiPriceFeed();
+        this.currency = config.currency || 'usd';
+        this.cacheTtl = config.cacheTtl ?? 5 * 60 * 1000;
+        this.onWarning = config.onWarning || null;
+        this.adaPrices = new Map();
+        this.tokenPrices = new Map();
+    }
+
+    /**
+     * Change the fiat currency
+     * @param {string} currency - Fiat currency code
+     */
+    setCurrency(currency) {
+        this.currency = currency;
+    }
+
+    /**
+     * Replace the fallback price feed and clear cached prices
+     * @param {PriceFeed} priceFeed - Price feed instance
+     */
+    setPriceFeed(priceFeed) {
+        this.priceFeed = priceFeed;
+        this.adaPrices.clear();
+        this.tokenPrices.clear();
+    }
+
+    /**
+     * Read a fresh cache entry or load and cache it
+     * Feed failures are cached as unknown prices so one broken lookup does not block the others
+     * @param {Map} cache - Price cache
+     * @param {string} key - Cache key
+     * @param {Function} load - Loader returning a price
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getCached(cache, key, load) {
+        const entry = cache.get(key);
+        if (entry && Date.now() - entry.timestamp < this.cacheTtl) {
+            return entry.price;
+        }
+
+        // Cache the pending lookup so parallel results share one request
+        const price = Promise.resolve()
+            .then(load)
+            .catch(error => {
+                this.onWarning?.(`Price lookup failed for ${key}: ${error.message}`, error);
+                return null;
+            });
+
+        cache.set(key, { price, timestamp: Date.now() });
+        return price;
+    }
+
+    /**
+     * Get the price of 1 ADA in the selected currency
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getAdaPrice() {
+        return this.getCached(this.adaPrices, this.currency, () => this.priceFeed.getAdaPrice(this.currency));
+    }
+
+    /**
+     * Get the price of one whole token in ADA
+     * @param {Object} token - Standardized token
+     * @returns {Promise<number|null>} Price or null if unknown
+     */
+    async getTokenPriceInAda(token) {
+        if (isAdaToken(token)) {
+            return 1;
+        }
+
+        // Minswap includes the market price (in ADA) with every reward asset
+        const providerPrice = token.marketData?.price;
+        if (providerPrice > 0) {
+            return providerPrice;
+        }
+
+        const { policyId, assetName } = getTokenUnit(token);
+        if (!policyId) {
+            return null;
+        }
+
+        return this.getCached(this.tokenPrices, `${policyId}${assetName}`, () =>
+            this.priceFeed.getTokenPrice(policyId, assetName)
+        );
+    }
+
+    /**
+     * Value all tokens of a standardized provider response in place
+     * Staked tokens are valued separately, so pending rewards keep their own total
+     * @param {Object} data - Standardized provider response
+     * @returns {Promise<Object>} The response with valueAda/valueFiat on tokens and totals
+     */
+    async valueResponse(data) {
+        const adaPrice = await this.getAdaPrice();
+        const pending = await this.valueTokens(data.tokens || [], adaPrice);
+
+        data.value = {
+            ...pending,
+            currency: this.currency,
+            staked: null
+        };
+
+        if (data.staked?.length) {
+            const staked = await this.valueTokens(data.staked, adaPrice);
+            data.value.staked = staked;
+            data.value.total = {
+                ada: pending.ada + staked.ada,
+                fiat: adaPrice === null ? null : pending.fiat + staked.fiat,
+                complete: pending.complete && staked.complete
+            };
+        }
+
+        return data;
+    }
+
+    /**
+     * Value tokens in place
+     * @param {Array} tokens - Standardized tokens
+     * @param {number|null} adaPrice - Price of 1 ADA in the selected currency
+     * @returns {Promise<Object>} Total value with ada, fiat and complete (false if a token has no price)
+     */
+    async valueTokens(tokens, adaPrice) {
+        let totalAda = 0;
+        let complete = true;
+
+        await Promise.all(tokens.map(async token => {
+            const price = await this.getTokenPriceInAda(token);
+            if (price === null) {
+                token.valueAda = null;
+                token.valueFiat = null;
+                complete = false;
+                return;
+            }
+
+            token.valueAda = token.amount * price;
+            token.valueFiat = adaPrice === null ? null : token.valueAda * adaPrice;
+            totalAda += token.valueAda;
+        }));
+
+        return {
+            ada: totalAda,
+            fiat: adaPrice === null ? null : totalAda * adaPrice,
+            complete: complete
+        };
+    }
+
+    /**
+     * Sum the values of valued provider results
+     * Wallets sharing a stake key are counted once by stake-keyed providers
+     * @param {Array} results - Provider results
+     * @returns {Object} Total ADA and fiat value of pending rewards, plus staked and total
+     *   (pending + staked) values
+     */
+    summarize(results) {
+        const summary = { ada: 0, fiat: 0, currency: this.currency, complete: true };
+        const staked = { ada: 0, fiat: 0, complete: true };
+
+        const add = (target, value) => {
+            target.ada += value.ada;
+            if (value.fiat === null) {
+                target.fiat = null;
+            } else if (target.fiat !== null) {
+                target.fiat += value.fiat;
+            }
+            target.complete = target.complete && value.complete;
+        };
+
+        dedupeStakeResults(results).forEach(result => {
+            if (!result.success || !(result.data?.tokens?.length || result.data?.staked?.length)) return;
+
+            const value = result.data.value;
+            if (!value || value.currency !== this.currency) {
+                summary.complete = false;
+                staked.complete = false;
+                return;
+            }
+
+            if (result.data.tokens?.length) {
+                add(summary, value);
+            }
+            if (value.staked) {
+                add(staked, value.staked);
+            }
+        });
+
+        summary.staked = staked;
+        summary.total = {
+            ada: summary.ada + staked.ada,
+            fiat: summary.fiat === null || staked.fiat === null ? null : summary.fiat + staked.fiat,
+            complete: summary.complete && staked.complete
+        };
+        return summary;
+    }
+}
@@ -1,17 +1,36 @@
-import { SundaeLiqwidProvider } from './providers/sundae-liqwid-provider.js';
 import { SundaeGeneralProvider } from './providers/sundae-general-provider.js';
 import { NuvolaDigitalProvider } from './providers/nuvola-digital-provider.js';
 import { MinswapProvider } from './providers/minswap-provider.js';
 import { CardanoStakingProvider } from './providers/cardano-staking-provider.js';
 import { StrikeFinanceProvider } from './providers/strikefinance-provider.js';
+import { DeclarativeProvider } from './providers/declarative-provider.js';
+import { PROVIDER_DEFINITIONS } from './providers/definitions.js';
+import { validateAddress } from './address.js';
+import { ResultCache } from './result-cache.js';
+import { ERROR_CATEGORIES, ProviderError, classifyError } from './errors.js';
+import { ProxyStrategy } from './proxy-strategy.js';
+import { TokenRegistry } from './token-registry.js';
 
 /**
  * Provider Registry
  * Manages all reward providers and provides a unified interface
  */
 export class ProviderRegistry {
-    constructor() {
+    /**
+     * @param {Object} options - Registry options
+     * @param {ResultCache} options.cache - Result cache (default: local storage backed cache)
+     * @param {ProxyStrategy} options.proxyStrategy - Proxy strategy shared by all providers
+     * @param {TokenRegistry} options.tokenRegistry - Token metadata shared by all providers
+     * @param {Function} options.onWarning - Passed on to the default cache and token registry
+     */
+    constructor(options = {}) {
         this.providers = new Map();
+        this.cache = options.cache || new ResultCache(undefined, { onWarning: options.onWarning });
+        this.proxyStrategy = options.proxyStrategy || new ProxyStrategy();
+        this.tokenRegistry = options.tokenRegistry || new TokenRegistry({
+            proxyStrategy: this.proxyStrategy,
+            onWarning: options.onWarning
+        });
         this.initializeProviders();
     }
 
@@ -19,8 +38,10 @@ export class ProviderRegistry {
      * Initialize all available providers
      */
     initializeProviders() {
+        // Providers that only map response fields are declared as data, see providers/definitions.js
+        this.registerDefinitions(PROVIDER_DEFINITIONS);
+
         const providers = [
-            new SundaeLiqwidProvider(),
             new SundaeGeneralProvider(),
             new NuvolaDigitalProvider(),
             new MinswapProvider(),
@@ -28,9 +49,7 @@ export class ProviderRegistry {
             new StrikeFinanceProvider()
         ];
 
-        providers.forEach(provider => {
-            this.providers.set(provider.id, provider);
-        });
+        providers.forEach(provider => this.addProvider(provider));
     }
 
     /**
@@ -52,12 +71,56 @@ export class ProviderRegistry {
 
     /**
      * Add a new provider to the registry
+     * The provider uses the registry's proxy strategy
      * @param {BaseProvider} provider - Provider instance
      */
     addProvider(provider) {
+        provider.setProxyStrategy?.(this.proxyStrategy);
+        provider.setTokenRegistry?.(this.tokenRegistry);
         this.providers.set(provider.id, provider);
     }
 
+    /**
+     * Create providers from declarative definitions and add them to the registry
+     * All definitions are validated before any provider is added
+     * @param {Object[]} definitions - Provider definitions (see DeclarativeProvider)
+     * @returns {DeclarativeProvider[]} Created providers
+     * @throws {Error} If a definition is invalid
+     */
+    registerDefinitions(definitions) {
+        const providers = definitions.map(definition => new DeclarativeProvider(definition));
+        providers.forEach(provider => this.addProvider(provider));
+        return providers;
+    }
+
+    /**
+     * Load provider definitions from a JSON document and register them
+     * The document is either an array of definitions or an object with a providers array
+     * @param {string} url - URL of the JSON document
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the request
+     * @returns {Promise<DeclarativeProvider[]>} Created providers
+     */
+    async loadDefinitions(url, options = {}) {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const definitions = await response.json();
+        return this.registerDefinitions(Array.isArray(definitions) ? definitions : definitions.providers || []);
+    }
+
+    /**
+     * Replace the proxy strategy of the registry and all providers
+     * @param {ProxyStrategy} proxyStrategy - Proxy strategy instance
+     */
+    setProxyStrategy(proxyStrategy) {
+        this.proxyStrategy = proxyStrategy;
+        this.tokenRegistry.setProxyStrategy(proxyStrategy);
+        this.getAllProviders().forEach(provider => provider.setProxyStrategy?.(proxyStrategy));
+    }
+
     /**
      * Remove a provider from the registry
      * @param {string} providerId - Provider ID
@@ -69,12 +132,17 @@ export class ProviderRegistry {
 
     /**
      * Check rewards across all providers for given addresses
+     * Every wallet gets its own result per provider: providers that support batching are
+     * queried once for all wallets, the others once per wallet.
      * @param {string|string[]} addresses - Single address or array of addresses
      * @param {Object} options - Options for checking rewards
      * @param {string[]} options.includeProviders - Only check these provider IDs
      * @param {string[]} options.excludeProviders - Skip these provider IDs
      * @param {number} options.timeout - Timeout in milliseconds per provider
+     * @param {boolean} options.forceRefresh - Bypass cached results
+     * @param {AbortSignal} options.signal - Signal to cancel the whole check
      * @param {Function} options.onResult - Callback function called when each provider completes
+     *   In streaming mode, stale cached results are delivered first and again once refreshed
      * @returns {Promise<Array>} Array of results from all providers
      */
     async checkAllRewards(addresses, options = {}) {
@@ -82,18 +150,22 @@ export class ProviderRegistry {
             includeProviders = null,
             excludeProviders = [],
             timeout = 30000,
+            forceRefresh = false,
+            signal = null,
             onResult = null
         } = options;
 
         const providers = this.getFilteredProviders(includeProviders, excludeProviders);
+        const tasks = this.createTasks(providers, addresses);
+        const checkOptions = { forceRefresh, signal };
 
         // If we have a callback, use streaming mode
         if (onResult && typeof onResult === 'function') {
-            return this.checkRewardsStreaming(addresses, providers, timeout, onResult);
+            return this.checkRewardsStreaming(tasks, timeout, onResult, checkOptions);
         }
 
         // Non-streaming mode - wait for all results
-        return this.checkRewardsBatch(addresses, providers, timeout);
+        return this.checkRewardsBatch(tasks, timeout, checkOptions);
     }
 
     /**
@@ -112,68 +184,97 @@ export class ProviderRegistry {
     }
 
     /**
-     * Check rewards in streaming mode with immediate results
-     * @param {string|string[]} addresses - Wallet addresses
+     * Split the work into provider requests
      * @param {Array} providers - Provider instances
+     * @param {string|string[]} addresses - Wallet addresses
+     * @returns {Array} Tasks with a provider and the addresses of one request
+     */
+    createTasks(providers, addresses) {
+        const addressArray = Array.isArray(addresses) ? addresses : [addresses];
+        const tasks = [];
+
+        providers.forEach(provider => {
+            if (provider.supportsBatch) {
+                tasks.push({ provider, addresses: addressArray });
+            } else {
+                addressArray.forEach(address => tasks.push({ provider, addresses: [address] }));
+            }
+        });
+
+        return tasks;
+    }
+
+    /**
+     * Build failed results for every address of a task
+     * @param {Object} task - Provider task
+     * @param {Error} error - Error that occurred
+     * @returns {Array} Failed results with the error category and whether retrying makes sense
+     */
+    createFailedResults(task, error) {
+        const classified = classifyError(error);
+        return task.addresses.map(address => ({
+            providerId: task.provider.id,
+            address: address,
+            success: false,
+            error: classified.message,
+            errorCategory: classified.category,
+            errorPath: classified.path || null,
+            retryable: classified.retryable
+        }));
+    }
+
+    /**
+     * Check rewards in streaming mode with immediate results
+     * Nothing is delivered after the check has been cancelled
+     * @param {Array} tasks - Provider tasks
      * @param {number} timeout - Timeout per provider
      * @param {Function} onResult - Result callback
-     * @returns {Promise<Array>} Empty array (results sent via callback)
+     * @param {Object} options - Check options with forceRefresh and signal
+     * @returns {Promise<Array>} Empty array once all providers completed (results sent via callback)
      */
-    async checkRewardsStreaming(addresses, providers, timeout, onResult) {
+    async checkRewardsStreaming(tasks, timeout, onResult, options = {}) {
+        const { signal = null } = options;
         const failedResults = [];
-        let completedCount = 0;
-        const totalProviders = providers.length;
+        const deliver = result => {
+            if (!signal?.aborted) {
+                onResult(result);
+            }
+        };
 
-        providers.forEach(async (provider) => {
+        await Promise.all(tasks.map(async (task) => {
             try {
-                const result = await this.checkSingleProvider(provider, addresses, timeout);
-                onResult(result);
-                
-                completedCount++;
-                if (completedCount === totalProviders) {
-                    failedResults.forEach(onResult);
-                }
+                const results = await this.checkSingleProvider(task.provider, task.addresses, timeout, {
+                    ...options,
+                    onRefresh: refreshed => refreshed.forEach(deliver)
+                });
+                results.forEach(deliver);
             } catch (error) {
-                const resultData = {
-                    providerId: provider.id,
-                    success: false,
-                    error: error.message
-                };
-
-                failedResults.push(resultData);
-                completedCount++;
-                
-                if (completedCount === totalProviders) {
-                    failedResults.forEach(onResult);
-                }
+                failedResults.push(...this.createFailedResults(task, error));
             }
-        });
+        }));
 
+        failedResults.forEach(deliver);
         return [];
     }
 
     /**
      * Check rewards in batch mode waiting for all results
-     * @param {string|string[]} addresses - Wallet addresses
-     * @param {Array} providers - Provider instances
+     * @param {Array} tasks - Provider tasks
      * @param {number} timeout - Timeout per provider
+     * @param {Object} options - Check options with forceRefresh and signal
      * @returns {Promise<Array>} All results
      */
-    async checkRewardsBatch(addresses, providers, timeout) {
-        const promises = providers.map(provider => 
-            this.checkSingleProvider(provider, addresses, timeout)
+    async checkRewardsBatch(tasks, timeout, options = {}) {
+        const promises = tasks.map(task => 
+            this.checkSingleProvider(task.provider, task.addresses, timeout, options)
         );
 
         const allResults = await Promise.allSettled(promises);
-        const results = allResults.map((result, index) => {
+        const results = allResults.flatMap((result, index) => {
             if (result.status === 'fulfilled') {
                 return result.value;
             }
-            return {
-                providerId: providers[index].id,
-                success: false,
-                error: result.reason?.message || 'Unknown error'
-            };
+            return this.createFailedResults(tasks[index], result.reason);
         });
 
         // Sort successful results first, then failed results
@@ -181,25 +282,125 @@ export class ProviderRegistry {
     }
 
     /**
-     * Check rewards for a single provider with timeout
+     * Check rewards for a single provider, served from the cache when possible
+     * Fresh cache entries (younger than the provider's cacheTtl) are returned as is.
+     * Stale entries are returned immediately and refreshed in the background when
+     * an onRefresh callback is given, otherwise they are refetched.
      * @param {BaseProvider} provider - Provider instance
-     * @param {string|string[]} addresses - Wallet addresses
+     * @param {string[]} addresses - Wallet addresses of one request
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} options - Check options
+     * @param {boolean} options.forceRefresh - Bypass cached results
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @param {Function} options.onRefresh - Called with refreshed results after a stale cache hit
+     * @returns {Promise<Array>} Provider results, one per address
+     */
+    async checkSingleProvider(provider, addresses, timeout, options = {}) {
+        const { forceRefresh = false, signal = null, onRefresh = null } = options;
+        const cached = forceRefresh ? null : this.cache.get(provider.id, addresses);
+
+        if (cached) {
+            const isFresh = Date.now() - cached.timestamp < provider.cacheTtl;
+            if (isFresh || onRefresh) {
+                const results = this.createResults(provider, addresses, cached.responses, cached.timestamp, true);
+                if (!isFresh) {
+                    this.refreshProvider(provider, addresses, timeout, signal, results, onRefresh);
+                    return results.map(result => ({ ...result, refreshing: true }));
+                }
+                return results;
+            }
+        }
+
+        return this.fetchProvider(provider, addresses, timeout, signal);
+    }
+
+    /**
+     * Refresh stale cached results in the background
+     * If the refresh fails, the stale results are delivered again with the refresh error
+     * @param {BaseProvider} provider - Provider instance
+     * @param {string[]} addresses - Wallet addresses of one request
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {AbortSignal|null} signal - Signal to cancel the request
+     * @param {Array} staleResults - Results served from the cache
+     * @param {Function} onRefresh - Called with the refreshed results
+     */
+    async refreshProvider(provider, addresses, timeout, signal, staleResults, onRefresh) {
+        try {
+            onRefresh(await this.fetchProvider(provider, addresses, timeout, signal));
+        } catch (error) {
+            onRefresh(staleResults.map(result => ({ ...result, refreshError: error.message })));
+        }
+    }
+
+    /**
+     * Fetch rewards for a single provider with timeout and cache the responses
+     * The provider's requests are aborted on timeout or when the parent signal is aborted
+     * @param {BaseProvider} provider - Provider instance
+     * @param {string[]} addresses - Wallet addresses of one request
      * @param {number} timeout - Timeout in milliseconds
-     * @returns {Promise<Object>} Provider result
+     * @param {AbortSignal|null} signal - Signal to cancel the request
+     * @returns {Promise<Array>} Provider results, one per address
      */
-    async checkSingleProvider(provider, addresses, timeout) {
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timeout')), timeout);
+    async fetchProvider(provider, addresses, timeout, signal = null) {
+        const controller = new AbortController();
+        const abortFromParent = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                abortFromParent();
+            } else {
+                signal.addEventListener('abort', abortFromParent, { once: true });
+            }
+        }
+
+        const timer = setTimeout(() => controller.abort(
+            new ProviderError('Request timeout', { category: ERROR_CATEGORIES.TIMEOUT })
+        ), timeout);
+
+        // Settle as soon as the request is aborted, even if a provider ignores the signal
+        const abortPromise = new Promise((_, reject) => {
+            const rejectWithReason = () => reject(controller.signal.reason);
+            if (controller.signal.aborted) {
+                rejectWithReason();
+            } else {
+                controller.signal.addEventListener('abort', rejectWithReason, { once: true });
+            }
         });
 
-        const rewardPromise = provider.checkRewards(addresses);
-        const result = await Promise.race([rewardPromise, timeoutPromise]);
+        try {
+            const requestOptions = { signal: controller.signal };
+            const rewardPromise = addresses.length > 1
+                ? provider.checkRewardsBatch(addresses, requestOptions)
+                : provider.checkRewards(addresses, requestOptions).then(data => [data]);
+            const responses = await Promise.race([rewardPromise, abortPromise]);
+            const entry = this.cache.set(provider.id, addresses, responses);
 
-        return {
+            return this.createResults(provider, addresses, responses, entry.timestamp, false);
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abortFromParent);
+            }
+        }
+    }
+
+    /**
+     * Build successful results from standardized responses
+     * @param {BaseProvider} provider - Provider instance
+     * @param {string[]} addresses - Wallet addresses of one request
+     * @param {Object[]} responses - Standardized responses in address order
+     * @param {number} updatedAt - Time the responses were fetched
+     * @param {boolean} fromCache - Whether the responses come from the cache
+     * @returns {Array} Provider results, one per address
+     */
+    createResults(provider, addresses, responses, updatedAt, fromCache) {
+        return responses.map((data, index) => ({
             providerId: provider.id,
+            address: addresses[index],
             success: true,
-            data: result
-        };
+            data: data,
+            updatedAt: updatedAt,
+            fromCache: fromCache
+        }));
     }
 
     /**
@@ -210,18 +411,20 @@ export class ProviderRegistry {
     validateAddresses(addresses) {
         const addressArray = Array.isArray(addresses) ? addresses : [addresses];
         const invalid = [];
+        const reasons = {};
 
         addressArray.forEach(address => {
-            // Use first provider's validation method (they should all be the same)
-            const firstProvider = this.getAllProviders()[0];
-            if (firstProvider && !firstProvider.isValidAddress(address)) {
+            const validation = validateAddress(address);
+            if (!validation.valid) {
                 invalid.push(address);
+                reasons[address] = validation.reason;
             }
         });
 
         return {
             valid: invalid.length === 0,
             invalidAddresses: invalid,
+            reasons: reasons,
             validCount: addressArray.length - invalid.length,
             totalCount: addressArray.length
         };
@@ -1,4 +1,10 @@
-import { isValidAddress, CORS_PROXIES } from '../utils.js';
+import { isValidAddress } from '../utils.js';
+import { ERROR_CATEGORIES, ProviderError, classifyError } from '../errors.js';
+import { withRetry } from '../retry.js';
+import { getGraphQLErrors, validateSchema } from '../schema.js';
+import { ProxyStrategy } from '../proxy-strategy.js';
+import { TokenRegistry } from '../token-registry.js';
+import { normalizeTokens } from '../asset-id.js';
 
 /**
  * Base Provider Class
@@ -14,102 +20,217 @@ export class BaseProvider {
         this.method = config.method || 'POST';
         this.headers = config.headers || {};
         this.platformUrl = config.platformUrl || null;
+        this.supportsBatch = config.supportsBatch === true; // API accepts several addresses per request
+        this.cacheTtl = config.cacheTtl ?? 5 * 60 * 1000; // Cached results stay fresh for 5 minutes
+        this.retry = config.retry || {}; // Overrides of DEFAULT_RETRY_POLICY (maxAttempts, baseDelay, maxDelay, jitter)
+        this.responseSchema = config.responseSchema || null; // Expected response shape, see schema.js
+        this.proxyStrategy = config.proxyStrategy || new ProxyStrategy(); // Replaced by the registry's shared strategy
+        this.tokenRegistry = config.tokenRegistry || new TokenRegistry({ proxyStrategy: this.proxyStrategy }); // Same
     }
 
     /**
-     * Get the endpoint URL, with CORS proxy if enabled
-     * @returns {string} Final endpoint URL
+     * Get the endpoint URL
+     * Proxying is applied per request by the proxy strategy
+     * @returns {string} Endpoint URL
      */
     get endpoint() {
-        return this.buildUrl(this.originalEndpoint, this.method);
+        return this.originalEndpoint;
     }
 
     /**
-     * Build URL with CORS proxy if enabled
-     * @param {string} url - Original URL
-     * @param {string} method - HTTP method (GET, POST, etc.)
-     * @returns {string} Final URL with or without CORS proxy
+     * Standard method to check rewards for wallet addresses
+     * @param {string|string[]} addresses - Single address or array of addresses
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the underlying requests
+     * @returns {Promise<Object>} Standardized reward response
      */
-    buildUrl(url, method = 'GET') {
-        if (this.useCorsProxy && url) {
-            // For POST requests through allorigins, we need to use a different approach
-            // allorigins.win expects the URL as a query parameter for GET requests
-            if (method === 'GET') {
-                return `${CORS_PROXIES.ALLORIGINS}${url}`;
-            } else {
-                // For POST requests, we'll use the raw proxy approach
-                // Note: This might need adjustment based on the specific CORS proxy service
-                return `${CORS_PROXIES.ALLORIGINS}${url}`;
-            }
+    async checkRewards(addresses, options = {}) {
+        try {
+            const addressArray = Array.isArray(addresses) ? addresses : [addresses];
+            this.assertValidAddresses(addressArray);
+            const response = await this.makeRequest(addressArray, options);
+            this.validateResponse(response);
+            return await this.resolveTokens(this.formatCheckedResponse(response), options);
+        } catch (error) {
+            throw classifyError(error, { provider: this.name, viaProxy: this.useCorsProxy });
         }
-        return url;
     }
 
     /**
-     * Standard method to check rewards for wallet addresses
-     * @param {string|string[]} addresses - Single address or array of addresses
-     * @returns {Promise<Object>} Standardized reward response
+     * Check rewards for several wallets with a single request
+     * Only used for providers with supportsBatch enabled
+     * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the underlying requests
+     * @returns {Promise<Object[]>} Standardized reward responses in address order
      */
-    async checkRewards(addresses) {
+    async checkRewardsBatch(addresses, options = {}) {
         try {
-            const addressArray = Array.isArray(addresses) ? addresses : [addresses];
-            const response = await this.makeRequest(addressArray);
-            return this.formatResponse(response);
+            this.assertValidAddresses(addresses);
+            const response = await this.makeRequest(addresses, options);
+            this.validateResponse(response);
+            return await Promise.all(addresses.map(address =>
+                this.resolveTokens(this.formatCheckedResponse(this.selectAddressResponse(response, address)), options)
+            ));
         } catch (error) {
-            throw new Error(`${this.name}: ${error.message}`);
+            throw classifyError(error, { provider: this.name, viaProxy: this.useCorsProxy });
+        }
+    }
+
+    /**
+     * Reject addresses this provider cannot check
+     * @param {string[]} addresses - Array of wallet addresses
+     * @throws {ProviderError} Invalid address error
+     */
+    assertValidAddresses(addresses) {
+        const invalid = addresses.find(address => !this.isValidAddress(address));
+        if (invalid !== undefined) {
+            throw new ProviderError(`Invalid Cardano address: ${invalid}`, {
+                category: ERROR_CATEGORIES.INVALID_ADDRESS
+            });
         }
     }
 
+    /**
+     * Validate a raw response before it is formatted
+     * A response that does not match the schema must not be shown as "no rewards", so
+     * mismatches are reported as schema errors carrying the offending path
+     * @param {*} response - Raw API response
+     * @param {Object} schema - Response schema (default: the provider's responseSchema)
+     * @throws {ProviderError} Upstream error for GraphQL errors, schema error for mismatches
+     */
+    validateResponse(response, schema = this.responseSchema) {
+        const graphQLErrors = getGraphQLErrors(response);
+        if (graphQLErrors) {
+            const message = graphQLErrors.map(error => error.message || 'Unknown error').join('; ');
+            // Queries for fields that no longer exist fail validation on the server
+            const isValidationError = graphQLErrors.some(error =>
+                error.extensions?.code === 'GRAPHQL_VALIDATION_FAILED' || /Cannot query field/.test(error.message)
+            );
+            throw new ProviderError(`GraphQL error: ${message}`, {
+                category: isValidationError ? ERROR_CATEGORIES.SCHEMA : ERROR_CATEGORIES.UPSTREAM
+            });
+        }
+
+        const issues = validateSchema(response, schema);
+        if (issues.length > 0) {
+            const [{ path, message }] = issues;
+            const error = new ProviderError(`Upstream format changed at ${path}: ${message}`, {
+                category: ERROR_CATEGORIES.SCHEMA
+            });
+            throw Object.assign(error, { path, issues });
+        }
+    }
+
+    /**
+     * Format a raw response, treating formatting failures as an upstream format change
+     * Token identities, including staked tokens and those of positions, are normalized to
+     * canonical asset ids (see asset-id.js)
+     * @param {Object} response - Raw API response
+     * @returns {Object} Standardized response format
+     * @throws {ProviderError} Schema error if the response has an unexpected shape
+     */
+    formatCheckedResponse(response) {
+        try {
+            const formatted = this.formatResponse(response);
+            const normalized = { ...formatted, tokens: normalizeTokens(formatted.tokens || []) };
+            if (formatted.staked) {
+                normalized.staked = normalizeTokens(formatted.staked);
+            }
+            if (formatted.positions) {
+                normalized.positions = formatted.positions.map(position => ({
+                    ...position,
+                    staked: position.staked ? normalizeTokens([position.staked])[0] : null,
+                    rewards: normalizeTokens(position.rewards || [])
+                }));
+            }
+            return normalized;
+        } catch (error) {
+            throw new ProviderError(`Unexpected response format (${error.message})`, {
+                category: ERROR_CATEGORIES.SCHEMA,
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Apply token registry metadata to the tokens of a formatted response
+     * The registry is the single source of tickers, names and decimals, so the same token
+     * is displayed identically by every provider
+     * @param {Object} formatted - Standardized response
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Object>} Standardized response with token metadata
+     */
+    async resolveTokens(formatted, options = {}) {
+        const resolved = {
+            ...formatted,
+            tokens: await this.tokenRegistry.resolveTokens(formatted.tokens || [], options)
+        };
+        if (formatted.staked) {
+            resolved.staked = await this.tokenRegistry.resolveTokens(formatted.staked, options);
+        }
+        if (formatted.positions) {
+            // Lookups are cached by the registry, so tokens shared with the totals cost nothing extra
+            resolved.positions = await Promise.all(formatted.positions.map(async position => {
+                const [staked, rewards] = await Promise.all([
+                    position.staked ? this.tokenRegistry.resolveTokens([position.staked], options) : [null],
+                    this.tokenRegistry.resolveTokens(position.rewards, options)
+                ]);
+                return { ...position, staked: staked[0], rewards };
+            }));
+        }
+        return resolved;
+    }
+
+    /**
+     * Extract the part of a batch response that belongs to one address
+     * Override this method in child classes that support batching
+     * @param {Object} response - Raw API response for all addresses
+     * @param {string} address - Wallet address
+     * @returns {Object} Raw API response for the address
+     */
+    selectAddressResponse(response, address) {
+        return response;
+    }
+
     /**
      * Make HTTP request to the provider's API
      * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the request
      * @returns {Promise<Object>} Raw API response
      */
-    async makeRequest(addresses) {
+    async makeRequest(addresses, options = {}) {
         const requestBody = this.buildRequest(addresses);
         return await this.makeHttpRequest(this.endpoint, {
             method: this.method,
             headers: this.headers,
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
     }
 
     /**
-     * Make HTTP request with common error handling and proxy response parsing
-     * @param {string} url - Request URL
-     * @param {Object} options - Fetch options
+     * Make HTTP request through the proxy strategy with common error handling
+     * Retryable failures (network, proxy, rate limits, server errors) are retried
+     * according to the provider's retry policy
+     * @param {string} url - Original request URL
+     * @param {Object} options - Fetch options (including an optional abort signal)
      * @returns {Promise<Object>} Parsed response data
+     * @throws {ProviderError} Classified error after the last attempt
      */
     async makeHttpRequest(url, options = {}) {
         const defaultOptions = {
             mode: 'cors',
             ...options
         };
+        const context = { providerId: this.id, useProxy: this.useCorsProxy };
 
-        const response = await fetch(url, defaultOptions);
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        return await this.parseProxyResponse(response);
-    }
-
-    /**
-     * Parse response from CORS proxy if needed
-     * @param {Object} response - Raw response from fetch
-     * @returns {Object} Parsed response data
-     */
-    async parseProxyResponse(response) {
-        const result = await response.json();
-        
-        // Handle allorigins.win response format
-        if (this.useCorsProxy && result.contents !== undefined) {
-            // allorigins.win wraps the response in a 'contents' field
-            return typeof result.contents === 'string' ? JSON.parse(result.contents) : result.contents;
-        }
-        
-        return result;
+        return withRetry(
+            () => this.proxyStrategy.request(url, defaultOptions, context),
+            this.retry,
+            { signal: options.signal, viaProxy: this.useCorsProxy }
+        );
     }
 
     /**
@@ -124,7 +245,10 @@ export class BaseProvider {
 
     /**
      * Format the provider's response into a standard format
-     * Override this method in child classes
+     * Override this method in child classes. Providers that report the principal behind the rewards
+     * return it as staked (tokens). Providers that know the individual stakes, locks or pools
+     * behind their totals also return positions: [{ id, type, name, staked (token or null),
+     * startAt, endAt (ISO dates or null), rewardPercent (APR or null), rewards (tokens) }]
      * @param {Object} response - Raw API response
      * @returns {Object} Standardized response format
      */
@@ -149,15 +273,17 @@ export class BaseProvider {
     /**
      * Make HTTP GET request with query parameters
      * @param {string} queryParams - Query parameters string
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the request
      * @returns {Promise<Object>} Raw API response
      */
-    async makeGetRequest(queryParams = '') {
+    async makeGetRequest(queryParams = '', options = {}) {
         const fullUrl = queryParams ? `${this.originalEndpoint}?${queryParams}` : this.originalEndpoint;
-        const finalUrl = this.buildUrl(fullUrl, 'GET');
         
-        return await this.makeHttpRequest(finalUrl, {
+        return await this.makeHttpRequest(fullUrl, {
             method: 'GET',
-            headers: this.headers
+            headers: this.headers,
+            signal: options.signal
         });
     }
 
@@ -165,16 +291,18 @@ export class BaseProvider {
      * Make HTTP POST request to a specific endpoint path
      * @param {string} path - Endpoint path to append to base URL
      * @param {Object} body - Request body
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the request
      * @returns {Promise<Object>} Raw API response
      */
-    async makePostRequest(path, body) {
+    async makePostRequest(path, body, options = {}) {
         const fullUrl = `${this.originalEndpoint}/${path}`;
-        const finalUrl = this.buildUrl(fullUrl, 'POST');
         
-        return await this.makeHttpRequest(finalUrl, {
+        return await this.makeHttpRequest(fullUrl, {
             method: 'POST',
             headers: this.headers,
-            body: JSON.stringify(body)
+            body: JSON.stringify(body),
+            signal: options.signal
         });
     }
 
@@ -185,4 +313,20 @@ export class BaseProvider {
     setCorsProxy(useCorsProxy) {
         this.useCorsProxy = useCorsProxy;
     }
+
+    /**
+     * Set the proxy strategy used for requests
+     * @param {ProxyStrategy} proxyStrategy - Proxy strategy instance
+     */
+    setProxyStrategy(proxyStrategy) {
+        this.proxyStrategy = proxyStrategy;
+    }
+
+    /**
+     * Set the token registry used to name tokens
+     * @param {TokenRegistry} tokenRegistry - Token registry instance
+     */
+    setTokenRegistry(tokenRegistry) {
+        this.tokenRegistry = tokenRegistry;
+    }
 }
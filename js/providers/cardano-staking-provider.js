@@ -1,4 +1,91 @@
 import { BaseProvider } from './base-provider.js';
+import { parseAddress, getStakeAddress, ADDRESS_TYPES } from '../address.js';
+import { createTokenAmount, quantityToNumber, toQuantity } from '../amount.js';
+import { classifyError } from '../errors.js';
+
+/**
+ * Koios account_info fields read by formatResponse
+ */
+const ACCOUNT_INFO_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['stake_address', 'status', 'rewards_available', 'rewards', 'withdrawals', 'delegated_pool'],
+        properties: {
+            stake_address: { type: 'string' },
+            status: { type: 'string' },
+            rewards_available: { type: 'numeric' },
+            rewards: { type: 'numeric' },
+            withdrawals: { type: 'numeric' },
+            delegated_pool: { type: 'string', nullable: true },
+            utxo: { type: 'numeric', nullable: true }
+        }
+    }
+};
+
+/**
+ * Koios address_info fields used to resolve pointer addresses
+ */
+const ADDRESS_INFO_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['stake_address'],
+        properties: {
+            stake_address: { type: 'string', nullable: true }
+        }
+    }
+};
+
+/**
+ * Koios pool_info fields read for the delegation panel
+ */
+const POOL_INFO_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['pool_id_bech32', 'pool_status'],
+        properties: {
+            pool_id_bech32: { type: 'string' },
+            pool_status: { type: 'string' },
+            retiring_epoch: { type: 'integer', nullable: true },
+            margin: { type: 'numeric', nullable: true },
+            fixed_cost: { type: 'numeric', nullable: true },
+            live_saturation: { type: 'numeric', nullable: true },
+            meta_json: { type: 'object', nullable: true }
+        }
+    }
+};
+
+/**
+ * Koios drep_info fields read for the delegation panel
+ */
+const DREP_INFO_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['drep_id', 'registered'],
+        properties: {
+            drep_id: { type: 'string' },
+            registered: { type: 'boolean' },
+            active: { type: 'boolean', nullable: true },
+            expires_epoch_no: { type: 'integer', nullable: true }
+        }
+    }
+};
+
+/**
+ * Live saturation (percent of the saturation point) above which a pool pays less per ADA
+ */
+const SATURATION_LIMIT = 100;
+
+/**
+ * Delegation targets that are not registered DReps
+ */
+const PREDEFINED_DREPS = {
+    drep_always_abstain: 'always-abstain',
+    drep_always_no_confidence: 'always-no-confidence'
+};
 
 /**
  * Cardano Staking Rewards Provider
@@ -14,7 +101,10 @@ export class CardanoStakingProvider extends BaseProvider {
             endpoint: 'https://api.koios.rest/api/v1',
             method: 'POST',
             useCorsProxy: true,
+            cacheTtl: 30 * 60 * 1000, // Staking rewards only change once per epoch
+            retry: { maxAttempts: 4, baseDelay: 1000 }, // Koios' public tier rate limits bursts
             platformUrl: 'https://cardano.org',
+            responseSchema: ACCOUNT_INFO_SCHEMA,
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json',
@@ -27,53 +117,98 @@ export class CardanoStakingProvider extends BaseProvider {
     /**
      * Check rewards for Cardano addresses
      * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the underlying requests
      * @returns {Promise<Object>} Standardized reward response
      */
-    async checkRewards(addresses) {
+    async checkRewards(addresses, options = {}) {
         try {
+            // Queried once per wallet by the registry
             const address = Array.isArray(addresses) ? addresses[0] : addresses;
             
-            // Get address information including stake address
-            const addressInfo = await this.getAddressInfo(address);
-            if (!addressInfo || addressInfo.length === 0 || !addressInfo[0].stake_address) {
-                return this.formatResponse({ account: null });
+            const stakeAddress = await this.resolveStakeAddress(address, options);
+            if (!stakeAddress) {
+                return await this.resolveTokens(this.formatCheckedResponse({ account: null }), options);
             }
-
-            const stakeAddress = addressInfo[0].stake_address;
             
             // Get account information (includes rewards data)
-            const accountInfo = await this.getAccountInfo(stakeAddress);
+            const accountInfo = await this.getAccountInfo(stakeAddress, options);
+            this.validateResponse(accountInfo);
+            const account = accountInfo && accountInfo.length > 0 ? accountInfo[0] : null;
+
+            // Pool and DRep details for the delegation panel
+            const drepId = account?.delegated_drep;
+            const notLooked = { info: null, error: null };
+            const [pool, drep] = await Promise.all([
+                account?.delegated_pool ?
+                    this.getDelegationInfo('pool_info', { _pool_bech32_ids: [account.delegated_pool] }, POOL_INFO_SCHEMA, options) :
+                    notLooked,
+                drepId && !PREDEFINED_DREPS[drepId] ?
+                    this.getDelegationInfo('drep_info', { _drep_ids: [drepId] }, DREP_INFO_SCHEMA, options) :
+                    notLooked
+            ]);
             
-            return this.formatResponse({
-                account: accountInfo && accountInfo.length > 0 ? accountInfo[0] : null,
-                stakeAddress: stakeAddress
-            });
+            return await this.resolveTokens(this.formatCheckedResponse({
+                account: account,
+                stakeAddress: stakeAddress,
+                pool: pool.info,
+                drep: drep.info,
+                lookupErrors: { pool: pool.error, drep: drep.error }
+            }), options);
         } catch (error) {
-            throw new Error(`${this.name}: ${error.message}`);
+            throw classifyError(error, { provider: this.name, viaProxy: this.useCorsProxy });
         }
     }
 
     /**
-     * Get address information including stake address
+     * Resolve the stake address for a wallet address
+     * Base and reward addresses carry the stake credential, so they are derived locally.
+     * Pointer addresses fall back to a Koios address_info lookup.
+     * @param {string} address - Payment or stake address
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<string|null>} Stake address or null if the address has none
+     */
+    async resolveStakeAddress(address, options = {}) {
+        const parsed = parseAddress(address);
+        if (parsed.error) {
+            return null;
+        }
+
+        if (parsed.type !== ADDRESS_TYPES.POINTER) {
+            return getStakeAddress(parsed);
+        }
+
+        const addressInfo = await this.getAddressInfo(address, options);
+        this.validateResponse(addressInfo, ADDRESS_INFO_SCHEMA);
+        if (!addressInfo || addressInfo.length === 0) {
+            return null;
+        }
+        return addressInfo[0].stake_address || null;
+    }
+
+    /**
+     * Get address information including stake address (used for pointer addresses)
      * @param {string} address - Payment address
+     * @param {Object} options - Request options with an optional abort signal
      * @returns {Promise<Array>} Address information array
      */
-    async getAddressInfo(address) {
+    async getAddressInfo(address, options = {}) {
         return await this.makePostRequest('address_info', {
             _addresses: [address]
-        });
+        }, options);
     }
 
     /**
      * Get account information for stake address
      * @param {string} stakeAddress - Stake address
+     * @param {Object} options - Request options with an optional abort signal
      * @returns {Promise<Array>} Account information array
      */
-    async getAccountInfo(stakeAddress) {
+    async getAccountInfo(stakeAddress, options = {}) {
         try {
             return await this.makePostRequest('account_info', {
                 _stake_addresses: [stakeAddress]
-            });
+            }, options);
         } catch (error) {
             if (error.message.includes('404')) {
                 return [];
@@ -82,37 +217,179 @@ export class CardanoStakingProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Look up pool or DRep details
+     * They only add context to the rewards, so a failed lookup is reported with the
+     * delegation instead of failing the check
+     * @param {string} path - Koios endpoint (pool_info or drep_info)
+     * @param {Object} body - Request body
+     * @param {Object} schema - Expected response shape
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Object>} Object with info (first row, or null if unknown or the lookup
+     *   failed) and error (message of the failed lookup, or null)
+     */
+    async getDelegationInfo(path, body, schema, options = {}) {
+        try {
+            const info = await this.makePostRequest(path, body, options);
+            this.validateResponse(info, schema);
+            return { info: info && info.length > 0 ? info[0] : null, error: null };
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            return { info: null, error: classifyError(error).message };
+        }
+    }
+
+    /**
+     * Describe the delegation of a stake key
+     * @param {Object|null} account - Koios account_info row (null if the key was never registered)
+     * @param {Object|null} pool - Koios pool_info row of the delegated pool
+     * @param {Object|null} drep - Koios drep_info row of the delegated DRep
+     * @param {Object} lookupErrors - Messages of failed pool and drep lookups
+     * @returns {Object} Delegation with registered, pool, drep and warnings
+     */
+    describeDelegation(account, pool, drep, lookupErrors = {}) {
+        const poolId = account?.delegated_pool || null;
+        const drepId = account?.delegated_drep || null;
+        const toNumber = value => value === null || value === undefined ? null : Number(value);
+
+        const delegation = {
+            registered: account?.status === 'registered',
+            pool: poolId ? {
+                id: poolId,
+                ticker: pool?.meta_json?.ticker || null,
+                name: pool?.meta_json?.name || null,
+                status: pool?.pool_status || null,
+                retiringEpoch: pool?.retiring_epoch ?? null,
+                margin: toNumber(pool?.margin),
+                fixedCost: pool?.fixed_cost !== undefined && pool?.fixed_cost !== null ?
+                    quantityToNumber(toQuantity(pool.fixed_cost), 6) : null,
+                saturation: toNumber(pool?.live_saturation),
+                lookupError: lookupErrors.pool || null
+            } : null,
+            drep: drepId ? {
+                id: drepId,
+                type: PREDEFINED_DREPS[drepId] || 'drep',
+                registered: drep ? drep.registered : null,
+                active: drep?.active ?? null,
+                expiresEpoch: drep?.expires_epoch_no ?? null,
+                lookupError: lookupErrors.drep || null
+            } : null
+        };
+
+        return { ...delegation, warnings: this.getDelegationWarnings(delegation) };
+    }
+
+    /**
+     * List the delegation problems that cost rewards
+     * @param {Object} delegation - Delegation without warnings
+     * @returns {Array} Warnings with code and message
+     */
+    getDelegationWarnings(delegation) {
+        if (!delegation.registered) {
+            return [{
+                code: 'unregistered',
+                message: 'The stake key is not registered, so this wallet earns no staking rewards. Delegate it in your wallet to register it.'
+            }];
+        }
+
+        const warnings = [];
+        const pool = delegation.pool;
+        const poolName = pool ? (pool.ticker ? `[${pool.ticker}]` : pool.id) : null;
+
+        if (!pool) {
+            warnings.push({
+                code: 'undelegated',
+                message: 'The stake key is not delegated to a stake pool, so this wallet earns no staking rewards.'
+            });
+        } else if (pool.status === 'retired') {
+            warnings.push({
+                code: 'pool-retired',
+                message: `Pool ${poolName} has retired and no longer pays rewards. Delegate to another pool.`
+            });
+        } else if (pool.status === 'retiring') {
+            warnings.push({
+                code: 'pool-retiring',
+                message: `Pool ${poolName} retires${pool.retiringEpoch !== null ? ` in epoch ${pool.retiringEpoch}` : ''}. Delegate to another pool to keep earning rewards.`
+            });
+        }
+
+        if (pool?.lookupError) {
+            warnings.push({
+                code: 'pool-lookup-failed',
+                message: `The details of pool ${poolName} could not be loaded (${pool.lookupError}), so its retirement and saturation were not checked.`
+            });
+        }
+
+        if (pool?.saturation > SATURATION_LIMIT) {
+            warnings.push({
+                code: 'pool-oversaturated',
+                message: `Pool ${poolName} is oversaturated (${pool.saturation.toFixed(1)}%), so its rewards per ADA are reduced. Consider a less saturated pool.`
+            });
+        }
+
+        if (!delegation.drep) {
+            warnings.push({
+                code: 'no-drep',
+                message: 'The stake key is not delegated to a DRep. Rewards cannot be withdrawn until it is delegated to a DRep, or to Always Abstain.'
+            });
+        } else if (delegation.drep.registered === false) {
+            warnings.push({
+                code: 'drep-retired',
+                message: 'The delegated DRep is no longer registered. Delegate to another DRep, or to Always Abstain, to keep withdrawing rewards.'
+            });
+        } else if (delegation.drep.lookupError) {
+            warnings.push({
+                code: 'drep-lookup-failed',
+                message: `The details of the delegated DRep could not be loaded (${delegation.drep.lookupError}), so its registration was not checked.`
+            });
+        }
+
+        return warnings;
+    }
+
     /**
      * Format the provider's response into a standard format
      * @param {Object} response - Raw API response
      * @returns {Object} Standardized response format
      */
     formatResponse(response) {
-        const { account, stakeAddress } = response;
+        const { account, stakeAddress, pool = null, drep = null, lookupErrors = {} } = response;
         
-        // Get rewards available for withdrawal
-        let rewardsAvailable = 0;
-        let totalRewards = 0;
-        let withdrawals = 0;
+        // Get rewards available for withdrawal (raw lovelace quantities)
+        let rewardsAvailable = 0n;
+        let totalRewards = 0n;
+        let withdrawals = 0n;
         
         if (account) {
-            rewardsAvailable = parseFloat(account.rewards_available || 0);
-            totalRewards = parseFloat(account.rewards || 0);
-            withdrawals = parseFloat(account.withdrawals || 0);
+            rewardsAvailable = toQuantity(account.rewards_available);
+            totalRewards = toQuantity(account.rewards);
+            withdrawals = toQuantity(account.withdrawals);
         }
 
         // Convert lovelace to ADA (1 ADA = 1,000,000 lovelace)
-        const rewardsAvailableAda = rewardsAvailable / 1000000;
-        const totalRewardsAda = totalRewards / 1000000;
-        const withdrawalsAda = withdrawals / 1000000;
+        const lovelaceToAda = quantity => quantityToNumber(quantity, 6);
 
         const tokens = [];
-        if (rewardsAvailableAda > 0) {
+        if (rewardsAvailable > 0n) {
             tokens.push({
                 symbol: 'ADA',
                 name: 'Cardano',
-                amount: rewardsAvailableAda,
-                decimals: 6,
+                ...createTokenAmount(rewardsAvailable, 6),
+                policyId: 'ADA',
+                assetName: ''
+            });
+        }
+
+        // The wallet balance delegated with the stake key
+        const staked = [];
+        const delegated = account?.utxo ? toQuantity(account.utxo) : 0n;
+        if (delegated > 0n) {
+            staked.push({
+                symbol: 'ADA',
+                name: 'Cardano',
+                ...createTokenAmount(delegated, 6),
                 policyId: 'ADA',
                 assetName: ''
             });
@@ -121,30 +398,35 @@ export class CardanoStakingProvider extends BaseProvider {
         // Prepare metadata
         const metadata = {
             stakeAddress: stakeAddress,
-            rewardsAvailableLovelace: rewardsAvailable,
-            rewardsAvailableAda: rewardsAvailableAda,
-            totalRewardsLovelace: totalRewards,
-            totalRewardsAda: totalRewardsAda,
-            withdrawalsLovelace: withdrawals,
-            withdrawalsAda: withdrawalsAda,
+            rewardsAvailableLovelace: rewardsAvailable.toString(),
+            rewardsAvailableAda: lovelaceToAda(rewardsAvailable),
+            totalRewardsLovelace: totalRewards.toString(),
+            totalRewardsAda: lovelaceToAda(totalRewards),
+            withdrawalsLovelace: withdrawals.toString(),
+            withdrawalsAda: lovelaceToAda(withdrawals),
             claimUrl: 'https://eternl.io/app/mainnet/dashboard',
         };
 
+        if (stakeAddress) {
+            metadata.delegation = this.describeDelegation(account, pool, drep, lookupErrors);
+        }
+
         if (account) {
             metadata.delegatedPool = account.delegated_pool;
             metadata.delegatedDrep = account.delegated_drep;
             metadata.status = account.status;
-            metadata.totalBalance = account.total_balance ? parseFloat(account.total_balance) / 1000000 : 0;
-            metadata.utxoBalance = account.utxo ? parseFloat(account.utxo) / 1000000 : 0;
-            metadata.deposit = account.deposit ? parseFloat(account.deposit) / 1000000 : 0;
-            metadata.reserves = account.reserves ? parseFloat(account.reserves) / 1000000 : 0;
-            metadata.treasury = account.treasury ? parseFloat(account.treasury) / 1000000 : 0;
+            metadata.totalBalance = lovelaceToAda(account.total_balance);
+            metadata.utxoBalance = lovelaceToAda(account.utxo);
+            metadata.deposit = lovelaceToAda(account.deposit);
+            metadata.reserves = lovelaceToAda(account.reserves);
+            metadata.treasury = lovelaceToAda(account.treasury);
         }
 
         return {
             success: true,
             provider: this.name,
             tokens: tokens,
+            staked: staked,
             metadata: metadata
         };
     }
@@ -152,9 +434,10 @@ export class CardanoStakingProvider extends BaseProvider {
     /**
      * Override makeRequest since we use custom POST requests
      * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options
      * @returns {Promise<Object>} Raw API response
      */
-    async makeRequest(addresses) {
+    async makeRequest(addresses, options = {}) {
         // This method is overridden in checkRewards for custom API calls
         return {};
     }
@@ -169,17 +452,4 @@ export class CardanoStakingProvider extends BaseProvider {
             _addresses: addresses
         };
     }
-
-    /**
-     * Validate Cardano address format (both payment and stake addresses)
-     * @param {string} address - Wallet address to validate
-     * @returns {boolean} Whether address is valid
-     */
-    isValidAddress(address) {
-        // Accept both payment addresses (addr1...) and stake addresses (stake1...)
-        return address && (
-            (address.startsWith('addr1') && address.length >= 100) ||
-            (address.startsWith('stake1') && address.length >= 50)
-        );
-    }
 }
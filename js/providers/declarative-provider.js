@@ -0,0 +1,304 @@
+import { BaseProvider } from './base-provider.js';
+import { addTokenQuantity, createTokenAmount, decimalToQuantity, sumQuantities, toQuantity } from '../amount.js';
+import { fillTemplate, isPath, parsePath, queryPath } from '../json-path.js';
+
+/**
+ * Declarative Provider
+ * Provider built at runtime from a JSON-compatible definition, for protocols that only need
+ * "send a JSON/GraphQL request and map fields to tokens".
+ *
+ * Definition fields:
+ *   id, name, endpoint           Required
+ *   icon, platformUrl, claimUrl  Optional display information
+ *   method                       'GET' or 'POST' (default: 'POST')
+ *   headers, useCorsProxy, supportsBatch, cacheTtl, retry, responseSchema
+ *                                Same as the BaseProvider configuration
+ *   request.body                 Body template for POST requests
+ *   request.query                Query parameter template for GET requests
+ *   select                       Path to the part of the response that belongs to {{address}}
+ *                                (required with supportsBatch)
+ *   tokens                       Token mappings (see buildTokens)
+ *   metadata                     Map of metadata key to value spec
+ *
+ * Templates use {{address}} (first address) and {{addresses}} (all addresses).
+ * A value spec is a literal, a path string ("$.data.amount", first match) or an object
+ * { path, aggregate } with aggregate 'first', 'all', 'count' or 'sum'.
+ */
+export class DeclarativeProvider extends BaseProvider {
+    /**
+     * @param {Object} definition - Provider definition
+     * @throws {Error} If the definition is invalid
+     */
+    constructor(definition) {
+        validateDefinition(definition);
+
+        super({
+            name: definition.name,
+            id: definition.id,
+            icon: definition.icon,
+            endpoint: definition.endpoint,
+            method: definition.method || 'POST',
+            useCorsProxy: definition.useCorsProxy,
+            supportsBatch: definition.supportsBatch,
+            platformUrl: definition.platformUrl,
+            headers: definition.headers,
+            cacheTtl: definition.cacheTtl,
+            retry: definition.retry,
+            responseSchema: definition.responseSchema
+        });
+
+        this.definition = definition;
+    }
+
+    /**
+     * Check rewards for a wallet
+     * Batch providers always go through the batch path, so token paths are relative to the
+     * selected part of the response in both cases
+     * @param {string|string[]} addresses - Single address or array of addresses
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Object>} Standardized reward response
+     */
+    async checkRewards(addresses, options = {}) {
+        if (!this.supportsBatch) {
+            return super.checkRewards(addresses, options);
+        }
+
+        const addressArray = Array.isArray(addresses) ? addresses : [addresses];
+        const [response] = await this.checkRewardsBatch(addressArray.slice(0, 1), options);
+        return response;
+    }
+
+    /**
+     * Make HTTP request from the request templates
+     * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Object>} Raw API response
+     */
+    async makeRequest(addresses, options = {}) {
+        const variables = { address: addresses[0], addresses: addresses };
+        const request = this.definition.request || {};
+
+        if (this.method === 'GET') {
+            const query = fillTemplate(request.query || {}, variables);
+            const queryParams = Object.entries(query)
+                .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+                .join('&');
+            return await this.makeGetRequest(queryParams, options);
+        }
+
+        return await this.makeHttpRequest(this.endpoint, {
+            method: this.method,
+            headers: this.headers,
+            body: JSON.stringify(fillTemplate(request.body ?? { addresses: '{{addresses}}' }, variables)),
+            signal: options.signal
+        });
+    }
+
+    /**
+     * Select the part of a batch response that belongs to one address
+     * @param {Object} response - Raw API response for all addresses
+     * @param {string} address - Wallet address
+     * @returns {*} Raw API response for the address
+     */
+    selectAddressResponse(response, address) {
+        if (!this.definition.select) {
+            return response;
+        }
+        return queryPath(response, fillTemplate(this.definition.select, { address }))[0] ?? null;
+    }
+
+    /**
+     * Format the response by applying the token and metadata mappings
+     * @param {*} response - Raw API response (or the selected part of a batch response)
+     * @returns {Object} Standardized response format
+     */
+    formatResponse(response) {
+        const metadata = Object.fromEntries(
+            Object.entries(this.definition.metadata || {}).map(([key, spec]) => [key, resolveValue(response, spec)])
+        );
+
+        return {
+            success: true,
+            provider: this.name,
+            tokens: this.buildTokens(response),
+            metadata: {
+                ...metadata,
+                claimUrl: this.definition.claimUrl || this.platformUrl,
+                rawResponse: response
+            }
+        };
+    }
+
+    /**
+     * Build tokens from the token mappings
+     * A mapping with 'items' creates one token per matching item (specs relative to the item),
+     * otherwise one token is built from the whole response. 'quantity' sums raw quantities,
+     * 'amount' sums decimal amounts. Tokens with the same policy/asset or symbol are merged
+     * and empty tokens are dropped.
+     * @param {*} response - Raw API response
+     * @returns {Array} Standardized tokens
+     */
+    buildTokens(response) {
+        const tokens = new Map();
+
+        this.definition.tokens.forEach(mapping => {
+            const sources = mapping.items ? queryPath(response, mapping.items) : [response];
+
+            sources.forEach(source => {
+                const token = buildToken(source, mapping);
+                const key = token.policyId ? `${token.policyId}${token.assetName || ''}` : token.symbol;
+                const existing = tokens.get(key);
+
+                if (existing) {
+                    addTokenQuantity(existing, token.quantity);
+                } else {
+                    tokens.set(key, token);
+                }
+            });
+        });
+
+        return Array.from(tokens.values()).filter(token => toQuantity(token.quantity) > 0n);
+    }
+}
+
+/**
+ * Build a single token from a mapping
+ * @param {*} source - Response or item the specs are applied to
+ * @param {Object} mapping - Token mapping
+ * @returns {Object} Standardized token
+ */
+function buildToken(source, mapping) {
+    const decimals = Number(resolveValue(source, mapping.decimals ?? 0)) || 0;
+    const quantity = mapping.quantity !== undefined ?
+        sumQuantities(...resolveAll(source, mapping.quantity)) :
+        sumQuantities(...resolveAll(source, mapping.amount).map(value => decimalToQuantity(value, decimals)));
+
+    const token = {
+        symbol: resolveValue(source, mapping.symbol) || 'UNKNOWN',
+        name: resolveValue(source, mapping.name ?? mapping.symbol) || 'Unknown Token',
+        ...createTokenAmount(quantity, decimals)
+    };
+
+    ['policyId', 'assetName'].forEach(key => {
+        const value = resolveValue(source, mapping[key]);
+        if (value !== undefined && value !== null) {
+            token[key] = value;
+        }
+    });
+
+    Object.entries(mapping.fields || {}).forEach(([key, spec]) => {
+        token[key] = resolveValue(source, spec);
+    });
+
+    return token;
+}
+
+/**
+ * Resolve all values of a spec (used for sums)
+ * @param {*} source - Document
+ * @param {*} spec - Value spec
+ * @returns {Array} Values, without null entries
+ */
+function resolveAll(source, spec) {
+    const path = typeof spec === 'object' && spec !== null ? spec.path : spec;
+    const values = isPath(path) ? queryPath(source, path) : [path];
+    return values.filter(value => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * Resolve a value spec
+ * @param {*} source - Document
+ * @param {*} spec - Literal, path string or { path, aggregate }
+ * @returns {*} Resolved value
+ */
+function resolveValue(source, spec) {
+    if (isPath(spec)) {
+        return queryPath(source, spec)[0];
+    }
+
+    if (!spec || typeof spec !== 'object' || !spec.path) {
+        return spec;
+    }
+
+    const values = queryPath(source, spec.path);
+    switch (spec.aggregate) {
+        case 'all':
+            return values;
+        case 'count':
+            return values.length;
+        case 'sum':
+            return values.reduce((total, value) => total + (Number(value) || 0), 0);
+        default:
+            return values[0];
+    }
+}
+
+/**
+ * Validate a provider definition
+ * @param {Object} definition - Provider definition
+ * @throws {Error} Error listing the problems of the definition
+ */
+export function validateDefinition(definition) {
+    const problems = [];
+
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('Invalid provider definition: not an object');
+    }
+
+    ['id', 'name', 'endpoint'].forEach(key => {
+        if (typeof definition[key] !== 'string' || !definition[key]) {
+            problems.push(`missing ${key}`);
+        }
+    });
+
+    if (definition.method && !['GET', 'POST'].includes(definition.method)) {
+        problems.push(`unsupported method ${definition.method}`);
+    }
+
+    if (!Array.isArray(definition.tokens) || definition.tokens.length === 0) {
+        problems.push('missing tokens');
+    } else {
+        definition.tokens.forEach((mapping, index) => {
+            if (mapping.quantity === undefined && mapping.amount === undefined) {
+                problems.push(`tokens[${index}] needs quantity or amount`);
+            }
+        });
+    }
+
+    if (definition.supportsBatch && !definition.select) {
+        problems.push('supportsBatch requires select');
+    }
+
+    // Surface typos in paths when the definition is loaded rather than on the first check
+    collectPaths(definition).forEach(path => {
+        try {
+            parsePath(path);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    });
+
+    if (problems.length > 0) {
+        const name = definition.id ? ` ${definition.id}` : '';
+        throw new Error(`Invalid provider definition${name}: ${problems.join(', ')}`);
+    }
+}
+
+/**
+ * Collect all path expressions of a definition
+ * @param {Object} definition - Provider definition
+ * @returns {string[]} Path expressions
+ */
+function collectPaths(definition) {
+    const paths = [];
+    const visit = value => {
+        if (isPath(value)) {
+            paths.push(value);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    visit([definition.select, definition.tokens, definition.metadata]);
+    return paths;
+}
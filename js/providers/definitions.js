@@ -0,0 +1,61 @@
+/**
+ * Built-in declarative provider definitions
+ * JSON-compatible data, see DeclarativeProvider for the format
+ */
+export const PROVIDER_DEFINITIONS = [
+    {
+        id: 'sundae-liqwid',
+        name: 'Liqwid',
+        icon: 'https://v2.liqwid.finance/favicon.png',
+        endpoint: 'https://api.sundae-rewards.sundaeswap.finance/api/v1/liqwid/rewards',
+        method: 'POST',
+        useCorsProxy: false,
+        supportsBatch: true,
+        platformUrl: 'https://liqwid-rewards.sundaeswap.finance',
+        claimUrl: 'https://liqwid-rewards.sundaeswap.finance',
+        headers: {
+            'accept': 'application/json, text/plain, */*',
+            'content-type': 'application/json',
+            'origin': 'https://liqwid-rewards.sundaeswap.finance'
+        },
+        request: {
+            body: { addresses: '{{addresses}}' }
+        },
+        select: '$.rewards[{{address}}]',
+        responseSchema: {
+            type: 'object',
+            required: ['rewards'],
+            properties: {
+                rewards: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['amount'],
+                            properties: {
+                                amount: { type: 'numeric' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        tokens: [
+            {
+                symbol: 'LQ',
+                name: 'Liqwid Token',
+                decimals: 6,
+                quantity: '$[*].amount',
+                policyId: 'da8c30857834c6ae7203935b89278c532b3995245295456f993e1d24',
+                assetName: '4c51',
+                fields: {
+                    rewardCount: { path: '$[*]', aggregate: 'count' }
+                }
+            }
+        ],
+        metadata: {
+            totalRewards: { path: '$[*]', aggregate: 'count' }
+        }
+    }
+];
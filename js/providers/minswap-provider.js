@@ -1,4 +1,71 @@
 import { BaseProvider } from './base-provider.js';
+import { createTokenAmount, addTokenQuantity, toQuantity } from '../amount.js';
+
+const POSITIONS_SCHEMA = {
+    type: 'array',
+    nullable: true,
+    items: {
+        type: 'object',
+        required: ['pendingRewards'],
+        properties: {
+            id: { type: 'string', nullable: true },
+            amountAsset: {
+                type: 'object',
+                nullable: true,
+                required: ['amount', 'asset'],
+                properties: {
+                    amount: { type: 'numeric' }
+                }
+            },
+            endAt: { type: 'string', nullable: true },
+            stakeAt: { type: 'string', nullable: true },
+            rewardPercent: { type: 'numeric', nullable: true },
+            stakedAssetAdaValue: { type: 'numeric', nullable: true },
+            pendingRewards: {
+                type: 'array',
+                nullable: true,
+                items: {
+                    type: 'object',
+                    required: ['reward', 'asset'],
+                    properties: {
+                        reward: { type: 'numeric' },
+                        asset: {
+                            type: 'object',
+                            required: ['currencySymbol', 'tokenName', 'metadata'],
+                            properties: {
+                                metadata: {
+                                    type: 'object',
+                                    required: ['decimals', 'ticker', 'name'],
+                                    properties: {
+                                        decimals: { type: 'integer', nullable: true }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Fields read by formatResponse
+ */
+const RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        data: {
+            type: 'object',
+            required: ['portfolioMinStakingPosition', 'portfolioLiquidStakingPosition'],
+            properties: {
+                portfolioMinStakingPosition: POSITIONS_SCHEMA,
+                portfolioLiquidStakingPosition: POSITIONS_SCHEMA
+            }
+        }
+    }
+};
 
 /**
  * Minswap Rewards Provider
@@ -14,6 +81,7 @@ export class MinswapProvider extends BaseProvider {
             method: 'POST',
             useCorsProxy: true,
             platformUrl: 'https://minswap.org',
+            responseSchema: RESPONSE_SCHEMA,
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json',
@@ -29,7 +97,7 @@ export class MinswapProvider extends BaseProvider {
      * @returns {Object} GraphQL request payload
      */
     buildRequest(addresses) {
-        // Minswap API only handles one address at a time, so use the first one
+        // Minswap API only handles one address at a time, the registry queries each wallet separately
         const address = addresses[0];
         
         return {
@@ -50,7 +118,6 @@ export class MinswapProvider extends BaseProvider {
     }
     endAt
     rewardPercent
-    netAdaValue
     pendingRewards {
       asset {
         ...allMetadata
@@ -70,7 +137,6 @@ export class MinswapProvider extends BaseProvider {
       }
     }
     id
-    netAdaValue
     pendingRewards {
       reward
       asset {
@@ -120,6 +186,7 @@ fragment marketData on Asset {
      */
     formatResponse(response) {
         const tokens = [];
+        const positions = [];
         let totalRewards = 0;
 
         if (response.data) {
@@ -129,6 +196,7 @@ fragment marketData on Asset {
                     if (position.pendingRewards) {
                         this.processPendingRewards(position.pendingRewards, tokens);
                     }
+                    positions.push(this.createPosition(position, 'MIN staking'));
                 });
             }
 
@@ -138,6 +206,7 @@ fragment marketData on Asset {
                     if (position.pendingRewards) {
                         this.processPendingRewards(position.pendingRewards, tokens);
                     }
+                    positions.push(this.createPosition(position, 'Liquid staking'));
                 });
             }
 
@@ -149,6 +218,8 @@ fragment marketData on Asset {
             success: true,
             provider: this.name,
             tokens: tokens,
+            staked: positions.filter(position => position.staked).map(position => ({ ...position.staked })),
+            positions: positions,
             totalRewards: totalRewards,
             metadata: {
                 endpoint: this.endpoint,
@@ -158,6 +229,65 @@ fragment marketData on Asset {
         };
     }
 
+    /**
+     * Describe a single staking position
+     * @param {Object} position - MIN staking or liquid staking position
+     * @param {string} type - Position type
+     * @returns {Object} Position with the staked asset, lock end, APR and its own pending rewards
+     */
+    createPosition(position, type) {
+        const rewards = [];
+        if (position.pendingRewards) {
+            this.processPendingRewards(position.pendingRewards, rewards);
+        }
+
+        let staked = null;
+        if (position.amountAsset) {
+            staked = this.createAssetToken(position.amountAsset.asset, toQuantity(position.amountAsset.amount));
+            // Staked assets come without market data, their ADA value gives the price
+            const adaValue = Number(position.stakedAssetAdaValue);
+            if (adaValue > 0 && staked.amount > 0) {
+                staked.marketData = { price: adaValue / staked.amount };
+            }
+        }
+
+        return {
+            id: position.id || null,
+            type: type,
+            name: null,
+            staked: staked,
+            startAt: position.stakeAt || null,
+            endAt: position.endAt || null,
+            rewardPercent: position.rewardPercent === null || position.rewardPercent === undefined ?
+                null : Number(position.rewardPercent),
+            rewards: rewards
+        };
+    }
+
+    /**
+     * Create a token from a Minswap asset
+     * @param {Object} asset - Asset with currencySymbol, tokenName and metadata
+     * @param {bigint} quantity - Raw quantity
+     * @returns {Object} Standardized token
+     */
+    createAssetToken(asset, quantity) {
+        const metadata = asset.metadata;
+        // Handle ADA (native token)
+        const isAda = !asset.currencySymbol && !asset.tokenName;
+
+        return {
+            symbol: isAda ? 'ADA' : metadata.ticker || metadata.name,
+            name: isAda ? 'Cardano' : metadata.name,
+            // Keep the raw quantity, the amount is only derived for display
+            ...createTokenAmount(quantity, metadata.decimals ?? 6),
+            description: metadata.description,
+            verified: metadata.isVerified,
+            url: metadata.url,
+            policyId: asset.currencySymbol || 'ADA',
+            assetName: asset.tokenName || ''
+        };
+    }
+
     /**
      * Process pending rewards from a position
      * @param {Array} pendingRewards - Array of pending reward objects
@@ -165,42 +295,21 @@ fragment marketData on Asset {
      */
     processPendingRewards(pendingRewards, tokens) {
         pendingRewards.forEach(reward => {
-            if (reward.reward > 0) {
+            const quantity = toQuantity(reward.reward);
+            if (quantity > 0n) {
                 const asset = reward.asset;
-                const metadata = asset.metadata;
-                const decimals = metadata.decimals || 6;
-                
-                // Convert from smallest unit to human readable amount
-                const amount = reward.reward / Math.pow(10, decimals);
-                
-                // Determine token symbol and name
-                let symbol = metadata.ticker || metadata.name;
-                let name = metadata.name;
-                
-                // Handle ADA (native token)
-                if (!asset.currencySymbol && !asset.tokenName) {
-                    symbol = 'ADA';
-                    name = 'Cardano';
-                }
+                const token = this.createAssetToken(asset, quantity);
                 
                 // Only include rewards with meaningful amounts
-                if (amount > 0.000001) {
+                if (token.amount > 0.000001) {
                     // Check if we already have this token in our results
-                    const existingToken = tokens.find(t => t.symbol === symbol);
+                    const existingToken = tokens.find(t => t.symbol === token.symbol);
                     
                     if (existingToken) {
-                        existingToken.amount += amount;
+                        addTokenQuantity(existingToken, quantity);
                     } else {
                         tokens.push({
-                            symbol: symbol,
-                            name: name,
-                            amount: amount,
-                            decimals: decimals,
-                            description: metadata.description,
-                            verified: metadata.isVerified,
-                            url: metadata.url,
-                            policyId: asset.currencySymbol || 'ADA',
-                            assetName: asset.tokenName || '',
+                            ...token,
                             marketData: asset.marketData ? {
                                 price: parseFloat(asset.marketData.price || 0),
                                 priceChange24h: parseFloat(asset.marketData.priceChange24h || 0),
@@ -213,30 +322,4 @@ fragment marketData on Asset {
             }
         });
     }
-
-    /**
-     * Override checkRewards to handle single address limitation
-     * @param {string|string[]} addresses - Single address or array of addresses
-     * @returns {Promise<Object>} Standardized reward response
-     */
-    async checkRewards(addresses) {
-        const addressArray = Array.isArray(addresses) ? addresses : [addresses];
-        
-        // Minswap API only supports one address at a time
-        if (addressArray.length === 0) {
-            throw new Error('No address provided');
-        }
-
-        // Validate the first address
-        if (!this.isValidAddress(addressArray[0])) {
-            throw new Error('Invalid Cardano address format');
-        }
-
-        try {
-            const response = await this.makeRequest([addressArray[0]]);
-            return this.formatResponse(response);
-        } catch (error) {
-            throw new Error(`${this.name}: ${error.message}`);
-        }
-    }
 }
@@ -1,4 +1,44 @@
 import { BaseProvider } from './base-provider.js';
+import { createTokenAmount, sumQuantities } from '../amount.js';
+import { parseTokenId } from '../utils.js';
+
+/**
+ * Fields read by formatResponse
+ */
+const RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['success'],
+    properties: {
+        success: { type: 'boolean' },
+        stakes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['result'],
+                properties: {
+                    result: {
+                        type: 'object',
+                        nullable: true,
+                        properties: {
+                            total: {
+                                type: 'array',
+                                nullable: true,
+                                items: {
+                                    type: 'object',
+                                    required: ['unit', 'quantity'],
+                                    properties: {
+                                        unit: { type: 'string' },
+                                        quantity: { type: 'numeric' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
 
 /**
  * Nuvola Digital Staking Provider
@@ -14,6 +54,7 @@ export class NuvolaDigitalProvider extends BaseProvider {
             method: 'POST',
             useCorsProxy: true,
             platformUrl: 'https://app.nuvoladigital.io',
+            responseSchema: RESPONSE_SCHEMA,
             headers: {
                 'accept': 'application/json, text/plain, */*',
                 'content-type': 'application/json',
@@ -21,14 +62,6 @@ export class NuvolaDigitalProvider extends BaseProvider {
                 'access-control-allow-origin': 'https://app.nuvoladigital.io'
             }
         });
-
-        // Token name mapping for better display
-        this.tokenMap = {
-            '5d16cc1a177b5d9ba9cfa9793b07e60f1fb70fea1f8aef064415d114494147': 'IAG',
-            'b6a7467ea1deb012808ef4e87b5ff371e85f7142d7b356a40d9b42a0436f726e75636f70696173205b76696120436861696e506f72742e696f5d': 'COPI',
-            'c48cbb3d5e57ed56e276bc45f99ab39abe94e6cd7ac39fb402da47ad0014df105553444d': 'USDM',
-            'a3931691f5c4e65d01c429e473d0dd24c51afdb6daf88e632a6c1e516f7263666178746f6b656e': 'FACT'
-        };
     }
 
     /**
@@ -38,7 +71,7 @@ export class NuvolaDigitalProvider extends BaseProvider {
      */
     buildRequest(addresses) {
         // Nuvola requires payment key hash, not the full address
-        const address = addresses[0]; // Use first address for now
+        const address = addresses[0]; // Queried once per wallet by the registry
         
         return {
             stakeCollectionId: 60,
@@ -63,6 +96,7 @@ export class NuvolaDigitalProvider extends BaseProvider {
      */
     formatResponse(response) {
         const tokens = [];
+        const positions = [];
         let stakeCount = 0;
 
         if (response.success && response.stakes && Array.isArray(response.stakes)) {
@@ -70,36 +104,30 @@ export class NuvolaDigitalProvider extends BaseProvider {
             const totalRewards = {};
 
             // Process all stakes
-            response.stakes.forEach(stake => {
-                if (stake.result && stake.result.total) {
-                    stake.result.total.forEach(reward => {
-                        const unit = reward.unit;
-                        const quantity = reward.quantity;
-                        
-                        if (totalRewards[unit]) {
-                            totalRewards[unit] += quantity;
-                        } else {
-                            totalRewards[unit] = quantity;
-                        }
-                    });
-                }
+            response.stakes.forEach((stake, index) => {
+                const stakeRewards = stake.result?.total || [];
+                stakeRewards.forEach(reward => {
+                    // Sum raw quantities exactly
+                    const unit = reward.unit;
+                    totalRewards[unit] = sumQuantities(totalRewards[unit], reward.quantity);
+                });
+
+                // The API only reports the rewards of each stake, not what was staked
+                positions.push({
+                    id: stake.id ?? String(index + 1),
+                    type: 'Stake',
+                    name: null,
+                    staked: null,
+                    startAt: null,
+                    endAt: null,
+                    rewardPercent: null,
+                    rewards: stakeRewards.map(reward => this.createUnitToken(reward.unit, reward.quantity))
+                });
             });
 
-            // Convert to token format
+            // Convert to token format, names and decimals come from the token registry
             Object.entries(totalRewards).forEach(([unit, quantity]) => {
-                const tokenName = this.getTokenName(unit);
-                const amount = this.formatTokenAmount(quantity, unit);
-                
-                tokens.push({
-                    symbol: tokenName,
-                    name: tokenName,
-                    amount: amount,
-                    unit: unit,
-                    decimals: 6, // Most Cardano tokens use 6 decimals
-                    rawQuantity: quantity,
-                    policyId: unit === 'lovelace' ? 'ADA' : unit,
-                    assetName: unit === 'lovelace' ? '' : ''
-                });
+                tokens.push(this.createUnitToken(unit, quantity));
             });
         }
 
@@ -107,6 +135,7 @@ export class NuvolaDigitalProvider extends BaseProvider {
             success: true,
             provider: this.name,
             tokens: tokens,
+            positions: positions,
             metadata: {
                 stakeCount: stakeCount,
                 claimUrl: 'https://app.nuvoladigital.io',
@@ -116,29 +145,22 @@ export class NuvolaDigitalProvider extends BaseProvider {
     }
 
     /**
-     * Get human-readable token name from unit
-     * @param {string} unit - Token unit identifier
-     * @returns {string} Token name
+     * Create a token from a Nuvola reward unit
+     * Names and decimals of native tokens are filled in by the token registry
+     * @param {string} unit - 'lovelace' or policy ID + asset name
+     * @param {bigint|number|string} quantity - Raw quantity
+     * @returns {Object} Standardized token
      */
-    getTokenName(unit) {
-        return this.tokenMap[unit] || 'Unknown Token';
-    }
+    createUnitToken(unit, quantity) {
+        const { policyId, assetName, isAda } = parseTokenId(unit);
 
-    /**
-     * Format token amount based on decimals
-     * @param {number} quantity - Raw token quantity
-     * @param {string} unit - Token unit identifier
-     * @returns {number} Formatted amount
-     */
-    formatTokenAmount(quantity, unit) {
-        const decimals = 6; // Most Cardano tokens use 6 decimals
-        const amount = quantity / Math.pow(10, decimals);
-        
-        if (amount < 0.000001) {
-            return quantity; // Return raw amount for very small numbers
-        }
-        
-        return parseFloat(amount.toFixed(6));
+        return {
+            symbol: isAda ? 'ADA' : 'UNKNOWN',
+            name: isAda ? 'Cardano' : 'Unknown Token',
+            ...createTokenAmount(quantity, isAda ? 6 : 0),
+            unit: unit,
+            policyId: isAda ? 'ADA' : policyId,
+            assetName: assetName
+        };
     }
-
 }
@@ -1,4 +1,17 @@
 import { BaseProvider } from './base-provider.js';
+import { createTokenAmount, decimalToQuantity } from '../amount.js';
+
+/**
+ * Fields read by formatResponse (amounts in ADA)
+ */
+const RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['rewards', 'stakedAmount'],
+    properties: {
+        rewards: { type: 'numeric', nullable: true },
+        stakedAmount: { type: 'numeric', nullable: true }
+    }
+};
 
 /**
  * StrikeFinance Rewards Provider
@@ -14,6 +27,7 @@ export class StrikeFinanceProvider extends BaseProvider {
             method: 'GET',
             useCorsProxy: true,
             platformUrl: 'https://app.strikefinance.org/staking',
+            responseSchema: RESPONSE_SCHEMA,
             headers: {
                 'Accept': '*/*',
                 'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
@@ -28,16 +42,18 @@ export class StrikeFinanceProvider extends BaseProvider {
     /**
      * Make HTTP request to StrikeFinance API
      * @param {string[]} addresses - Array of wallet addresses
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the request
      * @returns {Promise<Object>} Raw API response
      */
-    async makeRequest(addresses) {
-        // StrikeFinance API handles one address at a time
+    async makeRequest(addresses, options = {}) {
+        // StrikeFinance API handles one address at a time, the registry queries each wallet separately
         const address = addresses[0];
         
         // Build query parameters
         const queryParams = `address=${encodeURIComponent(address)}`;
         
-        return await this.makeGetRequest(queryParams);
+        return await this.makeGetRequest(queryParams, options);
     }
 
     /**
@@ -59,10 +75,11 @@ export class StrikeFinanceProvider extends BaseProvider {
         
         // Check if there are rewards or staked amounts
         if (response.rewards > 0 || response.stakedAmount > 0) {
+                // The API reports ADA amounts, convert back to lovelace to keep them exact
                 tokens.push({
                     symbol: 'ADA',
                     name: 'Cardano',
-                    amount: response.rewards,
+                    ...createTokenAmount(decimalToQuantity(response.rewards, 6), 6),
                     type: 'rewards',
                     status: 'claimable',
                     value_ada: response.rewards,
@@ -70,10 +87,23 @@ export class StrikeFinanceProvider extends BaseProvider {
                 });
         }
 
+        // The staked principal, reported in ADA like the rewards
+        const staked = [];
+        if (response.stakedAmount > 0) {
+            staked.push({
+                symbol: 'ADA',
+                name: 'Cardano',
+                ...createTokenAmount(decimalToQuantity(response.stakedAmount, 6), 6),
+                policyId: 'ADA',
+                assetName: ''
+            });
+        }
+
         return {
             success: true,
             provider: this.name,
             tokens: tokens,
+            staked: staked,
             metadata: {
                 raw_response: response,
                 total_staked_ada: response.stakedAmount || 0,
@@ -1,4 +1,68 @@
 import { BaseProvider } from './base-provider.js';
+import { createTokenAmount, sumQuantities, toQuantity } from '../amount.js';
+
+const FEE_SCHEMA = {
+    type: 'object',
+    nullable: true,
+    required: ['asset', 'quantity'],
+    properties: {
+        asset: {
+            type: 'object',
+            required: ['ticker', 'name', 'decimals', 'policyId', 'assetName'],
+            properties: {
+                decimals: { type: 'integer', nullable: true }
+            }
+        },
+        quantity: { type: 'numeric', nullable: true }
+    }
+};
+
+/**
+ * Fields read by formatResponse (the portfolio is null for unknown addresses)
+ */
+const RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        data: {
+            type: 'object',
+            required: ['portfolio'],
+            properties: {
+                portfolio: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['liquidity'],
+                    properties: {
+                        liquidity: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['fees'],
+                                properties: {
+                                    pool: {
+                                        type: 'object',
+                                        nullable: true,
+                                        properties: { id: { type: 'string' } }
+                                    },
+                                    quantity: {
+                                        type: 'object',
+                                        nullable: true,
+                                        properties: { quantity: { type: 'numeric', nullable: true } }
+                                    },
+                                    fees: {
+                                        type: 'object',
+                                        nullable: true,
+                                        properties: { assetA: FEE_SCHEMA, assetB: FEE_SCHEMA }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
 
 /**
  * SundaeSwap General Rewards Provider
@@ -14,6 +78,7 @@ export class SundaeGeneralProvider extends BaseProvider {
             method: 'POST',
             useCorsProxy: false,
             platformUrl: 'https://sundaeswap.finance',
+            responseSchema: RESPONSE_SCHEMA,
             headers: {
                 'accept': '*/*',
                 'content-type': 'application/json',
@@ -29,7 +94,7 @@ export class SundaeGeneralProvider extends BaseProvider {
      * @returns {Object} GraphQL request payload
      */
     buildRequest(addresses) {
-        const address = addresses[0]; // Use first address
+        const address = addresses[0]; // Queried once per wallet by the registry
         
         return {
             query: `query fetchPositions($address: String!) {
@@ -94,6 +159,74 @@ export class SundaeGeneralProvider extends BaseProvider {
         };
     }
 
+    /**
+     * Add the fee of one pool asset to the per-asset totals, summing raw quantities exactly
+     * @param {Map} feesByAsset - Fee totals keyed by ticker
+     * @param {Object} fee - Fee entry with asset and quantity
+     */
+    addFee(feesByAsset, fee) {
+        if (!fee || !fee.quantity) return;
+
+        const quantity = toQuantity(fee.quantity);
+        if (quantity <= 0n) return;
+
+        const asset = fee.asset;
+        const ticker = getTicker(asset);
+
+        if (feesByAsset.has(ticker)) {
+            const existing = feesByAsset.get(ticker);
+            existing.quantity = sumQuantities(existing.quantity, quantity);
+        } else {
+            feesByAsset.set(ticker, {
+                symbol: ticker,
+                name: asset.name || ticker,
+                quantity: quantity,
+                decimals: asset.decimals || 0,
+                logo: asset.logo,
+                policyId: asset.policyId || 'ADA',
+                assetName: asset.assetName || ''
+            });
+        }
+    }
+
+    /**
+     * Describe a single liquidity position
+     * @param {Object} position - Liquidity position with fees, pool and LP token quantity
+     * @returns {Object} Position with the LP tokens and the fees earned in this pool
+     */
+    createPosition(position) {
+        const feesByAsset = new Map();
+        this.addFee(feesByAsset, position.fees?.assetA);
+        this.addFee(feesByAsset, position.fees?.assetB);
+
+        const pool = position.pool;
+        const lp = position.quantity;
+        return {
+            id: pool?.id ?? null,
+            type: 'Liquidity',
+            name: pool?.assetA && pool.assetB ? `${getTicker(pool.assetA)}/${getTicker(pool.assetB)}` : null,
+            staked: lp?.asset && lp.quantity ? {
+                symbol: getTicker(lp.asset),
+                name: lp.asset.name || getTicker(lp.asset),
+                ...createTokenAmount(lp.quantity, lp.asset.decimals || 0),
+                logo: lp.asset.logo,
+                policyId: lp.asset.policyId || 'ADA',
+                assetName: lp.asset.assetName || ''
+            } : null,
+            startAt: null,
+            endAt: null,
+            rewardPercent: null,
+            rewards: Array.from(feesByAsset.values(), fee => ({
+                symbol: fee.symbol,
+                name: fee.name,
+                ...createTokenAmount(fee.quantity, fee.decimals),
+                logo: fee.logo,
+                policyId: fee.policyId,
+                assetName: fee.assetName
+            }))
+        };
+    }
+
     /**
      * Format SundaeSwap GraphQL response into standard token format
      * @param {Object} response - Raw GraphQL response
@@ -107,6 +240,8 @@ export class SundaeGeneralProvider extends BaseProvider {
                 success: true,
                 provider: this.name,
                 tokens: tokens,
+                staked: [],
+                positions: [],
                 metadata: {
                     claimUrl: 'https://app.sundae.fi/',
                     totalPositions: 0
@@ -122,68 +257,20 @@ export class SundaeGeneralProvider extends BaseProvider {
         liquidityPositions.forEach(position => {
             if (position.fees) {
                 totalPositions++;
-                
-                // Process asset A fees
-                if (position.fees.assetA && position.fees.assetA.quantity && parseFloat(position.fees.assetA.quantity) > 0) {
-                    const asset = position.fees.assetA.asset;
-                    const quantity = parseFloat(position.fees.assetA.quantity);
-                    const ticker = asset.ticker || asset.name || asset.assetName || 'UNKNOWN';
-                    
-                    if (feesByAsset.has(ticker)) {
-                        feesByAsset.set(ticker, {
-                            ...feesByAsset.get(ticker),
-                            amount: feesByAsset.get(ticker).amount + quantity
-                        });
-                    } else {
-                        feesByAsset.set(ticker, {
-                            symbol: ticker,
-                            name: asset.name || ticker,
-                            amount: quantity,
-                            decimals: asset.decimals || 0,
-                            logo: asset.logo,
-                            policyId: asset.policyId || 'ADA',
-                            assetName: asset.assetName || ''
-                        });
-                    }
-                }
-                
-                // Process asset B fees
-                if (position.fees.assetB && position.fees.assetB.quantity && parseFloat(position.fees.assetB.quantity) > 0) {
-                    const asset = position.fees.assetB.asset;
-                    const quantity = parseFloat(position.fees.assetB.quantity);
-                    const ticker = asset.ticker || asset.name || asset.assetName || 'UNKNOWN';
-                    
-                    if (feesByAsset.has(ticker)) {
-                        feesByAsset.set(ticker, {
-                            ...feesByAsset.get(ticker),
-                            amount: feesByAsset.get(ticker).amount + quantity
-                        });
-                    } else {
-                        feesByAsset.set(ticker, {
-                            symbol: ticker,
-                            name: asset.name || ticker,
-                            amount: quantity,
-                            decimals: asset.decimals || 0,
-                            logo: asset.logo,
-                            policyId: asset.policyId || 'ADA',
-                            assetName: asset.assetName || ''
-                        });
-                    }
-                }
+                this.addFee(feesByAsset, position.fees.assetA);
+                this.addFee(feesByAsset, position.fees.assetB);
             }
         });
 
+        const positions = liquidityPositions.map(position => this.createPosition(position));
+
         // Convert fees map to tokens array
         feesByAsset.forEach(fee => {
-            if (fee.amount > 0) {
-                // Convert amount based on decimals
-                const adjustedAmount = fee.amount / Math.pow(10, fee.decimals);
-                
+            if (fee.quantity > 0n) {
                 tokens.push({
                     symbol: fee.symbol,
                     name: fee.name,
-                    amount: adjustedAmount,
-                    decimals: fee.decimals,
+                    ...createTokenAmount(fee.quantity, fee.decimals),
                     logo: fee.logo,
                     policyId: fee.policyId,
                     assetName: fee.assetName
@@ -195,6 +282,8 @@ export class SundaeGeneralProvider extends BaseProvider {
             success: true,
             provider: this.name,
             tokens: tokens,
+            staked: positions.filter(position => position.staked).map(position => ({ ...position.staked })),
+            positions: positions,
             metadata: {
                 claimUrl: 'https://app.sundae.fi/',
                 totalPositions: totalPositions,
@@ -203,3 +292,12 @@ export class SundaeGeneralProvider extends BaseProvider {
         };
     }
 }
+
+/**
+ * Get the display ticker of a SundaeSwap asset
+ * @param {Object} asset - Asset with ticker, name and assetName
+ * @returns {string} Ticker
+ */
+function getTicker(asset) {
+    return asset.ticker || asset.name || asset.assetName || 'UNKNOWN';
+}
@@ -0,0 +1,339 @@
+import { ERROR_CATEGORIES, ProviderError, classifyError } from './errors.js';
+
+/**
+ * CORS Proxy Strategy
+ * Browsers block most reward APIs without CORS headers, so requests are sent through
+ * public or self-hosted proxies. Each proxy adapter knows how to build its URL and how
+ * to unwrap its response. The strategy tries the adapters in order and remembers which
+ * one worked for each provider.
+ */
+
+/**
+ * Proxy modes
+ */
+export const PROXY_MODES = {
+    AUTO: 'auto',       // Custom proxy (if set) followed by the public proxies
+    CUSTOM: 'custom',   // Only the self-hosted proxy
+    DIRECT: 'direct'    // No proxy, for environments without CORS restrictions (Node, extensions)
+};
+
+/**
+ * Proxy Adapter
+ * Defines the interface for all proxy adapters
+ */
+export class ProxyAdapter {
+    /**
+     * @param {Object} config - Adapter configuration
+     * @param {string} config.id - Adapter ID
+     * @param {string} config.name - Display name
+     * @param {string[]} config.methods - Supported HTTP methods (default: GET and POST)
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name;
+        this.methods = config.methods || ['GET', 'POST'];
+        this.isProxy = true;
+    }
+
+    /**
+     * Check whether the adapter can forward a request method
+     * @param {string} method - HTTP method
+     * @returns {boolean} Whether the method is supported
+     */
+    supports(method = 'GET') {
+        return this.methods.includes(method.toUpperCase());
+    }
+
+    /**
+     * Build the proxied URL
+     * Override this method in child classes
+     * @param {string} url - Original URL
+     * @returns {string} Proxied URL
+     */
+    buildUrl(url) {
+        return url;
+    }
+
+    /**
+     * Parse the proxied response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async parseResponse(response) {
+        return await response.json();
+    }
+}
+
+/**
+ * Direct Adapter
+ * Sends requests without a proxy
+ */
+export class DirectAdapter extends ProxyAdapter {
+    constructor() {
+        super({ id: 'direct', name: 'Direct' });
+        this.isProxy = false;
+    }
+}
+
+/**
+ * CORS Anywhere Adapter
+ * Prefixes the target URL, e.g. https://cors-anywhere.com/https://api.example.com
+ */
+export class CorsAnywhereAdapter extends ProxyAdapter {
+    constructor(baseUrl = 'https://cors-anywhere.com/') {
+        super({ id: 'cors-anywhere', name: 'CORS Anywhere' });
+        this.baseUrl = baseUrl;
+    }
+
+    buildUrl(url) {
+        return `${this.baseUrl}${url}`;
+    }
+}
+
+/**
+ * corsproxy.io Adapter
+ * Passes the encoded target URL as query parameter
+ */
+export class CorsProxyIoAdapter extends ProxyAdapter {
+    constructor(baseUrl = 'https://corsproxy.io/') {
+        super({ id: 'corsproxy-io', name: 'corsproxy.io' });
+        this.baseUrl = baseUrl;
+    }
+
+    buildUrl(url) {
+        return `${this.baseUrl}?url=${encodeURIComponent(url)}`;
+    }
+}
+
+/**
+ * AllOrigins Adapter
+ * Only forwards GET requests and wraps the body in a 'contents' field
+ */
+export class AllOriginsAdapter extends ProxyAdapter {
+    constructor(baseUrl = 'https://api.allorigins.win/get') {
+        super({ id: 'allorigins', name: 'AllOrigins', methods: ['GET'] });
+        this.baseUrl = baseUrl;
+    }
+
+    buildUrl(url) {
+        return `${this.baseUrl}?url=${encodeURIComponent(url)}`;
+    }
+
+    async parseResponse(response) {
+        const result = await response.json();
+        if (result.contents === undefined) {
+            throw new ProviderError('AllOrigins response has no contents', { category: ERROR_CATEGORIES.PROXY });
+        }
+        return typeof result.contents === 'string' ? JSON.parse(result.contents) : result.contents;
+    }
+}
+
+/**
+ * Custom Proxy Adapter
+ * Self-hosted proxy, either a prefix (https://proxy.example.com/) or a
+ * template with a {url} placeholder (https://proxy.example.com/?target={url})
+ */
+export class CustomProxyAdapter extends ProxyAdapter {
+    constructor(proxyUrl) {
+        super({ id: 'custom', name: 'Custom proxy' });
+        this.proxyUrl = proxyUrl;
+    }
+
+    buildUrl(url) {
+        if (this.proxyUrl.includes('{url}')) {
+            return this.proxyUrl.replace('{url}', encodeURIComponent(url));
+        }
+        return `${this.proxyUrl}${url}`;
+    }
+}
+
+/**
+ * Create the public proxy adapters in their default order
+ * @returns {ProxyAdapter[]} Proxy adapters
+ */
+export function createPublicAdapters() {
+    return [
+        new CorsAnywhereAdapter(),
+        new CorsProxyIoAdapter(),
+        new AllOriginsAdapter()
+    ];
+}
+
+/**
+ * Proxy Strategy
+ * Sends requests through the configured proxies with ordered fallbacks
+ */
+export class ProxyStrategy {
+    /**
+     * @param {Object} config - Strategy configuration
+     * @param {string} config.mode - Proxy mode (default: stored setting or 'auto')
+     * @param {string} config.customProxyUrl - Self-hosted proxy URL
+     * @param {ProxyAdapter[]} config.adapters - Public proxy adapters (default: createPublicAdapters())
+     * @param {Storage} config.storage - Storage for settings and working proxies (default: window.localStorage)
+     * @param {Function} config.onWarning - Notified when settings could not be saved and only last for this session
+     */
+    constructor(config = {}) {
+        this.storage = config.storage === undefined ? globalThis.localStorage : config.storage;
+        this.onWarning = config.onWarning || null;
+        this.settingsKey = 'cardano-reward-checker-proxy-settings';
+        this.preferencesKey = 'cardano-reward-checker-proxy-preferences';
+        this.adapters = config.adapters || createPublicAdapters();
+        this.directAdapter = new DirectAdapter();
+
+        const settings = this.loadSettings();
+        this.mode = config.mode || settings.mode || PROXY_MODES.AUTO;
+        this.customProxyUrl = config.customProxyUrl ?? settings.customProxyUrl ?? '';
+        this.preferences = this.loadPreferences();
+    }
+
+    /**
+     * Change the proxy mode and custom proxy URL and store them as settings
+     * @param {Object} settings - Proxy settings
+     * @param {string} settings.mode - Proxy mode
+     * @param {string} settings.customProxyUrl - Self-hosted proxy URL
+     */
+    configure(settings = {}) {
+        this.mode = settings.mode || this.mode;
+        this.customProxyUrl = settings.customProxyUrl ?? this.customProxyUrl;
+        this.preferences = {};
+        this.write(this.settingsKey, { mode: this.mode, customProxyUrl: this.customProxyUrl });
+        this.write(this.preferencesKey, this.preferences);
+    }
+
+    /**
+     * Use a proxy unless the user configured their own (e.g. the proxy of the bundled server)
+     * The default is not stored, so it only applies while the app is served by that server
+     * @param {string} proxyUrl - Proxy URL or template with a {url} placeholder
+     */
+    setDefaultProxy(proxyUrl) {
+        if (this.customProxyUrl || this.mode !== PROXY_MODES.AUTO) return;
+
+        this.mode = PROXY_MODES.CUSTOM;
+        this.customProxyUrl = proxyUrl;
+    }
+
+    /**
+     * Get the current settings
+     * @returns {Object} Object with mode and customProxyUrl
+     */
+    getSettings() {
+        return { mode: this.mode, customProxyUrl: this.customProxyUrl };
+    }
+
+    /**
+     * Get the adapters to try for a request, the one that last worked for the provider first
+     * @param {string} providerId - Provider ID
+     * @param {string} method - HTTP method
+     * @param {boolean} useProxy - Whether the provider needs a proxy
+     * @returns {ProxyAdapter[]} Adapters in the order to try
+     */
+    getAdapters(providerId, method = 'GET', useProxy = true) {
+        if (!useProxy || this.mode === PROXY_MODES.DIRECT) {
+            return [this.directAdapter];
+        }
+
+        const custom = this.customProxyUrl ? [new CustomProxyAdapter(this.customProxyUrl)] : [];
+        const adapters = (this.mode === PROXY_MODES.CUSTOM ? custom : [...custom, ...this.adapters])
+            .filter(adapter => adapter.supports(method));
+
+        const preferred = adapters.find(adapter => adapter.id === this.preferences[providerId]);
+        return preferred ? [preferred, ...adapters.filter(adapter => adapter !== preferred)] : adapters;
+    }
+
+    /**
+     * Send a request through the first working adapter
+     * Only proxy and network failures fall through to the next adapter, errors from the
+     * API itself are thrown right away
+     * @param {string} url - Original request URL
+     * @param {Object} options - Fetch options
+     * @param {Object} context - Request context
+     * @param {string} context.providerId - Provider ID the working proxy is remembered for
+     * @param {boolean} context.useProxy - Whether the request needs a proxy (default: true)
+     * @returns {Promise<Object>} Parsed response data
+     * @throws {ProviderError} Classified error of the last adapter
+     */
+    async request(url, options = {}, context = {}) {
+        const { providerId = null, useProxy = true } = context;
+        const adapters = this.getAdapters(providerId, options.method, useProxy);
+        if (adapters.length === 0) {
+            throw new ProviderError('No proxy configured for this request', { category: ERROR_CATEGORIES.PROXY });
+        }
+
+        let lastError = null;
+        for (const adapter of adapters) {
+            try {
+                const response = await fetch(adapter.buildUrl(url), options);
+                if (!response.ok) {
+                    throw ProviderError.fromResponse(response, adapter.isProxy);
+                }
+
+                const data = await adapter.parseResponse(response);
+                this.remember(providerId, adapter.id);
+                return data;
+            } catch (error) {
+                lastError = classifyError(error, { viaProxy: adapter.isProxy });
+                const canFallBack = [ERROR_CATEGORIES.PROXY, ERROR_CATEGORIES.NETWORK].includes(lastError.category);
+                if (!canFallBack || options.signal?.aborted) {
+                    throw lastError;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Remember the adapter that worked for a provider
+     * @param {string|null} providerId - Provider ID
+     * @param {string} adapterId - Adapter ID
+     */
+    remember(providerId, adapterId) {
+        if (!providerId || this.preferences[providerId] === adapterId) return;
+
+        this.preferences[providerId] = adapterId;
+        this.write(this.preferencesKey, this.preferences);
+    }
+
+    /**
+     * Load the stored settings
+     * @returns {Object} Stored settings
+     */
+    loadSettings() {
+        return this.read(this.settingsKey);
+    }
+
+    /**
+     * Load the working proxy per provider
+     * @returns {Object} Map of provider ID to adapter ID
+     */
+    loadPreferences() {
+        return this.read(this.preferencesKey);
+    }
+
+    /**
+     * Read a JSON object from storage
+     * @param {string} key - Storage key
+     * @returns {Object} Stored object, empty if missing or unreadable
+     */
+    read(key) {
+        try {
+            const value = JSON.parse(this.storage?.getItem(key));
+            return value && typeof value === 'object' ? value : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Write a JSON object to storage
+     * @param {string} key - Storage key
+     * @param {Object} value - Object to store
+     */
+    write(key, value) {
+        try {
+            this.storage?.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            this.onWarning?.(`Could not store proxy settings: ${error.message}`, error);
+        }
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Result Cache
+ * Stores standardized provider responses per provider and address set
+ * Uses local storage in the browser and falls back to memory elsewhere
+ */
+export class ResultCache {
+    /**
+     * @param {Storage} storage - Storage backend (default: window.localStorage, or memory if unavailable)
+     * @param {Object} options - Cache options
+     * @param {Function} options.onWarning - Told about entries that could not be read or written; the cache then acts as a miss
+     */
+    constructor(storage = globalThis.localStorage, options = {}) {
+        this.storage = storage || createMemoryStorage();
+        this.prefix = 'cardano-reward-checker-cache:';
+        this.onWarning = options.onWarning || null;
+    }
+
+    /**
+     * Build the cache key for a provider and address set
+     * @param {string} providerId - Provider ID
+     * @param {string[]} addresses - Wallet addresses
+     * @returns {string} Cache key
+     */
+    getKey(providerId, addresses) {
+        return `${this.prefix}${providerId}|${[...addresses].sort().join(',')}`;
+    }
+
+    /**
+     * Get a cached entry
+     * @param {string} providerId - Provider ID
+     * @param {string[]} addresses - Wallet addresses
+     * @returns {Object|null} Entry with responses and timestamp, or null if not cached
+     */
+    get(providerId, addresses) {
+        try {
+            const entry = JSON.parse(this.storage.getItem(this.getKey(providerId, addresses)));
+            if (entry && Array.isArray(entry.responses) && typeof entry.timestamp === 'number') {
+                return entry;
+            }
+        } catch (error) {
+            this.onWarning?.(`Ignoring corrupt cache entry for ${providerId}: ${error.message}`, error);
+        }
+        return null;
+    }
+
+    /**
+     * Store provider responses
+     * @param {string} providerId - Provider ID
+     * @param {string[]} addresses - Wallet addresses
+     * @param {Object[]} responses - Standardized responses in address order
+     * @returns {Object} Stored entry
+     */
+    set(providerId, addresses, responses) {
+        const entry = { addresses, responses, timestamp: Date.now() };
+        try {
+            this.storage.setItem(this.getKey(providerId, addresses), JSON.stringify(entry));
+        } catch (error) {
+            // Storage full or unavailable, results are still returned uncached
+            this.onWarning?.(`Could not cache results for ${providerId}: ${error.message}`, error);
+        }
+        return entry;
+    }
+
+    /**
+     * Remove the entry of a provider and address set, so the next check asks the provider again
+     * @param {string} providerId - Provider ID
+     * @param {string[]} addresses - Wallet addresses
+     */
+    delete(providerId, addresses) {
+        this.storage.removeItem(this.getKey(providerId, addresses));
+    }
+
+    /**
+     * Remove all cached entries
+     */
+    clear() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => this.storage.removeItem(key));
+    }
+}
+
+/**
+ * Create a minimal in-memory Storage implementation
+ * @returns {Object} Storage-like object
+ */
+export function createMemoryStorage() {
+    const items = new Map();
+    return {
+        get length() {
+            return items.size;
+        },
+        key: index => Array.from(items.keys())[index] ?? null,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
@@ -0,0 +1,91 @@
+import { classifyError } from './errors.js';
+
+/**
+ * Retry with exponential backoff
+ */
+
+/**
+ * Default retry policy, providers can override any field with their retry config
+ */
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,     // Total attempts including the first one
+    baseDelay: 500,     // Delay before the first retry in milliseconds
+    maxDelay: 8000,     // Upper bound for a single delay in milliseconds
+    jitter: 0.3         // Random spread of the delay (0.3 = +/- 30%)
+};
+
+/**
+ * Calculate the delay before a retry
+ * A Retry-After delay requested by the server is used as is, unless it exceeds maxDelay
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {Object} policy - Retry policy
+ * @param {number|null} retryAfter - Delay requested by the server in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if waiting that long is not worth it
+ */
+export function getRetryDelay(attempt, policy, retryAfter = null) {
+    if (retryAfter !== null) {
+        return retryAfter <= policy.maxDelay ? retryAfter : null;
+    }
+
+    const delay = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+    const spread = delay * policy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
+}
+
+/**
+ * Wait for a delay, rejecting early when the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run an operation and retry it on retryable errors
+ * @param {Function} operation - Async function called with the attempt number
+ * @param {Object} policy - Retry policy (merged with DEFAULT_RETRY_POLICY)
+ * @param {Object} options - Retry options
+ * @param {AbortSignal} options.signal - Signal that stops further attempts
+ * @param {boolean} options.viaProxy - Whether requests go through a CORS proxy (for classification)
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, policy = {}, options = {}) {
+    const { signal = null, viaProxy = false } = options;
+    const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const classified = classifyError(error, { viaProxy });
+            if (signal?.aborted || !classified.retryable || attempt >= retryPolicy.maxAttempts) {
+                throw classified;
+            }
+
+            const delay = getRetryDelay(attempt, retryPolicy, classified.retryAfter);
+            if (delay === null) {
+                throw classified;
+            }
+
+            await wait(delay, signal);
+        }
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Response schemas
+ * Small JSON Schema subset used to detect upstream format changes before a response is
+ * turned into tokens. Only the fields a provider reads are described; extra fields are ignored.
+ *
+ * Schema keywords:
+ *   type                  'object', 'array', 'string', 'number', 'integer', 'boolean', 'null',
+ *                         'numeric' (number or numeric string, e.g. lovelace quantities)
+ *                         or an array of these
+ *   nullable              Also accept null
+ *   required              Object members that must be present (null counts as present)
+ *   properties            Schemas of object members
+ *   additionalProperties  Schema of all other object members (maps keyed by address)
+ *   items                 Schema of array elements
+ */
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Check a value against a single type name
+ * @param {*} value - Value to check
+ * @param {string} type - Type name
+ * @returns {boolean} Whether the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'numeric':
+            return (typeof value === 'number' && Number.isFinite(value)) ||
+                (typeof value === 'string' && NUMERIC_PATTERN.test(value));
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Describe the type of a value for error messages
+ * @param {*} value - Value to describe
+ * @returns {string} Type description
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Append a member to a path, using bracket notation for keys that are not identifiers
+ * @param {string} path - Parent path
+ * @param {string} key - Member name
+ * @returns {string} Member path
+ */
+function memberPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+/**
+ * Validate a value against a schema
+ * Collection stops at the first mismatch of each branch, so a missing parent does not
+ * also report all of its children
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value (default: '$')
+ * @returns {Array<{path: string, message: string}>} Mismatches, empty if the value matches
+ */
+export function validateSchema(value, schema, path = '$') {
+    if (!schema) {
+        return [];
+    }
+
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => hasType(value, type))) {
+            const expected = types.join(' or ') + (schema.nullable ? ' or null' : '');
+            return [{ path, message: `expected ${expected}, got ${describeType(value)}` }];
+        }
+    }
+
+    const issues = [];
+
+    if (hasType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                issues.push({ path: memberPath(path, key), message: 'missing' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, member]) => {
+            const memberSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (memberSchema) {
+                issues.push(...validateSchema(member, memberSchema, memberPath(path, key)));
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            issues.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Get the errors of a GraphQL response
+ * GraphQL APIs answer with HTTP 200 and an errors array when a query fails
+ * @param {*} response - Raw API response
+ * @returns {Array|null} GraphQL errors or null if there are none
+ */
+export function getGraphQLErrors(response) {
+    if (!response || !Array.isArray(response.errors) || response.errors.length === 0) {
+        return null;
+    }
+    return response.errors;
+}
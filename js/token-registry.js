@@ -0,0 +1,320 @@
+import { createTokenAmount } from './amount.js';
+import { ADA_ASSET_ID, getTokenAssetId, isAdaIdentifier } from './asset-id.js';
+import { ProxyStrategy } from './proxy-strategy.js';
+import { createMemoryStorage } from './result-cache.js';
+import { hexToString } from './utils.js';
+
+/**
+ * Token Registry
+ * Resolves ticker, name, decimals, logo and verification of native tokens by policy ID and
+ * asset name, so the same token is displayed identically by every provider. Known tokens come
+ * from a bundled snapshot of the Cardano off-chain token registry (CIP-26); other tokens are
+ * looked up on demand and cached in local storage.
+ */
+
+/**
+ * Metadata of ADA (lovelace)
+ */
+export const ADA_METADATA = {
+    ticker: 'ADA',
+    name: 'Cardano',
+    decimals: 6,
+    logo: null,
+    verified: true
+};
+
+/**
+ * Snapshot of the off-chain token registry for the tokens the providers pay out
+ * Keyed by unit (policy ID + hex asset name). Logos are left out to keep the bundle small,
+ * the app falls back to the icon CDN.
+ */
+export const TOKEN_SNAPSHOT = {
+    '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c64d494e': { ticker: 'MIN', name: 'Minswap', decimals: 6 },
+    '9a9693a9a37912a5097918f97918d15240c92ab729a0b7c4aa144d7753554e444145': { ticker: 'SUNDAE', name: 'SUNDAE', decimals: 6 },
+    'da8c30857834c6ae7203935b89278c532b3995245295456f993e1d244c51': { ticker: 'LQ', name: 'Liqwid Finance', decimals: 6 },
+    '5d16cc1a177b5d9ba9cfa9793b07e60f1fb70fea1f8aef064415d114494147': { ticker: 'IAG', name: 'IAGON', decimals: 6 },
+    'b6a7467ea1deb012808ef4e87b5ff371e85f7142d7b356a40d9b42a0436f726e75636f70696173205b76696120436861696e506f72742e696f5d': { ticker: 'COPI', name: 'Cornucopias', decimals: 6 },
+    'c48cbb3d5e57ed56e276bc45f99ab39abe94e6cd7ac39fb402da47ad0014df105553444d': { ticker: 'USDM', name: 'USDM', decimals: 6 },
+    'a3931691f5c4e65d01c429e473d0dd24c51afdb6daf88e632a6c1e516f7263666178746f6b656e': { ticker: 'FACT', name: 'Orcfax', decimals: 6 },
+    '279c909f348e533da5808898f87f9a14bb2c3dfbbacccd631d927a3f534e454b': { ticker: 'SNEK', name: 'Snek', decimals: 0 },
+    'a0028f350aaabe0545fdcb56b039bfb08e4bb4d8c4d7c3c7d481c235484f534b59': { ticker: 'HOSKY', name: 'HOSKY Token', decimals: 0 }
+};
+
+/**
+ * CIP-67 asset name labels (100 reference NFT, 222 NFT, 333 FT, 444 RFT)
+ */
+const CIP67_LABELS = ['000643b0', '000de140', '0014df10', '001bc280'];
+
+/**
+ * Symbols providers use when they do not know a token
+ */
+const PLACEHOLDER_SYMBOLS = ['', 'UNKNOWN', 'Unknown Token'];
+
+/**
+ * Base64 alphabet of metadata server logos, checked because they end up in an img src
+ */
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Build the unit of a token (policy ID + hex asset name, or 'lovelace')
+ * @param {string} policyId - Token policy ID ('ADA' or 'lovelace' for ADA)
+ * @param {string} assetName - Hex encoded asset name
+ * @returns {string} Token unit ('' for tokens without policy ID)
+ */
+export function getTokenUnit(policyId, assetName = '') {
+    if (isAdaIdentifier(policyId)) {
+        return ADA_ASSET_ID;
+    }
+    return policyId ? `${policyId}${assetName || ''}`.toLowerCase() : '';
+}
+
+/**
+ * Decode a hex asset name for display, without its CIP-67 label
+ * @param {string} assetName - Hex encoded asset name
+ * @returns {string|null} Readable name or null if the name is not printable ASCII
+ */
+export function decodeAssetName(assetName) {
+    if (!assetName) return null;
+
+    const hex = CIP67_LABELS.includes(assetName.substring(0, 8)) ? assetName.substring(8) : assetName;
+    const decoded = hexToString(hex);
+    return decoded && decoded !== hex ? decoded : null;
+}
+
+export class TokenRegistry {
+    /**
+     * @param {Object} config - Registry configuration
+     * @param {string} config.endpoint - Metadata server (default: tokens.cardano.org)
+     * @param {Object} config.snapshot - Bundled metadata keyed by unit (default: TOKEN_SNAPSHOT)
+     * @param {boolean} config.lookups - Look up tokens missing from the snapshot (default: true)
+     * @param {boolean} config.useCorsProxy - Whether to send lookups through the proxy strategy (default: true)
+     * @param {ProxyStrategy} config.proxyStrategy - Proxy strategy (replaced by the provider registry's)
+     * @param {Storage|null} config.storage - Persistent cache (default: local storage, null for memory)
+     * @param {number} config.cacheTtl - How long looked up metadata is kept (default: 7 days)
+     * @param {number} config.missTtl - How long unknown tokens are remembered (default: 1 day)
+     * @param {Function} config.onWarning - Told when the metadata cache could not be read or written; lookups still work without it
+     */
+    constructor(config = {}) {
+        this.endpoint = config.endpoint || 'https://tokens.cardano.org/metadata';
+        this.snapshot = config.snapshot || TOKEN_SNAPSHOT;
+        this.lookups = config.lookups !== false;
+        this.useCorsProxy = config.useCorsProxy !== false;
+        this.proxyStrategy = config.proxyStrategy || new ProxyStrategy();
+        const storage = config.storage === undefined ? globalThis.localStorage : config.storage;
+        this.storage = storage || createMemoryStorage();
+        this.storageKey = 'cardano-reward-checker-token-metadata';
+        this.cacheTtl = config.cacheTtl ?? 7 * 24 * 60 * 60 * 1000;
+        this.missTtl = config.missTtl ?? 24 * 60 * 60 * 1000;
+        this.pending = new Map();
+        this.onWarning = config.onWarning || null;
+    }
+
+    /**
+     * Get metadata that is known without a request
+     * @param {string} policyId - Token policy ID ('ADA' or 'lovelace' for ADA)
+     * @param {string} assetName - Hex encoded asset name
+     * @returns {Object|null} Metadata with ticker, name, decimals, logo and verified, or null if
+     *   unknown (always for tokens without policy ID)
+     */
+    getMetadata(policyId, assetName = '') {
+        const unit = getTokenUnit(policyId, assetName);
+        if (unit === ADA_ASSET_ID) {
+            return ADA_METADATA;
+        }
+        if (!unit) {
+            return null;
+        }
+
+        if (this.snapshot[unit]) {
+            return { logo: null, verified: true, ...this.snapshot[unit] };
+        }
+
+        const entry = this.readCache()[unit];
+        return entry && entry.metadata ? entry.metadata : null;
+    }
+
+    /**
+     * Get metadata, looking the token up if it is not known yet
+     * Failed lookups resolve to null and are retried on the next call
+     * @param {string} policyId - Token policy ID
+     * @param {string} assetName - Hex encoded asset name
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to abort the lookup
+     * @returns {Promise<Object|null>} Metadata or null if unknown
+     */
+    async lookup(policyId, assetName = '', options = {}) {
+        const known = this.getMetadata(policyId, assetName);
+        const unit = getTokenUnit(policyId, assetName);
+        if (known || !unit || !this.lookups || this.isKnownMiss(unit)) {
+            return known;
+        }
+
+        if (!this.pending.has(unit)) {
+            const request = this.fetchMetadata(unit, options)
+                .finally(() => this.pending.delete(unit));
+            this.pending.set(unit, request);
+        }
+        return await this.pending.get(unit);
+    }
+
+    /**
+     * Apply registry metadata to standardized tokens
+     * Known tokens get the registry's ticker, name and decimals (the amount is derived again from
+     * the raw quantity); unknown tokens keep the provider's data, with the decoded asset name
+     * replacing placeholder symbols. Tokens without a policy ID only count as ADA when their
+     * symbol says so.
+     * @param {Array} tokens - Standardized tokens
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Array>} Tokens with metadata
+     */
+    async resolveTokens(tokens, options = {}) {
+        const metadata = await Promise.all(
+            tokens.map(token => this.lookup(
+                (token.assetId ?? getTokenAssetId(token)) === ADA_ASSET_ID ? ADA_ASSET_ID : token.policyId,
+                token.assetName,
+                options
+            ).catch(() => null))
+        );
+        return tokens.map((token, index) => this.applyMetadata(token, metadata[index]));
+    }
+
+    /**
+     * Apply metadata to a single token
+     * @param {Object} token - Standardized token
+     * @param {Object|null} metadata - Token metadata
+     * @returns {Object} Token with metadata
+     */
+    applyMetadata(token, metadata) {
+        if (!metadata) {
+            const fallback = decodeAssetName(token.assetName) || (token.policyId || '').substring(0, 8) || 'UNKNOWN';
+            const symbol = PLACEHOLDER_SYMBOLS.includes(token.symbol || '') ? fallback : token.symbol;
+            return {
+                ...token,
+                symbol: symbol,
+                name: PLACEHOLDER_SYMBOLS.includes(token.name || '') ? symbol : token.name,
+                verified: token.verified ?? false
+            };
+        }
+
+        const decimals = metadata.decimals ?? token.decimals ?? 0;
+        return {
+            ...token,
+            symbol: metadata.ticker || metadata.name || token.symbol,
+            name: metadata.name || token.name,
+            ...(token.quantity !== undefined ? createTokenAmount(token.quantity, decimals) : { decimals }),
+            logo: metadata.logo || token.logo || null,
+            verified: metadata.verified
+        };
+    }
+
+    /**
+     * Request metadata from the metadata server and cache the result
+     * @param {string} unit - Token unit
+     * @param {Object} options - Request options with an optional abort signal
+     * @returns {Promise<Object|null>} Metadata or null if unknown
+     */
+    async fetchMetadata(unit, options = {}) {
+        try {
+            const result = await this.proxyStrategy.request(`${this.endpoint}/${unit}`, {
+                method: 'GET',
+                mode: 'cors',
+                headers: { 'Accept': 'application/json' },
+                signal: options.signal
+            }, { providerId: 'token-registry', useProxy: this.useCorsProxy });
+
+            const metadata = parseRegistryEntry(result);
+            this.writeCache(unit, metadata);
+            return metadata;
+        } catch (error) {
+            // Unknown subjects answer 404, anything else may be temporary
+            if (error.status === 404) {
+                this.writeCache(unit, null);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a token was recently looked up without success
+     * @param {string} unit - Token unit
+     * @returns {boolean} Whether the token is a cached miss
+     */
+    isKnownMiss(unit) {
+        const entry = this.readCache()[unit];
+        return Boolean(entry) && entry.metadata === null;
+    }
+
+    /**
+     * Read the persistent cache, dropping expired entries
+     * @returns {Object} Entries keyed by unit
+     */
+    readCache() {
+        let entries = {};
+        try {
+            entries = JSON.parse(this.storage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            this.onWarning?.(`Ignoring corrupt token metadata cache: ${error.message}`, error);
+        }
+
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(entries).filter(([, entry]) =>
+            now - entry.timestamp < (entry.metadata ? this.cacheTtl : this.missTtl)
+        ));
+    }
+
+    /**
+     * Store a lookup result in the persistent cache
+     * @param {string} unit - Token unit
+     * @param {Object|null} metadata - Metadata or null for unknown tokens
+     */
+    writeCache(unit, metadata) {
+        try {
+            const entries = this.readCache();
+            entries[unit] = { metadata, timestamp: Date.now() };
+            this.storage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            this.onWarning?.(`Could not store token metadata: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Forget all looked up metadata
+     */
+    clearCache() {
+        this.storage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Set the proxy strategy used for lookups
+     * @param {ProxyStrategy} proxyStrategy - Proxy strategy instance
+     */
+    setProxyStrategy(proxyStrategy) {
+        this.proxyStrategy = proxyStrategy;
+    }
+}
+
+/**
+ * Convert a CIP-26 metadata server entry into token metadata
+ * Logos are kept as data URLs when they are base64 and small enough for the cache. Anyone can
+ * register metadata, so looked up tokens are not marked as verified.
+ * @param {Object} entry - Metadata server entry ({ subject, name: { value }, ... })
+ * @returns {Object|null} Metadata or null if the entry has no name
+ */
+function parseRegistryEntry(entry) {
+    const value = property => entry?.[property]?.value ?? null;
+    const name = value('name');
+    if (!name) {
+        return null;
+    }
+
+    const logo = value('logo');
+    return {
+        ticker: value('ticker') || name,
+        name: name,
+        decimals: Number.isInteger(value('decimals')) ? value('decimals') : 0,
+        logo: typeof logo === 'string' && logo.length <= 16 * 1024 && BASE64_PATTERN.test(logo) ?
+            `data:image/png;base64,${logo}` : null,
+        verified: false
+    };
+}
+
@@ -0,0 +1,288 @@
+import { ADDRESS_TYPES, bech32Decode, bytesToHex, decodeAddressBytes, hexToBytes } from './address.js';
+import { CborTag, decodeCbor, encodeCbor, encodeCborHex } from './cbor.js';
+
+/**
+ * Reward withdrawal transactions
+ * Builds the transaction that withdraws the rewards of a stake address into the wallet:
+ * one wallet UTxO in, one change output back to the wallet, and a withdrawal of the full
+ * reward balance (the ledger only accepts withdrawing all of it). The fee is paid from the
+ * withdrawn rewards. Everything is computed from the protocol parameters passed in, so no
+ * node is needed to build or check a transaction.
+ */
+
+/**
+ * Mainnet protocol parameters used for fees and minimum output values
+ */
+export const MAINNET_PROTOCOL_PARAMETERS = {
+    minFeeA: 44,              // Lovelace per transaction byte
+    minFeeB: 155381,          // Lovelace per transaction
+    coinsPerUtxoByte: 4310,   // Minimum output value per serialized byte
+    maxTxSize: 16384
+};
+
+/**
+ * Time to live of a withdrawal transaction in slots (seconds on mainnet)
+ */
+export const WITHDRAWAL_TTL = 2 * 60 * 60;
+
+// Unix time of mainnet slot 0 as seen by the Shelley era (1 slot per second since then)
+const MAINNET_SLOT_ZERO_TIME = 1591566291;
+
+// Withdrawals need the payment key of the input and the stake key of the reward address
+const WITHDRAWAL_WITNESS_COUNT = 2;
+
+const TX_BODY_INPUTS = 0;
+const TX_BODY_OUTPUTS = 1;
+const TX_BODY_FEE = 2;
+const TX_BODY_TTL = 3;
+const TX_BODY_WITHDRAWALS = 5;
+const WITNESS_SET_VKEYS = 0;
+
+/**
+ * Get the mainnet slot of a point in time
+ * @param {number} timestamp - Time in milliseconds (default: now)
+ * @returns {number} Slot number
+ */
+export function getMainnetSlot(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000) - MAINNET_SLOT_ZERO_TIME;
+}
+
+/**
+ * Calculate the minimum fee of a transaction
+ * @param {number} size - Transaction size in bytes, including witnesses
+ * @param {Object} protocolParameters - Protocol parameters (default: mainnet)
+ * @returns {bigint} Fee in lovelace
+ */
+export function calculateMinFee(size, protocolParameters = MAINNET_PROTOCOL_PARAMETERS) {
+    return BigInt(protocolParameters.minFeeA) * BigInt(size) + BigInt(protocolParameters.minFeeB);
+}
+
+/**
+ * Calculate the minimum lovelace of a transaction output
+ * @param {Array} output - Output as encoded in the transaction body
+ * @param {Object} protocolParameters - Protocol parameters (default: mainnet)
+ * @returns {bigint} Minimum value in lovelace
+ */
+export function calculateMinOutputValue(output, protocolParameters = MAINNET_PROTOCOL_PARAMETERS) {
+    // 160 bytes account for the UTxO entry overhead (Babbage ledger rule)
+    return BigInt(protocolParameters.coinsPerUtxoByte) * BigInt(160 + encodeCbor(output).length);
+}
+
+/**
+ * Parse a UTxO returned by a CIP-30 wallet
+ * @param {string} hex - CBOR hex of a TransactionUnspentOutput ([input, output])
+ * @returns {Object} UTxO with txHash, index, address (bytes), coin, multiasset (Map or null)
+ *   and hasDatum (datum or reference script attached)
+ * @throws {Error} If the value is not a transaction output
+ */
+export function parseUtxo(hex) {
+    const decoded = decodeCbor(hex);
+    if (!Array.isArray(decoded) || decoded.length !== 2 || !Array.isArray(decoded[0])) {
+        throw new Error('Invalid UTxO: expected [input, output]');
+    }
+
+    const [[txHash, index], output] = decoded;
+    let address;
+    let value;
+    let hasDatum;
+    if (Array.isArray(output)) {
+        // Legacy output: [address, value, datum hash?]
+        [address, value] = output;
+        hasDatum = output.length > 2;
+    } else if (output instanceof Map) {
+        // Post-Alonzo output: { 0: address, 1: value, 2: datum, 3: script reference }
+        address = output.get(0);
+        value = output.get(1);
+        hasDatum = output.has(2) || output.has(3);
+    }
+
+    if (!(txHash instanceof Uint8Array) || txHash.length !== 32 || !(address instanceof Uint8Array) || value === undefined) {
+        throw new Error('Invalid UTxO: malformed output');
+    }
+
+    const [coin, multiasset] = Array.isArray(value) ? value : [value, null];
+    return {
+        txHash: bytesToHex(txHash),
+        index: Number(index),
+        address: address,
+        coin: BigInt(coin),
+        multiasset: multiasset instanceof Map && multiasset.size > 0 ? multiasset : null,
+        hasDatum: hasDatum
+    };
+}
+
+/**
+ * Pick the UTxO spent by a withdrawal
+ * Only UTxOs at key addresses without datum can be signed by the wallet; ADA-only UTxOs are
+ * preferred so tokens are not moved around, then the largest one
+ * @param {Object[]} utxos - Parsed UTxOs
+ * @returns {Object|null} UTxO, or null if none can be spent
+ */
+export function selectWithdrawalInput(utxos) {
+    const spendable = utxos.filter(utxo =>
+        !utxo.hasDatum && decodeAddressBytes(utxo.address).paymentCredential?.type === 'key'
+    );
+
+    return spendable.sort((a, b) =>
+        (a.multiasset ? 1 : 0) - (b.multiasset ? 1 : 0) || (a.coin < b.coin ? 1 : a.coin > b.coin ? -1 : 0)
+    )[0] || null;
+}
+
+/**
+ * Build an unsigned transaction withdrawing all rewards of a stake address
+ * @param {Object} options - Transaction options
+ * @param {Object[]} options.utxos - Parsed wallet UTxOs (see parseUtxo)
+ * @param {string} options.changeAddress - Bech32 address receiving the rewards
+ * @param {string} options.rewardAddress - Bech32 stake address to withdraw from
+ * @param {bigint|string|number} options.amount - Reward balance in lovelace
+ * @param {Object} options.protocolParameters - Protocol parameters (default: mainnet)
+ * @param {number|null} options.ttl - Slot after which the transaction is invalid (default: none)
+ * @returns {Object} Withdrawal with cbor (unsigned transaction hex), body, amount, fee,
+ *   netAmount (amount minus fee), input and rewardAddress
+ * @throws {Error} If the addresses are unsuitable, no UTxO can be spent or the rewards do not cover the fee
+ */
+export function buildWithdrawalTx(options) {
+    const protocolParameters = options.protocolParameters || MAINNET_PROTOCOL_PARAMETERS;
+    const amount = BigInt(options.amount);
+    const rewardAddress = decodeBech32Address(options.rewardAddress);
+    const changeAddress = decodeBech32Address(options.changeAddress);
+
+    const reward = decodeAddressBytes(rewardAddress);
+    if (reward.type !== ADDRESS_TYPES.REWARD) {
+        throw new Error(`${options.rewardAddress} is not a stake address`);
+    }
+    if (reward.stakeCredential.type !== 'key') {
+        throw new Error('Rewards of script stake addresses cannot be withdrawn from a wallet');
+    }
+    const change = decodeAddressBytes(changeAddress);
+    if (change.error || change.type === ADDRESS_TYPES.REWARD) {
+        throw new Error(`${options.changeAddress} cannot receive the rewards`);
+    }
+    if (change.networkId !== reward.networkId) {
+        throw new Error('The change address and the stake address are on different networks');
+    }
+    if (amount <= 0n) {
+        throw new Error('There are no rewards to withdraw');
+    }
+
+    const input = selectWithdrawalInput(options.utxos || []);
+    if (!input) {
+        throw new Error('The wallet has no UTxO to spend, a transaction needs at least one input');
+    }
+
+    const createBody = fee => {
+        const coin = input.coin + amount - fee;
+        const body = new Map([
+            [TX_BODY_INPUTS, [[hexToBytes(input.txHash), input.index]]],
+            [TX_BODY_OUTPUTS, [[changeAddress, input.multiasset ? [coin, input.multiasset] : coin]]],
+            [TX_BODY_FEE, fee]
+        ]);
+        if (options.ttl !== undefined && options.ttl !== null) {
+            body.set(TX_BODY_TTL, options.ttl);
+        }
+        body.set(TX_BODY_WITHDRAWALS, new Map([[rewardAddress, amount]]));
+        return body;
+    };
+
+    // The fee depends on the size, and the size on the encoded fee; this settles within a few rounds
+    let fee = 0n;
+    let body = createBody(fee);
+    let size = 0;
+    for (let round = 0; round < 5; round++) {
+        size = encodeCbor(createTransaction(body, createDummyWitnessSet(WITHDRAWAL_WITNESS_COUNT))).length;
+        const minFee = calculateMinFee(size, protocolParameters);
+        if (minFee === fee) {
+            break;
+        }
+        fee = minFee;
+        body = createBody(fee);
+    }
+
+    if (size > protocolParameters.maxTxSize) {
+        throw new Error(`The withdrawal transaction is too large (${size} bytes)`);
+    }
+    if (amount <= fee) {
+        throw new Error(`The rewards (${amount} lovelace) do not cover the transaction fee (${fee} lovelace)`);
+    }
+
+    const output = body.get(TX_BODY_OUTPUTS)[0];
+    const minOutputValue = calculateMinOutputValue(output, protocolParameters);
+    if (input.coin + amount - fee < minOutputValue) {
+        throw new Error(`The wallet output would hold less than the minimum of ${minOutputValue} lovelace`);
+    }
+
+    return {
+        cbor: encodeCborHex(createTransaction(body, new Map())),
+        body: body,
+        amount: amount,
+        fee: fee,
+        netAmount: amount - fee,
+        input: { txHash: input.txHash, index: input.index },
+        rewardAddress: options.rewardAddress
+    };
+}
+
+/**
+ * Add the witnesses returned by a wallet to an unsigned transaction
+ * @param {string} txHex - Unsigned transaction hex (see buildWithdrawalTx)
+ * @param {string} witnessSetHex - Witness set hex returned by CIP-30 signTx
+ * @returns {string} Signed transaction hex
+ * @throws {Error} If the witness set has no key witnesses
+ */
+export function assembleSignedTx(txHex, witnessSetHex) {
+    const [body, witnessSet, isValid, auxiliaryData] = decodeCbor(txHex);
+    const signatures = decodeCbor(witnessSetHex);
+    const added = signatures instanceof Map ? unwrapSet(signatures.get(WITNESS_SET_VKEYS)) : [];
+    if (added.length === 0) {
+        throw new Error('The wallet returned no signatures');
+    }
+
+    const merged = new Map(witnessSet);
+    merged.set(WITNESS_SET_VKEYS, [...unwrapSet(witnessSet.get(WITNESS_SET_VKEYS)), ...added]);
+    // Re-encoding keeps the body bytes, as the builder already uses definite lengths and shortest integers
+    return encodeCborHex([body, merged, isValid, auxiliaryData]);
+}
+
+/**
+ * Create a transaction from its body and witness set
+ * @param {Map} body - Transaction body
+ * @param {Map} witnessSet - Witness set
+ * @returns {Array} Transaction ready to be encoded
+ */
+function createTransaction(body, witnessSet) {
+    return [body, witnessSet, true, null];
+}
+
+/**
+ * Create a witness set with placeholder key witnesses, for sizing the transaction before signing
+ * @param {number} count - Number of key witnesses
+ * @returns {Map} Witness set
+ */
+function createDummyWitnessSet(count) {
+    const witnesses = Array.from({ length: count }, () => [new Uint8Array(32), new Uint8Array(64)]);
+    return new Map([[WITNESS_SET_VKEYS, witnesses]]);
+}
+
+/**
+ * Read a CBOR set, which may be tagged (258) or a plain array
+ * @param {*} value - Decoded set
+ * @returns {Array} Set items
+ */
+function unwrapSet(value) {
+    const items = value instanceof CborTag ? value.value : value;
+    return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Decode a bech32 address to its raw bytes
+ * @param {string} address - Bech32 address
+ * @returns {Uint8Array} Address bytes
+ * @throws {Error} If the address is not valid bech32
+ */
+function decodeBech32Address(address) {
+    const decoded = bech32Decode(address);
+    if (decoded.error) {
+        throw new Error(`Invalid address ${address}: ${decoded.error}`);
+    }
+    return decoded.bytes;
+}
@@ -1,13 +1,22 @@
+import { validateAddress } from './address.js';
+import { toQuantity, quantityToString, roundQuantity } from './amount.js';
+
 /**
  * Utility functions for the reward checker application
  */
 
 /**
  * Format amounts for display with appropriate precision
- * @param {number} amount - Token amount
+ * When decimals are given, the amount is a raw on-chain quantity and is rendered exactly
+ * @param {number|bigint|string} amount - Token amount, or raw quantity if decimals are given
+ * @param {number|null} decimals - Token decimals of a raw quantity (default: null)
  * @returns {string} Formatted amount
  */
-export function formatAmount(amount) {
+export function formatAmount(amount, decimals = null) {
+    if (decimals !== null) {
+        return formatQuantity(amount, decimals);
+    }
+
     if (amount === 0) return '0';
     if (amount < 0.000001) return amount.toString();
     if (amount < 1) return amount.toFixed(6);
@@ -15,88 +24,123 @@ export function formatAmount(amount) {
     return amount.toLocaleString();
 }
 
+/**
+ * Format a raw quantity exactly, using the same precision rules as formatAmount
+ * @param {number|bigint|string} quantity - Raw on-chain quantity
+ * @param {number} decimals - Token decimals
+ * @returns {string} Formatted amount
+ */
+function formatQuantity(quantity, decimals) {
+    const value = toQuantity(quantity);
+    if (value === 0n) return '0';
+
+    if (decimals > 6 && value < 10n ** BigInt(decimals - 6)) {
+        return quantityToString(value, decimals);
+    }
+
+    const unit = 10n ** BigInt(decimals);
+    if (value < unit) {
+        const rounded = roundQuantity(value, decimals, 6);
+        return `${rounded.integer}.${rounded.fraction}`;
+    }
+
+    const rounded = roundQuantity(value, decimals, 3);
+    if (value < 1000n * unit) {
+        return `${rounded.integer}.${rounded.fraction}`;
+    }
+
+    const decimalSeparator = (1.5).toLocaleString().charAt(1);
+    const fraction = rounded.fraction.replace(/0+$/, '');
+    return BigInt(rounded.integer).toLocaleString() + (fraction ? decimalSeparator + fraction : '');
+}
+
+/**
+ * Format a fiat value with the currency symbol
+ * @param {number|null} value - Fiat value
+ * @param {string} currency - Fiat currency code (e.g. 'usd')
+ * @returns {string} Formatted value, or '-' if unknown
+ */
+export function formatFiat(value, currency) {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currency.toUpperCase(),
+        maximumFractionDigits: value < 1 ? 4 : 2
+    }).format(value);
+}
+
+/**
+ * Format the amount of a standard token, exactly when the raw quantity is known
+ * @param {Object} token - Standardized token
+ * @returns {string} Formatted amount
+ */
+export function formatTokenAmount(token) {
+    if (token.quantity !== undefined && token.decimals !== undefined && token.decimals !== null) {
+        return formatAmount(token.quantity, token.decimals);
+    }
+    return formatAmount(token.amount);
+}
+
 /**
  * Validate Cardano address format
+ * Accepts mainnet base, pointer and reward addresses with a valid bech32 checksum
  * @param {string} address - Wallet address to validate
  * @returns {boolean} Whether address is valid
  */
 export function isValidAddress(address) {
-    return address && address.startsWith('addr1') && address.length >= 100;
+    return validateAddress(address).valid;
 }
 
 /**
- * Safe element query with optional callback
- * @param {string} selector - CSS selector
- * @param {Function} callback - Optional callback if element exists
- * @returns {HTMLElement|null} Element or null
+ * Shorten a long address for display, keeping the start and end
+ * @param {string} address - Address to shorten
+ * @param {number} chars - Characters to keep on each side (default: 10)
+ * @returns {string} Shortened address
  */
-export function getElement(selector, callback = null) {
-    const element = document.querySelector(selector);
-    if (element && callback) {
-        callback(element);
-    }
-    return element;
+export function shortenAddress(address, chars = 10) {
+    if (!address || address.length <= chars * 2 + 3) return address || '';
+    return `${address.substring(0, chars)}...${address.substring(address.length - chars)}`;
 }
 
 /**
- * Toggle element visibility
- * @param {string} selector - CSS selector
- * @param {boolean} show - Whether to show the element
+ * Format the age of a timestamp for display
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Relative age (e.g. "5 min ago")
  */
-export function toggleElement(selector, show) {
-    const element = document.querySelector(selector);
-    if (element) {
-        element.style.display = show ? 'block' : 'none';
-    }
+export function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} d ago`;
 }
 
 /**
- * Create token icon element with fallback
- * @param {string} policyId - Token policy ID
- * @param {string} assetName - Token asset name
- * @param {string} symbol - Token symbol for fallback
- * @param {string} size - Icon size (default: '20px')
- * @returns {string} HTML string for token icon
+ * Format the date of a timestamp for display
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Short local date and time (e.g. "19 Oct, 14:05")
  */
-export function createTokenIcon(policyId, assetName = '', symbol = '', size = '20px') {
-    let iconUrl;
-    
-    // Handle ADA/lovelace tokens
-    if (!policyId || policyId.toLowerCase() === 'lovelace' || policyId.toLowerCase() === 'ada' || 
-        symbol.toLowerCase() === 'ada' || symbol.toLowerCase() === 'lovelace') {
-        iconUrl = 'https://storage.googleapis.com/dexhunter-images/tokens/cardano.png';
-    } else {
-        const tokenId = policyId + assetName;
-        iconUrl = `https://storage.googleapis.com/dexhunter-images/tokens/${tokenId}.webp`;
-    }
-    
-    return `<img 
-        src="${iconUrl}" 
-        alt="${symbol}" 
-        class="token-icon"
-        style="
-            width: ${size}; 
-            height: ${size}; 
-            margin-right: 8px; 
-            border-radius: 50%;
-            object-fit: cover;
-            flex-shrink: 0;
-        "
-        onerror="this.style.display='none'; this.nextElementSibling.style.display='inline-flex';"
-    ><span class="token-symbol-fallback" style="
-        display: none;
-        align-items: center;
-        justify-content: center;
-        width: ${size};
-        height: ${size};
-        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        color: white;
-        border-radius: 50%;
-        font-size: 10px;
-        font-weight: bold;
-        margin-right: 8px;
-        flex-shrink: 0;
-    ">${symbol.substring(0, 2).toUpperCase()}</span>`;
+export function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Format a calendar date for display
+ * @param {number|string} date - Time in milliseconds or ISO 8601 date
+ * @returns {string} Short local date (e.g. "1 Dec 2026")
+ */
+export function formatDay(date) {
+    return new Date(date).toLocaleDateString(undefined, {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
 }
 
 /**
@@ -189,11 +233,3 @@ export function hexToString(hexAssetName) {
         return hexAssetName;
     }
 }
-
-/**
- * CORS Proxy services (free alternatives to proxy.cors.sh)
- */
-export const CORS_PROXIES = {
-    // Most reliable option - uses JSONP-style callback
-    ALLORIGINS:  'https://cors-anywhere.com/'
-};
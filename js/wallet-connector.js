@@ -0,0 +1,341 @@
+import { encodeAddress, hexToBytes } from './address.js';
+import { decodeCbor } from './cbor.js';
+import {
+    WITHDRAWAL_TTL, assembleSignedTx, buildWithdrawalTx, getMainnetSlot, parseUtxo
+} from './transaction.js';
+
+/**
+ * Browser wallet connection (CIP-30)
+ * Reads the addresses of an installed light wallet (Eternl, Lace, Nami, ...) through the
+ * window.cardano.<walletId> API, so they do not have to be copied by hand, and has it sign
+ * and submit staking reward withdrawals
+ */
+
+/**
+ * CIP-30 APIError codes
+ */
+export const CIP30_ERROR_CODES = {
+    INVALID_REQUEST: -1,
+    INTERNAL_ERROR: -2,
+    REFUSED: -3,
+    ACCOUNT_CHANGE: -4
+};
+
+/**
+ * CIP-30 TxSignError and TxSendError codes
+ */
+export const CIP30_SIGN_ERROR_CODES = {
+    PROOF_GENERATION: 1,
+    USER_DECLINED: 2
+};
+export const CIP30_SEND_ERROR_CODES = {
+    REFUSED: 1,
+    FAILURE: 2
+};
+
+/**
+ * Wallet connection error
+ * CIP-30 wallets reject with plain { code, info } objects; they are wrapped in this error
+ */
+export class WalletConnectionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - Error details
+     * @param {number|null} options.code - CIP-30 error code
+     * @param {string|null} options.walletId - Wallet ID
+     * @param {*} options.cause - Original error
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'WalletConnectionError';
+        this.code = options.code ?? null;
+        this.walletId = options.walletId ?? null;
+        this.cause = options.cause;
+    }
+}
+
+/**
+ * List the CIP-30 wallets injected into window.cardano
+ * @param {Object} cardano - Injected wallet namespace (default: window.cardano)
+ * @returns {Array} Wallets with id, name, icon and apiVersion
+ */
+export function getCip30Wallets(cardano = globalThis.cardano) {
+    if (!cardano || typeof cardano !== 'object') {
+        return [];
+    }
+
+    return Object.entries(cardano)
+        .filter(([, wallet]) => wallet && typeof wallet.enable === 'function' && wallet.name)
+        .map(([id, wallet]) => ({
+            id: id,
+            name: wallet.name,
+            icon: wallet.icon || null,
+            apiVersion: wallet.apiVersion || null
+        }));
+}
+
+/**
+ * Decode an address returned by a CIP-30 wallet
+ * Wallets return raw address bytes as hex; some wrap them in a CBOR byte string, and a few
+ * return bech32 already
+ * @param {string} value - Hex, CBOR hex or bech32 address
+ * @returns {string} Bech32 address
+ * @throws {Error} If the value is not a Shelley address
+ */
+export function decodeCip30Address(value) {
+    if (typeof value !== 'string' || !value) {
+        throw new Error('Invalid wallet address: empty');
+    }
+
+    if (/^(addr|stake)(_test)?1/.test(value)) {
+        return value;
+    }
+
+    if (!/^([0-9a-f]{2})+$/i.test(value)) {
+        throw new Error(`Invalid wallet address: ${value.slice(0, 16)}…`);
+    }
+
+    // Pointer address headers (0x40-0x5f) look like a CBOR byte string head, but the length it
+    // announces never matches the rest of the address, so decoding them as CBOR fails
+    let bytes = hexToBytes(value);
+    if (bytes[0] >> 5 === 2) {
+        try {
+            const unwrapped = decodeCbor(bytes);
+            if (unwrapped instanceof Uint8Array) {
+                bytes = unwrapped;
+            }
+        } catch (error) {
+            // Not CBOR, decode the raw bytes
+        }
+    }
+
+    const encoded = encodeAddress(bytes);
+    if (encoded.error) {
+        throw new Error(`Invalid wallet address: ${encoded.error}`);
+    }
+    return encoded.address;
+}
+
+/**
+ * Wallet Connector
+ * Connects to one CIP-30 wallet at a time
+ */
+export class WalletConnector {
+    /**
+     * @param {Object} options - Connector options
+     * @param {Object} options.cardano - Injected wallet namespace (default: window.cardano, read on use
+     *   because extensions inject it after the page loaded)
+     */
+    constructor(options = {}) {
+        this.cardano = options.cardano || null;
+        this.wallet = null;
+        this.api = null;
+        this.addresses = null;
+    }
+
+    /**
+     * Get the injected wallet namespace
+     * @returns {Object|undefined} window.cardano or the configured namespace
+     */
+    getNamespace() {
+        return this.cardano || globalThis.cardano;
+    }
+
+    /**
+     * List the installed wallets
+     * @returns {Array} Wallets with id, name, icon and apiVersion
+     */
+    getWallets() {
+        return getCip30Wallets(this.getNamespace());
+    }
+
+    /**
+     * Ask a wallet for access
+     * @param {string} walletId - Wallet ID (key in window.cardano, e.g. 'eternl')
+     * @returns {Promise<Object>} Connected wallet with id, name, icon and apiVersion
+     * @throws {WalletConnectionError} If the wallet is not installed or the user refused
+     */
+    async connect(walletId) {
+        const wallet = this.getWallets().find(candidate => candidate.id === walletId);
+        if (!wallet) {
+            throw new WalletConnectionError(`Wallet ${walletId} is not installed`, { walletId });
+        }
+
+        try {
+            this.api = await this.getNamespace()[walletId].enable();
+        } catch (error) {
+            throw wrapWalletError(wallet, error, `Could not connect to ${wallet.name}`);
+        }
+
+        this.wallet = wallet;
+        this.addresses = null;
+        return wallet;
+    }
+
+    /**
+     * Forget the connected wallet
+     */
+    disconnect() {
+        this.wallet = null;
+        this.api = null;
+        this.addresses = null;
+    }
+
+    /**
+     * Read the addresses of the connected wallet
+     * @returns {Promise<Object>} Bech32 addresses: reward, used and change arrays, and all of
+     *   them without duplicates in that order
+     * @throws {WalletConnectionError} If no wallet is connected, the wallet is on a testnet or a call fails
+     */
+    async getAddresses() {
+        if (!this.api) {
+            throw new WalletConnectionError('No wallet connected');
+        }
+
+        let networkId;
+        let reward;
+        let used;
+        let change;
+        try {
+            [networkId, reward, used, change] = await Promise.all([
+                this.api.getNetworkId(),
+                this.api.getRewardAddresses(),
+                this.api.getUsedAddresses(),
+                this.api.getChangeAddress()
+            ]);
+        } catch (error) {
+            throw wrapWalletError(this.wallet, error, `Could not read the addresses of ${this.wallet.name}`);
+        }
+
+        if (networkId !== 1) {
+            throw new WalletConnectionError(
+                `${this.wallet.name} is connected to a testnet, switch it to mainnet`,
+                { walletId: this.wallet.id }
+            );
+        }
+
+        const addresses = {
+            reward: (reward || []).map(decodeCip30Address),
+            used: (used || []).map(decodeCip30Address),
+            change: change ? [decodeCip30Address(change)] : []
+        };
+
+        this.addresses = {
+            ...addresses,
+            all: Array.from(new Set([...addresses.reward, ...addresses.used, ...addresses.change]))
+        };
+        return this.addresses;
+    }
+
+    /**
+     * Check whether the connected wallet holds the key of a stake address
+     * @param {string} stakeAddress - Bech32 stake address
+     * @returns {boolean} Whether the wallet can sign withdrawals from it
+     */
+    canWithdraw(stakeAddress) {
+        return Boolean(this.api && this.addresses?.reward.includes(stakeAddress));
+    }
+
+    /**
+     * Build the transaction withdrawing all rewards of a stake address of the connected wallet
+     * Nothing is signed yet; show the fee and net amount, then pass the result to submitWithdrawal
+     * @param {string} stakeAddress - Bech32 stake address
+     * @param {bigint|string} amount - Reward balance in lovelace
+     * @param {Object} options - Transaction options
+     * @param {Object} options.protocolParameters - Protocol parameters (default: mainnet)
+     * @param {Object} options.delegation - Delegation of the stake key (Cardano Staking metadata),
+     *   checked for the DRep the ledger requires before withdrawals
+     * @returns {Promise<Object>} Withdrawal, see buildWithdrawalTx
+     * @throws {WalletConnectionError} If the wallet does not own the stake address or a call fails
+     * @throws {Error} If the stake key has no valid DRep or the transaction cannot be built
+     */
+    async prepareWithdrawal(stakeAddress, amount, options = {}) {
+        if (!this.canWithdraw(stakeAddress)) {
+            throw new WalletConnectionError(
+                `The connected wallet does not hold the stake key of ${stakeAddress}`,
+                { walletId: this.wallet?.id }
+            );
+        }
+
+        // Since the Plomin hard fork the ledger rejects withdrawals of stake keys without a DRep
+        const drepWarning = options.delegation?.warnings?.find(warning =>
+            warning.code === 'no-drep' || warning.code === 'drep-retired'
+        );
+        if (drepWarning) {
+            throw new Error(drepWarning.message);
+        }
+
+        let utxos;
+        let change;
+        try {
+            [utxos, change] = await Promise.all([
+                this.api.getUtxos(),
+                this.api.getChangeAddress()
+            ]);
+        } catch (error) {
+            throw wrapWalletError(this.wallet, error, `Could not read the UTxOs of ${this.wallet.name}`);
+        }
+
+        return buildWithdrawalTx({
+            utxos: (utxos || []).map(parseUtxo),
+            changeAddress: decodeCip30Address(change),
+            rewardAddress: stakeAddress,
+            amount: amount,
+            protocolParameters: options.protocolParameters,
+            ttl: getMainnetSlot() + WITHDRAWAL_TTL
+        });
+    }
+
+    /**
+     * Ask the connected wallet to sign a withdrawal and submit it
+     * @param {Object} withdrawal - Withdrawal returned by prepareWithdrawal
+     * @returns {Promise<string>} Transaction hash
+     * @throws {WalletConnectionError} If the user declined or the wallet could not submit
+     */
+    async submitWithdrawal(withdrawal) {
+        if (!this.api) {
+            throw new WalletConnectionError('No wallet connected');
+        }
+
+        let witnessSet;
+        try {
+            // Partial signing: the wallet adds its witnesses and leaves the transaction to us
+            witnessSet = await this.api.signTx(withdrawal.cbor, true);
+        } catch (error) {
+            throw wrapWalletError(this.wallet, error, `${this.wallet.name} did not sign the withdrawal`, {
+                [CIP30_SIGN_ERROR_CODES.USER_DECLINED]: 'signing was declined'
+            });
+        }
+
+        const signedTx = assembleSignedTx(withdrawal.cbor, witnessSet);
+        try {
+            return await this.api.submitTx(signedTx);
+        } catch (error) {
+            throw wrapWalletError(this.wallet, error, `${this.wallet.name} could not submit the withdrawal`, {
+                [CIP30_SEND_ERROR_CODES.REFUSED]: 'the wallet refused to send it'
+            });
+        }
+    }
+}
+
+/**
+ * Wrap a CIP-30 rejection in a WalletConnectionError
+ * @param {Object} wallet - Wallet with id and name
+ * @param {*} error - APIError ({ code, info }) or Error
+ * @param {string} action - What failed, e.g. 'Could not connect to Eternl'
+ * @param {Object} reasons - Reasons for the codes of TxSignError or TxSendError
+ * @returns {WalletConnectionError} Wrapped error
+ */
+function wrapWalletError(wallet, error, action, reasons = {}) {
+    const code = typeof error?.code === 'number' ? error.code : null;
+    const reason = reasons[code] ? reasons[code] :
+        code === CIP30_ERROR_CODES.REFUSED ? 'access was refused' :
+        code === CIP30_ERROR_CODES.ACCOUNT_CHANGE ? 'the account was changed, connect again' :
+        error?.info || error?.message || 'unknown error';
+
+    return new WalletConnectionError(`${action}: ${reason}`, {
+        code,
+        walletId: wallet.id,
+        cause: error
+    });
+}
@@ -0,0 +1,118 @@
+/**
+ * Wallet Store
+ * Persists the list of saved wallets (address and label) in local storage
+ */
+export class WalletStore {
+    /**
+     * @param {Storage} storage - Storage backend (default: window.localStorage)
+     * @param {Object} options - Store options
+     * @param {Function} options.onWarning - Told when a corrupt wallet list is discarded
+     */
+    constructor(storage = globalThis.localStorage, options = {}) {
+        this.storage = storage || null;
+        this.onWarning = options.onWarning || null;
+        this.storageKey = 'cardano-reward-checker-wallets';
+        this.legacyKey = 'cardano-reward-checker-address';
+        this.wallets = this.load();
+    }
+
+    /**
+     * Load saved wallets, migrating the legacy single address key
+     * @returns {Array} Saved wallets
+     */
+    load() {
+        if (!this.storage) return [];
+
+        let wallets = [];
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            if (Array.isArray(saved)) {
+                wallets = saved.filter(wallet => wallet && typeof wallet.address === 'string');
+            }
+        } catch (error) {
+            this.onWarning?.(`Ignoring corrupt wallet list: ${error.message}`, error);
+        }
+
+        const legacyAddress = this.storage.getItem(this.legacyKey);
+        if (legacyAddress) {
+            if (!wallets.some(wallet => wallet.address === legacyAddress)) {
+                wallets.push({ address: legacyAddress, label: '' });
+            }
+            this.storage.removeItem(this.legacyKey);
+            this.wallets = wallets;
+            this.save();
+        }
+
+        return wallets;
+    }
+
+    /**
+     * Persist the wallet list
+     */
+    save() {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.wallets));
+        }
+    }
+
+    /**
+     * Get all saved wallets
+     * @returns {Array} Wallets with address and label
+     */
+    getWallets() {
+        return [...this.wallets];
+    }
+
+    /**
+     * Get all saved addresses
+     * @returns {string[]} Wallet addresses
+     */
+    getAddresses() {
+        return this.wallets.map(wallet => wallet.address);
+    }
+
+    /**
+     * Get a saved wallet by address
+     * @param {string} address - Wallet address
+     * @returns {Object|null} Wallet or null if not saved
+     */
+    getWallet(address) {
+        return this.wallets.find(wallet => wallet.address === address) || null;
+    }
+
+    /**
+     * Add a wallet, or update the label of an existing one
+     * @param {string} address - Wallet address
+     * @param {string} label - Optional label
+     * @returns {Object} Saved wallet
+     */
+    addWallet(address, label = '') {
+        const trimmedAddress = address.trim();
+        const trimmedLabel = label.trim();
+        let wallet = this.getWallet(trimmedAddress);
+
+        if (wallet) {
+            if (trimmedLabel) {
+                wallet.label = trimmedLabel;
+            }
+        } else {
+            wallet = { address: trimmedAddress, label: trimmedLabel };
+            this.wallets.push(wallet);
+        }
+
+        this.save();
+        return wallet;
+    }
+
+    /**
+     * Remove a saved wallet
+     * @param {string} address - Wallet address
+     * @returns {boolean} True if the wallet was removed
+     */
+    removeWallet(address) {
+        const count = this.wallets.length;
+        this.wallets = this.wallets.filter(wallet => wallet.address !== address);
+        this.save();
+        return this.wallets.length !== count;
+    }
+}
@@ -0,0 +1,385 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRegistry, validateAddress } from '../js/index.js';
+import { MockUpstream } from '../js/mock/mock-upstream.js';
+
+/**
+ * Reward Checker Server
+ * Serves the web app and replaces the public CORS proxy:
+ * - GET /api/providers                        List of providers
+ * - GET /api/rewards/:providerId?address=...  Standardized result of one provider
+ * - ANY /proxy?url=...                        Proxy for the provider APIs (allowlisted hosts only)
+ * Provider headers (e.g. origin) are set server-side and responses are cached for all clients.
+ *
+ * Usage: node server/index.js (PORT and HOST environment variables, default 8080 on localhost)
+ * Set MOCK_UPSTREAM to a mock scenario (e.g. rewards) to replay recorded responses instead of
+ * calling the provider APIs.
+ */
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const PROXY_PATH = '/proxy';
+const MAX_BODY_SIZE = 64 * 1024;
+const PROXY_CACHE_SIZE = 500;
+const PROXY_TIMEOUT = 30000;
+
+/**
+ * Hosts the proxy forwards to in addition to the provider endpoints
+ */
+const EXTRA_PROXY_HOSTS = ['api.koios.rest', 'tokens.cardano.org'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Proxy response cache
+ * Holds at most maxEntries responses; the least recently used one is evicted first and
+ * expired entries are dropped when they are read or when room is needed
+ */
+export class ProxyCache {
+    /**
+     * @param {number} maxEntries - Maximum number of cached responses (default: 500)
+     */
+    constructor(maxEntries = PROXY_CACHE_SIZE) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a cached response that has not expired
+     * @param {string} key - Cache key
+     * @returns {Object|null} Cached response or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+        if (entry.expires <= Date.now()) {
+            return null;
+        }
+
+        // Re-insert so the Map order stays least recently used first
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Cache a response, evicting expired and then least recently used entries when full
+     * @param {string} key - Cache key
+     * @param {Object} entry - Response with status, contentType, body and expires
+     */
+    set(key, entry) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.prune();
+        }
+        while (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, entry);
+    }
+
+    /**
+     * Drop all expired entries
+     */
+    prune() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expires <= now) {
+                this.entries.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Number of cached responses
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Create the request handler of the server
+ * @param {Object} options - Server options
+ * @param {ProviderRegistry} options.registry - Provider registry (default: direct mode with a memory cache)
+ * @param {number} options.proxyCacheSize - Maximum number of cached proxy responses (default: 500)
+ * @param {number} options.proxyTimeout - Timeout of proxied upstream requests in milliseconds (default: 30000)
+ * @returns {Function} Node request handler
+ */
+export function createRequestHandler(options = {}) {
+    const registry = options.registry || createRegistry({ proxyMode: 'direct' });
+    const proxyCache = new ProxyCache(options.proxyCacheSize);
+    const proxyTimeout = options.proxyTimeout ?? PROXY_TIMEOUT;
+
+    return async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/api/providers') {
+                sendJson(response, 200, registry.getAllProviders().map(provider => ({
+                    id: provider.id,
+                    name: provider.name,
+                    platformUrl: provider.platformUrl
+                })));
+            } else if (url.pathname.startsWith('/api/rewards/')) {
+                await handleRewards(registry, url, response);
+            } else if (url.pathname === PROXY_PATH) {
+                await handleProxy(registry, proxyCache, proxyTimeout, request, url, response);
+            } else if (request.method === 'GET' || request.method === 'HEAD') {
+                await serveStatic(url.pathname, response);
+            } else {
+                sendJson(response, 405, { error: 'Method not allowed' });
+            }
+        } catch (error) {
+            console.error(`${request.method} ${url.pathname} failed:`, error);
+            if (!response.headersSent) {
+                sendJson(response, 500, { error: error.message });
+            }
+        }
+    };
+}
+
+/**
+ * GET /api/rewards/:providerId?address=...
+ * @param {ProviderRegistry} registry - Provider registry
+ * @param {URL} url - Request URL
+ * @param {ServerResponse} response - Node response
+ */
+async function handleRewards(registry, url, response) {
+    const providerId = decodeURIComponent(url.pathname.slice('/api/rewards/'.length));
+    const address = url.searchParams.get('address') || '';
+
+    if (!registry.getProvider(providerId)) {
+        sendJson(response, 404, { error: `Unknown provider: ${providerId}` });
+        return;
+    }
+
+    const validation = validateAddress(address);
+    if (!validation.valid) {
+        sendJson(response, 400, { error: `Invalid address: ${validation.reason}` });
+        return;
+    }
+
+    const [result] = await registry.checkAllRewards([address], {
+        includeProviders: [providerId],
+        forceRefresh: url.searchParams.get('refresh') === '1'
+    });
+    sendJson(response, result.success ? 200 : 502, result);
+}
+
+/**
+ * ANY /proxy?url=... - forwards requests to allowlisted provider APIs
+ * Responses are cached for the provider's cacheTtl, keyed by method, URL and body.
+ * Upstreams that do not answer within the timeout get a 504, bodies over MAX_BODY_SIZE a 413.
+ * @param {ProviderRegistry} registry - Provider registry
+ * @param {ProxyCache} proxyCache - Shared response cache
+ * @param {number} timeout - Upstream timeout in milliseconds
+ * @param {IncomingMessage} request - Node request
+ * @param {URL} url - Request URL
+ * @param {ServerResponse} response - Node response
+ */
+async function handleProxy(registry, proxyCache, timeout, request, url, response) {
+    let target;
+    try {
+        target = new URL(url.searchParams.get('url'));
+    } catch (error) {
+        sendJson(response, 400, { error: 'Missing or invalid url parameter' });
+        return;
+    }
+
+    const provider = registry.getAllProviders().find(p => getHost(p.originalEndpoint) === target.host);
+    if (target.protocol !== 'https:' || (!provider && !EXTRA_PROXY_HOSTS.includes(target.host))) {
+        sendJson(response, 403, { error: `Host not allowed: ${target.host}` });
+        return;
+    }
+
+    const method = request.method === 'POST' ? 'POST' : 'GET';
+    const body = method === 'POST' ? await readBody(request) : undefined;
+    if (body === null) {
+        // The unread rest of the body cannot be skipped, so the connection is not reused
+        response.setHeader('Connection', 'close');
+        sendJson(response, 413, { error: `Request body larger than ${MAX_BODY_SIZE / 1024} KB` });
+        return;
+    }
+    const cacheKey = `${method} ${target.href} ${body || ''}`;
+    const cached = proxyCache.get(cacheKey);
+
+    if (cached) {
+        sendRaw(response, cached.status, cached.contentType, cached.body, 'HIT');
+        return;
+    }
+
+    let upstream;
+    let upstreamBody;
+    try {
+        upstream = await fetch(target, {
+            method,
+            body,
+            headers: {
+                'Content-Type': request.headers['content-type'] || 'application/json',
+                'Accept': request.headers['accept'] || 'application/json',
+                ...(provider?.headers || {})
+            },
+            signal: AbortSignal.timeout(timeout)
+        });
+        upstreamBody = Buffer.from(await upstream.arrayBuffer());
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            sendJson(response, 504, { error: `${target.host} did not respond within ${timeout / 1000}s` });
+            return;
+        }
+        throw error;
+    }
+
+    const contentType = upstream.headers.get('content-type') || 'application/json';
+
+    if (upstream.ok) {
+        proxyCache.set(cacheKey, {
+            status: upstream.status,
+            contentType,
+            body: upstreamBody,
+            expires: Date.now() + (provider?.cacheTtl ?? 5 * 60 * 1000)
+        });
+    }
+
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) {
+        response.setHeader('Retry-After', retryAfter);
+    }
+    sendRaw(response, upstream.status, contentType, upstreamBody, 'MISS');
+}
+
+/**
+ * Serve a file of the web app, with the proxy meta tag injected into index.html
+ * @param {string} pathname - Request path
+ * @param {ServerResponse} response - Node response
+ */
+async function serveStatic(pathname, response) {
+    const requestPath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname);
+    const filePath = normalize(join(ROOT_DIR, requestPath));
+    const relativePath = filePath.slice(ROOT_DIR.length).split(sep).join('/');
+
+    // Only files of the web app are served, never the server or dotfiles
+    const isPublic = filePath.startsWith(ROOT_DIR) &&
+        !relativePath.split('/').some(part => part.startsWith('.')) &&
+        (relativePath === 'index.html' || relativePath === 'screenshot.png' || /^(js|css)\//.test(relativePath));
+
+    if (!isPublic) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    let content;
+    try {
+        content = await readFile(filePath);
+    } catch (error) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (relativePath === 'index.html') {
+        const meta = `<meta name="cardano-rewards-proxy" content="${PROXY_PATH}?url={url}">`;
+        content = content.toString('utf8').replace('</head>', `    ${meta}\n</head>`);
+    }
+
+    sendRaw(response, 200, CONTENT_TYPES[extname(filePath)] || 'application/octet-stream', content);
+}
+
+/**
+ * Get the host of a URL
+ * @param {string} url - URL
+ * @returns {string|null} Host or null if invalid
+ */
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read a request body up to MAX_BODY_SIZE
+ * Reading stops as soon as the body is known to be too large, the rest is never buffered
+ * @param {IncomingMessage} request - Node request
+ * @returns {Promise<string|null>} Request body, or null if it exceeds MAX_BODY_SIZE
+ */
+function readBody(request) {
+    if (Number(request.headers['content-length']) > MAX_BODY_SIZE) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                request.off('data', onData);
+                request.pause();
+                resolve(null);
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        request.on('data', onData);
+        request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} response - Node response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response data
+ */
+function sendJson(response, status, data) {
+    sendRaw(response, status, CONTENT_TYPES['.json'], JSON.stringify(data));
+}
+
+/**
+ * Send a response body
+ * @param {ServerResponse} response - Node response
+ * @param {number} status - HTTP status code
+ * @param {string} contentType - Content type
+ * @param {string|Buffer} body - Response body
+ * @param {string} cacheStatus - Proxy cache status header (HIT or MISS)
+ */
+function sendRaw(response, status, contentType, body, cacheStatus = null) {
+    response.statusCode = status;
+    response.setHeader('Content-Type', contentType);
+    if (cacheStatus) {
+        response.setHeader('X-Cache', cacheStatus);
+    }
+    response.end(body);
+}
+
+// Start the server when run directly
+if (process.argv[1] && fileURLToPath(import.meta.url) === normalize(process.argv[1])) {
+    const port = Number(process.env.PORT) || 8080;
+    const host = process.env.HOST || 'localhost';
+
+    if (process.env.MOCK_UPSTREAM) {
+        new MockUpstream({ scenario: process.env.MOCK_UPSTREAM }).install();
+        console.log(`Replaying recorded responses (${process.env.MOCK_UPSTREAM})`);
+    }
+
+    createServer(createRequestHandler()).listen(port, host, () => {
+        console.log(`Cardano Reward Checker running at http://${host}:${port}/`);
+    });
+}
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ADDRESS_TYPES,
+    bech32Decode,
+    bech32Encode,
+    encodeAddress,
+    getStakeAddress,
+    parseAddress,
+    validateAddress
+} from '../js/address.js';
+import { isValidAddress } from '../js/utils.js';
+import { ProviderRegistry } from '../js/provider-registry.js';
+
+/**
+ * Address parsing against the CIP-19 test vectors
+ */
+
+const PAYMENT_KEY_HASH = '9493315cd92eb5d8c4304e67b7e16ae36d61d34502694657811a2c8e';
+const SCRIPT_HASH = 'c37b1b5dc0669f1d3c61a6fddb2e8fde96be87b881c60bce8e8d542f';
+const STAKE_KEY_HASH = '337b62cfff6403a06a3acbc34f8c46003c69fe79a3628cefa9c47251';
+
+/**
+ * Mainnet addresses of CIP-19 by header type
+ */
+const CIP19_VECTORS = {
+    0: 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x',
+    1: 'addr1z8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gten0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgs9yc0hh',
+    2: 'addr1yx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzerkr0vd4msrxnuwnccdxlhdjar77j6lg0wypcc9uar5d2shs2z78ve',
+    3: 'addr1x8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gt7r0vd4msrxnuwnccdxlhdjar77j6lg0wypcc9uar5d2shskhj42g',
+    4: 'addr1gx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer5pnz75xxcrzqf96k',
+    5: 'addr128phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gtupnz75xxcrtw79hu',
+    6: 'addr1vx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzers66hrl8',
+    7: 'addr1w8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gtcyjy7wx',
+    14: 'stake1uyehkck0lajq8gr28t9uxnuvgcqrc6070x3k9r8048z8y5gh6ffgw',
+    15: 'stake178phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gtcccycj5'
+};
+
+const TESTNET_BASE_ADDRESS = 'addr_test1qz2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgs68faae';
+const BYRON_ADDRESS = 'Ae2tdPwUPEZFRbyhz3cpfC2CumGzNkFBN2L42rcUc2yjQpEkxDbkPodpMAi';
+
+/**
+ * Replace the last character of an address, breaking its checksum
+ * @param {string} address - Bech32 address
+ * @returns {string} Address with a bad checksum
+ */
+function breakChecksum(address) {
+    return address.slice(0, -1) + (address.endsWith('q') ? 'p' : 'q');
+}
+
+describe('bech32', () => {
+    it('round-trips every CIP-19 vector', () => {
+        Object.values(CIP19_VECTORS).forEach(address => {
+            const { prefix, bytes } = bech32Decode(address);
+            assert.equal(bech32Encode(prefix, bytes), address);
+        });
+    });
+
+    it('explains undecodable strings', () => {
+        assert.equal(bech32Decode('').error, 'empty address');
+        assert.equal(bech32Decode('addr1QX2fxv2umyhttkxyxp8x0dlpdt').error, 'mixed case');
+        assert.equal(bech32Decode('qx2fxv2umyhttkxyxp8x0dlpdt').error, 'missing bech32 separator');
+        assert.equal(bech32Decode('addr1qx2fxv2bmyhttkxyxp8x0dlpdt').error, 'invalid character "b"');
+        assert.equal(bech32Decode(breakChecksum(CIP19_VECTORS[0])).error, 'bad checksum');
+    });
+});
+
+describe('parseAddress', () => {
+    it('decodes the header type of every CIP-19 vector', () => {
+        const expectedTypes = {
+            0: ADDRESS_TYPES.BASE,
+            1: ADDRESS_TYPES.BASE,
+            2: ADDRESS_TYPES.BASE,
+            3: ADDRESS_TYPES.BASE,
+            4: ADDRESS_TYPES.POINTER,
+            5: ADDRESS_TYPES.POINTER,
+            6: ADDRESS_TYPES.ENTERPRISE,
+            7: ADDRESS_TYPES.ENTERPRISE,
+            14: ADDRESS_TYPES.REWARD,
+            15: ADDRESS_TYPES.REWARD
+        };
+
+        Object.entries(CIP19_VECTORS).forEach(([typeId, address]) => {
+            const parsed = parseAddress(address);
+            assert.equal(parsed.typeId, Number(typeId), address);
+            assert.equal(parsed.type, expectedTypes[typeId], address);
+            assert.equal(parsed.network, 'mainnet');
+        });
+    });
+
+    it('extracts payment and stake credentials', () => {
+        const credentials = typeId => {
+            const { paymentCredential, stakeCredential } = parseAddress(CIP19_VECTORS[typeId]);
+            return [paymentCredential, stakeCredential];
+        };
+
+        assert.deepEqual(credentials(0), [
+            { type: 'key', hash: PAYMENT_KEY_HASH },
+            { type: 'key', hash: STAKE_KEY_HASH }
+        ]);
+        assert.deepEqual(credentials(3), [
+            { type: 'script', hash: SCRIPT_HASH },
+            { type: 'script', hash: SCRIPT_HASH }
+        ]);
+        assert.deepEqual(credentials(6), [{ type: 'key', hash: PAYMENT_KEY_HASH }, null]);
+        assert.deepEqual(credentials(14), [null, { type: 'key', hash: STAKE_KEY_HASH }]);
+        assert.deepEqual(credentials(15), [null, { type: 'script', hash: SCRIPT_HASH }]);
+    });
+
+    it('decodes stake pointers', () => {
+        assert.deepEqual(parseAddress(CIP19_VECTORS[4]).stakePointer, { slot: 2498243, txIndex: 27, certIndex: 3 });
+        assert.deepEqual(parseAddress(CIP19_VECTORS[5]).stakePointer, { slot: 2498243, txIndex: 27, certIndex: 3 });
+    });
+
+    it('rejects prefixes that do not match the header', () => {
+        const { bytes } = bech32Decode(CIP19_VECTORS[14]);
+        assert.equal(parseAddress(bech32Encode('addr', bytes)).error, 'unexpected prefix "addr"');
+    });
+});
+
+describe('validateAddress', () => {
+    it('accepts mainnet addresses with a stake credential', () => {
+        [0, 1, 2, 3, 4, 5, 14, 15].forEach(typeId => {
+            assert.equal(validateAddress(CIP19_VECTORS[typeId]).valid, true, `type ${typeId}`);
+        });
+    });
+
+    it('gives the rejection reason', () => {
+        const reason = address => validateAddress(address).reason;
+
+        assert.equal(reason(CIP19_VECTORS[6]), 'enterprise address has no stake key');
+        assert.equal(reason(CIP19_VECTORS[7]), 'enterprise address has no stake key');
+        assert.equal(reason(TESTNET_BASE_ADDRESS), 'testnet address');
+        assert.equal(reason(BYRON_ADDRESS), 'Byron addresses are not supported');
+        assert.equal(reason(breakChecksum(CIP19_VECTORS[0])), 'bad checksum');
+        assert.equal(reason('   '), 'empty address');
+    });
+});
+
+describe('getStakeAddress', () => {
+    it('derives the reward address from the stake credential', () => {
+        assert.equal(getStakeAddress(CIP19_VECTORS[0]), CIP19_VECTORS[14]);
+        assert.equal(getStakeAddress(CIP19_VECTORS[1]), CIP19_VECTORS[14]);
+        assert.equal(getStakeAddress(CIP19_VECTORS[2]), CIP19_VECTORS[15]);
+        assert.equal(getStakeAddress(parseAddress(CIP19_VECTORS[3])), CIP19_VECTORS[15]);
+        assert.equal(getStakeAddress(CIP19_VECTORS[14]), CIP19_VECTORS[14]);
+    });
+
+    it('cannot derive pointer and enterprise addresses', () => {
+        assert.equal(getStakeAddress(CIP19_VECTORS[4]), null);
+        assert.equal(getStakeAddress(CIP19_VECTORS[6]), null);
+        assert.equal(getStakeAddress('not an address'), null);
+    });
+});
+
+describe('encodeAddress', () => {
+    it('encodes raw address bytes with the prefix of their network and type', () => {
+        Object.values(CIP19_VECTORS).forEach(address => {
+            assert.deepEqual(encodeAddress(parseAddress(address).bytes), { address });
+        });
+        assert.deepEqual(encodeAddress(parseAddress(TESTNET_BASE_ADDRESS).bytes), { address: TESTNET_BASE_ADDRESS });
+    });
+
+    it('reports bytes that are not a Shelley address', () => {
+        assert.deepEqual(encodeAddress([0x90]), { error: 'unknown address type 9' });
+        assert.deepEqual(encodeAddress([0x01, 0x02]), { error: 'invalid base address length' });
+    });
+});
+
+describe('shared address validation', () => {
+    it('gives the same answer in utils and the provider registry', () => {
+        const registry = new ProviderRegistry();
+        const addresses = [...Object.values(CIP19_VECTORS), TESTNET_BASE_ADDRESS, BYRON_ADDRESS];
+
+        addresses.forEach(address => {
+            const valid = validateAddress(address).valid;
+            assert.equal(isValidAddress(address), valid, address);
+            assert.equal(registry.validateAddresses(address).valid, valid, address);
+        });
+    });
+
+    it('reports the reason of every invalid address', () => {
+        const validation = new ProviderRegistry().validateAddresses([CIP19_VECTORS[0], CIP19_VECTORS[6]]);
+
+        assert.deepEqual(validation.invalidAddresses, [CIP19_VECTORS[6]]);
+        assert.deepEqual(validation.reasons, { [CIP19_VECTORS[6]]: 'enterprise address has no stake key' });
+        assert.equal(validation.validCount, 1);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toQuantity,
+    decimalToQuantity,
+    quantityToString,
+    sumQuantities,
+    roundQuantity,
+    createTokenAmount,
+    addTokenQuantity
+} from '../js/amount.js';
+import { formatAmount, formatTokenAmount } from '../js/utils.js';
+
+/**
+ * Lossless token amounts
+ */
+
+// One whole unit of an 18 decimal token above Number.MAX_SAFE_INTEGER
+const LARGE_QUANTITY = '9007199254740993000000000000000001';
+
+describe('raw quantities', () => {
+    it('reads integers, numbers and integer strings', () => {
+        assert.equal(toQuantity('12345678901234567890'), 12345678901234567890n);
+        assert.equal(toQuantity(1500000), 1500000n);
+        assert.equal(toQuantity('1.5e6'), 1500000n);
+        assert.equal(toQuantity(null), 0n);
+        assert.equal(toQuantity('abc'), 0n);
+    });
+
+    it('converts decimal amounts without rounding', () => {
+        assert.equal(decimalToQuantity('12.345678', 6), 12345678n);
+        assert.equal(decimalToQuantity('0.1234567', 6), 123456n);
+        assert.equal(decimalToQuantity(1.5, 6), 1500000n);
+        assert.equal(decimalToQuantity('-2', 2), -200n);
+        assert.equal(decimalToQuantity('', 6), 0n);
+    });
+
+    it('converts numbers from their exact decimal form', () => {
+        assert.equal(decimalToQuantity(0.1, 18).toString(), '100000000000000000');
+        assert.equal(decimalToQuantity(1e-7, 8), 10n);
+        assert.equal(decimalToQuantity(2.5e21, 6), 2500000000000000000000000000n);
+        assert.equal(decimalToQuantity(0.1234567, 6), 123456n);
+    });
+
+    it('renders exact decimal strings', () => {
+        assert.equal(quantityToString(LARGE_QUANTITY, 18), '9007199254740993.000000000000000001');
+        assert.equal(quantityToString(1500000n, 6), '1.5');
+        assert.equal(quantityToString(5n, 6), '0.000005');
+        assert.equal(quantityToString(-1500000n, 6), '-1.5');
+        assert.equal(quantityToString(42n, 0), '42');
+    });
+
+    it('sums beyond the safe integer range', () => {
+        assert.equal(sumQuantities(LARGE_QUANTITY, '1', 2n), 9007199254740993000000000000000004n);
+    });
+
+    it('rounds half up', () => {
+        assert.deepEqual(roundQuantity(1234500n, 6, 3), { integer: '1', fraction: '235' });
+        assert.deepEqual(roundQuantity(1234499n, 6, 3), { integer: '1', fraction: '234' });
+        assert.deepEqual(roundQuantity(15n, 0, 2), { integer: '15', fraction: '00' });
+    });
+
+    it('keeps the standard token fields in sync', () => {
+        const token = { symbol: 'MIN', ...createTokenAmount('2500000', 6) };
+        assert.deepEqual(token, { symbol: 'MIN', quantity: '2500000', decimals: 6, amount: 2.5 });
+
+        addTokenQuantity(token, 500000n);
+        assert.deepEqual(token, { symbol: 'MIN', quantity: '3000000', decimals: 6, amount: 3 });
+    });
+});
+
+describe('formatAmount', () => {
+    it('formats raw quantities exactly', () => {
+        const grouped = (1234567).toLocaleString();
+
+        assert.equal(formatAmount(0n, 6), '0');
+        assert.equal(formatAmount(5n, 18), '0.000000000000000005');
+        assert.equal(formatAmount(123456n, 6), '0.123456');
+        assert.equal(formatAmount(12345678n, 6), '12.346');
+        assert.equal(formatAmount(1234567500000n, 6), `${grouped}${(1.5).toLocaleString().charAt(1)}5`);
+        assert.equal(formatAmount(1234567000000n, 6), grouped);
+    });
+
+    it('formats plain numbers', () => {
+        assert.equal(formatAmount(0), '0');
+        assert.equal(formatAmount(0.5), '0.500000');
+        assert.equal(formatAmount(12.3456), '12.346');
+    });
+
+    it('prefers the raw quantity of tokens', () => {
+        assert.equal(formatTokenAmount({ quantity: LARGE_QUANTITY, decimals: 18, amount: 9007199254740993 }), (9007199254740993n).toLocaleString());
+        assert.equal(formatTokenAmount({ amount: 2.5 }), '2.500');
+    });
+});
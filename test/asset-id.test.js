@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADA_ASSET_ID, getTokenAssetId, isAdaIdentifier, isAssetId, normalizeTokens, parseAssetId } from '../js/asset-id.js';
+
+/**
+ * Canonical asset ids of the provider specific token forms
+ */
+
+const MIN_POLICY_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6';
+const MIN_ASSET_ID = `${MIN_POLICY_ID}.4d494e`;
+
+describe('getTokenAssetId', () => {
+    it('recognizes the forms providers use for ADA', () => {
+        assert.equal(getTokenAssetId({ policyId: 'ADA', symbol: 'ADA' }), ADA_ASSET_ID);
+        assert.equal(getTokenAssetId({ policyId: 'lovelace' }), ADA_ASSET_ID);
+        assert.equal(getTokenAssetId({ symbol: 'ada' }), ADA_ASSET_ID);
+    });
+
+    it('splits full units given as policy ID or unit', () => {
+        assert.equal(getTokenAssetId({ policyId: MIN_POLICY_ID.toUpperCase(), assetName: '4D494E' }), MIN_ASSET_ID);
+        assert.equal(getTokenAssetId({ policyId: `${MIN_POLICY_ID}4d494e` }), MIN_ASSET_ID);
+        assert.equal(getTokenAssetId({ unit: `${MIN_POLICY_ID}4d494e`, symbol: 'MIN' }), MIN_ASSET_ID);
+        assert.equal(getTokenAssetId({ policyId: MIN_POLICY_ID }), `${MIN_POLICY_ID}.`);
+    });
+
+    it('leaves tokens without a usable identity unidentified', () => {
+        assert.equal(getTokenAssetId({ symbol: 'EX' }), null);
+        assert.equal(getTokenAssetId({ policyId: 'not-a-policy', symbol: 'EX' }), null);
+    });
+});
+
+describe('isAdaIdentifier', () => {
+    it('only accepts the explicit ADA identifiers', () => {
+        ['ADA', 'ada', 'lovelace'].forEach(policyId => assert.equal(isAdaIdentifier(policyId), true));
+        ['', null, undefined, MIN_POLICY_ID].forEach(policyId => assert.equal(isAdaIdentifier(policyId), false));
+    });
+});
+
+describe('isAssetId', () => {
+    it('accepts canonical asset ids only', () => {
+        [ADA_ASSET_ID, MIN_ASSET_ID, `${MIN_POLICY_ID}.`].forEach(assetId => assert.equal(isAssetId(assetId), true));
+        [null, 'ADA', MIN_POLICY_ID, MIN_ASSET_ID.toUpperCase(), `${MIN_ASSET_ID}0`, `${MIN_POLICY_ID}.4d/"`].forEach(
+            assetId => assert.equal(isAssetId(assetId), false)
+        );
+    });
+});
+
+describe('parseAssetId', () => {
+    it('splits asset ids into policy ID and asset name', () => {
+        assert.deepEqual(parseAssetId(MIN_ASSET_ID), { policyId: MIN_POLICY_ID, assetName: '4d494e', isAda: false });
+        assert.deepEqual(parseAssetId(ADA_ASSET_ID), { policyId: '', assetName: '', isAda: true });
+    });
+});
+
+describe('normalizeTokens', () => {
+    it('sets the canonical identity and merges equal assets', () => {
+        const tokens = normalizeTokens([
+            { symbol: 'MIN', quantity: '1000000', decimals: 6, amount: 1, unit: `${MIN_POLICY_ID}4d494e` },
+            { symbol: 'MIN', quantity: '500000', decimals: 6, amount: 0.5, policyId: MIN_POLICY_ID, assetName: '4d494e' },
+            { symbol: 'ADA', quantity: '2000000', decimals: 6, amount: 2, policyId: 'ADA' },
+            { symbol: 'EX', quantity: '3', decimals: 0, amount: 3 }
+        ]);
+
+        assert.deepEqual(tokens.map(token => [token.assetId, token.quantity]), [
+            [MIN_ASSET_ID, '1500000'],
+            [ADA_ASSET_ID, '2000000'],
+            [null, '3']
+        ]);
+        assert.deepEqual([tokens[0].policyId, tokens[0].assetName, 'unit' in tokens[0]], [MIN_POLICY_ID, '4d494e', false]);
+        assert.deepEqual([tokens[1].policyId, tokens[1].assetName], ['', '']);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CborTag, decodeCbor, encodeCbor, encodeCborHex } from '../js/cbor.js';
+
+/**
+ * CBOR subset used by CIP-30 wallets and transactions
+ */
+
+describe('CBOR', () => {
+    it('encodes the RFC 8949 examples', () => {
+        assert.equal(encodeCborHex(0), '00');
+        assert.equal(encodeCborHex(24), '1818');
+        assert.equal(encodeCborHex(1000000), '1a000f4240');
+        assert.equal(encodeCborHex(-1000), '3903e7');
+        assert.equal(encodeCborHex('IETF'), '6449455446');
+        assert.equal(encodeCborHex([1, [2, 3]]), '8201820203');
+        assert.equal(encodeCborHex(new Map([[1, 2]])), 'a10102');
+        assert.equal(encodeCborHex(new Uint8Array([1, 2])), '420102');
+    });
+
+    it('decodes what it encodes, keeping big integers exact', () => {
+        const value = [18446744073709551615n, new Map([['a', new CborTag(258, [true, null])]]), new Uint8Array([0xff])];
+
+        assert.deepEqual(decodeCbor(encodeCbor(value)), value);
+        assert.equal(decodeCbor('1bffffffffffffffff'), 18446744073709551615n);
+    });
+
+    it('decodes indefinite length items', () => {
+        assert.deepEqual(decodeCbor('9f0102ff'), [1, 2]);
+        assert.equal(decodeCbor('7f62616262636460ff'), 'abcd');
+    });
+
+    it('rejects malformed input', () => {
+        assert.throws(() => decodeCbor('zz'), /invalid hex string/);
+        assert.throws(() => decodeCbor('0000'), /1 trailing bytes/);
+        assert.throws(() => decodeCbor('82'), /CBOR/);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Command line usage of the CLI
+ */
+
+const CLI_PATH = fileURLToPath(new URL('../bin/cardano-rewards.js', import.meta.url));
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<Object>} Exit code, stdout and stderr
+ */
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI_PATH, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('cardano-rewards CLI', () => {
+    it('prints the usage with all providers', async () => {
+        const { code, stdout } = await runCli(['--help']);
+
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: cardano-rewards check/);
+        assert.match(stdout, /Providers: .*cardano-staking/);
+    });
+
+    it('exits with 2 on usage errors', async () => {
+        assert.equal((await runCli([])).code, 2);
+        assert.equal((await runCli(['list', ADDRESS])).code, 2);
+        assert.equal((await runCli(['check', ADDRESS, '--verbose'])).code, 2);
+        assert.equal((await runCli(['check', ADDRESS, '--timeout', '0'])).code, 2);
+    });
+
+    it('rejects unknown providers', async () => {
+        const { code, stderr } = await runCli(['check', ADDRESS, '-p', 'minswap,unknown']);
+
+        assert.equal(code, 2);
+        assert.match(stderr, /^Unknown provider: unknown/);
+    });
+
+    it('rejects invalid addresses before checking', async () => {
+        const { code, stderr } = await runCli(['check', 'addr1invalid']);
+
+        assert.equal(code, 2);
+        assert.match(stderr, /^Invalid address addr1invalid: /);
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillTemplate, getPath, parsePath, queryPath } from '../js/json-path.js';
+import { DeclarativeProvider, validateDefinition } from '../js/providers/declarative-provider.js';
+import { PROVIDER_DEFINITIONS } from '../js/providers/definitions.js';
+import { ProviderRegistry } from '../js/provider-registry.js';
+import { ProxyStrategy, PROXY_MODES } from '../js/proxy-strategy.js';
+import { ResultCache, createMemoryStorage } from '../js/result-cache.js';
+
+/**
+ * Providers built from declarative definitions
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const OTHER_ADDRESS = 'addr1z8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gten0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgs9yc0hh';
+
+/**
+ * Minimal valid definition, extended by the tests
+ * @param {Object} overrides - Definition fields to replace
+ * @returns {Object} Provider definition
+ */
+function createDefinition(overrides = {}) {
+    return {
+        id: 'example',
+        name: 'Example',
+        endpoint: 'https://api.example.com/rewards',
+        useCorsProxy: false,
+        tokens: [{ symbol: 'EX', decimals: 6, quantity: '$.rewards[*].quantity' }],
+        ...overrides
+    };
+}
+
+describe('JSONPath-lite', () => {
+    const document = {
+        data: {
+            rewards: [{ amount: 1, 'asset-id': 'a' }, { amount: 2 }],
+            'by address': { addr1: { total: 3 } }
+        }
+    };
+
+    it('parses keys, indexes and wildcards', () => {
+        assert.deepEqual(parsePath("$.data['by address'][0].*"), [
+            { type: 'key', key: 'data' },
+            { type: 'key', key: 'by address' },
+            { type: 'index', index: 0 },
+            { type: 'wildcard' }
+        ]);
+        assert.throws(() => parsePath('data.rewards'), /must start with \$/);
+        assert.throws(() => parsePath('$.data..rewards'), /at "\.\.rewards"/);
+    });
+
+    it('queries matching values and skips missing members', () => {
+        assert.deepEqual(queryPath(document, '$.data.rewards[*].amount'), [1, 2]);
+        assert.deepEqual(queryPath(document, '$.data.rewards[*].asset-id'), ['a']);
+        assert.deepEqual(queryPath(document, '$.data.missing[*]'), []);
+        assert.equal(getPath(document, "$.data['by address'].addr1.total"), 3);
+        assert.equal(getPath(document, '$.data.rewards[5]'), undefined);
+    });
+
+    it('fills templates keeping the type of exact placeholders', () => {
+        const variables = { address: 'addr1', addresses: ['addr1', 'addr2'] };
+
+        assert.deepEqual(fillTemplate({ addresses: '{{addresses}}', query: 'wallet:{{address}}' }, variables), {
+            addresses: ['addr1', 'addr2'],
+            query: 'wallet:addr1'
+        });
+        assert.equal(fillTemplate('$.rewards[{{address}}]', variables), '$.rewards[addr1]');
+    });
+});
+
+describe('validateDefinition', () => {
+    it('accepts the built-in definitions', () => {
+        PROVIDER_DEFINITIONS.forEach(definition => validateDefinition(definition));
+    });
+
+    it('lists all problems of a definition', () => {
+        assert.throws(() => validateDefinition(null), /not an object/);
+        assert.throws(
+            () => validateDefinition({ id: 'broken', method: 'PUT', tokens: [{ symbol: 'X' }], supportsBatch: true }),
+            /^Error: Invalid provider definition broken: missing name, missing endpoint, unsupported method PUT, tokens\[0\] needs quantity or amount, supportsBatch requires select$/
+        );
+        assert.throws(
+            () => validateDefinition(createDefinition({ tokens: [{ symbol: 'X', quantity: '$.rewards[' }] })),
+            /Invalid path "\$\.rewards\["/
+        );
+    });
+});
+
+describe('DeclarativeProvider', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+    let responseBody;
+
+    beforeEach(() => {
+        requests = [];
+        globalThis.fetch = async (url, options) => {
+            requests.push({ url, method: options.method, body: options.body && JSON.parse(options.body) });
+            return Response.json(responseBody);
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('maps response fields to tokens and metadata', async () => {
+        responseBody = { rewards: [{ quantity: '1500000' }, { quantity: '500000' }, { quantity: '0' }] };
+        const provider = new DeclarativeProvider(createDefinition({
+            claimUrl: 'https://example.com/claim',
+            metadata: { rewardCount: { path: '$.rewards[*]', aggregate: 'count' } }
+        }));
+        const data = await provider.checkRewards(ADDRESS);
+
+        assert.deepEqual(data.tokens, [{ assetId: null, symbol: 'EX', name: 'EX', quantity: '2000000', decimals: 6, amount: 2, verified: false }]);
+        assert.equal(data.metadata.rewardCount, 3);
+        assert.equal(data.metadata.claimUrl, 'https://example.com/claim');
+        assert.deepEqual(requests[0].body, { addresses: [ADDRESS] });
+    });
+
+    it('builds one token per item and merges equal assets', async () => {
+        responseBody = {
+            rewards: [
+                { ticker: 'MIN', policy: 'aa', name: '01', value: '1.5' },
+                { ticker: 'MIN', policy: 'aa', name: '01', value: '0.5' },
+                { ticker: 'SNEK', policy: 'bb', name: '02', value: '0' }
+            ]
+        };
+        const provider = new DeclarativeProvider(createDefinition({
+            tokens: [{ items: '$.rewards[*]', symbol: '$.ticker', policyId: '$.policy', assetName: '$.name', decimals: 6, amount: '$.value' }]
+        }));
+        const data = await provider.checkRewards(ADDRESS);
+
+        assert.deepEqual(data.tokens.map(token => [token.symbol, token.quantity]), [['MIN', '2000000']]);
+    });
+
+    it('sends GET requests with the query template', async () => {
+        responseBody = { rewards: [] };
+        const provider = new DeclarativeProvider(createDefinition({ method: 'GET', request: { query: { wallet: '{{address}}' } } }));
+        const data = await provider.checkRewards(ADDRESS);
+
+        assert.deepEqual(data.tokens, []);
+        assert.equal(requests[0].url, `https://api.example.com/rewards?wallet=${ADDRESS}`);
+    });
+
+    it('checks Liqwid rewards of several wallets with one request', async () => {
+        responseBody = { rewards: { [ADDRESS]: [{ amount: 1250000 }, { amount: 750000 }], [OTHER_ADDRESS]: [] } };
+        const registry = new ProviderRegistry({
+            cache: new ResultCache(createMemoryStorage()),
+            proxyStrategy: new ProxyStrategy({ mode: PROXY_MODES.DIRECT, storage: null })
+        });
+        const results = await registry.checkAllRewards([ADDRESS, OTHER_ADDRESS], { includeProviders: ['sundae-liqwid'] });
+        const [lq] = results[0].data.tokens;
+
+        assert.equal(requests.length, 1);
+        assert.deepEqual(requests[0].body, { addresses: [ADDRESS, OTHER_ADDRESS] });
+        assert.deepEqual(
+            [lq.symbol, lq.amount, lq.rewardCount, lq.policyId, lq.assetName],
+            ['LQ', 2, 2, 'da8c30857834c6ae7203935b89278c532b3995245295456f993e1d24', '4c51']
+        );
+        assert.equal(results[0].data.metadata.totalRewards, 2);
+        assert.deepEqual(results[1].data.tokens, []);
+    });
+
+    it('registers definitions loaded from a JSON document', async () => {
+        responseBody = { providers: [createDefinition()] };
+        const registry = new ProviderRegistry({ cache: new ResultCache(createMemoryStorage()) });
+        const [provider] = await registry.loadDefinitions('https://example.com/providers.json');
+
+        assert.equal(registry.getProvider('example'), provider);
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CardanoStakingProvider } from '../js/providers/cardano-staking-provider.js';
+import { ProxyStrategy, PROXY_MODES } from '../js/proxy-strategy.js';
+import { MockUpstream, MOCK_SCENARIOS } from '../js/mock/mock-upstream.js';
+import { MOCK_HANDLE_ADDRESS } from '../js/mock/fixtures.js';
+
+/**
+ * Delegation health of stake keys
+ */
+
+const POOL_ID = 'pool1pu5jlj4q9w9jlxeu370a3c9myx47md5j5m2str0naunn2q3lkdy';
+const DREP_ID = 'drep1ygr9tuapcanc3kpeyy4dc3vmrz9cfe5q7v9wj3x9j0ap3tswtre9j';
+
+/**
+ * Build a Koios account_info row
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Account row of a registered, fully delegated stake key
+ */
+function createAccount(overrides = {}) {
+    return { status: 'registered', delegated_pool: POOL_ID, delegated_drep: DREP_ID, ...overrides };
+}
+
+/**
+ * List the warning codes of a delegation
+ * @param {Object} delegation - Delegation with warnings
+ * @returns {string[]} Warning codes
+ */
+function getCodes(delegation) {
+    return delegation.warnings.map(warning => warning.code);
+}
+
+describe('CardanoStakingProvider delegation', () => {
+    const provider = new CardanoStakingProvider();
+    const pool = { meta_json: { ticker: 'MOCK', name: 'Mock Pool' }, pool_status: 'registered', margin: '0.01', fixed_cost: '170000000', live_saturation: 64.2 };
+    const drep = { registered: true, active: true, expires_epoch_no: 600 };
+
+    it('describes a healthy delegation without warnings', () => {
+        const delegation = provider.describeDelegation(createAccount(), pool, drep);
+
+        assert.deepEqual(delegation.pool, {
+            id: POOL_ID,
+            ticker: 'MOCK',
+            name: 'Mock Pool',
+            status: 'registered',
+            retiringEpoch: null,
+            margin: 0.01,
+            fixedCost: 170,
+            saturation: 64.2,
+            lookupError: null
+        });
+        assert.deepEqual(delegation.drep, { id: DREP_ID, type: 'drep', registered: true, active: true, expiresEpoch: 600, lookupError: null });
+        assert.deepEqual(delegation.warnings, []);
+    });
+
+    it('only warns about the registration of unregistered keys', () => {
+        assert.deepEqual(getCodes(provider.describeDelegation(null, null, null)), ['unregistered']);
+        assert.deepEqual(getCodes(provider.describeDelegation(createAccount({ status: 'not registered' }), pool, drep)), ['unregistered']);
+    });
+
+    it('warns about missing, retiring, retired and oversaturated pools', () => {
+        assert.deepEqual(getCodes(provider.describeDelegation(createAccount({ delegated_pool: null }), null, drep)), ['undelegated']);
+        assert.deepEqual(getCodes(provider.describeDelegation(createAccount(), { ...pool, pool_status: 'retired' }, drep)), ['pool-retired']);
+
+        const retiring = provider.describeDelegation(createAccount(), { ...pool, pool_status: 'retiring', retiring_epoch: 580 }, drep);
+        assert.match(retiring.warnings[0].message, /^Pool \[MOCK\] retires in epoch 580\./);
+
+        const saturated = provider.describeDelegation(createAccount(), { ...pool, live_saturation: 112.34 }, drep);
+        assert.deepEqual(getCodes(saturated), ['pool-oversaturated']);
+        assert.match(saturated.warnings[0].message, /\(112\.3%\)/);
+    });
+
+    it('warns when rewards cannot be withdrawn for lack of a DRep', () => {
+        assert.deepEqual(getCodes(provider.describeDelegation(createAccount({ delegated_drep: null }), pool, null)), ['no-drep']);
+        assert.deepEqual(getCodes(provider.describeDelegation(createAccount(), pool, { ...drep, registered: false })), ['drep-retired']);
+
+        const abstain = provider.describeDelegation(createAccount({ delegated_drep: 'drep_always_abstain' }), pool, null);
+        assert.deepEqual([abstain.drep.type, abstain.warnings], ['always-abstain', []]);
+    });
+
+    it('warns about details that could not be loaded', () => {
+        const delegation = provider.describeDelegation(createAccount(), null, null, { pool: 'HTTP 500', drep: 'HTTP 500' });
+
+        assert.deepEqual(getCodes(delegation), ['pool-lookup-failed', 'drep-lookup-failed']);
+        assert.match(delegation.warnings[0].message, /could not be loaded \(HTTP 500\)/);
+    });
+});
+
+describe('delegation fixtures', () => {
+    let mock;
+    let restore;
+
+    beforeEach(() => {
+        mock = new MockUpstream({ retryAfter: 0 });
+        restore = mock.install();
+    });
+
+    afterEach(() => restore());
+
+    it('report the pool and DRep of the recorded stake key', async () => {
+        const provider = new CardanoStakingProvider();
+        provider.setProxyStrategy(new ProxyStrategy({ mode: PROXY_MODES.DIRECT, storage: null }));
+        const { delegation } = (await provider.checkRewards([MOCK_HANDLE_ADDRESS])).metadata;
+
+        assert.deepEqual([delegation.registered, delegation.pool.ticker, delegation.drep.type], [true, 'MOCK', 'always-abstain']);
+        assert.deepEqual(delegation.warnings, []);
+    });
+
+    it('keep the rewards when the pool lookup fails', async () => {
+        mock.scenarios = { 'koios-pool-info': MOCK_SCENARIOS.MALFORMED };
+        const provider = new CardanoStakingProvider();
+        provider.setProxyStrategy(new ProxyStrategy({ mode: PROXY_MODES.DIRECT, storage: null }));
+        const data = await provider.checkRewards([MOCK_HANDLE_ADDRESS]);
+
+        assert.equal(data.success, true);
+        assert.equal(data.metadata.delegation.pool.ticker, null);
+        assert.deepEqual(getCodes(data.metadata.delegation), ['pool-lookup-failed']);
+    });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenIcon, escapeHtml } from '../js/dom.js';
+
+/**
+ * HTML snippets of the web app
+ */
+
+describe('escapeHtml', () => {
+    it('escapes markup and quotes', () => {
+        assert.equal(escapeHtml('<b title="x">Tom\'s & co</b>'), '&lt;b title=&quot;x&quot;&gt;Tom&#39;s &amp; co&lt;/b&gt;');
+        assert.equal(escapeHtml(null), '');
+    });
+});
+
+describe('createTokenIcon', () => {
+    it('escapes symbols decoded from asset names', () => {
+        const html = createTokenIcon('ab'.repeat(28), '', '"><img src=x onerror=alert(1)>');
+
+        assert.ok(!html.includes('<img src=x'));
+        assert.match(html, /alt="&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;"/);
+        assert.match(html, />&quot;&gt;<\/span>$/);
+    });
+});
@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ERROR_CATEGORIES,
+    ProviderError,
+    classifyError,
+    getErrorInfo,
+    parseRetryAfter
+} from '../js/errors.js';
+import { DEFAULT_RETRY_POLICY, getRetryDelay, withRetry } from '../js/retry.js';
+import { BaseProvider } from '../js/providers/base-provider.js';
+
+/**
+ * Error classification and retries
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const NO_DELAY = { baseDelay: 0, jitter: 0 };
+
+/**
+ * Build a fetch response with the given status
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Response} Response
+ */
+function createResponse(status, headers = {}) {
+    return new Response(status === 200 ? '{"ok":true}' : '', { status, statusText: `Status ${status}`, headers });
+}
+
+describe('classifyError', () => {
+    it('classifies HTTP failures by status', () => {
+        const rateLimited = ProviderError.fromResponse(createResponse(429, { 'Retry-After': '2' }));
+        assert.equal(rateLimited.category, ERROR_CATEGORIES.RATE_LIMITED);
+        assert.equal(rateLimited.retryAfter, 2000);
+
+        assert.equal(ProviderError.fromResponse(createResponse(502), true).category, ERROR_CATEGORIES.PROXY);
+        assert.equal(ProviderError.fromResponse(createResponse(502)).category, ERROR_CATEGORIES.UPSTREAM);
+        assert.equal(ProviderError.fromResponse(createResponse(500)).retryable, true);
+        assert.equal(ProviderError.fromResponse(createResponse(404)).retryable, false);
+    });
+
+    it('classifies thrown errors', () => {
+        assert.equal(classifyError(new TypeError('fetch failed')).category, ERROR_CATEGORIES.NETWORK);
+        assert.equal(classifyError(new Error('Check cancelled')).category, ERROR_CATEGORIES.CANCELLED);
+        assert.equal(classifyError(new DOMException('aborted', 'AbortError')).category, ERROR_CATEGORIES.CANCELLED);
+        assert.equal(classifyError(new Error('Request timeout')).category, ERROR_CATEGORIES.TIMEOUT);
+        assert.equal(classifyError(new SyntaxError('Unexpected token <')).category, ERROR_CATEGORIES.SCHEMA);
+        assert.equal(classifyError(new SyntaxError('Unexpected token <'), { viaProxy: true }).category, ERROR_CATEGORIES.PROXY);
+        assert.equal(classifyError(new Error('boom')).category, ERROR_CATEGORIES.UNKNOWN);
+    });
+
+    it('prefixes the provider name once and keeps the details', () => {
+        const error = new ProviderError('HTTP 429: Too Many Requests', {
+            category: ERROR_CATEGORIES.RATE_LIMITED,
+            status: 429,
+            retryAfter: 1000
+        });
+        error.path = 'data.rewards';
+        const classified = classifyError(error, { provider: 'Minswap' });
+
+        assert.equal(classified.message, 'Minswap: HTTP 429: Too Many Requests');
+        assert.equal(classified.provider, 'Minswap');
+        assert.equal(classified.status, 429);
+        assert.equal(classified.retryAfter, 1000);
+        assert.equal(classified.path, 'data.rewards');
+        assert.equal(classifyError(classified, { provider: 'Minswap' }), classified);
+    });
+
+    it('describes every category', () => {
+        Object.values(ERROR_CATEGORIES).forEach(category => {
+            assert.ok(getErrorInfo(category).title, category);
+        });
+        assert.equal(getErrorInfo(ERROR_CATEGORIES.SCHEMA).retryable, false);
+        assert.equal(getErrorInfo('nonsense'), getErrorInfo(ERROR_CATEGORIES.UNKNOWN));
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        assert.equal(parseRetryAfter(null), null);
+        assert.equal(parseRetryAfter('3'), 3000);
+        assert.equal(parseRetryAfter('-1'), 0);
+        assert.equal(parseRetryAfter('soon'), null);
+
+        const delay = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        assert.ok(delay > 55000 && delay <= 60000, `${delay} is about a minute`);
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('backs off exponentially up to the maximum', () => {
+        const policy = { ...DEFAULT_RETRY_POLICY, jitter: 0 };
+
+        assert.equal(getRetryDelay(1, policy), 500);
+        assert.equal(getRetryDelay(2, policy), 1000);
+        assert.equal(getRetryDelay(10, policy), 8000);
+    });
+
+    it('spreads delays by the jitter', () => {
+        for (let i = 0; i < 20; i++) {
+            const delay = getRetryDelay(1, DEFAULT_RETRY_POLICY);
+            assert.ok(delay >= 350 && delay <= 650, `${delay} within 30% of 500`);
+        }
+    });
+
+    it('honours Retry-After unless it exceeds the maximum delay', () => {
+        assert.equal(getRetryDelay(1, DEFAULT_RETRY_POLICY, 2000), 2000);
+        assert.equal(getRetryDelay(1, DEFAULT_RETRY_POLICY, 60000), null);
+    });
+});
+
+describe('withRetry', () => {
+    it('retries retryable errors until an attempt succeeds', async () => {
+        const attempts = [];
+        const result = await withRetry(async attempt => {
+            attempts.push(attempt);
+            if (attempt < 3) throw new TypeError('fetch failed');
+            return 'ok';
+        }, NO_DELAY);
+
+        assert.equal(result, 'ok');
+        assert.deepEqual(attempts, [1, 2, 3]);
+    });
+
+    it('gives up after the last attempt', async () => {
+        let attempts = 0;
+        await assert.rejects(withRetry(async () => {
+            attempts++;
+            throw new TypeError('fetch failed');
+        }, { ...NO_DELAY, maxAttempts: 2 }), { category: ERROR_CATEGORIES.NETWORK });
+
+        assert.equal(attempts, 2);
+    });
+
+    it('does not retry errors that will not go away', async () => {
+        let attempts = 0;
+        await assert.rejects(withRetry(async () => {
+            attempts++;
+            throw ProviderError.fromResponse(createResponse(400));
+        }, NO_DELAY), { status: 400 });
+
+        assert.equal(attempts, 1);
+    });
+
+    it('does not wait longer than the maximum delay', async () => {
+        let attempts = 0;
+        const error = new ProviderError('HTTP 429', { category: ERROR_CATEGORIES.RATE_LIMITED, retryAfter: 60000 });
+        await assert.rejects(withRetry(async () => {
+            attempts++;
+            throw error;
+        }, NO_DELAY), { retryAfter: 60000 });
+
+        assert.equal(attempts, 1);
+    });
+
+    it('stops retrying once the signal is aborted', async () => {
+        const controller = new AbortController();
+        let attempts = 0;
+        await assert.rejects(withRetry(async () => {
+            attempts++;
+            controller.abort(new Error('Check cancelled'));
+            throw new TypeError('fetch failed');
+        }, NO_DELAY, { signal: controller.signal }), { category: ERROR_CATEGORIES.NETWORK });
+
+        assert.equal(attempts, 1);
+    });
+
+    it('stops waiting when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const retrying = withRetry(async () => {
+            throw new TypeError('fetch failed');
+        }, { baseDelay: 10000, jitter: 0 }, { signal: controller.signal });
+
+        setTimeout(() => controller.abort(new Error('Check cancelled')), 10);
+        await assert.rejects(retrying, /Check cancelled/);
+    });
+});
+
+describe('BaseProvider errors', () => {
+    const originalFetch = globalThis.fetch;
+    let statuses;
+
+    /**
+     * Build a provider reading the raw response as is
+     * @returns {BaseProvider} Provider
+     */
+    function createProvider() {
+        const provider = new BaseProvider({
+            id: 'plain',
+            name: 'Plain',
+            endpoint: 'https://example.com',
+            useCorsProxy: false,
+            retry: NO_DELAY
+        });
+        provider.formatResponse = response => ({ tokens: response.tokens.map(token => token) });
+        return provider;
+    }
+
+    beforeEach(() => {
+        statuses = [];
+        globalThis.fetch = async () => createResponse(statuses.shift() ?? 200);
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('retries server errors', async () => {
+        statuses = [503, 200];
+        const provider = createProvider();
+        provider.formatResponse = response => response;
+
+        assert.deepEqual(await provider.checkRewards(ADDRESS), { ok: true, tokens: [] });
+    });
+
+    it('rejects invalid addresses without a request', async () => {
+        statuses = [500];
+        await assert.rejects(createProvider().checkRewards('addr1invalid'), {
+            category: ERROR_CATEGORIES.INVALID_ADDRESS,
+            message: 'Plain: Invalid Cardano address: addr1invalid'
+        });
+        assert.deepEqual(statuses, [500]);
+    });
+
+    it('reports unexpected response shapes as schema errors', async () => {
+        await assert.rejects(createProvider().checkRewards(ADDRESS), {
+            category: ERROR_CATEGORIES.SCHEMA,
+            retryable: false
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    EXPORT_COLUMNS,
+    EXPORT_FORMAT,
+    createExportRows,
+    createHistoryExportRows,
+    toCsv,
+    toJsonExport
+} from '../js/export.js';
+import { createSnapshot } from '../js/history-store.js';
+
+/**
+ * CSV and JSON export of results and reward history
+ */
+
+const MIN_ASSET_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6.4d494e';
+const UPDATED_AT = Date.UTC(2026, 0, 2, 3, 4, 5);
+
+const REGISTRY = {
+    getProvider: id => (id === 'minswap' ? { name: 'Minswap', platformUrl: 'https://minswap.org' } : null)
+};
+
+const RESULTS = [
+    {
+        providerId: 'minswap',
+        address: 'addr1',
+        success: true,
+        updatedAt: UPDATED_AT,
+        data: {
+            tokens: [{ assetId: MIN_ASSET_ID, symbol: 'MIN', quantity: '12500001', decimals: 6, amount: 12.500001, valueAda: 0.1 + 0.2, valueFiat: 0.135 }],
+            value: { currency: 'usd' }
+        }
+    },
+    { providerId: 'strikefinance', address: 'addr1', success: false, error: 'HTTP 429: Too Many Requests' }
+];
+
+describe('createExportRows', () => {
+    it('writes one row per token and one per failed provider', () => {
+        const rows = createExportRows(RESULTS, {
+            registry: REGISTRY,
+            wallets: [{ address: 'addr1', label: 'Main' }],
+            timestamp: UPDATED_AT
+        });
+
+        assert.deepEqual(rows[0], {
+            timestamp: '2026-01-02T03:04:05.000Z',
+            wallet: 'addr1',
+            walletLabel: 'Main',
+            providerId: 'minswap',
+            provider: 'Minswap',
+            assetId: MIN_ASSET_ID,
+            ticker: 'MIN',
+            quantity: '12500001',
+            decimals: 6,
+            amount: '12.500001',
+            valueAda: 0.3,
+            valueFiat: 0.135,
+            currency: 'usd',
+            claimUrl: 'https://minswap.org',
+            error: null
+        });
+        assert.deepEqual(
+            [rows[1].provider, rows[1].ticker, rows[1].error],
+            ['strikefinance', null, 'HTTP 429: Too Many Requests']
+        );
+        assert.deepEqual(Object.keys(rows[1]), EXPORT_COLUMNS);
+    });
+});
+
+describe('createHistoryExportRows', () => {
+    it('writes the tokens of every snapshot, oldest first', () => {
+        const later = createSnapshot([{ ...RESULTS[0], updatedAt: UPDATED_AT + 1000 }], UPDATED_AT + 1000);
+        const earlier = createSnapshot(RESULTS, UPDATED_AT);
+        const rows = createHistoryExportRows([later, earlier], { registry: REGISTRY });
+
+        assert.deepEqual(rows.map(row => [row.timestamp, row.quantity, row.currency]), [
+            ['2026-01-02T03:04:05.000Z', '12500001', 'usd'],
+            ['2026-01-02T03:04:06.000Z', '12500001', 'usd']
+        ]);
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header line and empty fields for null', () => {
+        assert.equal(toCsv([{ a: 1, b: null }], ['a', 'b']), 'a,b\n1,\n');
+    });
+
+    it('quotes separators, quotes and line breaks', () => {
+        const csv = toCsv([{ name: 'Token, "Gold"', note: 'line\nbreak' }], ['name', 'note']);
+        assert.equal(csv, 'name,note\n"Token, ""Gold""","line\nbreak"\n');
+    });
+
+    it('keeps spreadsheet apps from evaluating formulas', () => {
+        const csv = toCsv([{ a: '=HYPERLINK("x")', b: '+1', c: '@SUM', d: '-1' }], ['a', 'b', 'c', 'd']);
+        assert.equal(csv.split('\n')[1], `"'=HYPERLINK(""x"")",'+1,'@SUM,-1`);
+    });
+});
+
+describe('toJsonExport', () => {
+    it('wraps rows in a versioned document', () => {
+        const document = toJsonExport([]);
+
+        assert.equal(document.format, EXPORT_FORMAT);
+        assert.equal(document.version, 1);
+        assert.deepEqual(document.columns, EXPORT_COLUMNS);
+        assert.ok(!Number.isNaN(Date.parse(document.exportedAt)));
+    });
+});
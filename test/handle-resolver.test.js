@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HANDLE_POLICY_ID,
+    isHandle,
+    normalizeHandle,
+    KoiosHandleResolver,
+    MockHandleResolver
+} from '../js/handle-resolver.js';
+
+/**
+ * ADA Handle resolution
+ */
+
+const HANDLE_ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const CIP68_ASSET_NAME = '000de140' + Buffer.from('rewards').toString('hex');
+const LEGACY_ASSET_NAME = Buffer.from('rewards').toString('hex');
+
+describe('handle names', () => {
+    it('recognizes $handles', () => {
+        assert.equal(isHandle('$Rewards'), true);
+        assert.equal(isHandle(' $my_handle.1 '), true);
+        assert.equal(isHandle('rewards'), false);
+        assert.equal(isHandle('$'), false);
+        assert.equal(isHandle('$toolonghandlename'), false);
+        assert.equal(isHandle(HANDLE_ADDRESS), false);
+    });
+
+    it('normalizes handles to the lowercase name', () => {
+        assert.equal(normalizeHandle(' $Rewards '), 'rewards');
+        assert.equal(normalizeHandle('rewards'), 'rewards');
+    });
+});
+
+describe('KoiosHandleResolver', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+    let holders;
+
+    beforeEach(() => {
+        requests = [];
+        holders = {};
+        // Koios asset_addresses responses by asset name
+        globalThis.fetch = async url => {
+            requests.push(new URL(url));
+            const assetName = new URL(url).searchParams.get('_asset_name');
+            return new Response(JSON.stringify(holders[assetName] || []), { status: 200 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('resolves CIP-68 handles to the address holding them', async () => {
+        holders[CIP68_ASSET_NAME] = [{ payment_address: HANDLE_ADDRESS, stake_address: null, quantity: '1' }];
+        const resolver = new KoiosHandleResolver({ useCorsProxy: false });
+
+        assert.equal(await resolver.resolve('$Rewards'), HANDLE_ADDRESS);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].searchParams.get('_asset_policy'), HANDLE_POLICY_ID);
+    });
+
+    it('falls back to the plain asset name of older handles', async () => {
+        holders[CIP68_ASSET_NAME] = [{ payment_address: 'addr1old', quantity: '0' }];
+        holders[LEGACY_ASSET_NAME] = [{ payment_address: HANDLE_ADDRESS, quantity: '1' }];
+        const resolver = new KoiosHandleResolver({ useCorsProxy: false });
+
+        assert.equal(await resolver.resolve('$rewards'), HANDLE_ADDRESS);
+        assert.deepEqual(requests.map(url => url.searchParams.get('_asset_name')), [CIP68_ASSET_NAME, LEGACY_ASSET_NAME]);
+    });
+
+    it('reports handles nobody holds', async () => {
+        await assert.rejects(new KoiosHandleResolver({ useCorsProxy: false }).resolve('$rewards'), /Handle \$rewards not found/);
+    });
+});
+
+describe('MockHandleResolver', () => {
+    it('resolves handles from the fixed map', async () => {
+        const resolver = new MockHandleResolver({ $Rewards: HANDLE_ADDRESS });
+
+        assert.equal(await resolver.resolve('$rewards'), HANDLE_ADDRESS);
+        assert.equal(await resolver.resolve('REWARDS'), HANDLE_ADDRESS);
+        await assert.rejects(resolver.resolve('$unknown'), /Handle \$unknown not found/);
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryStore, HISTORY_FORMAT, createSnapshot } from '../js/history-store.js';
+import { analyzeSeries, buildHistorySeries } from '../js/history.js';
+
+/**
+ * Reward history snapshots and their analysis
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_ASSET_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6.4d494e';
+
+/**
+ * Build a successful result with one token of 6 decimals
+ * @param {string} providerId - Provider ID
+ * @param {string} quantity - Raw quantity
+ * @param {Object} extra - Additional result fields
+ * @returns {Object} Provider result
+ */
+function createResult(providerId, quantity, extra = {}) {
+    return {
+        providerId,
+        address: 'addr1',
+        success: true,
+        data: { tokens: [{ assetId: MIN_ASSET_ID, symbol: 'MIN', name: 'Minswap', quantity, decimals: 6, amount: Number(quantity) / 1e6 }] },
+        ...extra
+    };
+}
+
+/**
+ * Build series points from daily amounts with 6 decimals
+ * @param {number[]} amounts - Amount per day
+ * @returns {Array} Series points
+ */
+function createPoints(amounts) {
+    return amounts.map((amount, day) => ({ timestamp: day * DAY_MS, quantity: String(amount * 1e6), amount }));
+}
+
+describe('createSnapshot', () => {
+    it('keeps the identity and quantity of successful results only', () => {
+        const snapshot = createSnapshot([
+            createResult('minswap', '1500000'),
+            { providerId: 'strikefinance', address: 'addr1', success: false, error: 'boom' }
+        ], 1000);
+
+        assert.deepEqual(snapshot, {
+            timestamp: 1000,
+            entries: [{
+                address: 'addr1',
+                providerId: 'minswap',
+                updatedAt: 1000,
+                currency: null,
+                claimUrl: null,
+                tokens: [{ assetId: MIN_ASSET_ID, symbol: 'MIN', quantity: '1500000', decimals: 6, valueAda: null, valueFiat: null }]
+            }]
+        });
+    });
+});
+
+describe('HistoryStore', () => {
+    it('keeps snapshots in memory without IndexedDB and skips checks without results', async () => {
+        const store = new HistoryStore({ indexedDB: null });
+
+        assert.equal(await store.addSnapshot([{ providerId: 'minswap', success: false }], 1000), null);
+        await store.addSnapshot([createResult('minswap', '2000000')], 3000);
+        await store.addSnapshot([createResult('minswap', '1000000')], 2000);
+
+        assert.deepEqual((await store.getSnapshots()).map(snapshot => snapshot.timestamp), [2000, 3000]);
+    });
+
+    it('imports its own exports once', async () => {
+        const source = new HistoryStore({ indexedDB: null });
+        await source.addSnapshot([createResult('minswap', '1000000')], 1000);
+        const exported = JSON.stringify(await source.exportSnapshots());
+
+        const target = new HistoryStore({ indexedDB: null });
+        assert.equal(await target.importSnapshots(exported), 1);
+        assert.equal(await target.importSnapshots(exported), 1);
+        assert.equal((await target.getSnapshots()).length, 1);
+    });
+
+    it('rejects documents that are not history exports', async () => {
+        const store = new HistoryStore({ indexedDB: null });
+
+        await assert.rejects(store.importSnapshots('{'), /^Error: Invalid history file: /);
+        await assert.rejects(store.importSnapshots({ format: 'other', snapshots: [] }), /not a Cardano rewards history export/);
+        await assert.rejects(store.importSnapshots({ format: HISTORY_FORMAT, version: 99, snapshots: [] }), /version 99/);
+        await assert.rejects(
+            store.importSnapshots({ format: HISTORY_FORMAT, version: 1, snapshots: [{ timestamp: 1, entries: [{ address: 1 }] }] }),
+            /snapshot 0 is malformed/
+        );
+    });
+
+    it('rejects tokens with a bad asset id, decimals or provider', async () => {
+        const store = new HistoryStore({ indexedDB: null });
+        const token = { assetId: MIN_ASSET_ID, symbol: 'MIN', quantity: '1', decimals: 6 };
+        const importToken = (tokenFields, providerId = 'minswap') => store.importSnapshots({
+            format: HISTORY_FORMAT,
+            version: 1,
+            snapshots: [{ timestamp: 1, entries: [{ address: 'addr1', providerId, tokens: [{ ...token, ...tokenFields }] }] }]
+        });
+
+        await assert.rejects(importToken({ assetId: '"><script>' }), /snapshot 0 is malformed/);
+        await assert.rejects(importToken({ decimals: '6' }), /snapshot 0 is malformed/);
+        await assert.rejects(importToken({}, ''), /snapshot 0 is malformed/);
+        assert.equal(await importToken({ assetId: null }), 1);
+    });
+
+    it('falls back to memory and warns when IndexedDB cannot be opened', async () => {
+        const warnings = [];
+        const indexedDB = {
+            open() {
+                const request = {};
+                setTimeout(() => {
+                    request.error = new Error('denied');
+                    request.onerror();
+                });
+                return request;
+            }
+        };
+        const store = new HistoryStore({ indexedDB, onWarning: message => warnings.push(message) });
+
+        await store.addSnapshot([createResult('minswap', '1000000')], 1000);
+        assert.equal((await store.getSnapshots()).length, 1);
+        assert.deepEqual(warnings, ['IndexedDB unavailable, keeping reward history in memory: denied']);
+    });
+});
+
+describe('buildHistorySeries', () => {
+    it('builds one series per wallet, provider and token', () => {
+        const series = buildHistorySeries([
+            createSnapshot([createResult('minswap', '2000000'), createResult('sundae-general', '500000')], 2000),
+            createSnapshot([createResult('minswap', '1000000')], 1000)
+        ]);
+
+        assert.deepEqual(
+            series.map(item => [item.providerId, item.assetId, item.points.map(point => point.quantity)]),
+            [['minswap', MIN_ASSET_ID, ['1000000', '2000000']], ['sundae-general', MIN_ASSET_ID, ['500000']]]
+        );
+    });
+
+    it('counts claimed tokens as zero and skips repeated cached data', () => {
+        const claimed = createResult('minswap', '0');
+        claimed.data.tokens = [];
+        const series = buildHistorySeries([
+            createSnapshot([createResult('minswap', '1000000', { updatedAt: 1000 })], 1000),
+            createSnapshot([createResult('minswap', '1000000', { updatedAt: 1000 })], 2000),
+            createSnapshot([claimed], 3000)
+        ]);
+
+        assert.deepEqual(series[0].points.map(point => [point.timestamp, point.quantity, point.amount]), [
+            [1000, '1000000', 1],
+            [3000, '0', 0]
+        ]);
+    });
+});
+
+describe('analyzeSeries', () => {
+    it('computes the daily accrual rate without the intervals ending in a claim', () => {
+        const analysis = analyzeSeries(createPoints([1, 3, 0, 2]));
+
+        assert.equal(analysis.current, 2);
+        assert.equal(analysis.accrualRate, 2);
+        assert.deepEqual(analysis.drops, [{ timestamp: 2 * DAY_MS, from: 3, to: 0 }]);
+    });
+
+    it('starts measuring at the first increase', () => {
+        assert.equal(analyzeSeries(createPoints([0, 0, 0, 3, 3])).accrualRate, 1.5);
+        assert.equal(analyzeSeries(createPoints([4, 4])).accrualRate, 0);
+    });
+
+    it('has no accrual rate with less than two points', () => {
+        assert.deepEqual(analyzeSeries(createPoints([5])), { current: 5, accrualRate: null, drops: [] });
+        assert.deepEqual(analyzeSeries([]), { current: 0, accrualRate: null, drops: [] });
+    });
+});
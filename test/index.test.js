@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as library from '../js/index.js';
+import { createRegistry, checkRewards, PROXY_MODES, ProxyStrategy, BaseProvider } from '../js/index.js';
+
+/**
+ * Public entry points of the core library
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+
+describe('core library', () => {
+    it('loads without a document', () => {
+        assert.equal(typeof document, 'undefined');
+        assert.equal(typeof library.ProviderRegistry, 'function');
+        assert.equal(library.toggleElement, undefined);
+    });
+
+    it('creates registries that call the APIs directly outside the browser', () => {
+        const registry = createRegistry();
+
+        assert.equal(registry.proxyStrategy.mode, PROXY_MODES.DIRECT);
+        assert.equal(registry.cache.storage.length, 0);
+        assert.equal(createRegistry({ proxyMode: PROXY_MODES.AUTO }).proxyStrategy.mode, PROXY_MODES.AUTO);
+
+        const proxyStrategy = new ProxyStrategy({ storage: null, mode: PROXY_MODES.CUSTOM });
+        assert.equal(createRegistry({ proxyStrategy }).proxyStrategy, proxyStrategy);
+    });
+
+    it('checks the selected providers of a given registry', async () => {
+        const registry = createRegistry();
+        const provider = new BaseProvider({ id: 'static', name: 'Static' });
+        provider.checkRewards = async () => ({ tokens: [] });
+        registry.addProvider(provider);
+
+        const results = await checkRewards(ADDRESS, { registry, providers: ['static'] });
+
+        assert.equal(results.length, 1);
+        assert.equal(results[0].providerId, 'static');
+        assert.equal(results[0].success, true);
+    });
+});
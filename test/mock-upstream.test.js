@@ -0,0 +1,287 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockUpstream, MOCK_SCENARIOS } from '../js/mock/mock-upstream.js';
+import { MOCK_HANDLE_ADDRESS } from '../js/mock/fixtures.js';
+import { createRegistry } from '../js/index.js';
+import { ERROR_CATEGORIES } from '../js/errors.js';
+import { KoiosHandleResolver } from '../js/handle-resolver.js';
+import { PublicApiPriceFeed } from '../js/price-service.js';
+import { ResultCache, createMemoryStorage } from '../js/result-cache.js';
+import {
+    ProxyStrategy,
+    PROXY_MODES,
+    CorsAnywhereAdapter,
+    CorsProxyIoAdapter,
+    AllOriginsAdapter,
+    CustomProxyAdapter
+} from '../js/proxy-strategy.js';
+
+/**
+ * Providers, the registry and the other upstream clients against the recorded fixtures
+ * All requests are answered by MockUpstream, nothing leaves the machine.
+ */
+
+/**
+ * Pending rewards of the 'rewards' scenario per provider, as raw quantities
+ */
+const EXPECTED_QUANTITIES = {
+    'sundae-liqwid': ['2250000'],
+    'sundae-general': ['1250000', '30000000'],
+    'nuvola-digital': ['2500000', '10000000'],
+    'minswap': ['12500000', '4500000'],
+    'cardano-staking': ['20000000'],
+    'strikefinance': ['12345678']
+};
+
+/**
+ * Create a registry answering from the fixtures
+ * @param {Object} options - Registry options
+ * @returns {ProviderRegistry} Registry
+ */
+function createMockRegistry(options = {}) {
+    return createRegistry({ proxyMode: PROXY_MODES.DIRECT, ...options });
+}
+
+describe('MockUpstream', () => {
+    it('rejects unknown scenarios', () => {
+        assert.throws(() => new MockUpstream({ scenario: 'flaky' }), /Unknown mock scenario: flaky/);
+        assert.throws(() => new MockUpstream({ scenarios: { 'strike-stake': 'slow' } }), /Unknown mock scenario: slow/);
+    });
+
+    it('restores the original fetch', () => {
+        const target = { fetch: () => 'original' };
+        const restore = new MockUpstream().install(target);
+
+        assert.notEqual(target.fetch(), 'original');
+        restore();
+        assert.equal(target.fetch(), 'original');
+    });
+});
+
+describe('provider fixtures', () => {
+    let mock;
+    let restore;
+
+    beforeEach(() => {
+        mock = new MockUpstream({ retryAfter: 0 });
+        restore = mock.install();
+    });
+
+    afterEach(() => restore());
+
+    it('cover every registered provider', () => {
+        const ids = createMockRegistry().getAllProviders().map(provider => provider.id);
+        assert.deepEqual(ids.sort(), Object.keys(EXPECTED_QUANTITIES).sort());
+    });
+
+    for (const [providerId, expected] of Object.entries(EXPECTED_QUANTITIES)) {
+        describe(providerId, () => {
+            it('formats recorded rewards', async () => {
+                const data = await createMockRegistry().getProvider(providerId).checkRewards([MOCK_HANDLE_ADDRESS]);
+
+                assert.equal(data.success, true);
+                assert.deepEqual(data.tokens.map(token => token.quantity), expected);
+                data.tokens.forEach(token => assert.equal(typeof token.amount, 'number'));
+            });
+
+            it('formats an empty response as no rewards', async () => {
+                mock.scenario = MOCK_SCENARIOS.EMPTY;
+                const data = await createMockRegistry().getProvider(providerId).checkRewards([MOCK_HANDLE_ADDRESS]);
+
+                assert.equal(data.success, true);
+                assert.deepEqual(data.tokens, []);
+            });
+
+            it('rejects a malformed response as a schema error', async () => {
+                mock.scenario = MOCK_SCENARIOS.MALFORMED;
+                const provider = createMockRegistry().getProvider(providerId);
+
+                await assert.rejects(provider.checkRewards([MOCK_HANDLE_ADDRESS]), { category: ERROR_CATEGORIES.SCHEMA });
+            });
+
+            it('reports rate limiting once the retries are used up', async () => {
+                mock.scenario = MOCK_SCENARIOS.RATE_LIMITED;
+                const provider = createMockRegistry().getProvider(providerId);
+
+                await assert.rejects(provider.checkRewards([MOCK_HANDLE_ADDRESS]), {
+                    category: ERROR_CATEGORIES.RATE_LIMITED,
+                    retryable: true
+                });
+                assert.ok(mock.requests.length > 1, 'the request was retried');
+            });
+        });
+    }
+});
+
+describe('stake and position fixtures', () => {
+    let restore;
+
+    beforeEach(() => {
+        restore = new MockUpstream({ retryAfter: 0 }).install();
+    });
+
+    afterEach(() => restore());
+
+    /**
+     * Check a provider against the fixtures
+     * @param {string} providerId - Provider ID
+     * @returns {Promise<Array>} Positions of the provider
+     */
+    async function getPositions(providerId) {
+        const data = await createMockRegistry().getProvider(providerId).checkRewards([MOCK_HANDLE_ADDRESS]);
+        return data.positions;
+    }
+
+    it('break Minswap rewards down into staking positions', async () => {
+        const positions = await getPositions('minswap');
+
+        assert.deepEqual(
+            positions.map(position => [position.type, position.staked.quantity, position.rewardPercent, position.endAt]),
+            [['MIN staking', '5000000000', 12.4, '2026-12-01T00:00:00.000Z'], ['Liquid staking', '1000000000', 8.1, null]]
+        );
+        assert.deepEqual(positions[0].rewards.map(token => [token.symbol, token.quantity]), [['MIN', '12500000'], ['ADA', '3400000']]);
+    });
+
+    it('report the staked principal behind the rewards', async () => {
+        const registry = createMockRegistry();
+        const staked = {};
+        for (const provider of registry.getAllProviders()) {
+            const data = await provider.checkRewards([MOCK_HANDLE_ADDRESS]);
+            staked[provider.id] = (data.staked || []).map(token => [token.symbol, token.quantity]);
+        }
+
+        assert.deepEqual(staked, {
+            'sundae-liqwid': [],
+            'sundae-general': [['LP', '812000000']],
+            'nuvola-digital': [],
+            'minswap': [['MIN', '6000000000']],
+            'cardano-staking': [['ADA', '1500345678']],
+            'strikefinance': [['ADA', '1000000000']]
+        });
+    });
+
+    it('name SundaeSwap pools by their pair', async () => {
+        const [pool] = await getPositions('sundae-general');
+
+        assert.deepEqual([pool.id, pool.type, pool.name], ['02', 'Liquidity', 'ADA/SUNDAE']);
+        assert.deepEqual(pool.rewards.map(token => token.quantity), EXPECTED_QUANTITIES['sundae-general']);
+    });
+
+    it('report fields a provider does not know as null', async () => {
+        const [stake] = await getPositions('nuvola-digital');
+
+        assert.deepEqual(
+            [stake.type, stake.name, stake.staked, stake.startAt, stake.endAt, stake.rewardPercent],
+            ['Stake', null, null, null, null, null]
+        );
+    });
+});
+
+describe('CORS proxy formats', () => {
+    const adapters = [
+        new CorsAnywhereAdapter(),
+        new CorsProxyIoAdapter(),
+        new AllOriginsAdapter(),
+        new CustomProxyAdapter('http://localhost:8080/proxy?url={url}')
+    ];
+
+    for (const adapter of adapters) {
+        it(`unwraps responses of ${adapter.id}`, async () => {
+            const mock = new MockUpstream();
+            const restore = mock.install();
+            try {
+                const proxyStrategy = new ProxyStrategy({ mode: PROXY_MODES.AUTO, adapters: [adapter], storage: null });
+                const data = await createMockRegistry({ proxyStrategy }).getProvider('strikefinance').checkRewards([MOCK_HANDLE_ADDRESS]);
+
+                assert.deepEqual(data.tokens.map(token => token.quantity), EXPECTED_QUANTITIES.strikefinance);
+                assert.equal(mock.requests[0].proxy, adapter.id);
+                assert.equal(mock.requests[0].fixture, 'strike-stake');
+            } finally {
+                restore();
+            }
+        });
+    }
+});
+
+describe('ProviderRegistry with the fixtures', () => {
+    let mock;
+    let restore;
+
+    beforeEach(() => {
+        mock = new MockUpstream({ retryAfter: 0 });
+        restore = mock.install();
+    });
+
+    afterEach(() => restore());
+
+    it('returns one successful result per provider', async () => {
+        const registry = createMockRegistry();
+        const results = await registry.checkAllRewards(MOCK_HANDLE_ADDRESS);
+
+        assert.equal(results.length, registry.getAllProviders().length);
+        results.forEach(result => assert.equal(result.success, true, `${result.providerId} succeeded`));
+    });
+
+    it('puts failed providers last with their error category', async () => {
+        mock.scenarios = {
+            'minswap-graphql': MOCK_SCENARIOS.MALFORMED,
+            'strike-stake': MOCK_SCENARIOS.RATE_LIMITED
+        };
+        const results = await createMockRegistry().checkAllRewards(MOCK_HANDLE_ADDRESS);
+        const failed = results.filter(result => !result.success);
+
+        assert.deepEqual(results.slice(-2), failed);
+        assert.deepEqual(
+            Object.fromEntries(failed.map(result => [result.providerId, result.errorCategory])),
+            { 'minswap': ERROR_CATEGORIES.SCHEMA, 'strikefinance': ERROR_CATEGORIES.RATE_LIMITED }
+        );
+    });
+
+    it('times out providers that do not answer', async () => {
+        mock.scenarios = { 'nuvola-stakes': MOCK_SCENARIOS.TIMEOUT };
+        const results = await createMockRegistry().checkAllRewards(MOCK_HANDLE_ADDRESS, { timeout: 100 });
+        const nuvola = results.find(result => result.providerId === 'nuvola-digital');
+
+        assert.equal(nuvola.errorCategory, ERROR_CATEGORIES.TIMEOUT);
+        assert.equal(results.filter(result => result.success).length, results.length - 1);
+    });
+
+    it('serves fresh results from the cache', async () => {
+        const registry = createMockRegistry({ cache: new ResultCache(createMemoryStorage()) });
+        await registry.checkAllRewards(MOCK_HANDLE_ADDRESS);
+        const requestCount = mock.requests.length;
+
+        const results = await registry.checkAllRewards(MOCK_HANDLE_ADDRESS);
+        assert.equal(mock.requests.length, requestCount);
+        assert.ok(results.every(result => result.fromCache));
+    });
+});
+
+describe('handle and price fixtures', () => {
+    let mock;
+    let restore;
+
+    beforeEach(() => {
+        mock = new MockUpstream({ retryAfter: 0 });
+        restore = mock.install();
+    });
+
+    afterEach(() => restore());
+
+    it('resolve the recorded handle', async () => {
+        const resolver = new KoiosHandleResolver({
+            proxyStrategy: new ProxyStrategy({ mode: PROXY_MODES.DIRECT, storage: null })
+        });
+
+        assert.equal(await resolver.resolve('$Rewards'), MOCK_HANDLE_ADDRESS);
+        assert.equal(mock.requests[0].fixture, 'koios-asset-addresses');
+    });
+
+    it('serve recorded prices', async () => {
+        const feed = new PublicApiPriceFeed();
+
+        assert.equal(await feed.getAdaPrice('usd'), 0.45);
+        mock.scenario = MOCK_SCENARIOS.RATE_LIMITED;
+        await assert.rejects(feed.getAdaPrice('eur'), /HTTP 429/);
+    });
+});
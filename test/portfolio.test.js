@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateTokens, dedupeStakeResults, groupResultsByWallet } from '../js/portfolio.js';
+
+/**
+ * Portfolio totals across providers and wallets
+ */
+
+const MIN_ASSET_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6.4d494e';
+
+/**
+ * Build a successful result
+ * @param {string} providerId - Provider ID
+ * @param {string} address - Wallet address
+ * @param {Array} tokens - [asset id, symbol, raw quantity] triples with 6 decimals
+ * @returns {Object} Provider result
+ */
+function createResult(providerId, address, tokens) {
+    return {
+        providerId,
+        address,
+        success: true,
+        data: {
+            tokens: tokens.map(([assetId, symbol, quantity]) => ({ assetId, symbol, quantity, decimals: 6, amount: Number(quantity) / 1e6 }))
+        }
+    };
+}
+
+describe('aggregateTokens', () => {
+    it('sums each asset across providers and wallets with the share of each provider', () => {
+        const totals = aggregateTokens([
+            createResult('cardano-staking', 'addr1', [['lovelace', 'ADA', '30000000']]),
+            createResult('strikefinance', 'addr1', [['lovelace', 'ADA', '10000000']]),
+            createResult('minswap', 'addr1', [[MIN_ASSET_ID, 'MIN', '1000000'], ['lovelace', 'ADA', '2100000']]),
+            createResult('cardano-staking', 'addr2', [['lovelace', 'ADA', '5000000']]),
+            { providerId: 'sundae-general', address: 'addr1', success: false, error: 'boom' }
+        ]);
+
+        assert.deepEqual(totals.map(token => [token.symbol, token.quantity]), [['ADA', '47100000'], ['MIN', '1000000']]);
+        assert.deepEqual(
+            totals[0].sources.map(source => [source.providerId, source.amount]),
+            [['cardano-staking', 35], ['strikefinance', 10], ['minswap', 2.1]]
+        );
+    });
+
+    it('keeps unidentified tokens apart by symbol and drops empty totals', () => {
+        const totals = aggregateTokens([
+            createResult('example', 'addr1', [[null, 'EX', '1000000'], [null, 'EY', '0']]),
+            createResult('other', 'addr1', [[null, 'EX', '2000000']])
+        ]);
+
+        assert.deepEqual(totals.map(token => [token.assetId, token.symbol, token.quantity]), [[null, 'EX', '3000000']]);
+    });
+});
+
+describe('dedupeStakeResults', () => {
+    it('counts a stake-keyed provider once per stake key and keeps per-address providers', () => {
+        const staking = createResult('cardano-staking', 'addr1', [['lovelace', 'ADA', '30000000']]);
+        staking.data.metadata = { stakeAddress: 'stake1' };
+        const repeated = { ...staking, address: 'addr2' };
+        const minswap = createResult('minswap', 'addr1', [[MIN_ASSET_ID, 'MIN', '1000000']]);
+        const minswapChange = createResult('minswap', 'addr2', [[MIN_ASSET_ID, 'MIN', '2000000']]);
+
+        assert.deepEqual(dedupeStakeResults([staking, minswap, repeated, minswapChange]), [staking, minswap, minswapChange]);
+        assert.deepEqual(
+            aggregateTokens([staking, minswap, repeated, minswapChange]).map(token => [token.symbol, token.quantity]),
+            [['ADA', '30000000'], ['MIN', '3000000']]
+        );
+    });
+});
+
+describe('groupResultsByWallet', () => {
+    it('keeps the wallet order and adds unknown addresses last', () => {
+        const groups = groupResultsByWallet([
+            createResult('minswap', 'addr3', []),
+            createResult('minswap', 'addr1', [])
+        ], ['addr1', 'addr2']);
+
+        assert.deepEqual(Array.from(groups.keys()), ['addr1', 'addr2', 'addr3']);
+        assert.equal(groups.get('addr2').length, 0);
+    });
+});
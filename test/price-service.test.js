@@ -0,0 +1,202 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isAdaToken,
+    PriceFeed,
+    PriceService,
+    PublicApiPriceFeed,
+    StaticPriceFeed
+} from '../js/price-service.js';
+
+/**
+ * Token valuation in ADA and fiat
+ */
+
+const MIN_POLICY_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6';
+const MIN_ASSET_NAME = '4d494e';
+const SUNDAE_POLICY_ID = '9a9693a9a37912a5097918f97918d15240c92ab729a0b7c4aa144d77';
+const SUNDAE_ASSET_NAME = '53554e444145';
+
+const priceFeed = new StaticPriceFeed({
+    ada: { usd: 0.5, eur: 0.4 },
+    tokens: { [MIN_POLICY_ID + MIN_ASSET_NAME]: 0.02 }
+});
+
+/**
+ * Build reward tokens as providers return them
+ * @returns {Array} ADA, MIN and SUNDAE tokens
+ */
+function createTokens() {
+    return [
+        { symbol: 'ADA', policyId: 'ADA', assetName: '', amount: 10 },
+        { symbol: 'MIN', policyId: MIN_POLICY_ID, assetName: MIN_ASSET_NAME, amount: 100 },
+        { symbol: 'SUNDAE', policyId: SUNDAE_POLICY_ID, assetName: SUNDAE_ASSET_NAME, amount: 30 }
+    ];
+}
+
+describe('isAdaToken', () => {
+    it('recognizes the ADA notations of the providers', () => {
+        assert.equal(isAdaToken({ policyId: 'ADA' }), true);
+        assert.equal(isAdaToken({ policyId: 'lovelace' }), true);
+        assert.equal(isAdaToken({ symbol: 'ADA' }), true);
+        assert.equal(isAdaToken({ policyId: MIN_POLICY_ID, symbol: 'ADA' }), false);
+    });
+});
+
+describe('StaticPriceFeed', () => {
+    it('serves the fixed prices', async () => {
+        assert.equal(await priceFeed.getAdaPrice('usd'), 0.5);
+        assert.equal(await priceFeed.getAdaPrice('gbp'), null);
+        assert.equal(await priceFeed.getTokenPrice(MIN_POLICY_ID, MIN_ASSET_NAME), 0.02);
+        assert.equal(await priceFeed.getTokenPrice(SUNDAE_POLICY_ID, SUNDAE_ASSET_NAME), null);
+    });
+});
+
+describe('PriceService', () => {
+    it('values tokens in ADA and the selected currency', async () => {
+        const data = await new PriceService({ priceFeed }).valueResponse({ tokens: createTokens() });
+        const [ada, min, sundae] = data.tokens;
+
+        assert.deepEqual([ada.valueAda, ada.valueFiat], [10, 5]);
+        assert.deepEqual([min.valueAda, min.valueFiat], [2, 1]);
+        assert.deepEqual([sundae.valueAda, sundae.valueFiat], [null, null]);
+        assert.deepEqual(data.value, { ada: 12, fiat: 6, currency: 'usd', complete: false, staked: null });
+    });
+
+    it('prefers prices included in the provider data', async () => {
+        const tokens = [{ symbol: 'MIN', policyId: MIN_POLICY_ID, assetName: MIN_ASSET_NAME, amount: 100, marketData: { price: 0.03 } }];
+        const data = await new PriceService({ priceFeed, currency: 'eur' }).valueResponse({ tokens });
+
+        assert.equal(data.tokens[0].valueAda, 3);
+        assert.equal(data.value.fiat, 3 * 0.4);
+        assert.equal(data.value.complete, true);
+    });
+
+    it('shares one lookup per token and currency', async () => {
+        const lookups = [];
+        const countingFeed = new StaticPriceFeed({ ada: { usd: 0.5 } });
+        countingFeed.getTokenPrice = async (policyId, assetName) => {
+            lookups.push(policyId + assetName);
+            return 0.01;
+        };
+        const service = new PriceService({ priceFeed: countingFeed });
+
+        await Promise.all([service.valueResponse({ tokens: createTokens() }), service.valueResponse({ tokens: createTokens() })]);
+        assert.deepEqual(lookups.sort(), [MIN_POLICY_ID + MIN_ASSET_NAME, SUNDAE_POLICY_ID + SUNDAE_ASSET_NAME]);
+    });
+
+    it('leaves prices unknown and warns when a lookup fails', async () => {
+        const failingFeed = new PriceFeed();
+        failingFeed.getAdaPrice = async () => {
+            throw new Error('HTTP 429: Too Many Requests');
+        };
+        const warnings = [];
+        const service = new PriceService({ priceFeed: failingFeed, onWarning: message => warnings.push(message) });
+        const data = await service.valueResponse({ tokens: createTokens().slice(0, 1) });
+
+        assert.equal(data.tokens[0].valueAda, 10);
+        assert.equal(data.value.fiat, null);
+        assert.deepEqual(warnings, ['Price lookup failed for usd: HTTP 429: Too Many Requests']);
+    });
+
+    it('sums the values of successful results in the selected currency', async () => {
+        const service = new PriceService({ priceFeed });
+        const results = [
+            { success: true, data: await service.valueResponse({ tokens: createTokens().slice(0, 2) }) },
+            { success: true, data: await service.valueResponse({ tokens: createTokens().slice(0, 1) }) },
+            { success: false, error: 'HTTP 500' }
+        ];
+
+        assert.deepEqual(service.summarize(results), {
+            ada: 22,
+            fiat: 11,
+            currency: 'usd',
+            complete: true,
+            staked: { ada: 0, fiat: 0, complete: true },
+            total: { ada: 22, fiat: 11, complete: true }
+        });
+
+        service.setCurrency('eur');
+        assert.equal(service.summarize(results).complete, false);
+    });
+
+    it('counts a shared stake key once for stake-keyed providers only', async () => {
+        const service = new PriceService({ priceFeed });
+        const staking = await service.valueResponse({ tokens: createTokens().slice(0, 1), metadata: { stakeAddress: 'stake1' } });
+        const minswap = await service.valueResponse({ tokens: createTokens().slice(0, 1) });
+        const results = ['addr1', 'addr2'].flatMap(address => [
+            { providerId: 'cardano-staking', address, success: true, data: staking },
+            { providerId: 'minswap', address, success: true, data: minswap }
+        ]);
+
+        assert.equal(service.summarize(results).ada, 30);
+    });
+
+    it('values the staked principal apart from pending rewards', async () => {
+        const service = new PriceService({ priceFeed });
+        const data = await service.valueResponse({
+            tokens: createTokens().slice(0, 1),
+            staked: [{ symbol: 'MIN', policyId: MIN_POLICY_ID, assetName: MIN_ASSET_NAME, amount: 1000 }]
+        });
+
+        assert.deepEqual([data.value.ada, data.value.fiat], [10, 5]);
+        assert.deepEqual(data.value.staked, { ada: 20, fiat: 10, complete: true });
+        assert.deepEqual(data.value.total, { ada: 30, fiat: 15, complete: true });
+        assert.equal(data.staked[0].valueAda, 20);
+    });
+
+    it('includes results that only report a staked principal', async () => {
+        const service = new PriceService({ priceFeed });
+        const results = [
+            { success: true, data: await service.valueResponse({ tokens: createTokens().slice(0, 1) }) },
+            { success: true, data: await service.valueResponse({ tokens: [], staked: createTokens().slice(0, 1) }) }
+        ];
+        const summary = service.summarize(results);
+
+        assert.deepEqual([summary.ada, summary.staked.ada, summary.total.ada], [10, 10, 20]);
+    });
+});
+
+describe('PublicApiPriceFeed', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+
+    beforeEach(() => {
+        requests = [];
+        // CoinGecko simple/price and MuesliSwap price responses
+        globalThis.fetch = async url => {
+            const parsed = new URL(url);
+            requests.push(parsed);
+            const body = parsed.hostname === 'api.coingecko.com'
+                ? { cardano: { usd: 0.45, eur: 0.41 } }
+                : { price: parsed.searchParams.get('quote-policy-id') === MIN_POLICY_ID ? 0.0312 : 0 };
+            return new Response(JSON.stringify(body), { status: 200 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('reads the ADA price in the requested currency', async () => {
+        const feed = new PublicApiPriceFeed();
+
+        assert.equal(await feed.getAdaPrice('eur'), 0.41);
+        assert.equal(await feed.getAdaPrice('chf'), null);
+        assert.equal(requests[0].searchParams.get('vs_currencies'), 'eur');
+    });
+
+    it('reads token prices in ADA', async () => {
+        const feed = new PublicApiPriceFeed();
+
+        assert.equal(await feed.getTokenPrice(MIN_POLICY_ID, MIN_ASSET_NAME), 0.0312);
+        assert.equal(await feed.getTokenPrice(SUNDAE_POLICY_ID, SUNDAE_ASSET_NAME), null);
+        assert.equal(requests[0].searchParams.get('quote-tokenname'), MIN_ASSET_NAME);
+    });
+
+    it('fails on error responses', async () => {
+        globalThis.fetch = async () => new Response('', { status: 429, statusText: 'Too Many Requests' });
+
+        await assert.rejects(new PublicApiPriceFeed().getAdaPrice('usd'), /HTTP 429: Too Many Requests/);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry } from '../js/provider-registry.js';
+import { ResultCache, createMemoryStorage } from '../js/result-cache.js';
+import { BaseProvider } from '../js/providers/base-provider.js';
+
+/**
+ * Cancellation and timeouts of provider checks
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+
+/**
+ * Provider whose requests only end when they are aborted
+ */
+class HangingProvider extends BaseProvider {
+    constructor() {
+        super({ id: 'hanging', name: 'Hanging', useCorsProxy: false });
+        this.signals = [];
+    }
+
+    async checkRewards(addresses, options = {}) {
+        this.signals.push(options.signal);
+        return new Promise(() => {});
+    }
+}
+
+/**
+ * Build a registry that only checks a hanging provider
+ * @returns {Object} Registry and provider
+ */
+function createRegistry() {
+    const provider = new HangingProvider();
+    const registry = new ProviderRegistry({ cache: new ResultCache(createMemoryStorage()) });
+    registry.addProvider(provider);
+    return { registry, provider };
+}
+
+describe('ProviderRegistry cancellation', () => {
+    it('aborts the requests of providers that time out', async () => {
+        const { registry, provider } = createRegistry();
+        const [result] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['hanging'], timeout: 20 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Request timeout');
+        assert.equal(provider.signals[0].aborted, true);
+    });
+
+    it('aborts outstanding requests when the check is cancelled', async () => {
+        const { registry, provider } = createRegistry();
+        const controller = new AbortController();
+        const check = registry.checkAllRewards(ADDRESS, {
+            includeProviders: ['hanging'],
+            timeout: 1000,
+            signal: controller.signal
+        });
+
+        controller.abort(new Error('Check cancelled'));
+        const [result] = await check;
+
+        assert.equal(provider.signals[0].aborted, true);
+        assert.equal(result.error, 'Check cancelled');
+    });
+
+    it('delivers nothing after the check was cancelled', async () => {
+        const { registry } = createRegistry();
+        const controller = new AbortController();
+        const delivered = [];
+        const check = registry.checkAllRewards(ADDRESS, {
+            includeProviders: ['hanging'],
+            timeout: 1000,
+            signal: controller.signal,
+            onResult: result => delivered.push(result)
+        });
+
+        controller.abort(new Error('Check cancelled'));
+
+        assert.deepEqual(await check, []);
+        assert.deepEqual(delivered, []);
+    });
+
+    it('passes the signal on to fetch', async () => {
+        const originalFetch = globalThis.fetch;
+        const signals = [];
+        globalThis.fetch = async (url, options) => {
+            signals.push(options.signal);
+            return new Response('{}', { status: 200 });
+        };
+
+        try {
+            const provider = new BaseProvider({ id: 'plain', name: 'Plain', endpoint: 'https://example.com', useCorsProxy: false });
+            provider.buildRequest = () => ({});
+            provider.formatResponse = response => response;
+            const controller = new AbortController();
+            await provider.checkRewards([ADDRESS], { signal: controller.signal });
+
+            assert.equal(signals[0], controller.signal);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+});
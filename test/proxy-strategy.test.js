@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PROXY_MODES,
+    AllOriginsAdapter,
+    CorsProxyIoAdapter,
+    CustomProxyAdapter,
+    ProxyStrategy
+} from '../js/proxy-strategy.js';
+import { ERROR_CATEGORIES } from '../js/errors.js';
+import { createMemoryStorage } from '../js/result-cache.js';
+
+/**
+ * CORS proxy fallbacks
+ */
+
+const API_URL = 'https://api.example.com/rewards?address=addr1';
+
+describe('proxy adapters', () => {
+    it('build the proxied URLs', () => {
+        assert.equal(new CorsProxyIoAdapter().buildUrl(API_URL), `https://corsproxy.io/?url=${encodeURIComponent(API_URL)}`);
+        assert.equal(new CustomProxyAdapter('https://proxy.local/').buildUrl(API_URL), `https://proxy.local/${API_URL}`);
+        assert.equal(new CustomProxyAdapter('https://proxy.local/?target={url}').buildUrl(API_URL), `https://proxy.local/?target=${encodeURIComponent(API_URL)}`);
+    });
+
+    it('unwrap AllOrigins responses', async () => {
+        const adapter = new AllOriginsAdapter();
+
+        assert.equal(adapter.supports('POST'), false);
+        assert.deepEqual(await adapter.parseResponse(Response.json({ contents: '{"rewards":1}' })), { rewards: 1 });
+        await assert.rejects(adapter.parseResponse(Response.json({ status: 'error' })), { category: ERROR_CATEGORIES.PROXY });
+    });
+});
+
+describe('ProxyStrategy', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+    let failingHosts;
+
+    beforeEach(() => {
+        requests = [];
+        failingHosts = [];
+        globalThis.fetch = async url => {
+            requests.push(url);
+            const host = new URL(url).hostname;
+            if (failingHosts.includes(host)) {
+                return new Response('', { status: 503, statusText: 'Service Unavailable' });
+            }
+            if (host === 'api.example.com' && failingHosts.includes('api')) {
+                return new Response('', { status: 400, statusText: 'Bad Request' });
+            }
+            return Response.json(host === 'api.allorigins.win' ? { contents: { rewards: 1 } } : { rewards: 1 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('falls back to the next proxy and remembers the one that worked', async () => {
+        failingHosts = ['cors-anywhere.com'];
+        const storage = createMemoryStorage();
+        const strategy = new ProxyStrategy({ storage });
+
+        assert.deepEqual(await strategy.request(API_URL, {}, { providerId: 'minswap' }), { rewards: 1 });
+        assert.equal(requests.length, 2);
+        assert.equal(new ProxyStrategy({ storage }).getAdapters('minswap')[0].id, 'corsproxy-io');
+    });
+
+    it('only tries proxies that forward the method', () => {
+        const strategy = new ProxyStrategy({ storage: null });
+
+        assert.deepEqual(strategy.getAdapters('minswap', 'POST').map(adapter => adapter.id), ['cors-anywhere', 'corsproxy-io']);
+        assert.deepEqual(strategy.getAdapters('minswap', 'GET').map(adapter => adapter.id), ['cors-anywhere', 'corsproxy-io', 'allorigins']);
+    });
+
+    it('does not fall back on errors of the API itself', async () => {
+        failingHosts = ['api'];
+        const strategy = new ProxyStrategy({ storage: null, mode: PROXY_MODES.DIRECT });
+
+        await assert.rejects(strategy.request(API_URL), { category: ERROR_CATEGORIES.UPSTREAM, status: 400 });
+        assert.deepEqual(requests, [API_URL]);
+    });
+
+    it('reports the last proxy failure when none works', async () => {
+        failingHosts = ['cors-anywhere.com', 'corsproxy.io', 'api.allorigins.win'];
+        const strategy = new ProxyStrategy({ storage: null });
+
+        await assert.rejects(strategy.request(API_URL), { category: ERROR_CATEGORIES.PROXY, status: 503 });
+        assert.equal(requests.length, 3);
+    });
+
+    it('sends requests directly when no proxy is needed', async () => {
+        const strategy = new ProxyStrategy({ storage: null });
+
+        await strategy.request(API_URL, {}, { useProxy: false });
+        assert.deepEqual(requests, [API_URL]);
+    });
+
+    it('only uses the self-hosted proxy in custom mode', async () => {
+        const strategy = new ProxyStrategy({ storage: null, mode: PROXY_MODES.CUSTOM });
+        await assert.rejects(strategy.request(API_URL), /No proxy configured/);
+
+        strategy.configure({ customProxyUrl: 'https://proxy.local/' });
+        await strategy.request(API_URL);
+        assert.deepEqual(requests, [`https://proxy.local/${API_URL}`]);
+    });
+
+    it('stores the settings and warns when they cannot be saved', () => {
+        const storage = createMemoryStorage();
+        new ProxyStrategy({ storage }).configure({ mode: PROXY_MODES.CUSTOM, customProxyUrl: 'https://proxy.local/' });
+        assert.deepEqual(new ProxyStrategy({ storage }).getSettings(), { mode: PROXY_MODES.CUSTOM, customProxyUrl: 'https://proxy.local/' });
+
+        const warnings = [];
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        new ProxyStrategy({ storage, onWarning: message => warnings.push(message) }).configure({ mode: PROXY_MODES.DIRECT });
+        assert.deepEqual(warnings, ['Could not store proxy settings: QuotaExceededError', 'Could not store proxy settings: QuotaExceededError']);
+    });
+});
@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultCache, createMemoryStorage } from '../js/result-cache.js';
+import { ProviderRegistry } from '../js/provider-registry.js';
+import { BaseProvider } from '../js/providers/base-provider.js';
+
+/**
+ * Cached provider results
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const MINUTE = 60 * 1000;
+
+/**
+ * Provider answering from a list of responses, or failing once they run out
+ */
+class SequenceProvider extends BaseProvider {
+    constructor(responses) {
+        super({ id: 'sequence', name: 'Sequence', useCorsProxy: false });
+        this.responses = responses;
+        this.calls = 0;
+    }
+
+    async checkRewards() {
+        const response = this.responses[this.calls++];
+        if (!response) {
+            throw new Error('HTTP 503: Service Unavailable');
+        }
+        return response;
+    }
+}
+
+/**
+ * Build a registry that only checks the given provider
+ * @param {BaseProvider} provider - Provider to check
+ * @returns {Object} Registry and its cache
+ */
+function createRegistry(provider) {
+    const cache = new ResultCache(createMemoryStorage());
+    const registry = new ProviderRegistry({ cache });
+    registry.addProvider(provider);
+    return { registry, cache };
+}
+
+/**
+ * Check the sequence provider and collect streamed results
+ * @param {ProviderRegistry} registry - Registry to check
+ * @param {Object} options - Check options
+ * @returns {Promise<Array>} Results in delivery order, once `count` have arrived
+ */
+function collectResults(registry, options = {}) {
+    const { count = 1, ...checkOptions } = options;
+    return new Promise(resolve => {
+        const results = [];
+        registry.checkAllRewards(ADDRESS, {
+            ...checkOptions,
+            includeProviders: ['sequence'],
+            timeout: 50,
+            onResult: result => {
+                results.push(result);
+                if (results.length === count) resolve(results);
+            }
+        });
+    });
+}
+
+describe('ResultCache', () => {
+    it('keys entries by provider and address set in any order', () => {
+        const cache = new ResultCache(createMemoryStorage());
+        cache.set('minswap', ['addr1b', 'addr1a'], [{ tokens: [] }, { tokens: [] }]);
+
+        assert.equal(cache.get('minswap', ['addr1a', 'addr1b']).responses.length, 2);
+        assert.equal(cache.get('minswap', ['addr1a']), null);
+        assert.equal(cache.get('sundae-general', ['addr1a', 'addr1b']), null);
+    });
+
+    it('clears only its own entries', () => {
+        const storage = createMemoryStorage();
+        storage.setItem('cardano-reward-checker-currency', 'eur');
+        const cache = new ResultCache(storage);
+        cache.set('minswap', [ADDRESS], [{ tokens: [] }]);
+        cache.clear();
+
+        assert.equal(cache.get('minswap', [ADDRESS]), null);
+        assert.equal(storage.getItem('cardano-reward-checker-currency'), 'eur');
+    });
+
+    it('deletes the entry of one provider and address set', () => {
+        const cache = new ResultCache(createMemoryStorage());
+        cache.set('cardano-staking', [ADDRESS], [{ tokens: [] }]);
+        cache.set('minswap', [ADDRESS], [{ tokens: [] }]);
+        cache.delete('cardano-staking', [ADDRESS]);
+
+        assert.equal(cache.get('cardano-staking', [ADDRESS]), null);
+        assert.notEqual(cache.get('minswap', [ADDRESS]), null);
+    });
+
+    it('treats unreadable and unwritable entries as misses', () => {
+        const warnings = [];
+        const storage = createMemoryStorage();
+        const cache = new ResultCache(storage, { onWarning: message => warnings.push(message) });
+        storage.setItem(cache.getKey('minswap', [ADDRESS]), '{not json');
+
+        assert.equal(cache.get('minswap', [ADDRESS]), null);
+
+        storage.setItem = () => {
+            throw new Error('QuotaExceededError');
+        };
+        assert.equal(cache.set('minswap', [ADDRESS], [{ tokens: [] }]).responses.length, 1);
+        assert.match(warnings[0], /^Ignoring corrupt cache entry for minswap: /);
+        assert.equal(warnings[1], 'Could not cache results for minswap: QuotaExceededError');
+    });
+});
+
+describe('ProviderRegistry caching', () => {
+    const originalNow = Date.now;
+    let now;
+
+    beforeEach(() => {
+        now = originalNow();
+        Date.now = () => now;
+    });
+
+    afterEach(() => {
+        Date.now = originalNow;
+    });
+
+    it('serves fresh entries without asking the provider', async () => {
+        const provider = new SequenceProvider([{ tokens: [{ symbol: 'MIN', amount: 1 }] }]);
+        const { registry } = createRegistry(provider);
+
+        const [first] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+        now += 4 * MINUTE;
+        const [second] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+
+        assert.equal(provider.calls, 1);
+        assert.equal(first.fromCache, false);
+        assert.equal(second.fromCache, true);
+        assert.equal(second.updatedAt, first.updatedAt);
+        assert.deepEqual(second.data, first.data);
+    });
+
+    it('refetches stale entries when results are not streamed', async () => {
+        const provider = new SequenceProvider([{ tokens: [] }, { tokens: [{ symbol: 'MIN', amount: 2 }] }]);
+        const { registry } = createRegistry(provider);
+
+        await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+        now += 6 * MINUTE;
+        const [result] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+
+        assert.equal(provider.calls, 2);
+        assert.equal(result.fromCache, false);
+        assert.equal(result.data.tokens[0].amount, 2);
+    });
+
+    it('bypasses the cache on a forced refresh', async () => {
+        const provider = new SequenceProvider([{ tokens: [] }, { tokens: [] }]);
+        const { registry } = createRegistry(provider);
+
+        await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+        const [result] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50, forceRefresh: true });
+
+        assert.equal(provider.calls, 2);
+        assert.equal(result.fromCache, false);
+    });
+
+    it('streams stale entries first and again once refreshed', async () => {
+        const provider = new SequenceProvider([{ tokens: [] }, { tokens: [{ symbol: 'MIN', amount: 3 }] }]);
+        const { registry } = createRegistry(provider);
+
+        await collectResults(registry);
+        now += 6 * MINUTE;
+        const [stale, refreshed] = await collectResults(registry, { count: 2 });
+
+        assert.equal(stale.fromCache, true);
+        assert.equal(stale.refreshing, true);
+        assert.equal(refreshed.fromCache, false);
+        assert.equal(refreshed.data.tokens[0].amount, 3);
+    });
+
+    it('keeps serving stale entries when the refresh fails', async () => {
+        const provider = new SequenceProvider([{ tokens: [{ symbol: 'MIN', amount: 1 }] }]);
+        const { registry } = createRegistry(provider);
+
+        await collectResults(registry);
+        now += 6 * MINUTE;
+        const [, retried] = await collectResults(registry, { count: 2 });
+
+        assert.equal(retried.success, true);
+        assert.equal(retried.fromCache, true);
+        assert.equal(retried.data.tokens[0].amount, 1);
+        assert.equal(retried.refreshError, 'HTTP 503: Service Unavailable');
+    });
+
+    it('keeps results fresh for the provider specific lifetime', async () => {
+        const provider = new SequenceProvider([{ tokens: [] }]);
+        provider.cacheTtl = 30 * MINUTE;
+        const { registry } = createRegistry(provider);
+
+        await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+        now += 20 * MINUTE;
+        const [result] = await registry.checkAllRewards(ADDRESS, { includeProviders: ['sequence'], timeout: 50 });
+
+        assert.equal(provider.calls, 1);
+        assert.equal(result.fromCache, true);
+    });
+});
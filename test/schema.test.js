@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGraphQLErrors, validateSchema } from '../js/schema.js';
+import { ERROR_CATEGORIES } from '../js/errors.js';
+import { BaseProvider } from '../js/providers/base-provider.js';
+import { DeclarativeProvider } from '../js/providers/declarative-provider.js';
+import { PROVIDER_DEFINITIONS } from '../js/providers/definitions.js';
+
+/**
+ * Response schema validation
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+
+const REWARDS_SCHEMA = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        data: {
+            type: 'object',
+            required: ['rewards'],
+            properties: {
+                rewards: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['amount'],
+                        properties: { amount: { type: 'numeric' }, claimedAt: { type: 'string', nullable: true } }
+                    }
+                },
+                byAddress: { type: 'object', additionalProperties: { type: 'integer' } }
+            }
+        }
+    }
+};
+
+describe('validateSchema', () => {
+    it('accepts matching documents and ignores extra fields', () => {
+        const document = {
+            data: {
+                rewards: [{ amount: '1500000', claimedAt: null, extra: true }, { amount: 2.5 }],
+                byAddress: { addr1: 3 }
+            },
+            meta: 'ignored'
+        };
+
+        assert.deepEqual(validateSchema(document, REWARDS_SCHEMA), []);
+        assert.deepEqual(validateSchema('anything', null), []);
+    });
+
+    it('reports the path of each mismatch', () => {
+        const document = {
+            data: {
+                rewards: [{ amount: 'many' }, {}],
+                byAddress: { 'addr1 test': 1.5 }
+            }
+        };
+
+        assert.deepEqual(validateSchema(document, REWARDS_SCHEMA), [
+            { path: '$.data.rewards[0].amount', message: 'expected numeric, got string' },
+            { path: '$.data.rewards[1].amount', message: 'missing' },
+            { path: "$.data.byAddress['addr1 test']", message: 'expected integer, got number' }
+        ]);
+    });
+
+    it('stops at a missing or mistyped parent', () => {
+        assert.deepEqual(validateSchema({}, REWARDS_SCHEMA), [{ path: '$.data', message: 'missing' }]);
+        assert.deepEqual(validateSchema({ data: [] }, REWARDS_SCHEMA), [{ path: '$.data', message: 'expected object, got array' }]);
+        assert.deepEqual(validateSchema(null, { type: ['array', 'object'] }), [{ path: '$', message: 'expected array or object, got null' }]);
+    });
+});
+
+describe('getGraphQLErrors', () => {
+    it('returns the errors of failed queries only', () => {
+        assert.equal(getGraphQLErrors({ data: {} }), null);
+        assert.equal(getGraphQLErrors({ errors: [] }), null);
+        assert.deepEqual(getGraphQLErrors({ errors: [{ message: 'boom' }] }), [{ message: 'boom' }]);
+    });
+});
+
+describe('BaseProvider response validation', () => {
+    const provider = new BaseProvider({ id: 'example', name: 'Example', responseSchema: REWARDS_SCHEMA });
+
+    it('reports format changes as schema errors with the offending path', () => {
+        assert.throws(() => provider.validateResponse({ data: { rewards: {} } }), error => {
+            assert.equal(error.category, ERROR_CATEGORIES.SCHEMA);
+            assert.equal(error.retryable, false);
+            assert.equal(error.path, '$.data.rewards');
+            assert.equal(error.message, 'Upstream format changed at $.data.rewards: expected array, got object');
+            return true;
+        });
+    });
+
+    it('tells removed GraphQL fields apart from other GraphQL errors', () => {
+        assert.throws(
+            () => provider.validateResponse({ errors: [{ message: 'Cannot query field "rewards" on type "Query".' }] }),
+            { category: ERROR_CATEGORIES.SCHEMA }
+        );
+        assert.throws(
+            () => provider.validateResponse({ errors: [{ message: 'Internal error' }, {}] }),
+            { category: ERROR_CATEGORIES.UPSTREAM, message: 'GraphQL error: Internal error; Unknown error' }
+        );
+    });
+});
+
+describe('declared provider schemas', () => {
+    const originalFetch = globalThis.fetch;
+    let responseBody;
+
+    beforeEach(() => {
+        globalThis.fetch = async () => Response.json(responseBody);
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('keep a changed Liqwid response from showing as no rewards', async () => {
+        const definition = PROVIDER_DEFINITIONS.find(entry => entry.id === 'sundae-liqwid');
+        const provider = new DeclarativeProvider({ ...definition, useCorsProxy: false });
+
+        responseBody = { rewards: { [ADDRESS]: [{ lqAmount: 1 }] } };
+        await assert.rejects(provider.checkRewards(ADDRESS), {
+            category: ERROR_CATEGORIES.SCHEMA,
+            path: `$.rewards.${ADDRESS}[0].amount`
+        });
+
+        responseBody = { data: [] };
+        await assert.rejects(provider.checkRewards(ADDRESS), { path: '$.rewards' });
+    });
+});
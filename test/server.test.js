@@ -0,0 +1,149 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, request as httpRequest } from 'node:http';
+import { ProxyCache, createRequestHandler } from '../server/index.js';
+
+/**
+ * Self-hosted server routes
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const KOIOS_URL = 'https://api.koios.rest/api/v1/tip';
+
+describe('server', () => {
+    const clientFetch = globalThis.fetch;
+    let server;
+    let baseUrl;
+    let upstreamRequests;
+
+    /**
+     * Request a path of the test server
+     * @param {string} path - Request path
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Response>} Response
+     */
+    function request(path, options = {}) {
+        return clientFetch(`${baseUrl}${path}`, options);
+    }
+
+    before(async () => {
+        server = createServer(createRequestHandler());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        upstreamRequests = [];
+        globalThis.fetch = async (url, options) => {
+            upstreamRequests.push({ url: String(url), method: options.method, body: options.body });
+            return Response.json({ block_no: 1 });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = clientFetch;
+    });
+
+    it('lists the providers', async () => {
+        const providers = await (await request('/api/providers')).json();
+
+        assert.ok(providers.some(provider => provider.id === 'cardano-staking'));
+        assert.ok(providers.every(provider => provider.id && provider.name));
+    });
+
+    it('rejects unknown providers and invalid addresses', async () => {
+        assert.equal((await request(`/api/rewards/unknown?address=${ADDRESS}`)).status, 404);
+
+        const response = await request('/api/rewards/minswap?address=addr1invalid');
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /^Invalid address: /);
+    });
+
+    it('only proxies allowlisted https hosts', async () => {
+        assert.equal((await request(`/proxy?url=${encodeURIComponent('https://example.com/')}`)).status, 403);
+        assert.equal((await request(`/proxy?url=${encodeURIComponent('http://api.koios.rest/')}`)).status, 403);
+        assert.equal((await request('/proxy')).status, 400);
+        assert.deepEqual(upstreamRequests, []);
+    });
+
+    it('caches proxied responses for all clients', async () => {
+        const path = `/proxy?url=${encodeURIComponent(KOIOS_URL)}`;
+        const first = await request(path);
+        const second = await request(path);
+
+        assert.deepEqual(await second.json(), { block_no: 1 });
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        assert.equal(upstreamRequests.length, 1);
+    });
+
+    it('keys the proxy cache by request body', async () => {
+        const path = `/proxy?url=${encodeURIComponent(`${KOIOS_URL}?body`)}`;
+        await request(path, { method: 'POST', body: '{"a":1}' });
+        await request(path, { method: 'POST', body: '{"a":2}' });
+
+        assert.deepEqual(upstreamRequests.map(upstream => upstream.body), ['{"a":1}', '{"a":2}']);
+    });
+
+    it('refuses proxy bodies over 64 KB without forwarding them', async () => {
+        const path = `/proxy?url=${encodeURIComponent(KOIOS_URL)}`;
+        const response = await request(path, { method: 'POST', body: 'x'.repeat(65 * 1024) });
+
+        assert.equal(response.status, 413);
+        assert.deepEqual(upstreamRequests, []);
+    });
+
+    it('stops reading chunked bodies once they are too large', async () => {
+        const status = await new Promise((resolve, reject) => {
+            const upload = httpRequest(`${baseUrl}/proxy?url=${encodeURIComponent(KOIOS_URL)}`, { method: 'POST' }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            // The server may close the connection before the whole upload is written
+            upload.on('error', error => error.code === 'ECONNRESET' || error.code === 'EPIPE' ? null : reject(error));
+            for (let i = 0; i < 20; i++) {
+                upload.write('x'.repeat(8 * 1024));
+            }
+            upload.end();
+        });
+
+        assert.equal(status, 413);
+        assert.deepEqual(upstreamRequests, []);
+    });
+
+    it('serves the web app with the proxy announced', async () => {
+        const html = await (await request('/')).text();
+
+        assert.match(html, /<meta name="cardano-rewards-proxy" content="\/proxy\?url=\{url\}">/);
+        assert.equal((await request('/js/app.js')).status, 200);
+    });
+
+    it('does not serve files outside the web app', async () => {
+        assert.equal((await request('/server/index.js')).status, 404);
+        assert.equal((await request('/package.json')).status, 404);
+        assert.equal((await request('/%2e%2e/etc/passwd')).status, 404);
+    });
+});
+
+describe('ProxyCache', () => {
+    it('evicts expired and then least recently used responses when full', () => {
+        const cache = new ProxyCache(2);
+        const expires = Date.now() + 60000;
+        cache.set('a', { body: 'a', expires });
+        cache.set('b', { body: 'b', expires });
+        cache.get('a');
+        cache.set('c', { body: 'c', expires });
+
+        assert.equal(cache.size, 2);
+        assert.equal(cache.get('b'), null);
+        assert.equal(cache.get('a').body, 'a');
+
+        cache.set('a', { body: 'a', expires: Date.now() - 1 });
+        cache.set('d', { body: 'd', expires });
+        assert.deepEqual([cache.get('c')?.body, cache.get('d')?.body, cache.get('a')], ['c', 'd', null]);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ADA_METADATA,
+    TokenRegistry,
+    decodeAssetName,
+    getTokenUnit
+} from '../js/token-registry.js';
+import { ProxyStrategy, PROXY_MODES } from '../js/proxy-strategy.js';
+import { createMemoryStorage } from '../js/result-cache.js';
+
+/**
+ * Token metadata from the bundled snapshot and the metadata server
+ */
+
+const MIN_POLICY_ID = '29d222ce763455e3d7a09a665ce554f00ac89d2e99a1a83d267170c6';
+const UNKNOWN_POLICY_ID = 'ab'.repeat(28);
+const UNKNOWN_ASSET_NAME = Buffer.from('TEST').toString('hex');
+
+/**
+ * Create a registry sending lookups straight to the stubbed fetch
+ * @param {Object} config - Registry configuration
+ * @returns {TokenRegistry} Registry
+ */
+function createTokenRegistry(config = {}) {
+    return new TokenRegistry({
+        proxyStrategy: new ProxyStrategy({ mode: PROXY_MODES.DIRECT, storage: null }),
+        storage: null,
+        ...config
+    });
+}
+
+describe('token units', () => {
+    it('only gives ADA and tokens with a policy ID a unit', () => {
+        assert.equal(getTokenUnit('ADA', ''), 'lovelace');
+        assert.equal(getTokenUnit('lovelace'), 'lovelace');
+        assert.equal(getTokenUnit('', '4d494e'), '');
+        assert.equal(getTokenUnit(MIN_POLICY_ID.toUpperCase(), '4D494E'), `${MIN_POLICY_ID}4d494e`);
+    });
+
+    it('decodes printable asset names without their CIP-67 label', () => {
+        assert.equal(decodeAssetName('4d494e'), 'MIN');
+        assert.equal(decodeAssetName('0014df105553444d'), 'USDM');
+        assert.equal(decodeAssetName('00ff'), null);
+        assert.equal(decodeAssetName(''), null);
+    });
+});
+
+describe('TokenRegistry', () => {
+    const originalFetch = globalThis.fetch;
+    let requests;
+    let responses;
+
+    beforeEach(() => {
+        requests = [];
+        responses = {};
+        // Metadata server entries by unit, 404 for unknown subjects
+        globalThis.fetch = async url => {
+            requests.push(url);
+            const unit = url.split('/').pop();
+            return responses[unit] ?
+                Response.json(responses[unit]) :
+                new Response('Not found', { status: 404, statusText: 'Not Found' });
+        };
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('knows ADA and the snapshot tokens without a request', async () => {
+        const registry = createTokenRegistry();
+
+        assert.equal(registry.getMetadata('lovelace', ''), ADA_METADATA);
+        assert.equal(registry.getMetadata('', ''), null);
+        assert.deepEqual(await registry.lookup(MIN_POLICY_ID, '4d494e'), {
+            logo: null, verified: true, ticker: 'MIN', name: 'Minswap', decimals: 6
+        });
+        assert.equal(requests.length, 0);
+    });
+
+    it('looks up other tokens once and caches the result', async () => {
+        const unit = `${UNKNOWN_POLICY_ID}${UNKNOWN_ASSET_NAME}`;
+        responses[unit] = { subject: unit, name: { value: 'Test Token' }, ticker: { value: 'TEST' }, decimals: { value: 4 } };
+        const registry = createTokenRegistry();
+
+        const [first, second] = await Promise.all([
+            registry.lookup(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME),
+            registry.lookup(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME)
+        ]);
+        assert.deepEqual(first, second);
+        assert.deepEqual([first.ticker, first.name, first.decimals, first.verified], ['TEST', 'Test Token', 4, false]);
+        assert.equal(registry.getMetadata(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME).ticker, 'TEST');
+        assert.equal(requests.length, 1);
+    });
+
+    it('only keeps base64 logos', async () => {
+        const unit = `${UNKNOWN_POLICY_ID}${UNKNOWN_ASSET_NAME}`;
+        const otherName = Buffer.from('OTHER').toString('hex');
+        responses[unit] = { name: { value: 'Test Token' }, logo: { value: 'iVBORw0KGgo=' } };
+        responses[`${UNKNOWN_POLICY_ID}${otherName}`] = { name: { value: 'Other' }, logo: { value: '" onload="alert(1)' } };
+        const registry = createTokenRegistry();
+
+        assert.equal((await registry.lookup(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME)).logo, 'data:image/png;base64,iVBORw0KGgo=');
+        assert.equal((await registry.lookup(UNKNOWN_POLICY_ID, otherName)).logo, null);
+    });
+
+    it('remembers unknown tokens and skips lookups when disabled', async () => {
+        const registry = createTokenRegistry();
+
+        assert.equal(await registry.lookup(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME), null);
+        assert.equal(await registry.lookup(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME), null);
+        assert.equal(requests.length, 1);
+
+        assert.equal(await createTokenRegistry({ lookups: false }).lookup(UNKNOWN_POLICY_ID, ''), null);
+        assert.equal(requests.length, 1);
+    });
+
+    it('applies registry decimals and replaces placeholder symbols', async () => {
+        const registry = createTokenRegistry({ lookups: false });
+        const [min, unknown] = await registry.resolveTokens([
+            { symbol: 'UNKNOWN', name: 'Unknown Token', quantity: '12500000', decimals: 0, policyId: MIN_POLICY_ID, assetName: '4d494e' },
+            { symbol: 'UNKNOWN', name: 'Unknown Token', quantity: '5', decimals: 0, amount: 5, policyId: UNKNOWN_POLICY_ID, assetName: UNKNOWN_ASSET_NAME }
+        ]);
+
+        assert.deepEqual([min.symbol, min.name, min.amount, min.verified], ['MIN', 'Minswap', 12.5, true]);
+        assert.deepEqual([unknown.symbol, unknown.name, unknown.amount, unknown.verified], ['TEST', 'TEST', 5, false]);
+    });
+
+    it('only treats tokens without a policy ID as ADA when the provider says so', async () => {
+        const registry = createTokenRegistry({ lookups: false });
+        const [ada, other] = await registry.resolveTokens([
+            { symbol: 'ADA', quantity: '1500000', decimals: 6, amount: 1.5 },
+            { symbol: 'EX', name: 'Example', quantity: '3', decimals: 0, amount: 3 }
+        ]);
+
+        assert.deepEqual([ada.name, ada.verified], ['Cardano', true]);
+        assert.deepEqual([other.symbol, other.name, other.verified], ['EX', 'Example', false]);
+    });
+
+    it('warns about a corrupt metadata cache and treats it as empty', () => {
+        const warnings = [];
+        const storage = createMemoryStorage();
+        storage.setItem('cardano-reward-checker-token-metadata', '{not json');
+        const registry = createTokenRegistry({ storage, onWarning: message => warnings.push(message) });
+
+        assert.equal(registry.getMetadata(UNKNOWN_POLICY_ID, UNKNOWN_ASSET_NAME), null);
+        assert.match(warnings[0], /^Ignoring corrupt token metadata cache: /);
+    });
+});
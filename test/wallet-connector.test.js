@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CIP30_ERROR_CODES,
+    WalletConnectionError,
+    WalletConnector,
+    decodeCip30Address,
+    getCip30Wallets
+} from '../js/wallet-connector.js';
+import { MockCip30Wallet, MOCK_WALLET_ADDRESSES } from '../js/mock/mock-cip30-wallet.js';
+
+/**
+ * CIP-30 wallet connection against the mock browser wallet
+ */
+
+const STAKE_ADDRESS = MOCK_WALLET_ADDRESSES.reward[0];
+
+/**
+ * Install a mock wallet into a fresh wallet namespace
+ * @param {Object} options - MockCip30Wallet options
+ * @returns {Object} Wallet and a connector reading the namespace
+ */
+function setup(options = {}) {
+    const namespace = {};
+    const wallet = new MockCip30Wallet(options);
+    wallet.install(namespace);
+    return { wallet, connector: new WalletConnector({ cardano: namespace.cardano }) };
+}
+
+describe('getCip30Wallets', () => {
+    it('lists the injected wallets', () => {
+        const { connector } = setup({ name: 'Eternl' });
+
+        assert.deepEqual(connector.getWallets().map(wallet => [wallet.id, wallet.name, wallet.apiVersion]), [['mock', 'Eternl', '0.1.0']]);
+    });
+
+    it('skips entries that are not wallets', () => {
+        assert.deepEqual(getCip30Wallets({ mock: { name: 'No API' }, other: null }), []);
+        assert.deepEqual(getCip30Wallets(undefined), []);
+    });
+});
+
+describe('decodeCip30Address', () => {
+    const wallet = new MockCip30Wallet();
+    const address = MOCK_WALLET_ADDRESSES.used[1];
+
+    it('decodes raw, CBOR wrapped and bech32 addresses', () => {
+        assert.equal(decodeCip30Address(wallet.toHex(address)), address);
+        assert.equal(decodeCip30Address(new MockCip30Wallet({ cborAddresses: true }).toHex(address)), address);
+        assert.equal(decodeCip30Address(address), address);
+    });
+
+    it('rejects values that are not addresses', () => {
+        assert.throws(() => decodeCip30Address(''), /empty/);
+        assert.throws(() => decodeCip30Address('not an address'), /Invalid wallet address/);
+    });
+});
+
+describe('WalletConnector', () => {
+    it('connects and reads the wallet addresses', async () => {
+        const { wallet, connector } = setup({ cborAddresses: true });
+        const connected = await connector.connect('mock');
+        const addresses = await connector.getAddresses();
+
+        assert.equal(connected.name, 'Mock Wallet');
+        assert.equal(wallet.enabled, true);
+        assert.deepEqual(addresses.reward, MOCK_WALLET_ADDRESSES.reward);
+        assert.deepEqual(addresses.used, MOCK_WALLET_ADDRESSES.used);
+        assert.deepEqual(addresses.change, [MOCK_WALLET_ADDRESSES.change]);
+        // The change address is also a used address and is listed once
+        assert.deepEqual(addresses.all, [...MOCK_WALLET_ADDRESSES.reward, ...MOCK_WALLET_ADDRESSES.used]);
+    });
+
+    it('reports a refused connection with the CIP-30 code', async () => {
+        const { connector } = setup({ refuse: true });
+
+        await assert.rejects(connector.connect('mock'), error => {
+            assert.ok(error instanceof WalletConnectionError);
+            assert.equal(error.code, CIP30_ERROR_CODES.REFUSED);
+            assert.equal(error.walletId, 'mock');
+            assert.equal(error.message, 'Could not connect to Mock Wallet: access was refused');
+            return true;
+        });
+        await assert.rejects(connector.getAddresses(), /No wallet connected/);
+    });
+
+    it('reports wallets that are not installed', async () => {
+        const { connector } = setup();
+
+        await assert.rejects(connector.connect('nami'), error => {
+            assert.ok(error instanceof WalletConnectionError);
+            assert.equal(error.code, null);
+            assert.match(error.message, /Wallet nami is not installed/);
+            return true;
+        });
+    });
+
+    it('rejects wallets connected to a testnet', async () => {
+        const { connector } = setup({ networkId: 0 });
+        await connector.connect('mock');
+
+        await assert.rejects(connector.getAddresses(), /connected to a testnet/);
+    });
+
+    it('only withdraws from stake keys of the connected wallet', async () => {
+        const { connector } = setup();
+        assert.equal(connector.canWithdraw(STAKE_ADDRESS), false);
+
+        await connector.connect('mock');
+        await connector.getAddresses();
+        assert.equal(connector.canWithdraw(STAKE_ADDRESS), true);
+        assert.equal(connector.canWithdraw(MOCK_WALLET_ADDRESSES.used[0]), false);
+
+        connector.disconnect();
+        assert.equal(connector.canWithdraw(STAKE_ADDRESS), false);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WalletStore } from '../js/wallet-store.js';
+
+/**
+ * Saved wallet list
+ */
+
+const ADDRESS = 'addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x';
+const SECOND_ADDRESS = 'addr1z8phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gten0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgs9yc0hh';
+
+/**
+ * Create an in-memory Storage
+ * @param {Object} items - Initial items
+ * @returns {Object} Object with getItem, setItem and removeItem
+ */
+function createStorage(items = {}) {
+    const values = new Map(Object.entries(items));
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key)
+    };
+}
+
+describe('WalletStore', () => {
+    it('adds, relabels and removes wallets', () => {
+        const storage = createStorage();
+        const store = new WalletStore(storage);
+
+        store.addWallet(` ${ADDRESS} `, 'Main');
+        store.addWallet(SECOND_ADDRESS);
+        store.addWallet(ADDRESS, 'Savings');
+
+        assert.deepEqual(store.getWallets(), [
+            { address: ADDRESS, label: 'Savings' },
+            { address: SECOND_ADDRESS, label: '' }
+        ]);
+        assert.deepEqual(new WalletStore(storage).getAddresses(), [ADDRESS, SECOND_ADDRESS]);
+
+        assert.equal(store.removeWallet(ADDRESS), true);
+        assert.equal(store.removeWallet(ADDRESS), false);
+        assert.deepEqual(new WalletStore(storage).getAddresses(), [SECOND_ADDRESS]);
+    });
+
+    it('migrates the single saved address', () => {
+        const storage = createStorage({ 'cardano-reward-checker-address': ADDRESS });
+        const store = new WalletStore(storage);
+
+        assert.deepEqual(store.getWallets(), [{ address: ADDRESS, label: '' }]);
+        assert.equal(storage.getItem('cardano-reward-checker-address'), null);
+    });
+
+    it('reports and discards a corrupt wallet list', () => {
+        const warnings = [];
+        const storage = createStorage({ 'cardano-reward-checker-wallets': '[{' });
+        const store = new WalletStore(storage, { onWarning: message => warnings.push(message) });
+
+        assert.deepEqual(store.getWallets(), []);
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /^Ignoring corrupt wallet list: /);
+    });
+});
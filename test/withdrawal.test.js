@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CIP30_SIGN_ERROR_CODES, WalletConnectionError, WalletConnector } from '../js/wallet-connector.js';
+import { WITHDRAWAL_TTL, calculateMinFee, getMainnetSlot } from '../js/transaction.js';
+import { decodeCbor } from '../js/cbor.js';
+import { MockCip30Wallet, MOCK_WALLET_ADDRESSES, MOCK_WALLET_UTXOS } from '../js/mock/mock-cip30-wallet.js';
+import { MockUpstream } from '../js/mock/mock-upstream.js';
+import { createRegistry } from '../js/index.js';
+import { TokenRegistry } from '../js/token-registry.js';
+
+/**
+ * Reward withdrawals built for and signed by the mock CIP-30 wallet
+ */
+
+const STAKE_ADDRESS = MOCK_WALLET_ADDRESSES.reward[0];
+const REWARDS = 20000000n;
+
+/**
+ * Connect a mock wallet and read its addresses
+ * @param {Object} options - MockCip30Wallet options
+ * @returns {Promise<Object>} Wallet and connected connector
+ */
+async function connectWallet(options = {}) {
+    const namespace = {};
+    const wallet = new MockCip30Wallet(options);
+    wallet.install(namespace);
+    const connector = new WalletConnector({ cardano: namespace.cardano });
+    await connector.connect('mock');
+    await connector.getAddresses();
+    return { wallet, connector };
+}
+
+/**
+ * Read the parts of a transaction body checked by the tests
+ * @param {Map} body - Decoded transaction body
+ * @returns {Object} Input reference, output coin, fee, TTL and withdrawn amount
+ */
+function readBody(body) {
+    const [[txHash, index]] = body.get(0);
+    return {
+        input: `${Buffer.from(txHash).toString('hex')}#${index}`,
+        output: BigInt(body.get(1)[0][1]),
+        fee: BigInt(body.get(2)),
+        ttl: Number(body.get(3)),
+        withdrawal: BigInt([...body.get(5).values()][0])
+    };
+}
+
+describe('withdrawals', () => {
+    it('builds a balanced transaction paying the minimum fee', async () => {
+        const { connector } = await connectWallet();
+        const slotBefore = getMainnetSlot();
+        const withdrawal = await connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS.toString());
+        const slotAfter = getMainnetSlot();
+
+        const [body, witnessSet] = decodeCbor(withdrawal.cbor);
+        const tx = readBody(body);
+        const inputCoin = BigInt(MOCK_WALLET_UTXOS[tx.input]);
+
+        assert.equal(withdrawal.amount, REWARDS);
+        assert.equal(withdrawal.netAmount, REWARDS - withdrawal.fee);
+        assert.equal(tx.fee, withdrawal.fee);
+        assert.equal(tx.withdrawal, REWARDS);
+        assert.equal(inputCoin + tx.withdrawal, tx.output + tx.fee);
+        assert.ok(tx.ttl >= slotBefore + WITHDRAWAL_TTL && tx.ttl <= slotAfter + WITHDRAWAL_TTL);
+        assert.equal(witnessSet.size, 0);
+    });
+
+    it('signs and submits the prepared transaction', async () => {
+        const { wallet, connector } = await connectWallet();
+        const withdrawal = await connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS);
+        const txHash = await connector.submitWithdrawal(withdrawal);
+
+        assert.match(txHash, /^[0-9a-f]{64}$/);
+        assert.equal(wallet.submitted.length, 1);
+
+        const signedHex = wallet.submitted[0];
+        const [body, witnessSet] = decodeCbor(signedHex);
+        assert.deepEqual(readBody(body), readBody(withdrawal.body));
+        assert.equal(witnessSet.get(0).length, 2);
+        // The fee was sized for the payment and stake key witnesses the wallet added
+        assert.ok(withdrawal.fee >= calculateMinFee(signedHex.length / 2));
+    });
+
+    it('reports a declined signature and submits nothing', async () => {
+        const { wallet, connector } = await connectWallet({ declineSign: true });
+        const withdrawal = await connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS);
+
+        await assert.rejects(connector.submitWithdrawal(withdrawal), error => {
+            assert.ok(error instanceof WalletConnectionError);
+            assert.equal(error.code, CIP30_SIGN_ERROR_CODES.USER_DECLINED);
+            assert.equal(error.message, 'Mock Wallet did not sign the withdrawal: signing was declined');
+            return true;
+        });
+        assert.deepEqual(wallet.submitted, []);
+    });
+
+    it('refuses rewards that do not cover the fee', async () => {
+        const { connector } = await connectWallet();
+
+        await assert.rejects(connector.prepareWithdrawal(STAKE_ADDRESS, 100000n), /do not cover the transaction fee/);
+        await assert.rejects(connector.prepareWithdrawal(STAKE_ADDRESS, 0n), /no rewards to withdraw/);
+    });
+
+    it('refuses stake keys of other wallets', async () => {
+        const { connector } = await connectWallet({ addresses: { reward: [] } });
+
+        await assert.rejects(connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS), WalletConnectionError);
+    });
+
+    it('refuses wallets without a spendable UTxO', async () => {
+        const { connector } = await connectWallet({ utxos: {} });
+
+        await assert.rejects(connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS), /no UTxO to spend/);
+    });
+});
+
+describe('DRep delegation requirement', () => {
+    let restore;
+    let delegation;
+    const provider = createRegistry({
+        proxyMode: 'direct',
+        tokenRegistry: new TokenRegistry({ storage: null, lookups: false })
+    }).getProvider('cardano-staking');
+
+    beforeEach(async () => {
+        restore = new MockUpstream().install();
+        const data = await provider.checkRewards([STAKE_ADDRESS]);
+        delegation = data.metadata.delegation;
+    });
+
+    afterEach(() => restore());
+
+    it('withdraws from stake keys delegated to a DRep', async () => {
+        const { connector } = await connectWallet();
+        assert.equal(delegation.drep.id, 'drep_always_abstain');
+
+        const withdrawal = await connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS, { delegation });
+        assert.equal(withdrawal.amount, REWARDS);
+    });
+
+    it('only checks delegations that come with warnings', async () => {
+        const { connector } = await connectWallet();
+
+        const withdrawal = await connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS, { delegation: { registered: true } });
+        assert.equal(withdrawal.amount, REWARDS);
+    });
+
+    it('refuses stake keys without a DRep before asking the wallet', async () => {
+        const { wallet, connector } = await connectWallet();
+        const undelegated = { ...delegation, drep: null };
+        undelegated.warnings = provider.getDelegationWarnings(undelegated);
+
+        await assert.rejects(
+            connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS, { delegation: undelegated }),
+            /not delegated to a DRep/
+        );
+        assert.ok(!wallet.calls.includes('getUtxos'));
+    });
+
+    it('refuses stake keys delegated to a retired DRep', async () => {
+        const { connector } = await connectWallet();
+        const retired = { ...delegation, drep: { ...delegation.drep, registered: false } };
+        retired.warnings = provider.getDelegationWarnings(retired);
+
+        await assert.rejects(
+            connector.prepareWithdrawal(STAKE_ADDRESS, REWARDS, { delegation: retired }),
+            /no longer registered/
+        );
+    });
+});
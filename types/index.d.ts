@@ -0,0 +1,1051 @@
+/**
+ * Type declarations for the cardano-rewards core library (js/index.js)
+ */
+
+// ---------------------------------------------------------------------------
+// Results
+// ---------------------------------------------------------------------------
+
+export interface Token {
+    /** Canonical asset id: 'lovelace' or '<policyId>.<assetName>' (null if the provider did not identify the token) */
+    assetId?: string | null;
+    symbol: string;
+    name?: string;
+    /** Raw on-chain quantity as an integer string */
+    quantity: string;
+    decimals: number;
+    /** Display amount (quantity / 10^decimals), may lose precision for large values */
+    amount: number;
+    policyId?: string;
+    /** Hex encoded asset name */
+    assetName?: string;
+    /** Logo from the token registry (data URL) or the provider */
+    logo?: string | null;
+    /** Whether the token is ADA, in the bundled snapshot or verified by the provider (metadata server lookups are not) */
+    verified?: boolean;
+    /** Value in ADA, set by PriceService.valueResponse */
+    valueAda?: number | null;
+    /** Value in the selected fiat currency, set by PriceService.valueResponse */
+    valueFiat?: number | null;
+    [key: string]: unknown;
+}
+
+export interface ValueTotal {
+    ada: number;
+    fiat: number | null;
+    /** False if some tokens could not be valued */
+    complete: boolean;
+}
+
+/** Value of the pending rewards, with the staked principal if the provider reports it */
+export interface ResponseValue extends ValueTotal {
+    currency: string;
+    staked?: ValueTotal | null;
+    /** Pending plus staked, set together with staked */
+    total?: ValueTotal;
+}
+
+export interface ValueSummary extends ResponseValue {
+    staked: ValueTotal;
+    total: ValueTotal;
+}
+
+/** A single stake, lock or pool behind a provider's totals */
+export interface Position {
+    /** Pool or stake ID */
+    id: string | null;
+    /** E.g. 'MIN staking', 'Liquid staking', 'Liquidity', 'Stake' */
+    type: string;
+    /** E.g. the pool pair 'ADA/SUNDAE' */
+    name: string | null;
+    /** Staked asset (LP tokens for liquidity), null if the provider does not report it */
+    staked: Token | null;
+    /** ISO 8601 dates */
+    startAt: string | null;
+    /** Lock end */
+    endAt: string | null;
+    /** APR in percent */
+    rewardPercent: number | null;
+    /** Pending rewards of this position */
+    rewards: Token[];
+}
+
+export interface RewardResponse {
+    success: boolean;
+    provider: string;
+    tokens: Token[];
+    /** Staked principal (e.g. delegated ADA, locked MIN, LP tokens) */
+    staked?: Token[];
+    /** Set by providers that report individual positions; tokens are their totals */
+    positions?: Position[];
+    metadata?: Record<string, any>;
+    value?: ResponseValue;
+}
+
+export interface SuccessfulResult {
+    providerId: string;
+    address: string;
+    success: true;
+    data: RewardResponse;
+    /** Time the data was fetched (ms since epoch) */
+    updatedAt: number;
+    fromCache: boolean;
+    /** Stale cached result that is being refreshed in the background */
+    refreshing?: boolean;
+    /** Message of a failed background refresh */
+    refreshError?: string;
+}
+
+export interface FailedResult {
+    providerId: string;
+    address: string;
+    success: false;
+    error: string;
+    errorCategory: ErrorCategory;
+    /** Offending response path of schema errors */
+    errorPath: string | null;
+    retryable: boolean;
+}
+
+export type RewardResult = SuccessfulResult | FailedResult;
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+export interface CreateRegistryOptions {
+    proxyMode?: ProxyMode;
+    proxyStrategy?: ProxyStrategy;
+    cache?: ResultCache;
+    tokenRegistry?: TokenRegistry;
+}
+
+export interface CheckRewardsOptions extends CreateRegistryOptions {
+    /** Only check these provider IDs */
+    providers?: string[];
+    /** Timeout per provider in milliseconds (default: 30000) */
+    timeout?: number;
+    forceRefresh?: boolean;
+    signal?: AbortSignal;
+    /** Streaming mode: called with each result, the returned array is empty */
+    onResult?: (result: RewardResult) => void;
+    registry?: ProviderRegistry;
+}
+
+export function createRegistry(options?: CreateRegistryOptions): ProviderRegistry;
+export function checkRewards(addresses: string | string[], options?: CheckRewardsOptions): Promise<RewardResult[]>;
+
+// ---------------------------------------------------------------------------
+// Registry and providers
+// ---------------------------------------------------------------------------
+
+export interface CheckAllRewardsOptions {
+    includeProviders?: string[] | null;
+    excludeProviders?: string[];
+    timeout?: number;
+    forceRefresh?: boolean;
+    signal?: AbortSignal | null;
+    onResult?: ((result: RewardResult) => void) | null;
+}
+
+export interface AddressValidationSummary {
+    valid: boolean;
+    invalidAddresses: string[];
+    reasons: Record<string, string>;
+    validCount: number;
+    totalCount: number;
+}
+
+export class ProviderRegistry {
+    constructor(options?: {
+        cache?: ResultCache;
+        proxyStrategy?: ProxyStrategy;
+        tokenRegistry?: TokenRegistry;
+        onWarning?: WarningHandler;
+    });
+    providers: Map<string, BaseProvider>;
+    cache: ResultCache;
+    proxyStrategy: ProxyStrategy;
+    tokenRegistry: TokenRegistry;
+    getAllProviders(): BaseProvider[];
+    getProvider(providerId: string): BaseProvider | null;
+    addProvider(provider: BaseProvider): void;
+    removeProvider(providerId: string): boolean;
+    setProxyStrategy(proxyStrategy: ProxyStrategy): void;
+    registerDefinitions(definitions: ProviderDefinition[]): DeclarativeProvider[];
+    loadDefinitions(url: string, options?: RequestOptions): Promise<DeclarativeProvider[]>;
+    checkAllRewards(addresses: string | string[], options?: CheckAllRewardsOptions): Promise<RewardResult[]>;
+    validateAddresses(addresses: string | string[]): AddressValidationSummary;
+    getProviderStats(): { totalProviders: number; providerNames: string[]; providerIds: string[] };
+}
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+}
+
+export interface RetryPolicy {
+    /** Total attempts including the first one */
+    maxAttempts: number;
+    /** Delay before the first retry in milliseconds */
+    baseDelay: number;
+    /** Upper bound for a single delay in milliseconds */
+    maxDelay: number;
+    /** Random spread of the delay (0.3 = +/- 30%) */
+    jitter: number;
+}
+
+export interface ProviderConfig {
+    name: string;
+    id: string;
+    endpoint: string;
+    icon?: string | null;
+    useCorsProxy?: boolean;
+    method?: string;
+    headers?: Record<string, string>;
+    platformUrl?: string | null;
+    supportsBatch?: boolean;
+    cacheTtl?: number;
+    retry?: Partial<RetryPolicy>;
+    responseSchema?: ResponseSchema | null;
+    proxyStrategy?: ProxyStrategy;
+    tokenRegistry?: TokenRegistry;
+}
+
+export class BaseProvider {
+    constructor(config: ProviderConfig);
+    name: string;
+    id: string;
+    icon: string | null;
+    originalEndpoint: string;
+    useCorsProxy: boolean;
+    method: string;
+    headers: Record<string, string>;
+    platformUrl: string | null;
+    supportsBatch: boolean;
+    cacheTtl: number;
+    retry: Partial<RetryPolicy>;
+    responseSchema: ResponseSchema | null;
+    proxyStrategy: ProxyStrategy;
+    tokenRegistry: TokenRegistry;
+    readonly endpoint: string;
+    checkRewards(addresses: string | string[], options?: RequestOptions): Promise<RewardResponse>;
+    checkRewardsBatch(addresses: string[], options?: RequestOptions): Promise<RewardResponse[]>;
+    selectAddressResponse(response: any, address: string): any;
+    validateResponse(response: any, schema?: ResponseSchema | null): void;
+    resolveTokens(formatted: RewardResponse, options?: RequestOptions): Promise<RewardResponse>;
+    makeRequest(addresses: string[], options?: RequestOptions): Promise<any>;
+    makeHttpRequest(url: string, options?: RequestInit): Promise<any>;
+    makeGetRequest(queryParams?: string, options?: RequestOptions): Promise<any>;
+    makePostRequest(path: string, body: unknown, options?: RequestOptions): Promise<any>;
+    buildRequest(addresses: string[]): unknown;
+    formatResponse(response: any): RewardResponse;
+    isValidAddress(address: string): boolean;
+    setCorsProxy(useCorsProxy: boolean): void;
+    setProxyStrategy(proxyStrategy: ProxyStrategy): void;
+    setTokenRegistry(tokenRegistry: TokenRegistry): void;
+}
+
+// ---------------------------------------------------------------------------
+// Response schemas
+// ---------------------------------------------------------------------------
+
+export type SchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null' | 'numeric';
+
+export interface ResponseSchema {
+    type?: SchemaType | SchemaType[];
+    nullable?: boolean;
+    required?: string[];
+    properties?: Record<string, ResponseSchema>;
+    additionalProperties?: ResponseSchema;
+    items?: ResponseSchema;
+}
+
+export interface SchemaIssue {
+    path: string;
+    message: string;
+}
+
+export function validateSchema(value: unknown, schema: ResponseSchema | null | undefined, path?: string): SchemaIssue[];
+export function getGraphQLErrors(response: unknown): Array<{ message?: string; extensions?: Record<string, any> }> | null;
+
+export class SundaeGeneralProvider extends BaseProvider { constructor(); }
+export class NuvolaDigitalProvider extends BaseProvider { constructor(); }
+export class MinswapProvider extends BaseProvider { constructor(); }
+export interface DelegationWarning {
+    code: 'unregistered' | 'undelegated' | 'pool-retired' | 'pool-retiring' | 'pool-oversaturated' | 'pool-lookup-failed' |
+        'no-drep' | 'drep-retired' | 'drep-lookup-failed';
+    message: string;
+}
+
+/** metadata.delegation of Cardano Staking results (null fields were not reported by Koios) */
+export interface Delegation {
+    /** Stake key registered */
+    registered: boolean;
+    pool: {
+        id: string;
+        ticker: string | null;
+        name: string | null;
+        /** 'registered', 'retiring' or 'retired' */
+        status: string | null;
+        retiringEpoch: number | null;
+        /** Fraction, e.g. 0.01 for 1% */
+        margin: number | null;
+        /** ADA per epoch */
+        fixedCost: number | null;
+        /** Percent of the saturation point */
+        saturation: number | null;
+        /** Why the pool details could not be loaded (null if they were) */
+        lookupError: string | null;
+    } | null;
+    drep: {
+        id: string;
+        type: 'drep' | 'always-abstain' | 'always-no-confidence';
+        registered: boolean | null;
+        active: boolean | null;
+        expiresEpoch: number | null;
+        /** Why the DRep details could not be loaded (null if they were or none are needed) */
+        lookupError: string | null;
+    } | null;
+    warnings: DelegationWarning[];
+}
+
+export class CardanoStakingProvider extends BaseProvider {
+    constructor();
+    describeDelegation(
+        account: Record<string, any> | null,
+        pool: Record<string, any> | null,
+        drep: Record<string, any> | null,
+        lookupErrors?: { pool?: string | null; drep?: string | null }
+    ): Delegation;
+    getDelegationWarnings(delegation: Omit<Delegation, 'warnings'>): DelegationWarning[];
+}
+export class StrikeFinanceProvider extends BaseProvider { constructor(); }
+
+// ---------------------------------------------------------------------------
+// Declarative providers
+// ---------------------------------------------------------------------------
+
+/** Path expression ("$.data.rewards[*].amount") */
+export type JsonPath = string;
+
+/** Literal, path expression or path with an aggregate */
+export type ValueSpec = JsonPath | number | boolean | null | { path: JsonPath; aggregate?: 'first' | 'all' | 'count' | 'sum' };
+
+export interface TokenMapping {
+    /** Create one token per matching item; the other specs are relative to the item */
+    items?: JsonPath;
+    symbol?: ValueSpec;
+    name?: ValueSpec;
+    decimals?: ValueSpec;
+    /** Raw quantities to sum (either quantity or amount is required) */
+    quantity?: ValueSpec;
+    /** Decimal amounts to sum */
+    amount?: ValueSpec;
+    policyId?: ValueSpec;
+    assetName?: ValueSpec;
+    /** Extra token fields */
+    fields?: Record<string, ValueSpec>;
+}
+
+export interface ProviderDefinition {
+    id: string;
+    name: string;
+    endpoint: string;
+    icon?: string | null;
+    platformUrl?: string | null;
+    claimUrl?: string | null;
+    method?: 'GET' | 'POST';
+    headers?: Record<string, string>;
+    useCorsProxy?: boolean;
+    supportsBatch?: boolean;
+    cacheTtl?: number;
+    retry?: Partial<RetryPolicy>;
+    responseSchema?: ResponseSchema;
+    request?: { body?: unknown; query?: Record<string, string> };
+    /** Part of a batch response that belongs to {{address}} (required with supportsBatch) */
+    select?: JsonPath;
+    tokens: TokenMapping[];
+    metadata?: Record<string, ValueSpec>;
+}
+
+export class DeclarativeProvider extends BaseProvider {
+    constructor(definition: ProviderDefinition);
+    definition: ProviderDefinition;
+    buildTokens(response: any): Token[];
+}
+
+export function validateDefinition(definition: ProviderDefinition): void;
+export const PROVIDER_DEFINITIONS: ProviderDefinition[];
+
+export type PathSegment = { type: 'key'; key: string } | { type: 'index'; index: number } | { type: 'wildcard' };
+
+export function isPath(value: unknown): value is JsonPath;
+export function parsePath(path: JsonPath): PathSegment[];
+export function queryPath(data: unknown, path: JsonPath): any[];
+export function getPath(data: unknown, path: JsonPath): any;
+export function fillTemplate<T = unknown>(template: T, variables: Record<string, unknown>): any;
+
+// ---------------------------------------------------------------------------
+// Addresses
+// ---------------------------------------------------------------------------
+
+export const ADDRESS_TYPES: {
+    readonly BASE: 'base';
+    readonly POINTER: 'pointer';
+    readonly ENTERPRISE: 'enterprise';
+    readonly BYRON: 'byron';
+    readonly REWARD: 'reward';
+};
+
+export type AddressType = typeof ADDRESS_TYPES[keyof typeof ADDRESS_TYPES];
+
+export interface Credential {
+    type: 'key' | 'script';
+    hash: string;
+}
+
+export interface StakePointer {
+    slot: number;
+    txIndex: number;
+    certIndex: number;
+}
+
+export interface ParsedAddress {
+    header: number;
+    typeId: number;
+    type: AddressType;
+    networkId: number;
+    network: 'mainnet' | 'testnet';
+    paymentCredential: Credential | null;
+    stakeCredential: Credential | null;
+    stakePointer: StakePointer | null;
+    address: string;
+    prefix: string;
+    bytes: Uint8Array;
+}
+
+export interface AddressError {
+    error: string;
+}
+
+export function bech32Decode(value: string): { prefix: string; bytes: Uint8Array } | AddressError;
+export function bech32Encode(prefix: string, bytes: Uint8Array | number[]): string;
+export function bytesToHex(bytes: Uint8Array | number[]): string;
+export function hexToBytes(hex: string): Uint8Array;
+export function decodeAddressBytes(bytes: Uint8Array): Omit<ParsedAddress, 'address' | 'prefix' | 'bytes'> | AddressError;
+export function encodeAddress(bytes: Uint8Array | number[]): { address: string } | AddressError;
+export function parseAddress(address: string): ParsedAddress | AddressError;
+export function validateAddress(address: string): { valid: boolean; reason: string | null; parsed: ParsedAddress | null };
+export function getStakeAddress(address: string | ParsedAddress): string | null;
+
+// ---------------------------------------------------------------------------
+// Amounts and tokens
+// ---------------------------------------------------------------------------
+
+export type QuantityLike = bigint | number | string;
+
+export function toQuantity(value: QuantityLike | null | undefined): bigint;
+export function decimalToQuantity(value: number | string, decimals: number): bigint;
+export function quantityToString(quantity: QuantityLike, decimals?: number): string;
+export function quantityToNumber(quantity: QuantityLike, decimals?: number): number;
+export function sumQuantities(...values: QuantityLike[]): bigint;
+export function roundQuantity(quantity: QuantityLike, decimals: number, places: number): { integer: string; fraction: string };
+export function createTokenAmount(quantity: QuantityLike, decimals: number): { quantity: string; decimals: number; amount: number };
+export function addTokenQuantity<T extends { quantity: string; decimals: number }>(token: T, quantity: QuantityLike): T;
+
+export function formatAmount(amount: number | bigint | string, decimals?: number | null): string;
+export function formatFiat(value: number | null, currency: string): string;
+export function formatTokenAmount(token: Pick<Token, 'amount'> & Partial<Token>): string;
+export function isValidAddress(address: string): boolean;
+export function shortenAddress(address: string, chars?: number): string;
+export function formatAge(timestamp: number): string;
+export function formatDate(timestamp: number): string;
+export function formatDay(date: number | string): string;
+export function getTokenIconUrl(tokenData: string | Record<string, any>): string;
+export function parseTokenId(tokenId: string): { policyId: string; assetName: string; isAda: boolean };
+export function hexToString(hexAssetName: string): string;
+
+// ---------------------------------------------------------------------------
+// Errors and retries
+// ---------------------------------------------------------------------------
+
+export const ERROR_CATEGORIES: {
+    readonly NETWORK: 'network';
+    readonly PROXY: 'proxy';
+    readonly RATE_LIMITED: 'rate-limited';
+    readonly UPSTREAM: 'upstream';
+    readonly SCHEMA: 'schema';
+    readonly INVALID_ADDRESS: 'invalid-address';
+    readonly TIMEOUT: 'timeout';
+    readonly CANCELLED: 'cancelled';
+    readonly UNKNOWN: 'unknown';
+};
+
+export type ErrorCategory = typeof ERROR_CATEGORIES[keyof typeof ERROR_CATEGORIES];
+
+export interface ProviderErrorDetails {
+    category?: ErrorCategory;
+    status?: number | null;
+    retryAfter?: number | null;
+    retryable?: boolean;
+    provider?: string | null;
+    cause?: unknown;
+}
+
+export class ProviderError extends Error {
+    constructor(message: string, details?: ProviderErrorDetails);
+    category: ErrorCategory;
+    status: number | null;
+    retryAfter: number | null;
+    retryable: boolean;
+    provider: string | null;
+    cause?: unknown;
+    /** Offending response path (schema errors) */
+    path?: string;
+    /** All schema mismatches (schema errors) */
+    issues?: SchemaIssue[];
+    static fromResponse(response: Response, viaProxy?: boolean): ProviderError;
+}
+
+export function classifyError(error: unknown, context?: { provider?: string | null; viaProxy?: boolean }): ProviderError;
+export function getErrorInfo(category: ErrorCategory | string | undefined): { title: string; hint: string; retryable: boolean };
+export function parseRetryAfter(value: string | null | undefined): number | null;
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy;
+
+// ---------------------------------------------------------------------------
+// Proxies
+// ---------------------------------------------------------------------------
+
+export const PROXY_MODES: {
+    readonly AUTO: 'auto';
+    readonly CUSTOM: 'custom';
+    readonly DIRECT: 'direct';
+};
+
+export type ProxyMode = typeof PROXY_MODES[keyof typeof PROXY_MODES];
+
+export class ProxyAdapter {
+    constructor(config: { id: string; name: string; methods?: string[] });
+    id: string;
+    name: string;
+    methods: string[];
+    isProxy: boolean;
+    supports(method?: string): boolean;
+    buildUrl(url: string): string;
+    parseResponse(response: Response): Promise<any>;
+}
+
+export class DirectAdapter extends ProxyAdapter { constructor(); }
+export class CorsAnywhereAdapter extends ProxyAdapter { constructor(baseUrl?: string); baseUrl: string; }
+export class CorsProxyIoAdapter extends ProxyAdapter { constructor(baseUrl?: string); baseUrl: string; }
+export class AllOriginsAdapter extends ProxyAdapter { constructor(baseUrl?: string); baseUrl: string; }
+export class CustomProxyAdapter extends ProxyAdapter { constructor(proxyUrl: string); proxyUrl: string; }
+export function createPublicAdapters(): ProxyAdapter[];
+
+export interface ProxySettings {
+    mode: ProxyMode;
+    customProxyUrl: string;
+}
+
+export class ProxyStrategy {
+    constructor(config?: {
+        mode?: ProxyMode;
+        customProxyUrl?: string;
+        adapters?: ProxyAdapter[];
+        storage?: Storage | null;
+        onWarning?: WarningHandler;
+    });
+    mode: ProxyMode;
+    customProxyUrl: string;
+    adapters: ProxyAdapter[];
+    configure(settings?: Partial<ProxySettings>): void;
+    setDefaultProxy(proxyUrl: string): void;
+    getSettings(): ProxySettings;
+    getAdapters(providerId: string | null, method?: string, useProxy?: boolean): ProxyAdapter[];
+    request(url: string, options?: RequestInit, context?: { providerId?: string | null; useProxy?: boolean }): Promise<any>;
+}
+
+// ---------------------------------------------------------------------------
+// Cache
+// ---------------------------------------------------------------------------
+
+export interface CacheEntry {
+    addresses: string[];
+    responses: RewardResponse[];
+    timestamp: number;
+}
+
+export class ResultCache {
+    constructor(storage?: Storage | null, options?: { onWarning?: WarningHandler });
+    getKey(providerId: string, addresses: string[]): string;
+    get(providerId: string, addresses: string[]): CacheEntry | null;
+    set(providerId: string, addresses: string[], responses: RewardResponse[]): CacheEntry;
+    delete(providerId: string, addresses: string[]): void;
+    clear(): void;
+}
+
+export function createMemoryStorage(): Storage;
+
+// ---------------------------------------------------------------------------
+// Prices
+// ---------------------------------------------------------------------------
+
+export const SUPPORTED_CURRENCIES: string[];
+export function isAdaToken(token: Partial<Token>): boolean;
+
+export class PriceFeed {
+    getAdaPrice(currency: string): Promise<number | null>;
+    getTokenPrice(policyId: string, assetName: string): Promise<number | null>;
+}
+
+export class PublicApiPriceFeed extends PriceFeed {
+    constructor(config?: { adaPriceEndpoint?: string; tokenPriceEndpoint?: string });
+}
+
+export class StaticPriceFeed extends PriceFeed {
+    constructor(prices?: { ada?: Record<string, number>; tokens?: Record<string, number> });
+}
+
+export class PriceService {
+    constructor(config?: { priceFeed?: PriceFeed; currency?: string; cacheTtl?: number; onWarning?: WarningHandler });
+    currency: string;
+    setCurrency(currency: string): void;
+    setPriceFeed(priceFeed: PriceFeed): void;
+    getAdaPrice(): Promise<number | null>;
+    getTokenPriceInAda(token: Token): Promise<number | null>;
+    valueResponse(data: RewardResponse): Promise<RewardResponse>;
+    valueTokens(tokens: Token[], adaPrice: number | null): Promise<ValueTotal>;
+    summarize(results: RewardResult[]): ValueSummary;
+}
+
+// ---------------------------------------------------------------------------
+// ADA Handles
+// ---------------------------------------------------------------------------
+
+export const HANDLE_POLICY_ID: string;
+export function isHandle(value: string): boolean;
+export function normalizeHandle(handle: string): string;
+
+export class HandleResolver {
+    resolve(handle: string): Promise<string>;
+}
+
+export class KoiosHandleResolver extends HandleResolver {
+    constructor(config?: { endpoint?: string; useCorsProxy?: boolean; proxyStrategy?: ProxyStrategy });
+}
+
+export class MockHandleResolver extends HandleResolver {
+    constructor(handles?: Record<string, string>);
+}
+
+// ---------------------------------------------------------------------------
+// Portfolio and wallets
+// ---------------------------------------------------------------------------
+
+export interface AssetSource {
+    providerId: string;
+    quantity: string;
+    decimals: number;
+    amount: number;
+}
+
+export interface AggregatedToken extends Token {
+    /** Share of each provider, largest first */
+    sources: AssetSource[];
+}
+
+/** Drop results of stake-keyed providers (metadata.stakeAddress) repeating a stake key that is already counted */
+export function dedupeStakeResults(results: RewardResult[]): RewardResult[];
+export function aggregateTokens(results: RewardResult[]): AggregatedToken[];
+export function groupResultsByWallet(results: RewardResult[], addresses: string[]): Map<string, RewardResult[]>;
+
+export interface Wallet {
+    address: string;
+    label: string;
+}
+
+/** Receives warnings of the core modules, which are silent without one */
+export type WarningHandler = (message: string, error?: unknown) => void;
+
+export class WalletStore {
+    constructor(storage?: Storage | null, options?: { onWarning?: WarningHandler });
+    load(): Wallet[];
+    save(): void;
+    getWallets(): Wallet[];
+    getAddresses(): string[];
+    getWallet(address: string): Wallet | null;
+    addWallet(address: string, label?: string): Wallet;
+    removeWallet(address: string): boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Browser wallets (CIP-30)
+// ---------------------------------------------------------------------------
+
+export const CIP30_ERROR_CODES: {
+    INVALID_REQUEST: -1;
+    INTERNAL_ERROR: -2;
+    REFUSED: -3;
+    ACCOUNT_CHANGE: -4;
+};
+export const CIP30_SIGN_ERROR_CODES: {
+    PROOF_GENERATION: 1;
+    USER_DECLINED: 2;
+};
+export const CIP30_SEND_ERROR_CODES: {
+    REFUSED: 1;
+    FAILURE: 2;
+};
+
+export class WalletConnectionError extends Error {
+    constructor(message: string, options?: { code?: number | null; walletId?: string | null; cause?: unknown });
+    /** CIP-30 error code, if the wallet rejected the call */
+    code: number | null;
+    walletId: string | null;
+}
+
+export interface InjectedWalletInfo {
+    /** Key in window.cardano */
+    id: string;
+    name: string;
+    icon: string | null;
+    apiVersion: string | null;
+}
+
+/** The parts of the CIP-30 API the connector uses */
+export interface Cip30Api {
+    getNetworkId(): Promise<number>;
+    getUsedAddresses(): Promise<string[]>;
+    getUnusedAddresses(): Promise<string[]>;
+    getChangeAddress(): Promise<string>;
+    getRewardAddresses(): Promise<string[]>;
+    /** TransactionUnspentOutput CBOR hex strings */
+    getUtxos(): Promise<string[] | null | undefined>;
+    /** Returns the witness set CBOR hex */
+    signTx(tx: string, partialSign?: boolean): Promise<string>;
+    /** Returns the transaction hash */
+    submitTx(tx: string): Promise<string>;
+}
+
+export interface Cip30Wallet {
+    name: string;
+    icon: string;
+    apiVersion: string;
+    enable(): Promise<Cip30Api>;
+    isEnabled(): Promise<boolean>;
+}
+
+export interface WalletAddresses {
+    reward: string[];
+    used: string[];
+    change: string[];
+    /** All addresses without duplicates, reward addresses first */
+    all: string[];
+}
+
+export function getCip30Wallets(cardano?: Record<string, any>): InjectedWalletInfo[];
+export function decodeCip30Address(value: string): string;
+
+export class WalletConnector {
+    constructor(options?: { cardano?: Record<string, any> });
+    wallet: InjectedWalletInfo | null;
+    api: Cip30Api | null;
+    /** Addresses read by the last getAddresses call */
+    addresses: WalletAddresses | null;
+    getNamespace(): Record<string, any> | undefined;
+    getWallets(): InjectedWalletInfo[];
+    connect(walletId: string): Promise<InjectedWalletInfo>;
+    disconnect(): void;
+    getAddresses(): Promise<WalletAddresses>;
+    canWithdraw(stakeAddress: string): boolean;
+    prepareWithdrawal(
+        stakeAddress: string,
+        amount: bigint | string,
+        options?: { protocolParameters?: ProtocolParameters; delegation?: Delegation }
+    ): Promise<Withdrawal>;
+    /** Resolves to the transaction hash */
+    submitWithdrawal(withdrawal: Withdrawal): Promise<string>;
+}
+
+// ---------------------------------------------------------------------------
+// Reward withdrawal transactions
+// ---------------------------------------------------------------------------
+
+export interface ProtocolParameters {
+    /** Lovelace per transaction byte */
+    minFeeA: number;
+    /** Lovelace per transaction */
+    minFeeB: number;
+    coinsPerUtxoByte: number;
+    maxTxSize: number;
+}
+
+export const MAINNET_PROTOCOL_PARAMETERS: ProtocolParameters;
+/** Slots (seconds) a withdrawal stays valid */
+export const WITHDRAWAL_TTL: number;
+
+export interface Utxo {
+    txHash: string;
+    index: number;
+    /** Raw address bytes */
+    address: Uint8Array;
+    /** Lovelace */
+    coin: bigint;
+    /** Decoded CBOR multiasset map, null for ADA-only outputs */
+    multiasset: Map<Uint8Array, Map<Uint8Array, number | bigint>> | null;
+    /** Datum or reference script attached */
+    hasDatum: boolean;
+}
+
+export interface WithdrawalOptions {
+    utxos: Utxo[];
+    changeAddress: string;
+    rewardAddress: string;
+    /** Full reward balance in lovelace */
+    amount: bigint | string | number;
+    protocolParameters?: ProtocolParameters;
+    /** Slot after which the transaction is invalid */
+    ttl?: number | null;
+}
+
+export interface Withdrawal {
+    /** Unsigned transaction CBOR hex */
+    cbor: string;
+    body: Map<number, unknown>;
+    /** Lovelace */
+    amount: bigint;
+    fee: bigint;
+    /** amount - fee */
+    netAmount: bigint;
+    input: { txHash: string; index: number };
+    rewardAddress: string;
+}
+
+export function getMainnetSlot(timestamp?: number): number;
+export function calculateMinFee(size: number, protocolParameters?: ProtocolParameters): bigint;
+export function calculateMinOutputValue(output: unknown[], protocolParameters?: ProtocolParameters): bigint;
+export function parseUtxo(hex: string): Utxo;
+export function selectWithdrawalInput(utxos: Utxo[]): Utxo | null;
+export function buildWithdrawalTx(options: WithdrawalOptions): Withdrawal;
+export function assembleSignedTx(txHex: string, witnessSetHex: string): string;
+
+export class CborTag {
+    constructor(tag: number, value: unknown);
+    tag: number;
+    value: unknown;
+}
+
+export function decodeCbor(input: string | Uint8Array): unknown;
+export function encodeCbor(value: unknown): Uint8Array;
+export function encodeCborHex(value: unknown): string;
+
+// ---------------------------------------------------------------------------
+// Reward history
+// ---------------------------------------------------------------------------
+
+export const HISTORY_FORMAT: 'cardano-rewards-history';
+export const HISTORY_VERSION: 1;
+
+export interface SnapshotToken {
+    assetId: string | null;
+    symbol: string;
+    /** Raw quantity */
+    quantity: string;
+    decimals: number;
+    /** Value at check time (null if the token could not be valued) */
+    valueAda?: number | null;
+    valueFiat?: number | null;
+}
+
+export interface SnapshotEntry {
+    address: string;
+    providerId: string;
+    /** Time the data was fetched (ms since epoch) */
+    updatedAt: number;
+    /** Fiat currency of valueFiat */
+    currency?: string | null;
+    claimUrl?: string | null;
+    tokens: SnapshotToken[];
+}
+
+export interface Snapshot {
+    /** Time of the check (ms since epoch), unique per snapshot */
+    timestamp: number;
+    /** One entry per successful wallet and provider */
+    entries: SnapshotEntry[];
+}
+
+export interface HistoryExport {
+    format: typeof HISTORY_FORMAT;
+    version: number;
+    exportedAt: string;
+    snapshots: Snapshot[];
+}
+
+export interface HistoryStoreOptions {
+    /** IndexedDB factory (default: globalThis.indexedDB, null keeps snapshots in memory) */
+    indexedDB?: IDBFactory | null;
+    databaseName?: string;
+    onWarning?: WarningHandler;
+}
+
+export class HistoryStore {
+    constructor(options?: HistoryStoreOptions);
+    open(): Promise<IDBDatabase | null>;
+    addSnapshot(results: RewardResult[], timestamp?: number): Promise<Snapshot | null>;
+    putSnapshots(snapshots: Snapshot[]): Promise<void>;
+    getSnapshots(): Promise<Snapshot[]>;
+    exportSnapshots(): Promise<HistoryExport>;
+    importSnapshots(document: HistoryExport | string): Promise<number>;
+    clear(): Promise<void>;
+}
+
+export function createSnapshot(results: RewardResult[], timestamp: number): Snapshot;
+
+export interface HistoryPoint {
+    timestamp: number;
+    quantity: string;
+    amount: number;
+}
+
+export interface HistorySeries {
+    key: string;
+    address: string;
+    providerId: string;
+    assetId: string | null;
+    symbol: string;
+    decimals: number;
+    /** Oldest first */
+    points: HistoryPoint[];
+}
+
+export interface SeriesAnalysis {
+    current: number;
+    /** Tokens per day since the first increase, leaving out intervals ending in a drop (null with less than two points) */
+    accrualRate: number | null;
+    /** Balance drops, usually claims */
+    drops: Array<{ timestamp: number; from: number; to: number }>;
+}
+
+export function buildHistorySeries(snapshots: Snapshot[]): HistorySeries[];
+export function analyzeSeries(points: HistoryPoint[]): SeriesAnalysis;
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+export const EXPORT_FORMAT: 'cardano-rewards-export';
+export const EXPORT_VERSION: 1;
+export const EXPORT_COLUMNS: Array<keyof ExportRow>;
+
+/** One row per wallet, provider and token (token columns are null on the row of a failed provider) */
+export interface ExportRow {
+    /** Time the data was fetched (ISO 8601) */
+    timestamp: string;
+    wallet: string;
+    walletLabel: string;
+    providerId: string;
+    provider: string;
+    assetId: string | null;
+    ticker: string | null;
+    /** Raw quantity */
+    quantity: string | null;
+    decimals: number | null;
+    /** Exact decimal amount */
+    amount: string | null;
+    /** Value at check time */
+    valueAda: number | null;
+    valueFiat: number | null;
+    currency: string | null;
+    claimUrl: string | null;
+    error: string | null;
+}
+
+export interface ExportOptions {
+    /** Registry for provider names and platform URLs */
+    registry?: ProviderRegistry;
+    /** Saved wallets for wallet labels */
+    wallets?: Wallet[];
+    /** Time of failed results (default: now) */
+    timestamp?: number;
+}
+
+export interface ExportDocument {
+    format: typeof EXPORT_FORMAT;
+    version: number;
+    exportedAt: string;
+    columns: Array<keyof ExportRow>;
+    rows: ExportRow[];
+}
+
+export function createExportRows(results: RewardResult[], options?: ExportOptions): ExportRow[];
+export function createHistoryExportRows(snapshots: Snapshot[], options?: ExportOptions): ExportRow[];
+export function toCsv(rows: ExportRow[], columns?: Array<keyof ExportRow>): string;
+export function toJsonExport(rows: ExportRow[]): ExportDocument;
+
+// ---------------------------------------------------------------------------
+// Asset ids
+// ---------------------------------------------------------------------------
+
+export const ADA_ASSET_ID: 'lovelace';
+/** Whether a policy identifier is explicitly 'ADA' or 'lovelace' (an empty one is not) */
+export function isAdaIdentifier(policyId: string | null | undefined): boolean;
+/** Whether a value is 'lovelace' or a lowercase hex '<policyId>.<assetName>' */
+export function isAssetId(assetId: unknown): assetId is string;
+export function parseAssetId(assetId: string | null | undefined): { policyId: string; assetName: string; isAda: boolean };
+export function getTokenAssetId(token: Partial<Token>): string | null;
+export function normalizeTokens<T extends Partial<Token>>(tokens: T[]): Array<T & { assetId: string | null }>;
+
+// ---------------------------------------------------------------------------
+// Token registry
+// ---------------------------------------------------------------------------
+
+export interface TokenMetadata {
+    ticker: string;
+    name: string;
+    decimals: number;
+    /** Data URL of the registry logo */
+    logo: string | null;
+    /** True for ADA and the bundled snapshot, false for metadata server lookups */
+    verified: boolean;
+}
+
+export interface TokenRegistryConfig {
+    endpoint?: string;
+    snapshot?: Record<string, Partial<TokenMetadata> & { ticker: string; name: string; decimals: number }>;
+    lookups?: boolean;
+    useCorsProxy?: boolean;
+    proxyStrategy?: ProxyStrategy;
+    /** Persistent cache (default: local storage, null for memory) */
+    storage?: Storage | null;
+    cacheTtl?: number;
+    missTtl?: number;
+    onWarning?: WarningHandler;
+}
+
+export const ADA_METADATA: TokenMetadata;
+export const TOKEN_SNAPSHOT: Record<string, { ticker: string; name: string; decimals: number }>;
+
+export class TokenRegistry {
+    constructor(config?: TokenRegistryConfig);
+    endpoint: string;
+    lookups: boolean;
+    useCorsProxy: boolean;
+    proxyStrategy: ProxyStrategy;
+    storage: Storage;
+    cacheTtl: number;
+    missTtl: number;
+    onWarning: WarningHandler | null;
+    getMetadata(policyId: string | undefined, assetName?: string): TokenMetadata | null;
+    lookup(policyId: string | undefined, assetName?: string, options?: RequestOptions): Promise<TokenMetadata | null>;
+    resolveTokens<T extends Partial<Token>>(tokens: T[], options?: RequestOptions): Promise<T[]>;
+    applyMetadata<T extends Partial<Token>>(token: T, metadata: TokenMetadata | null): T;
+    clearCache(): void;
+    setProxyStrategy(proxyStrategy: ProxyStrategy): void;
+}
+
+/** Token unit, 'lovelace' for ADA and '' for tokens without policy ID */
+export function getTokenUnit(policyId: string | null | undefined, assetName?: string): string;
+export function decodeAssetName(assetName: string | null | undefined): string | null;
+